@@ -0,0 +1,272 @@
+// ─── REST API ─────────────────────────────────────────────────────────────────
+// Versioned JSON endpoints for DCIM polling, served from the headless engine
+// (server/engine.js) against the simulation or a live feed:
+//
+//   EXI_API_TOKEN=secret npm run api -- --port 8788 --feed ws://localhost:8787
+//   curl -H "Authorization: Bearer secret" http://localhost:8788/api/v1/zones
+//
+// Every endpoint except /api/v1/health and /api/v1/openapi.json needs a bearer
+// token. Tokens come from --token or EXI_API_TOKEN (comma-separated for
+// several); with neither, the server refuses to start rather than invent one
+// that would only be readable from its logs.
+// The contract is server/openapi.json.
+
+import http from "node:http";
+import { readFileSync } from "node:fs";
+import { timingSafeEqual } from "node:crypto";
+import { arg, loadProfile, createEngine } from "./engine.js";
+import { ashraeClass, BARI_LEVELS, DEFAULT_BARI } from "../src/metrics.js";
+import { dayKey, realizedCost, LEDGER } from "../src/ledger.js";
+import { physLoc, rackAt } from "../src/site.js";
+
+const SPEC = readFileSync(new URL("./openapi.json", import.meta.url), "utf8");
+const MAX_LIMIT = 200;
+const MAX_HISTORY_HOURS = 7 * 24;
+const ALERT_STATES = ["open", "escalated", "acknowledged", "resolved"];
+const ALERT_LEVELS = ["CRITICAL", "BREACH", "WARNING", "CLEAR"];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const iso = t => (t === null || t === undefined ? null : new Date(t).toISOString());
+const r2 = v => Math.round(v * 100) / 100;
+
+function checkToken(req, tokens) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  if (!m) throw new ApiError(401, "Missing bearer token");
+  const given = Buffer.from(m[1]);
+  const ok = tokens.some(t => t.length === given.length && timingSafeEqual(t, given));
+  if (!ok) throw new ApiError(401, "Invalid token");
+}
+
+function zoneSnapshot(engine, id) {
+  const zone = engine.site.zones.find(z => z.id === id);
+  if (!zone) throw new ApiError(404, `Unknown zone "${id}"`);
+  const snap = engine.zone(id);
+  if (!snap) throw new ApiError(503, `No data received for zone ${id} yet`);
+  return snap;
+}
+
+const costBody = c => ({ kWh: r2(c.kWh), cost: r2(c.cost), co2Kg: r2(c.co2Kg) });
+
+function alertBody(a, engine) {
+  const cost = realizedCost(engine.ledger.data(), [a], engine.lastFrameAt ?? Date.now());
+  return {
+    id: a.id, level: a.lvl, zone: a.zone, state: a.state,
+    raisedAt: iso(a.ts), what: a.what, where: a.where, location: a.loc ?? null, action: a.action ?? null,
+    breachType: a.breachType ?? null, typeConfidence: a.typeConfidence ?? null,
+    estimatedPosition: a.estPos ?? null, positionInterval: a.posCI ?? null,
+    assignee: a.assignee, ackedAt: iso(a.ackedAt), resolvedAt: iso(a.resolvedAt), resolution: a.resolution,
+    notes: a.notes.map(n => ({ at: iso(n.ts), text: n.text })),
+    history: a.history.map(({ ts, ...h }) => ({ at: iso(ts), ...h })),
+    realizedCost: cost && { ...costBody(cost), breaches: cost.breaches },
+  };
+}
+
+function intParam(q, name, fallback, lo, hi) {
+  if (!q.has(name)) return fallback;
+  const v = Number(q.get(name));
+  if (!Number.isInteger(v) || v < lo || v > hi) throw new ApiError(400, `${name} must be a whole number between ${lo} and ${hi}`);
+  return v;
+}
+
+// ── Routes ─────────────────────────────────────────────────────────────────
+const routes = [
+  ["/site", engine => ({
+    name: engine.site.name,
+    feed: { status: engine.status, lastFrameAt: iso(engine.lastFrameAt) },
+    zones: engine.site.zones.map(({ id, name, rows, sensors, racks, dpSensors, lengthM }) =>
+      ({ id, name, rows, sensors, racks, dpSensors, lengthM })),
+  })],
+
+  ["/zones", engine => ({
+    zones: engine.site.zones.map(z => {
+      const s = engine.zone(z.id);
+      return {
+        id: z.id, name: z.name, ts: iso(s?.ts),
+        bari: s ? r2(s.bari * 100) : null, level: s?.level ?? null, alarm: !!s?.alarm,
+        activeBreaches: s?.breachCount ?? 0, maxDeltaC: s ? r2(s.maxDelta) : null,
+      };
+    }),
+  })],
+
+  ["/zones/:id/profile", (engine, { id }) => {
+    const s = zoneSnapshot(engine, id);
+    const base = s.baseline;
+    return {
+      zone: id, ts: iso(s.ts), lengthM: s.zone.lengthM, spacingM: r2(s.zone.lengthM / s.zone.sensors),
+      temps: s.temps.map(r2), baseline: base.map(r2), delta: s.temps.map((t, i) => r2(t - base[i])),
+    };
+  }],
+
+  ["/zones/:id/racks", (engine, { id }) => {
+    const s = zoneSnapshot(engine, id);
+    return {
+      zone: id, ts: iso(s.ts),
+      racks: s.racks.map((avg, i) => ({
+        id: `R${i + 1}`, avgC: r2(avg), deltaC: r2(avg - s.zone.tBase), ashrae: ashraeClass(avg),
+        powerKW: s.rackPwr[i] !== undefined ? r2(s.rackPwr[i]) : null,
+      })),
+    };
+  }],
+
+  ["/zones/:id/bari", (engine, { id }) => {
+    const s = zoneSnapshot(engine, id);
+    const { weights, bands } = engine.profile.bari ?? DEFAULT_BARI;
+    return {
+      zone: id, ts: iso(s.ts), bari: r2(s.bari * 100), level: s.level,
+      components: {
+        thermal: { score: r2(s.thermalScore * 100), weight: weights.thermal, maxDeltaC: r2(s.maxDelta), hotPosition: s.hotPos },
+        dp:      { score: r2(s.dpScore * 100),      weight: weights.dp,      meanDropPa: r2(s.dpDrop) },
+        rack:    { score: r2(s.rackScore * 100),    weight: weights.rack,    inletMeanC: r2(s.rackMean) },
+      },
+      bands: { elevated: r2(bands.elevated * 100), high: r2(bands.high * 100), critical: r2(bands.critical * 100) },
+    };
+  }],
+
+  ["/zones/:id/bari/history", (engine, { id }, q) => {
+    const s = zoneSnapshot(engine, id);
+    const hours = intParam(q, "hours", 24, 1, MAX_HISTORY_HOURS);
+    const { bucketMs, points, crossings } = engine.trend.series(id, hours * 3600 * 1000, s.ts);
+    return {
+      zone: id, from: iso(s.ts - hours * 3600 * 1000), to: iso(s.ts), bucketSec: bucketMs / 1000,
+      points: points.map(p => ({
+        at: iso(p.ts), bari: r2(p.bari * 100), max: r2(p.max * 100),
+        thermal: r2(p.thermal * 100), dp: r2(p.dp * 100), rack: r2(p.rack * 100), level: BARI_LEVELS[p.band],
+      })),
+      crossings: crossings.map(c => ({ at: iso(c.ts), from: c.from, to: c.to, bari: r2(c.bari * 100) })),
+    };
+  }],
+
+  ["/zones/:id/breaches", (engine, { id }) => {
+    const s = zoneSnapshot(engine, id);
+    return {
+      zone: id, ts: iso(s.ts), bypassKW: r2(s.bypassKW),
+      breaches: s.breaches.map(b => ({
+        id: b.id, position: b.pos, rack: `R${rackAt(s.zone, b.pos) + 1}`, label: b.label ?? null,
+        location: `${s.zone.name} · ${physLoc(s.zone, b.pos)}`,
+        intensityC: r2(b.int), bypassKW: r2((b.int / 14) * 18), since: iso(b.t),
+      })),
+    };
+  }],
+
+  ["/zones/:id/energy", (engine, { id }, q) => {
+    const s = zoneSnapshot(engine, id);
+    const n = intParam(q, "days", 30, 1, LEDGER.keepDays);
+    const { days, breaches } = engine.ledger.data();
+    const from = new Date(s.ts);
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - (n - 1));
+    const rows = [];
+    for (const d = new Date(from); rows.length < n; d.setDate(d.getDate() + 1)) {
+      rows.push({ date: dayKey(d), ...(days[dayKey(d)]?.[id] || { kWh: 0, cost: 0, co2Kg: 0 }) });
+    }
+    const total = rows.reduce((t, r) => ({ kWh: t.kWh + r.kWh, cost: t.cost + r.cost, co2Kg: t.co2Kg + r.co2Kg }), { kWh: 0, cost: 0, co2Kg: 0 });
+    const { rate, co2Factor } = engine.profile.energy;
+    return {
+      zone: id, from: rows[0].date, to: rows[n - 1].date, rate, co2Factor,
+      total: costBody(total),
+      days: rows.map(r => ({ date: r.date, ...costBody(r) })),
+      breaches: breaches.filter(b => b.zone === id && b.last >= from.getTime()).map(b => ({
+        id: b.id, label: b.label, type: b.type, position: b.pos, start: iso(b.first), end: iso(b.last),
+        ongoing: b.last === s.ts, peakKW: r2(b.peakKW), ...costBody(b),
+      })),
+    };
+  }],
+
+  ["/alerts", (engine, _, q) => {
+    const limit = intParam(q, "limit", 50, 1, MAX_LIMIT);
+    const offset = intParam(q, "offset", 0, 0, Number.MAX_SAFE_INTEGER);
+    const zone = q.get("zone");
+    if (zone && !engine.site.zones.some(z => z.id === zone)) throw new ApiError(400, `Unknown zone "${zone}"`);
+    const state = q.get("state");
+    if (state && !ALERT_STATES.includes(state)) {
+      throw new ApiError(400, "state must be open, escalated, acknowledged or resolved");
+    }
+    const level = q.get("level");
+    if (level && !ALERT_LEVELS.includes(level)) {
+      throw new ApiError(400, "level must be CRITICAL, BREACH, WARNING or CLEAR");
+    }
+    const matching = engine.alerts.filter(a =>
+      (!zone || a.zone === zone) && (!state || a.state === state) && (!level || a.lvl === level));
+    const next = offset + limit < matching.length ? new URLSearchParams({ ...Object.fromEntries(q), offset: offset + limit }) : null;
+    return {
+      total: matching.length, limit, offset,
+      next: next && `/api/v1/alerts?${next}`,
+      items: matching.slice(offset, offset + limit).map(a => alertBody(a, engine)),
+    };
+  }],
+];
+
+function decodeParam(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    throw new ApiError(400, `Malformed path segment "${s}"`);
+  }
+}
+
+function match(path) {
+  const parts = path.split("/").filter(Boolean);
+  for (const [pattern, handler] of routes) {
+    const want = pattern.split("/").filter(Boolean);
+    if (want.length !== parts.length) continue;
+    const params = {};
+    const ok = want.every((w, i) => {
+      if (w.startsWith(":")) params[w.slice(1)] = decodeParam(parts[i]);
+      return w.startsWith(":") || w === parts[i];
+    });
+    if (ok) return { handler, params };
+  }
+  return null;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    ...(status === 401 ? { "WWW-Authenticate": 'Bearer realm="exi"' } : {}),
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function createApiServer(engine, tokens) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET") throw new ApiError(405, "Only GET is supported");
+      if (!url.pathname.startsWith("/api/v1/")) throw new ApiError(404, "Not found");
+      const path = url.pathname.slice("/api/v1".length).replace(/\/$/, "");
+      if (path === "/health") {
+        return send(res, 200, { status: "ok", feed: engine.status, lastFrameAt: iso(engine.lastFrameAt) });
+      }
+      if (path === "/openapi.json") return send(res, 200, SPEC);
+      checkToken(req, tokens);
+      const route = match(path);
+      if (!route) throw new ApiError(404, "Not found");
+      send(res, 200, route.handler(engine, route.params, url.searchParams));
+    } catch (err) {
+      const status = err instanceof ApiError ? err.status : 500;
+      if (status === 500) console.error(`[api] ${req.method} ${req.url}`, err);
+      send(res, status, { error: { status, message: status === 500 ? "Internal error" : err.message } });
+    }
+  });
+}
+
+const port = Number(arg("port", 8788));
+const feedUrl = arg("feed", null);
+const tokenList = (arg("token", null) || process.env.EXI_API_TOKEN || "").split(",").map(t => t.trim()).filter(Boolean);
+if (!tokenList.length) {
+  console.error("[api] no token configured — set EXI_API_TOKEN (or --token) and start again");
+  process.exit(1);
+}
+const engine = createEngine({ profile: loadProfile(arg("profile", null)), feedUrl });
+engine.on("status", s => console.log(`[api] source ${s}`));
+engine.start();
+createApiServer(engine, tokenList.map(t => Buffer.from(t))).listen(port, () => {
+  console.log(`[api] ${engine.site.name} · ${feedUrl || "simulation"} · http://localhost:${port}/api/v1`);
+});
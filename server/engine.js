@@ -0,0 +1,152 @@
+// ─── Headless monitoring engine ───────────────────────────────────────────────
+// Runs the dashboard's data path without a browser for the Node-side
+// integrations: the same data sources, per-zone detectors and metrics
+// (src/metrics.js), kept as a current snapshot per zone, plus the alert
+// history. Breaches seen in the feed for the first time raise a BREACH alert,
+// as pressing a breach control does in the dashboard; scripted scenario
+// breaches (`scenario` set) are left to the detector, as they are there.
+// The profile's `drift` setting applies here too (see src/baselines.js), and
+// its `bari` weights and bands score the zones; each zone's BARI history is
+// kept for the REST API (see src/trend.js), as is an energy ledger of the
+// breaches' realized cost (see src/ledger.js, priced at the profile's `energy`).
+//
+//   --feed ws://host:port   read a live gateway (default: built-in simulation)
+//   --profile site.json     site profile exported from ⚙ SITE (default site otherwise)
+
+import { readFileSync } from "node:fs";
+import WebSocket from "ws";
+import { createSimulationSource, createWebSocketSource, createEmitter } from "../src/sources.js";
+import { createDetector } from "../src/detector.js";
+import { alertsReducer, detectorAction, breachAction } from "../src/alerts.js";
+import { breachSignature, classifyBreach } from "../src/breaches.js";
+import { localizePlume } from "../src/localize.js";
+import { dpDrops } from "../src/incidents.js";
+import { dpPosition } from "../src/site.js";
+import { parseProfile, DEFAULT_PROFILE } from "../src/profile.js";
+import { createDriftTracker } from "../src/baselines.js";
+import { createTrend } from "../src/trend.js";
+import { createLedger } from "../src/ledger.js";
+import { bariScore, bariLevel, rackAverages, breachLoadKW, worstBreach } from "../src/metrics.js";
+
+export function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+export function loadProfile(path) {
+  return path ? parseProfile(readFileSync(path, "utf8")) : DEFAULT_PROFILE;
+}
+
+const MAX_ALERTS = 1000;   // newest kept; the oldest resolved ones go first
+
+export function createEngine({ profile = DEFAULT_PROFILE, feedUrl = null } = {}) {
+  const { site } = profile;
+  const em = createEmitter();
+  const source = feedUrl
+    ? createWebSocketSource(feedUrl, site, { WebSocketImpl: WebSocket })
+    : createSimulationSource(site);
+  const zones = {};     // id → latest snapshot
+  let detectors = {};
+  let detectorGen = 0;
+  let alerts = [];
+  let alertId = 0;
+  // Monotonic per-zone counts for the exporter; survive the MAX_ALERTS trim
+  // and the ledger's LEDGER.keepDays pruning
+  const counters = Object.fromEntries(site.zones.map(z =>
+    [z.id, { raised: {}, escalated: 0, energy: { kWh: 0, cost: 0, co2Kg: 0 } }]));
+  const seenBreaches = new Set();   // `${zone}:${breach id}`
+  const trend = createTrend();
+  const ledger = createLedger();   // in memory; starts with the server
+  const drift = profile.drift?.enabled
+    ? Object.fromEntries(site.zones.map(z => [z.id, createDriftTracker(profile.drift)])) : {};
+  let status = "connecting";
+  let lastFrameAt = null;
+
+  function resetDetectors() {
+    detectorGen++;
+    detectors = Object.fromEntries(site.zones.map(z => [z.id, createDetector(profile.detector)]));
+  }
+
+  function dispatch(action) {
+    if (action.type === "raise") {
+      const { raised } = counters[action.alert.zone];
+      raised[action.alert.lvl] = (raised[action.alert.lvl] || 0) + 1;
+    }
+    alerts = alertsReducer(alerts, action);
+    if (alerts.length > MAX_ALERTS) {
+      const drop = alerts.findLastIndex(a => a.state === "resolved");
+      alerts = alerts.filter((_, i) => i !== (drop > -1 ? drop : alerts.length - 1));
+    }
+  }
+
+  function snapshot(zone, z, ts) {
+    const ref = source.baselines[zone.id];
+    const base = drift[zone.id] ? drift[zone.id].apply(ref) : ref;
+    for (const b of z.breaches) {
+      const key = `${zone.id}:${b.id}`;
+      if (b.scenario || seenBreaches.has(key)) continue;
+      seenBreaches.add(key);
+      dispatch(breachAction(zone, Math.round(b.pos), b.label || "Breach", ts, ++alertId));
+    }
+    dispatch({
+      type: "sweep", zone: zone.id, temps: z.temps, baseline: base.baseline, ts,
+      dpDrops: dpDrops(z.dp, base.baseDp, d => dpPosition(zone, d)), dpRadius: zone.sensors / 3,
+    });
+    const { events, state } = detectors[zone.id].update(z.temps, base.baseline, ts);
+    for (const ev of events) {
+      if (ev.type === "escalate") counters[zone.id].escalated++;
+      const fresh = ev.type === "alert";
+      dispatch(detectorAction(ev, zone, `${zone.id}:${detectorGen}:${ev.episode.id}`, ts, () => ++alertId, {
+        guess: fresh ? classifyBreach(breachSignature(zone, z, base, ev.episode.peakIdx, ev.episode.riseSec)) : null,
+        fix: fresh ? localizePlume(z.temps, base.baseline, ev.episode.peakIdx) : null,
+      }));
+    }
+    drift[zone.id]?.update(z.temps, ref.baseline, ts, z.breaches.length > 0 || state.episodes.length > 0);
+    const score = bariScore(zone, z, base, profile.bari);
+    trend.push(zone.id, ts, score, profile.bari);
+    const spent = ledger.push(zone.id, ts, z.breaches, profile.energy);
+    const { energy } = counters[zone.id];
+    energy.kWh += spent.kWh;
+    energy.cost += spent.cost;
+    energy.co2Kg += spent.co2Kg;
+    const { count, worst } = worstBreach(zone, z.breaches);
+    return {
+      zone, ts, ...score, level: bariLevel(score.bari, profile.bari),
+      temps: z.temps, dp: z.dp, rackPwr: z.rackPwr, breaches: z.breaches,
+      baseline: base.baseline, baseDp: base.baseDp,   // drift-compensated when that is on
+      racks: rackAverages(zone, z.temps),
+      breachCount: count, worstBreach: worst, bypassKW: breachLoadKW(z.breaches),
+      // Same rule as the dashboard's zone alarm marker
+      alarm: count > 0 || state.episodes.some(e => e.alerted),
+    };
+  }
+
+  const offs = [
+    source.on("status", s => { status = s; em.emit("status", s); }),
+    source.on("meta", resetDetectors),
+    source.on("frame", f => {
+      lastFrameAt = Date.now();
+      for (const [id, z] of Object.entries(f.zones)) {
+        zones[id] = snapshot(site.zones.find(x => x.id === id), z, f.ts);
+      }
+      em.emit("update", zones);
+    }),
+  ];
+
+  return {
+    site, profile, source, counters, trend, ledger,
+    on: em.on,
+    get status() { return status; },
+    get lastFrameAt() { return lastFrameAt; },
+    zone: id => zones[id] || null,
+    get alerts() { return alerts; },   // newest first, as in the dashboard
+    start() {
+      resetDetectors();
+      source.start();
+    },
+    stop() {
+      offs.forEach(off => off());
+      source.stop();
+    },
+  };
+}
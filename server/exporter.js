@@ -0,0 +1,119 @@
+// ─── Prometheus / OpenMetrics exporter ────────────────────────────────────────
+// Serves containment metrics for Prometheus scraping from the headless engine
+// (server/engine.js), against the simulation or a live feed:
+//
+//   npm run exporter -- --port 9464 --feed ws://localhost:8787
+//   curl http://localhost:9464/metrics
+//
+// Answers in OpenMetrics 1.0 when the scraper asks for it (Prometheus does by
+// default) and in the classic text format 0.0.4 otherwise. Every series
+// carries `site` and `zone`; rack and DP series add `rack` / `sensor`. The
+// metric list is in the README.
+
+import http from "node:http";
+import { arg, loadProfile, createEngine } from "./engine.js";
+import { ashraeClass, DEFAULT_BARI } from "../src/metrics.js";
+import { dpLabel } from "../src/site.js";
+import { ACTIONABLE, ALERT_STATE } from "../src/alerts.js";
+
+const OPENMETRICS = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+const TEXT_004    = "text/plain; version=0.0.4; charset=utf-8";
+const ASHRAE_NUM  = { A1: 1, A2: 2, A3: 3, A4: 4 };
+const LEVELS      = ["CRITICAL", "BREACH", "WARNING", "CLEAR"];
+
+const escape = v => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const labels = obj => `{${Object.entries(obj).map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+
+// Collect metric families: name → { type, help, unit?, samples: [[suffix, labels, value]] }
+function collect(engine) {
+  const fams = new Map();
+  const fam = (name, type, help, unit) => {
+    if (!fams.has(name)) fams.set(name, { type, help, unit, samples: [] });
+    return fams.get(name);
+  };
+  const gauge = (name, help, l, v, unit) => fam(name, "gauge", help, unit).samples.push(["", l, v]);
+  const site = engine.site.name;
+  const rate = engine.profile.energy.rate;
+  const weights = Object.values((engine.profile.bari ?? DEFAULT_BARI).weights).join(" / ");
+
+  gauge("exi_feed_up", "1 while the data source is live", { site }, engine.status === "live" ? 1 : 0);
+  if (engine.lastFrameAt !== null) {
+    gauge("exi_feed_last_frame_timestamp_seconds", "Arrival time of the last frame", { site }, engine.lastFrameAt / 1000, "seconds");
+  }
+
+  for (const zone of engine.site.zones) {
+    const s = engine.zone(zone.id);
+    const z = { site, zone: zone.id };
+    const c = engine.counters[zone.id];
+
+    for (const lvl of LEVELS) {
+      fam("exi_alerts", "counter", "Alerts raised, by level at raise time").samples.push(["_total", { ...z, level: lvl }, c.raised[lvl] || 0]);
+    }
+    fam("exi_alert_escalations", "counter", "Detector alerts escalated WARNING → CRITICAL").samples.push(["_total", z, c.escalated]);
+    const t = c.energy;
+    fam("exi_bypass_energy_kilowatt_hours", "counter", "Bypass energy of the breaches since the exporter started", "kilowatt_hours").samples.push(["_total", z, t.kWh]);
+    fam("exi_bypass_cost_dollars", "counter", "Energy cost of that bypass, priced as it accrued").samples.push(["_total", z, t.cost]);
+    fam("exi_bypass_co2_kilograms", "counter", "CO₂ emitted for that bypass", "kilograms").samples.push(["_total", z, t.co2Kg]);
+    for (const lvl of LEVELS.filter(l => ACTIONABLE.has(l))) {
+      for (const state of Object.keys(ALERT_STATE).filter(st => st !== "resolved")) {
+        const n = engine.alerts.filter(a => a.zone === zone.id && a.lvl === lvl && a.state === state).length;
+        gauge("exi_alerts_unresolved", "Unresolved alerts, by level and state", { ...z, level: lvl, state }, n);
+      }
+    }
+    if (!s) continue;
+
+    gauge("exi_bari_ratio", "Bypass Airflow Risk Index, 0–1", z, s.bari, "ratio");
+    for (const [component, v] of [["thermal", s.thermalScore], ["dp", s.dpScore], ["rack", s.rackScore]]) {
+      gauge("exi_bari_component_ratio", `BARI component score, 0–1 (weights ${weights})`, { ...z, component }, v, "ratio");
+    }
+    gauge("exi_zone_alarm", "1 while the zone has an active breach or detector alert", z, s.alarm ? 1 : 0);
+    gauge("exi_max_delta_celsius", "Largest fiber ΔT above baseline", z, s.maxDelta, "celsius");
+    gauge("exi_breaches_active", "Active containment breaches", z, s.breachCount);
+    gauge("exi_bypass_kilowatts", "Bypass load of the active breaches", z, s.bypassKW, "kilowatts");
+    gauge("exi_bypass_cost_dollars_per_hour", `Energy cost of the bypass load at $${rate}/kWh`, z, s.bypassKW * rate);
+
+    s.racks.forEach((t, i) => {
+      const r = { ...z, rack: `R${i + 1}` };
+      gauge("exi_rack_inlet_temperature_celsius", "Mean fiber temperature in front of the rack", r, t, "celsius");
+      gauge("exi_rack_ashrae_class", "ASHRAE allowable class of the rack inlet (1 = A1 … 4 = A4)", r, ASHRAE_NUM[ashraeClass(t)]);
+    });
+    const { baseDp } = s;
+    s.dp.forEach((p, i) => {
+      const d = { ...z, sensor: dpLabel(i) };
+      gauge("exi_dp_pascals", "Differential pressure across the containment", d, p, "pascals");
+      gauge("exi_dp_drop_pascals", "Differential pressure drop below baseline", d, baseDp[i] - p, "pascals");
+    });
+  }
+  return fams;
+}
+
+function render(fams, openMetrics) {
+  const out = [];
+  for (const [name, f] of fams) {
+    // OpenMetrics names the counter family without _total; 0.0.4 uses the sample name
+    const typeName = f.type === "counter" && !openMetrics ? `${name}_total` : name;
+    out.push(`# HELP ${typeName} ${f.help}`, `# TYPE ${typeName} ${f.type}`);
+    if (f.unit && openMetrics) out.push(`# UNIT ${name} ${f.unit}`);
+    for (const [suffix, l, v] of f.samples) out.push(`${name}${suffix}${labels(l)} ${Number.isFinite(v) ? +v.toFixed(4) : "NaN"}`);
+  }
+  if (openMetrics) out.push("# EOF");
+  return `${out.join("\n")}\n`;
+}
+
+const port = Number(arg("port", 9464));
+const feedUrl = arg("feed", null);
+const engine = createEngine({ profile: loadProfile(arg("profile", null)), feedUrl });
+engine.on("status", s => console.log(`[exporter] source ${s}`));
+engine.start();
+
+http.createServer((req, res) => {
+  if (req.method !== "GET" || new URL(req.url, "http://localhost").pathname !== "/metrics") {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    return res.end("Not found — scrape /metrics\n");
+  }
+  const openMetrics = (req.headers.accept || "").includes("application/openmetrics-text");
+  res.writeHead(200, { "Content-Type": openMetrics ? OPENMETRICS : TEXT_004 });
+  res.end(render(collect(engine), openMetrics));
+}).listen(port, () => {
+  console.log(`[exporter] ${engine.site.name} · ${feedUrl || "simulation"} · http://localhost:${port}/metrics`);
+});
@@ -0,0 +1,73 @@
+// ─── Stand-in interrogator gateway ────────────────────────────────────────────
+// Streams simulated per-sweep frames over WebSocket so the dashboard's live
+// feed path can be exercised without an ODiSI interrogator on the bench.
+//
+//   npm run feed -- --port 8787 --interval 500
+//   open http://localhost:5173/?feed=ws://localhost:8787
+//
+// Every zone of the default site is simulated and sent in one frame. Accepts
+// { type: "induce", zone, pos, label, breachType? }, { type: "clear", zone },
+// { type: "crac", zone, kind: "swing" | "step", ...options },
+// { type: "scenario", zone, scenario, seed } and { type: "scenario-stop", zone }
+// from clients so the demo controls keep working against the live feed.
+// --seed makes the simulation's own noise repeatable as well.
+
+import { WebSocketServer } from "ws";
+import { createSiteSimulation, CRAC_DEFAULTS } from "../src/simulation.js";
+import { validateScenario, seededRng } from "../src/scenarios.js";
+import { BREACH_TYPES } from "../src/breaches.js";
+import { DEFAULT_SITE, zoneById } from "../src/site.js";
+import { arg } from "./engine.js";
+
+const port     = Number(arg("port", 8787));
+const interval = Number(arg("interval", 500));
+const seed     = arg("seed", null);
+
+const sim = createSiteSimulation(DEFAULT_SITE, seed === null ? {} : { rng: seededRng(Number(seed)) });
+const wss = new WebSocketServer({ port });
+
+wss.on("connection", (ws, req) => {
+  console.log(`[feed] client connected ${req.socket.remoteAddress}`);
+  ws.send(JSON.stringify({ type: "hello", zones: sim.baselines }));
+  ws.on("message", raw => {
+    let msg;
+    try { msg = JSON.parse(String(raw)); } catch { return; }
+    if (!msg || typeof msg !== "object") return;
+    const zone = zoneById(DEFAULT_SITE, msg.zone) || DEFAULT_SITE.zones[0];
+    if (msg.type === "induce" && Number.isFinite(msg.pos)) {
+      const type = BREACH_TYPES[msg.breachType] ? msg.breachType : undefined;
+      const b = sim.induce(zone.id, msg.pos, String(msg.label || "Remote breach"), undefined, type);
+      console.log(`[feed] ${BREACH_TYPES[b.type].name.toLowerCase()} breach #${b.id} induced in ${zone.id} at sensor ${b.pos}`);
+    } else if (msg.type === "clear") {
+      sim.clear(msg.zone ? zone.id : undefined);
+      console.log(`[feed] breaches cleared${msg.zone ? ` in ${zone.id}` : ""}`);
+    } else if (msg.type === "crac" && CRAC_DEFAULTS[msg.kind]) {
+      // Only the model's own numeric options are taken from the client
+      const opts = Object.fromEntries(Object.keys(CRAC_DEFAULTS[msg.kind])
+        .filter(k => Number.isFinite(msg[k]) && msg[k] > 0).map(k => [k, msg[k]]));
+      sim.disturb(msg.zone ? zone.id : undefined, msg.kind, opts);
+      console.log(`[feed] ${msg.kind === "swing" ? "CRAC swing" : "load step"} started${msg.zone ? ` in ${zone.id}` : ""}`);
+    } else if (msg.type === "scenario") {
+      try {
+        const scenario = validateScenario(msg.scenario);
+        sim.play(zone.id, scenario, { seed: Number.isFinite(msg.seed) ? msg.seed : undefined });
+        console.log(`[feed] scenario "${scenario.name}" started in ${zone.id}`);
+      } catch (err) {
+        console.warn(`[feed] scenario rejected: ${err.message}`);
+      }
+    } else if (msg.type === "scenario-stop") {
+      sim.stopScenario(zone.id);
+      console.log(`[feed] scenario stopped in ${zone.id}`);
+    }
+  });
+  ws.on("close", () => console.log("[feed] client disconnected"));
+});
+
+setInterval(() => {
+  const payload = JSON.stringify(sim.step(Date.now()));
+  for (const client of wss.clients) {
+    if (client.readyState === 1) client.send(payload);
+  }
+}, interval);
+
+console.log(`[feed] streaming frames every ${interval} ms on ws://localhost:${port}`);
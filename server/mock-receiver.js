@@ -0,0 +1,66 @@
+// ─── Mock notification receiver ───────────────────────────────────────────────
+// Accepts the dashboard's outbound notifications so webhook and PagerDuty
+// delivery can be tested without a real endpoint or PagerDuty account.
+//
+//   npm run mock-receiver -- --port 8790 --fail-rate 0.3
+//
+// Point a webhook target at http://localhost:8790/hook, or a PagerDuty target
+// at http://localhost:8790/v2/enqueue (any routing key). --fail-rate answers
+// that fraction of requests with 503 to exercise the retry path.
+
+import http from "node:http";
+import { arg } from "./engine.js";
+
+const port     = Number(arg("port", 8790));
+const failRate = Number(arg("fail-rate", 0));
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS);
+    return res.end();
+  }
+  if (req.method !== "POST") return reply(res, 405, { status: "invalid method" });
+
+  let raw = "";
+  req.on("data", chunk => { raw += chunk; });
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      // Not JSON at all — rejected with any other non-object below
+    }
+    if (!body || typeof body !== "object") {
+      console.log(`[mock] ${req.url} rejected: body is not a JSON object`);
+      return reply(res, 400, { status: "invalid event", message: "Body is not a JSON object" });
+    }
+    if (Math.random() < failRate) {
+      console.log(`[mock] ${req.url} simulated failure`);
+      return reply(res, 503, { status: "unavailable" });
+    }
+
+    if (req.url.startsWith("/v2/enqueue")) {
+      if (!body.routing_key || !["trigger", "acknowledge", "resolve"].includes(body.event_action)) {
+        console.log(`[mock] PD rejected: ${JSON.stringify(body)}`);
+        return reply(res, 400, { status: "invalid event", message: "Event object is invalid" });
+      }
+      console.log(`[mock] PD ${body.event_action} ${body.dedup_key}${body.payload ? ` ${body.payload.severity} "${body.payload.summary}"` : ""}`);
+      return reply(res, 202, { status: "success", message: "Event processed", dedup_key: body.dedup_key });
+    }
+
+    console.log(`[mock] ${req.url} ${body.event} ${body.dedup_key}`);
+    console.log(JSON.stringify(body, null, 2));
+    reply(res, 202, { status: "accepted" });
+  });
+}).listen(port, () => console.log(`[mock] listening on http://localhost:${port} (fail rate ${failRate})`));
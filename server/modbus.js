@@ -0,0 +1,144 @@
+// ─── Modbus TCP server ────────────────────────────────────────────────────────
+// Exposes live zone telemetry to BMS and PDU tooling over Modbus TCP. Runs the
+// headless engine (server/engine.js) against the simulation or a live feed:
+//
+//   npm run modbus -- --port 5020                                   # simulation
+//   npm run modbus -- --port 5020 --feed ws://localhost:8787        # same data as the dashboard
+//   npm run modbus -- --profile exi-profile-customer-x.json
+//
+// Read-only. Holding registers (FC 03) and input registers (FC 04) return the
+// same table; coils (FC 01) and discrete inputs (FC 02) the same bits. Any unit
+// ID is answered. The register map and scaling factors are documented in the
+// README; temperatures and pressures are signed 16-bit (two's complement).
+
+import net from "node:net";
+import { arg, loadProfile, createEngine } from "./engine.js";
+
+const MAP_VERSION = 1;
+const ZONE_BLOCK  = 100;      // registers per block; block 0 is the site, block i+1 zone i
+const RACK_BASE   = 10;       // rack inlet averages, up to 48
+const DP_BASE     = 60;       // DP readings, up to 16
+const NONE        = 0xffff;   // "no value" marker
+
+const FEED_CODE = { offline: 0, connecting: 1, live: 2, stale: 3, reconnecting: 4 };
+const LEVEL_CODE = { "ALL CLEAR": 0, ELEVATED: 1, "HIGH RISK": 2, CRITICAL: 3 };
+
+const u16 = v => Math.max(0, Math.min(0xffff, Math.round(v)));
+const s16 = v => Math.max(-0x8000, Math.min(0x7fff, Math.round(v))) & 0xffff;
+
+// Build the full register table from the engine's current snapshot.
+function buildRegisters(engine) {
+  const { site } = engine;
+  const regs = new Uint16Array(ZONE_BLOCK * (site.zones.length + 1));
+  const snaps = site.zones.map(z => engine.zone(z.id));
+  const age = engine.lastFrameAt === null ? NONE : (Date.now() - engine.lastFrameAt) / 1000;
+
+  regs[0] = MAP_VERSION;
+  regs[1] = site.zones.length;
+  regs[2] = FEED_CODE[engine.status] ?? 0;
+  regs[3] = u16(age);
+  regs[4] = u16(Math.max(0, ...snaps.map(s => (s ? s.bari * 1000 : 0))));
+  regs[5] = u16(snaps.reduce((n, s) => n + (s ? s.breachCount : 0), 0));
+  regs[6] = snaps.filter(s => s?.alarm).length;
+
+  snaps.forEach((s, zi) => {
+    const b = ZONE_BLOCK * (zi + 1);
+    const zone = site.zones[zi];
+    regs[b + 8] = zone.racks;
+    regs[b + 9] = zone.dpSensors;
+    if (!s) {
+      regs[b + 3] = NONE;
+      return;
+    }
+    regs[b + 0] = u16(s.bari * 1000);
+    regs[b + 1] = LEVEL_CODE[s.level];
+    regs[b + 2] = u16(s.breachCount);
+    regs[b + 3] = s.worstBreach ? s.worstBreach.pos : NONE;
+    regs[b + 4] = s.worstBreach ? s.worstBreach.rack + 1 : 0;
+    regs[b + 5] = s16(s.maxDelta * 100);
+    regs[b + 6] = s16(s.dpDrop * 100);
+    regs[b + 7] = u16(s.bypassKW * 10);
+    s.racks.forEach((t, i) => { regs[b + RACK_BASE + i] = s16(t * 100); });
+    s.dp.forEach((p, i) => { regs[b + DP_BASE + i] = s16(p * 100); });
+  });
+  return regs;
+}
+
+// Bit 0: any zone in alarm; bit i+1: zone i in alarm (active breach or
+// detector alert, as marked in the dashboard's zone list).
+function buildCoils(engine) {
+  const bits = engine.site.zones.map(z => !!engine.zone(z.id)?.alarm);
+  return [bits.some(Boolean), ...bits];
+}
+
+function exception(fc, code) {
+  return Buffer.from([fc | 0x80, code]);
+}
+
+// Answer one request PDU (function code + data).
+function handlePdu(pdu, engine) {
+  const fc = pdu[0];
+  if (![1, 2, 3, 4].includes(fc)) return exception(fc, 0x01);
+  if (pdu.length < 5) return exception(fc, 0x03);
+  const start = pdu.readUInt16BE(1);
+  const qty = pdu.readUInt16BE(3);
+
+  if (fc === 1 || fc === 2) {
+    if (qty < 1 || qty > 2000) return exception(fc, 0x03);
+    const coils = buildCoils(engine);
+    if (start + qty > coils.length) return exception(fc, 0x02);
+    const out = Buffer.alloc(2 + Math.ceil(qty / 8));
+    out[0] = fc;
+    out[1] = out.length - 2;
+    for (let i = 0; i < qty; i++) if (coils[start + i]) out[2 + (i >> 3)] |= 1 << (i & 7);
+    return out;
+  }
+
+  if (qty < 1 || qty > 125) return exception(fc, 0x03);
+  const regs = buildRegisters(engine);
+  if (start + qty > regs.length) return exception(fc, 0x02);
+  const out = Buffer.alloc(2 + qty * 2);
+  out[0] = fc;
+  out[1] = qty * 2;
+  for (let i = 0; i < qty; i++) out.writeUInt16BE(regs[start + i], 2 + i * 2);
+  return out;
+}
+
+function createModbusServer(engine) {
+  return net.createServer(sock => {
+    let buf = Buffer.alloc(0);
+    const peer = `${sock.remoteAddress}:${sock.remotePort}`;
+    console.log(`[modbus] client connected ${peer}`);
+    sock.on("data", chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      // MBAP header: transaction id, protocol id (0), length, unit id
+      while (buf.length >= 7) {
+        const len = buf.readUInt16BE(4);
+        if (buf.readUInt16BE(2) !== 0 || len < 2 || len > 254) {
+          sock.destroy();
+          return;
+        }
+        if (buf.length < 6 + len) break;
+        const pdu = buf.subarray(7, 6 + len);
+        const res = handlePdu(pdu, engine);
+        const head = Buffer.alloc(7);
+        buf.copy(head, 0, 0, 2);          // echo transaction id
+        head.writeUInt16BE(res.length + 1, 4);
+        head[6] = buf[6];                 // echo unit id
+        sock.write(Buffer.concat([head, res]));
+        buf = buf.subarray(6 + len);
+      }
+    });
+    sock.on("error", () => {});
+    sock.on("close", () => console.log(`[modbus] client disconnected ${peer}`));
+  });
+}
+
+const port = Number(arg("port", 5020));
+const feedUrl = arg("feed", null);
+const engine = createEngine({ profile: loadProfile(arg("profile", null)), feedUrl });
+engine.on("status", s => console.log(`[modbus] source ${s}`));
+engine.start();
+createModbusServer(engine).listen(port, () => {
+  console.log(`[modbus] ${engine.site.name} · ${engine.site.zones.length} zones · ${feedUrl || "simulation"} · listening on :${port}`);
+});
@@ -1,13 +1,46 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo, useReducer } from "react";
+import { makeRackPower } from "./simulation.js";
+import { zoneById, dpPosition, dpLabel, rackRange, rackAt, physLoc, flatBaselines } from "./site.js";
+import { createSimulationSource, createWebSocketSource, createReplaySource } from "./sources.js";
+import { createRecorder, parseSession, breachSpans } from "./session.js";
+import { SCENARIO_LIBRARY, parseScenario } from "./scenarios.js";
+import { BREACH_TYPES, BREACH_TYPE_IDS, breachSignature, classifyBreach } from "./breaches.js";
+import { localizePlume, cmPerSensor } from "./localize.js";
+import { parseOdisi } from "./odisi.js";
+import { createHistory } from "./history.js";
+import {
+  alertsReducer, alertAsOf, alertMetrics, detectorAction, breachAction, ACTIONABLE, ALERT_STATE,
+} from "./alerts.js";
+import { correlateIncidents, dpDrops } from "./incidents.js";
+import { createDetector, DETECTOR_LIMITS } from "./detector.js";
+import { createNotifier, PAGERDUTY_EVENTS_URL } from "./notify.js";
+import { bariScore, bariBand, rackAverages, breachLoadKW, ashraeClass, ASHRAE_LIMITS, BARI_LEVELS, BARI_COMPONENTS, BARI_BANDS } from "./metrics.js";
+import { createTrend, trendCsv, TREND_WINDOWS } from "./trend.js";
+import { createRiseTracker, soonestCrossing } from "./forecast.js";
+import { createLedger, loadLedger, storeLedger, ledgerTotals, realizedCost, dailyCsv, breachCsv } from "./ledger.js";
+import {
+  roiModel, tornado, measuredSavings, gapStatement, cashFlowCsv, tornadoCsv, proposalHtml, fmtPayback, fmtHours,
+  DEFAULT_ROI, ROI_LIMITS, ROI_YEARS, TORNADO_SWING,
+} from "./roi.js";
+import { CX_STEPS, CX_LIMITS, CX_TIMING, CX_SWING, cxReducer, initialCx, cxProgress } from "./commissioning.js";
+import {
+  loadSigningKey, buildCertificate, signCertificate, verifyCertificateFile, certificateHtml, certificatePdf,
+  loadTrustedIssuers, storeTrustedIssuers, pinIssuer, issuerKeyFile, parseIssuerKey,
+} from "./certificate.js";
+import {
+  DEFAULT_PROFILE, ZONE_LIMITS, ENERGY_LIMITS, BARI_LIMITS, NOTIFY_KINDS, parseProfile, validateProfile, serializeProfile,
+  loadStoredProfile, storeProfile, withoutSecrets, missingSecret,
+} from "./profile.js";
+import {
+  createBaselineCapture, createDriftTracker, activeVersion, fitsZone, addVersion, removeVersion, setActiveVersion,
+  loadBaselineStore, storeBaselineStore, diffBaselines, qualityWarnings, serializeBaseline, parseBaseline,
+  CAPTURE_MINUTES, DEFAULT_CAPTURE_MINUTES, DRIFT_LIMITS,
+} from "./baselines.js";
 
 // ─── Constants ────────────────────────────────────────────────────────────────
-const N_SENSORS  = 120;
-const N_RACKS    = 8;
-const T_BASE     = 19.2;
-const DP_BASE    = 28.4;
-const A1_LIMIT   = 27;
-const CO2_FACTOR = 0.000410;   // kg CO₂ / kWh (US avg)
-const ENERGY_RATE = 0.078;     // $/kWh
+const A1_LIMIT   = ASHRAE_LIMITS.A1;
+const LEDGER_SAVE_MS = 30 * 1000;
+const BARI_COLORS = ["#22d3a0", "#fbbf24", "#f87171", "#f87171"];   // by band: clear, elevated, high, critical
 
 // ─── Thermal color scale ──────────────────────────────────────────────────────
 const STOPS = [
@@ -18,39 +51,89 @@ const STOPS = [
   [0.82, [240,120,  20]],
   [1.00, [220,  25,  25]],
 ];
-function tempToColor(t, lo = 14, hi = 40) {
+function tempToRgb(t, lo = 14, hi = 40) {
   const v = Math.max(0, Math.min(1, (t - lo) / (hi - lo)));
   for (let i = 0; i < STOPS.length - 1; i++) {
     const [t0, c0] = STOPS[i];
     const [t1, c1] = STOPS[i + 1];
     if (v >= t0 && v <= t1) {
       const f = (v - t0) / (t1 - t0);
-      return `rgb(${Math.round(c0[0]+f*(c1[0]-c0[0]))},${Math.round(c0[1]+f*(c1[1]-c0[1]))},${Math.round(c0[2]+f*(c1[2]-c0[2]))})`;
+      return [Math.round(c0[0]+f*(c1[0]-c0[0])), Math.round(c0[1]+f*(c1[1]-c0[1])), Math.round(c0[2]+f*(c1[2]-c0[2]))];
     }
   }
-  return "rgb(220,25,25)";
+  return [220, 25, 25];
+}
+function tempToColor(t, lo, hi) {
+  return `rgb(${tempToRgb(t, lo, hi).join(",")})`;
 }
 
-function ashraeClass(temp) {
-  if (temp <= 27) return { cls: "A1", color: "#22d3a0", bg: "rgba(34,211,160,0.08)" };
-  if (temp <= 35) return { cls: "A2", color: "#fbbf24", bg: "rgba(251,191,36,0.08)" };
-  if (temp <= 40) return { cls: "A3", color: "#fb923c", bg: "rgba(251,146,60,0.08)" };
-  return { cls: "A4", color: "#f87171", bg: "rgba(248,113,113,0.08)" };
+const ASHRAE_STYLE = {
+  A1: { color: "#22d3a0", bg: "rgba(34,211,160,0.08)" },
+  A2: { color: "#fbbf24", bg: "rgba(251,191,36,0.08)" },
+  A3: { color: "#fb923c", bg: "rgba(251,146,60,0.08)" },
+  A4: { color: "#f87171", bg: "rgba(248,113,113,0.08)" },
+};
+
+// ─── Data source selection ────────────────────────────────────────────────────
+// ?feed=ws://host:port (or VITE_FEED_URL at build time) switches the dashboard
+// from the built-in simulation to a live interrogator gateway.
+function createSource(site) {
+  const url = new URLSearchParams(window.location.search).get("feed") || import.meta.env.VITE_FEED_URL;
+  return url ? createWebSocketSource(url, site) : createSimulationSource(site);
 }
 
-// ─── Simulation helpers ───────────────────────────────────────────────────────
-function makeBaseline() {
-  return Array.from({ length: N_SENSORS }, (_, i) =>
-    T_BASE + Math.sin(i / 10) * 0.8 + (Math.random() - 0.5) * 0.6
-  );
+// Per-zone display state before the first frame arrives.
+function initialZoneData(site, baselines) {
+  return Object.fromEntries(site.zones.map(z => [z.id, {
+    temps: baselines[z.id].baseline.slice(),
+    dp: baselines[z.id].baseDp.slice(),
+    rackPwr: makeRackPower(z),
+    breaches: [],
+  }]));
+}
+
+function downloadFile(name, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Prints an HTML document from a hidden frame, leaving the dashboard in place
+function printHtml(html) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;width:0;height:0;border:0";
+  frame.srcdoc = html;
+  frame.onload = () => {
+    frame.contentWindow.onafterprint = () => frame.remove();
+    frame.contentWindow.print();
+  };
+  document.body.appendChild(frame);
 }
-function makeRackPower() {
-  return Array.from({ length: N_RACKS }, () => 62 + Math.random() * 35);
+
+function fileStamp(d = new Date()) {
+  return d.toISOString().slice(0, 19).replace(/[:T]/g, "-");
+}
+
+function fmtElapsed(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
 }
-function makeBaseDP() {
-  return Array.from({ length: 4 }, () => DP_BASE + (Math.random() - 0.5) * 1);
+
+// Realized cost (ledger.js): "$1.40 · 18.0 kWh · 7.4 kg CO₂"
+function fmtCost({ kWh, cost, co2Kg }) {
+  return `$${cost < 100 ? cost.toFixed(2) : Math.round(cost).toLocaleString()} · ${kWh.toFixed(1)} kWh · ${co2Kg.toFixed(1)} kg CO₂`;
 }
 
+const FEED_STATUS = {
+  connecting:   { label: "CONNECTING",   color: "#60a5fa" },
+  reconnecting: { label: "RECONNECTING", color: "#fb923c" },
+  stale:        { label: "STALE DATA",   color: "#fb923c" },
+  offline:      { label: "FEED OFFLINE", color: "#64748b" },
+};
+
 // ─── Isometric projection ─────────────────────────────────────────────────────
 const ISO_COS = Math.cos(Math.PI / 6);
 const ISO_SIN = Math.sin(Math.PI / 6);
@@ -88,10 +171,331 @@ function BariGauge({ bari, bariColor, bariLabel, size = "lg" }) {
   );
 }
 
+// ─── BARI trend ───────────────────────────────────────────────────────────────
+// Stacked weighted components (they add up to BARI) over the chosen window,
+// the band cut-offs, and a tick at every band crossing (red going up, green
+// coming down). Gaps in the feed longer than two buckets break the areas.
+const TREND_PARTS = [
+  { k: "thermal", l: "THERMAL", c: "#f87171" },
+  { k: "dp",      l: "ΔP",      c: "#60a5fa" },
+  { k: "rack",    l: "INLET",   c: "#fbbf24" },
+];
+
+function BariTrend({ trend, zone, now, cfg }) {
+  const [win, setWin] = useState(TREND_WINDOWS[0]);
+  const [hover, setHover] = useState(null); // point under the cursor
+  const s = trend.series(zone.id, win.ms, now);
+  const W = 300, H = 80;
+  const x = t => ((t - (now - win.ms)) / win.ms) * W;
+  const y = v => H - Math.min(1, v) * H;
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+
+  const runs = [];
+  s.points.forEach((p, i) => {
+    if (!i || p.ts - s.points[i - 1].ts > 2 * s.bucketMs) runs.push([]);
+    runs[runs.length - 1].push(p);
+  });
+  const area = (run, lo, hi) => {
+    const top = run.map(p => `${x(p.ts + s.bucketMs / 2).toFixed(1)},${y(hi(p)).toFixed(1)}`);
+    const bottom = run.slice().reverse().map(p => `${x(p.ts + s.bucketMs / 2).toFixed(1)},${y(lo(p)).toFixed(1)}`);
+    return `M${top.join("L")}L${bottom.join("L")}Z`;
+  };
+  const below = k => p => TREND_PARTS.slice(0, TREND_PARTS.findIndex(c => c.k === k)).reduce((a, c) => a + p[c.k], 0);
+
+  function onMove(e) {
+    const r = e.currentTarget.getBoundingClientRect();
+    const t = now - win.ms + ((e.clientX - r.left) / r.width) * win.ms;
+    const p = s.points.reduce((best, q) => (!best || Math.abs(q.ts - t) < Math.abs(best.ts - t) ? q : best), null);
+    setHover(p && Math.abs(p.ts - t) < 2 * s.bucketMs ? p : null);
+  }
+
+  return (
+    <div style={{ marginTop: 12, padding: "12px 14px", background: "#060d18", borderRadius: 6, border: "1px solid #0a1520" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 8 }}>
+        <span style={{ ...mono, color: "#1e3a52", letterSpacing: 2, flex: 1 }}>BARI TREND · {zone.id}</span>
+        {TREND_WINDOWS.map(w => (
+          <button key={w.l} onClick={() => setWin(w)} style={{
+            background: win === w ? "#0d1e2e" : "transparent", border: `1px solid ${win === w ? "#1e3a52" : "#0a1520"}`,
+            color: win === w ? "#94a3b8" : "#1e3a52", padding: "1px 5px", borderRadius: 3, ...mono,
+          }}>{w.l}</button>
+        ))}
+        <button onClick={() => downloadFile(`exi-bari-${zone.id}-${fileStamp(new Date(now))}.csv`, trendCsv(zone.id, s), "text/csv")}
+          disabled={!s.points.length} style={{ background: "none", border: "none", color: "#22d3a0", ...mono, opacity: s.points.length ? 0.6 : 0.2 }}>
+          ⇩ CSV
+        </button>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" onMouseMove={onMove} onMouseLeave={() => setHover(null)}
+        style={{ width: "100%", height: H, display: "block", background: "#050b16", borderRadius: 3 }}>
+        {BARI_BANDS.map((b, i) => (
+          <line key={b} x1={0} x2={W} y1={y(cfg.bands[b])} y2={y(cfg.bands[b])} stroke={BARI_COLORS[i + 1]}
+            strokeWidth={0.5} strokeDasharray="3 3" opacity={0.5} vectorEffect="non-scaling-stroke" />
+        ))}
+        {runs.map((run, ri) => TREND_PARTS.map(({ k, c }) => (
+          <path key={`${ri}${k}`} d={area(run, below(k), p => below(k)(p) + p[k])} fill={c} opacity={0.35} />
+        )))}
+        {runs.map((run, ri) => (
+          <polyline key={ri} points={run.map(p => `${x(p.ts + s.bucketMs / 2).toFixed(1)},${y(p.bari).toFixed(1)}`).join(" ")}
+            fill="none" stroke="#e2e8f0" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+        ))}
+        {s.crossings.map(c => (
+          <line key={`${c.ts}${c.to}`} x1={x(c.ts)} x2={x(c.ts)} y1={0} y2={H} stroke={c.up ? "#f87171" : "#22d3a0"}
+            strokeWidth={1} opacity={0.7} vectorEffect="non-scaling-stroke" />
+        ))}
+        {hover && <line x1={x(hover.ts + s.bucketMs / 2)} x2={x(hover.ts + s.bucketMs / 2)} y1={0} y2={H}
+          stroke="#94a3b8" strokeWidth={0.5} vectorEffect="non-scaling-stroke" />}
+      </svg>
+      <div style={{ ...mono, color: "#1e3a52", marginTop: 6, display: "flex", gap: 8, flexWrap: "wrap" }}>
+        {hover ? (
+          <>
+            <span style={{ color: "#94a3b8" }}>{new Date(hover.ts).toLocaleString()}</span>
+            <span style={{ color: BARI_COLORS[hover.band] }}>BARI {Math.round(hover.bari * 100)} (max {Math.round(hover.max * 100)})</span>
+            {TREND_PARTS.map(({ k, l, c }) => <span key={k} style={{ color: c }}>{l} {Math.round(hover[k] * 100)}</span>)}
+          </>
+        ) : (
+          <>
+            {TREND_PARTS.map(({ k, l, c }) => <span key={k} style={{ color: c }}>■ {l} ×{cfg.weights[k]}</span>)}
+            <span style={{ marginLeft: "auto" }}>
+              {s.crossings.length} crossing{s.crossings.length === 1 ? "" : "s"}
+              {s.crossings.length > 0 && ` · last ${s.crossings[s.crossings.length - 1].to} ${new Date(s.crossings[s.crossings.length - 1].ts).toLocaleTimeString()}`}
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Energy ledger ────────────────────────────────────────────────────────────
+// Realized bypass cost for today and the last 7 and 30 days (ledgerTotals),
+// site-wide with a per-zone split of the chosen period, and the ledger's CSVs
+function EnergyLedger({ periods, zones, ledger, now, replay }) {
+  const [pick, setPick] = useState(0);
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const p = periods[pick];
+  const link = { background: "none", border: "none", color: "#22d3a0", ...mono, opacity: 0.6, cursor: "pointer", padding: 0 };
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${periods.length},1fr)`, gap: 5 }}>
+        {periods.map((q, i) => (
+          <button key={q.l} onClick={() => setPick(i)} style={{
+            textAlign: "left", background: "#060d18", borderRadius: 5, padding: "8px 10px", cursor: "pointer",
+            border: `1px solid ${pick === i ? "#1e3a52" : "#0a1520"}`,
+          }}>
+            <div style={{ ...mono, color: "#1e3a52", letterSpacing: 2 }}>{q.l}</div>
+            <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 15, fontWeight: 700, marginTop: 3,
+              color: q.total.cost > 0 ? "#f87171" : "#22d3a0" }}>${q.total.cost.toFixed(2)}</div>
+            <div style={{ ...mono, color: "#2a4a5a", marginTop: 2 }}>{q.total.kWh.toFixed(1)} kWh</div>
+            <div style={{ ...mono, color: "#2a4a5a" }}>{q.total.co2Kg.toFixed(1)} kg CO₂</div>
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 3, marginTop: 7 }}>
+        {zones.map(z => {
+          const t = p.zones[z.id];
+          return (
+            <div key={z.id} style={{ display: "flex", gap: 8, ...mono, color: t ? "#6a8a9a" : "#1e3a52" }}>
+              <span style={{ width: 60, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{z.id}</span>
+              <span style={{ flex: 1 }}>{t ? fmtCost(t) : "—"}</span>
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ display: "flex", gap: 10, marginTop: 7, alignItems: "center" }}>
+        <button style={link} onClick={() => downloadFile(`exi-energy-daily-${fileStamp(new Date(now))}.csv`, dailyCsv(ledger), "text/csv")}>
+          ⇩ DAILY CSV
+        </button>
+        <button style={link} onClick={() => downloadFile(`exi-energy-breaches-${fileStamp(new Date(now))}.csv`, breachCsv(ledger), "text/csv")}>
+          ⇩ BREACHES CSV
+        </button>
+        {replay && <span style={{ ...mono, color: "#1e3a52", marginLeft: "auto" }}>Live feed only</span>}
+      </div>
+    </div>
+  );
+}
+
+// ─── ROI panels ───────────────────────────────────────────────────────────────
+const fmtUsd = v => `${v < 0 ? "−" : ""}$${Math.abs(Math.round(v)).toLocaleString()}`;
+const fmtPct = v => `${(v * 100).toFixed(1)}%`;
+// ROI tab sliders; ranges are ROI_LIMITS
+const ROI_FIELDS = [
+  { k: "itKW",       l: "IT Load",             step: 500,   disp: v => `${v.toLocaleString()} kW` },
+  { k: "rate",       l: "Energy Rate",         step: 0.005, disp: v => `$${v.toFixed(3)}/kWh` },
+  { k: "escalation", l: "Energy Escalation",   step: 0.005, disp: v => `+${fmtPct(v)}/yr` },
+  { k: "pue",        l: "PUE",                 step: 0.05,  disp: v => v.toFixed(2) },
+  { k: "cop",        l: "Cooling COP",         step: 0.1,   disp: v => v.toFixed(1) },
+  { k: "bypassFrac", l: "Bypass Fraction",     step: 0.01,  disp: fmtPct },
+  { k: "fixRate",    l: "Fix Rate",            step: 0.01,  disp: fmtPct },
+  { k: "discount",   l: "Discount Rate",       step: 0.005, disp: fmtPct },
+  { k: "pilotCost",  l: "Pilot Cost",          step: 500,   disp: fmtUsd },
+  { k: "subPerZone", l: "Subscription / Zone", step: 1000,  disp: v => `${fmtUsd(v)}/yr` },
+  { k: "zones",      l: "Zones",               step: 1,     disp: String },
+  { k: "undetectedHours", l: "Time to Find w/o EXI", step: 1, disp: v => `${v} h` },   // measured basis only
+];
+
+// Net cash flow per year as bars, the cumulative as a line, and the table
+function CashFlowPanel({ model }) {
+  const W = 300, H = 110;
+  const { years } = model;
+  const vals = years.flatMap(y => [y.net, y.cumulative]);
+  const top = Math.max(0, ...vals), bottom = Math.min(0, ...vals);
+  const span = top - bottom || 1;
+  const y = v => ((top - v) / span) * (H - 10) + 5;
+  const bw = W / years.length;
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const cell = { ...mono, padding: "2px 4px", textAlign: "right" };
+
+  return (
+    <div style={{ padding: "12px 14px", background: "#060d18", borderRadius: 6, border: "1px solid #0a1520" }}>
+      <div style={{ ...mono, color: "#1e3a52", letterSpacing: 2, marginBottom: 8 }}>NET CASH FLOW · CUMULATIVE</div>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: H, display: "block", background: "#050b16", borderRadius: 3 }}>
+        <line x1={0} x2={W} y1={y(0)} y2={y(0)} stroke="#1e3a52" strokeWidth={0.5} />
+        {years.map((yr, i) => (
+          <rect key={yr.year} x={i * bw + bw * 0.2} width={bw * 0.6} y={Math.min(y(0), y(yr.net))} height={Math.max(1, Math.abs(y(yr.net) - y(0)))}
+            fill={yr.net >= 0 ? "#22d3a0" : "#f87171"} opacity={0.6} />
+        ))}
+        <polyline points={years.map((yr, i) => `${(i + 0.5) * bw},${y(yr.cumulative).toFixed(1)}`).join(" ")}
+          fill="none" stroke="#fbbf24" strokeWidth={1.5} />
+        {years.map((yr, i) => (
+          <text key={yr.year} x={(i + 0.5) * bw} y={H - 1} textAnchor="middle" fill="#1e3a52" fontSize={7} fontFamily="'IBM Plex Mono',monospace">Y{yr.year}</text>
+        ))}
+      </svg>
+      <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8 }}>
+        <thead>
+          <tr style={{ color: "#1e3a52" }}>
+            {["YR", "SAVINGS", "COST", "NET", "CUMUL.", "DISC."].map(h => <th key={h} style={{ ...cell, fontWeight: 400 }}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {years.map(yr => (
+            <tr key={yr.year} style={{ color: "#6a8a9a", borderTop: "1px solid #0a1520" }}>
+              <td style={cell}>{yr.year}</td>
+              <td style={cell}>{fmtUsd(yr.savings)}</td>
+              <td style={cell}>{fmtUsd(yr.subscription + yr.pilot)}</td>
+              <td style={{ ...cell, color: yr.net < 0 ? "#f87171" : "#22d3a0" }}>{fmtUsd(yr.net)}</td>
+              <td style={{ ...cell, color: yr.cumulative < 0 ? "#f87171" : "#6a8a9a" }}>{fmtUsd(yr.cumulative)}</td>
+              <td style={cell}>{fmtUsd(yr.discounted)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// The two ROI bases side by side (see measuredSavings), with the gap between
+// them, the confidence in the measured one and the switch between them
+function RoiComparison({ basis, setBasis, measured, assumedModel, measuredModel, inputs }) {
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const cell = { ...mono, fontSize: 8, padding: "3px 6px", textAlign: "right" };
+  const conf = { LOW: "#f87171", MEDIUM: "#fbbf24", HIGH: "#22d3a0" };
+  const irrText = m => (m.irr === null ? "—" : fmtPct(m.irr));
+  const rows = measuredModel ? [
+    ["Year-1 savings", fmtUsd, m => m.years[1].savings],
+    [`${ROI_YEARS}-yr NPV`, fmtUsd, m => m.npv],
+    ["IRR", null, irrText],
+    ["Payback", null, m => fmtPayback(m.paybackMonths)],
+    ["Recovered load", v => `${v.toFixed(1)} kW`, m => m.recoveredKW],
+    ["CO₂ avoided", v => `${v.toFixed(1)} t/yr`, m => m.co2T],
+  ] : [];
+
+  return (
+    <div style={{ padding: "12px 14px", background: "#060d18", borderRadius: 6, border: "1px solid #0a1520", margin: "8px 0 20px" }}>
+      <div style={{ display: "flex", gap: 2, marginBottom: 8 }}>
+        {["assumed", "measured"].map(b => (
+          <button key={b} onClick={() => setBasis(b)} disabled={b === "measured" && !measuredModel} style={{
+            background: basis === b ? "#0d1e2e" : "transparent", border: `1px solid ${basis === b ? "#1e3a52" : "#0a1520"}`,
+            color: basis === b ? "#94a3b8" : "#1e3a52", padding: "1px 6px", borderRadius: 3, ...mono, letterSpacing: 1,
+            opacity: b === "measured" && !measuredModel ? 0.4 : 1,
+          }}>{b.toUpperCase()}</button>
+        ))}
+        <span style={{ ...mono, color: "#1e3a52", marginLeft: "auto", alignSelf: "center" }}>
+          Cash flow, sensitivity and exports use the {basis} basis
+        </span>
+      </div>
+      {!measured ? (
+        <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#2a4a5a", lineHeight: 1.5 }}>
+          The measured basis extrapolates from the breaches the energy ledger has recorded (Overview · Realized Cost). It needs monitored time from a live feed.
+        </div>
+      ) : (
+        <>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ color: "#1e3a52" }}>
+                {["", "ASSUMED", "MEASURED", "GAP"].map(h => <th key={h} style={{ ...cell, fontWeight: 400 }}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([l, fmt, get]) => {
+                const a = get(assumedModel), v = get(measuredModel);
+                return (
+                  <tr key={l} style={{ color: "#6a8a9a", borderTop: "1px solid #0a1520" }}>
+                    <td style={{ ...cell, textAlign: "left", color: "#3a5a70" }}>{l}</td>
+                    <td style={cell}>{fmt ? fmt(a) : a}</td>
+                    <td style={{ ...cell, color: "#e2e8f0" }}>{fmt ? fmt(v) : v}</td>
+                    <td style={{ ...cell, color: fmt && v < a ? "#f87171" : "#22d3a0" }}>
+                      {fmt ? `${v >= a ? "+" : "−"}${fmt(Math.abs(v - a))}` : ""}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#6a8a9a", lineHeight: 1.5, marginTop: 8 }}>
+            {gapStatement(assumedModel, measuredModel, measured, inputs.rate)}
+          </div>
+          <div style={{ ...mono, color: "#2a4a5a", marginTop: 6, lineHeight: 1.6 }}>
+            <span style={{ color: conf[measured.confidence] }}>● {measured.confidence}</span>
+            {measured.reasons.length > 0 && ` (${measured.reasons.join(", ")})`}
+            {" · "}{measured.breaches} breach{measured.breaches === 1 ? "" : "es"} over {fmtHours(measured.zoneHours)} of zone monitoring
+            {measured.breaches > 0 && ` · ${measured.perZoneYear.toFixed(0)}/yr per zone · ${fmtHours(measured.meanHours)} at ${measured.meanKW.toFixed(1)} kW on average`}
+            {` · unmonitored, each assumed to last ${inputs.undetectedHours} h`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// NPV swing from each input at ±TORNADO_SWING, widest first, around the base NPV
+function TornadoPanel({ rows, npv }) {
+  const widest = Math.max(1, ...rows.map(r => Math.max(Math.abs(r.low - npv), Math.abs(r.high - npv))));
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const bar = v => ({
+    position: "absolute", top: 0, bottom: 0, width: `${(Math.abs(v - npv) / widest) * 50}%`,
+    [v < npv ? "right" : "left"]: "50%", background: v < npv ? "#f87171" : "#22d3a0", opacity: 0.6,
+  });
+
+  return (
+    <div style={{ padding: "12px 14px", background: "#060d18", borderRadius: 6, border: "1px solid #0a1520" }}>
+      <div style={{ ...mono, color: "#1e3a52", letterSpacing: 2, marginBottom: 8 }}>
+        SENSITIVITY · NPV AT ±{TORNADO_SWING * 100}% · BASE {fmtUsd(npv)}
+      </div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+        {rows.map(r => (
+          <div key={r.k} style={{ display: "flex", alignItems: "center", gap: 6, ...mono }}>
+            <span style={{ width: 74, color: "#3a5a70" }}>{r.l}</span>
+            <span style={{ width: 46, textAlign: "right", color: "#2a4a5a" }}>{fmtUsd(Math.min(r.low, r.high))}</span>
+            <div style={{ flex: 1, position: "relative", height: 8, background: "#050b16", borderRadius: 2 }}>
+              <div style={bar(r.low)} />
+              <div style={bar(r.high)} />
+              <div style={{ position: "absolute", left: "50%", top: -1, bottom: -1, width: 1, background: "#1e3a52" }} />
+            </div>
+            <span style={{ width: 46, color: "#2a4a5a" }}>{fmtUsd(Math.max(r.low, r.high))}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // ─── 3D Isometric component ───────────────────────────────────────────────────
-function IsoDataCenter({ breaches, temps, rackPowers }) {
+// Plumes sit at the detector's fitted positions (`fixes`, see localize.js) with
+// their 95% band along the fiber; until there is a fit, at the reported breaches.
+function IsoDataCenter({ zone, breaches, fixes = [], temps, rackPowers }) {
   const W = 700, H = 330, OX = W / 2 - 20, OY = H / 2 + 72;
-  const RW = 26, RD = 20, RH = 52;
+  const N = zone.sensors, pitch = 400 / zone.racks;
+  const RW = Math.max(4, Math.min(26, pitch - 10)), RD = 20, RH = 52;
 
   function pt(x, y, z) {
     const [sx, sy] = isoProject(x, y, z);
@@ -122,10 +526,10 @@ function IsoDataCenter({ breaches, temps, rackPowers }) {
   });
 
   // Racks
-  const rackElems = Array.from({ length: N_RACKS }, (_, i) => {
-    const rx = -55 + i * 50, ry = -7, rz = 0;
-    const rawTemp = (temps && temps[Math.floor(i * N_SENSORS / N_RACKS)]) || T_BASE;
-    const hasBreach = breaches.some(b => Math.floor((b.pos / N_SENSORS) * N_RACKS) === i);
+  const rackElems = Array.from({ length: zone.racks }, (_, i) => {
+    const rx = -55 + i * pitch, ry = -7, rz = 0;
+    const rawTemp = (temps && temps[rackRange(zone, i)[0]]) || zone.tBase;
+    const hasBreach = breaches.some(b => rackAt(zone, b.pos) === i);
     const isHot = rawTemp > A1_LIMIT;
     const pw = (rackPowers && rackPowers[i]) || 80;
     const B = [pt(rx, ry, rz), pt(rx+RW, ry, rz), pt(rx+RW, ry+RD, rz), pt(rx, ry+RD, rz)];
@@ -147,8 +551,8 @@ function IsoDataCenter({ breaches, temps, rackPowers }) {
   });
 
   // Fiber segments
-  const fiberPts = Array.from({ length: N_SENSORS }, (_, i) => pt(-55 + (i / (N_SENSORS - 1)) * 350, 10, RH + 4));
-  const fiberSegs = temps ? temps.slice(0, N_SENSORS).map((t, i) => {
+  const fiberPts = Array.from({ length: N }, (_, i) => pt(-55 + (i / (N - 1)) * 350, 10, RH + 4));
+  const fiberSegs = temps ? temps.slice(0, N).map((t, i) => {
     if (i >= fiberPts.length - 1) return null;
     return (
       <line key={`fs${i}`}
@@ -159,10 +563,17 @@ function IsoDataCenter({ breaches, temps, rackPowers }) {
   }) : null;
 
   // Breach plumes
-  const plumes = breaches.map((b, i) => {
-    const [px, py] = pt(-55 + (b.pos / (N_SENSORS - 1)) * 350, 10, RH + 4);
+  const along = p => pt(-55 + (p / (N - 1)) * 350, 10, RH + 4);
+  const spots = fixes.length ? fixes : breaches.map(b => ({ pos: b.pos }));
+  const plumes = spots.map((s, i) => {
+    const [px, py] = along(s.pos);
+    const band = s.lo !== undefined && [along(Math.max(0, s.lo)), along(Math.min(N - 1, s.hi))];
     return (
       <g key={`plume${i}`}>
+        {band && (
+          <line x1={band[0][0]} y1={band[0][1]} x2={band[1][0]} y2={band[1][1]}
+            stroke="#fbbf24" strokeWidth="4" strokeLinecap="round" opacity="0.7" />
+        )}
         <circle cx={px} cy={py} r="16" fill="rgba(248,113,113,0.18)" filter="url(#glow-red)" />
         <circle cx={px} cy={py} r="5"  fill="#f87171" opacity="0.85" />
         <line x1={px} y1={py - 5} x2={px} y2={py - 22} stroke="#f87171" strokeWidth="1.5" strokeDasharray="3,2" opacity="0.6" />
@@ -229,170 +640,1619 @@ function SectionHead({ title, tag, action, onAction }) {
           </span>
         )}
       </div>
-      {action && (
-        <button onClick={onAction} style={{ background: "none", border: "none", color: "#22d3a0",
-          fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, opacity: 0.6, cursor: "pointer" }}>
-          {action}
-        </button>
-      )}
+      {action && (
+        <button onClick={onAction} style={{ background: "none", border: "none", color: "#22d3a0",
+          fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, opacity: 0.6, cursor: "pointer" }}>
+          {action}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Scripted scenarios (scenarios.js) play on the source; `scenario` is the one
+// the current frame reports as running, timed against `now` on the feed clock.
+function BreachControls({ points, breaches, induce, clear, crac = [], disturb, scenarios, scenario, play, stop, onImport,
+  now, compact = false, locked = false }) {
+  const [pick, setPick] = useState(SCENARIO_LIBRARY[0].id);
+  const [seed, setSeed] = useState("");
+  const fileRef = useRef(null);
+  const btnStyle = (isRed) => ({
+    padding: compact ? "5px 10px" : "6px 13px",
+    background: isRed ? "rgba(248,113,113,0.06)" : "rgba(34,211,160,0.06)",
+    border: `1px solid ${isRed ? "rgba(248,113,113,0.22)" : "rgba(34,211,160,0.22)"}`,
+    color: isRed ? "#f87171" : "#22d3a0",
+    borderRadius: 5,
+    fontFamily: "'IBM Plex Mono',monospace",
+    fontSize: compact ? 9 : 10,
+    letterSpacing: 0.5,
+    cursor: "pointer",
+  });
+  return (
+    <div style={{ padding: compact ? "10px 16px" : "14px 20px", borderTop: "1px solid #0a1520",
+      background: "#050b16", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", flexShrink: 0 }}>
+      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0a1e2e", letterSpacing: 2, marginRight: 4 }}>
+        {compact ? "" : "DEMO CONTROLS"}
+      </span>
+      {locked ? (
+        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52", letterSpacing: 1 }}>
+          REPLAY — breach controls disabled
+        </span>
+      ) : (
+        <>
+          {points.map(({ pos, label, type }) => (
+            <button key={pos} onClick={() => induce(pos, label, type)} title={BREACH_TYPES[type]?.name} style={btnStyle(true)}>
+              ⚡ {compact ? label.split(" — ")[0] : label}
+            </button>
+          ))}
+          <button onClick={clear} style={btnStyle(false)}>✓ Clear All</button>
+          {disturb && (
+            <>
+              <button onClick={() => disturb("swing")} title="Whole-aisle supply swing — common mode, should not alert"
+                style={{ ...btnStyle(false), background: "rgba(96,165,250,0.06)", border: "1px solid rgba(96,165,250,0.22)", color: "#60a5fa" }}>
+                ❄ {compact ? "CRAC" : "CRAC ±3°C"}
+              </button>
+              <button onClick={() => disturb("step")} title="IT load step — supply temperature rises with lag"
+                style={{ ...btnStyle(false), background: "rgba(96,165,250,0.06)", border: "1px solid rgba(96,165,250,0.22)", color: "#60a5fa" }}>
+                ▲ {compact ? "Load" : "Load Step"}
+              </button>
+            </>
+          )}
+          {play && (
+            <>
+              <select value={pick} onChange={e => setPick(e.target.value)} title="Scripted breach scenario"
+                style={{ background: "#060d18", border: "1px solid rgba(251,191,36,0.22)", color: "#fbbf24", borderRadius: 5,
+                  padding: compact ? "4px 6px" : "5px 8px", fontFamily: "'IBM Plex Mono',monospace", fontSize: compact ? 9 : 10 }}>
+                {scenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+              </select>
+              {!compact && (
+                <input value={seed} onChange={e => setSeed(e.target.value.replace(/\D/g, ""))} placeholder="seed"
+                  title="Same seed, same run — leave empty for the scenario's own"
+                  style={{ width: 52, background: "#060d18", border: "1px solid #0a1520", color: "#94a3b8", borderRadius: 5,
+                    padding: "5px 6px", fontFamily: "'IBM Plex Mono',monospace", fontSize: 10 }} />
+              )}
+              {scenario ? (
+                <button onClick={stop} style={{ ...btnStyle(false), background: "rgba(251,191,36,0.06)", border: "1px solid rgba(251,191,36,0.22)", color: "#fbbf24" }}>
+                  ■ Stop
+                </button>
+              ) : (
+                <button onClick={() => play(scenarios.find(sc => sc.id === pick) || scenarios[0], seed === "" ? undefined : Number(seed))}
+                  style={{ ...btnStyle(false), background: "rgba(251,191,36,0.06)", border: "1px solid rgba(251,191,36,0.22)", color: "#fbbf24" }}>
+                  ▶ Run
+                </button>
+              )}
+              {!compact && (
+                <>
+                  <button onClick={() => fileRef.current?.click()} title="Import an exi-scenario JSON file"
+                    style={{ ...btnStyle(false), background: "none", border: "1px solid #0a1520", color: "#475569" }}>
+                    ⇪ Scenario JSON
+                  </button>
+                  <input ref={fileRef} type="file" accept=".json,application/json"
+                    onChange={e => onImport(e, sc => setPick(sc.id))} style={{ display: "none" }} />
+                </>
+              )}
+            </>
+          )}
+        </>
+      )}
+      {scenario && (
+        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#fbbf24" }}>
+          ▶ {scenario.name} {fmtElapsed(Math.max(0, now - scenario.t0))} / {fmtElapsed(scenario.t1 - scenario.t0)}
+        </span>
+      )}
+      {breaches.length > 0 && (
+        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#f87171" }}>
+          {breaches.length} active
+        </span>
+      )}
+      {crac.length > 0 && (
+        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#60a5fa" }}>
+          {crac.map(ev => ev.label).join(" · ")}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// `cost` is the alert's realized cost (ledger.js), null when it has none to show
+function AlertCard({ alert, cost, readOnly, onAck, onResolve, onAssign, onNote }) {
+  const [open, setOpen] = useState(false);
+  const [assignee, setAssignee] = useState(alert.assignee || "");
+  const [note, setNote] = useState("");
+  const colorMap = { CRITICAL: "#f87171", BREACH: "#f87171", WARNING: "#fbbf24", CLEAR: "#22d3a0" };
+  const c = colorMap[alert.lvl] || "#3a5a70";
+  const actionable = ACTIONABLE.has(alert.lvl);
+  const st = ALERT_STATE[alert.state];
+  const pending = alert.state === "open" || alert.state === "escalated";
+  const done = alert.state === "resolved";
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const field = {
+    flex: 1, minWidth: 0, background: "#050b16", border: "1px solid #0d1e2e", color: "#94a3b8",
+    borderRadius: 3, ...mono, fontSize: 8, padding: "2px 5px", outline: "none",
+  };
+  const btn = color => ({
+    flex: 1, background: "transparent", border: `1px solid ${color}28`, color, padding: "3px 0",
+    ...mono, letterSpacing: 1, borderRadius: 3, cursor: "pointer",
+  });
+  const fmtAge = ms => (ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`);
+
+  return (
+    <div style={{ background: "#060d18", border: `1px solid ${pending ? c + "28" : "#0a1520"}`,
+      borderRadius: 5, padding: "9px 11px", opacity: done ? 0.45 : 1,
+      animation: "slideD 0.3s ease", transition: "all 0.3s" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 3 }}>
+        <span style={{ ...mono, color: c, letterSpacing: 1.5 }}>{alert.lvl}</span>
+        {actionable && st && (
+          <span style={{ ...mono, fontSize: 6, color: st.color, border: `1px solid ${st.color}33`,
+            borderRadius: 3, padding: "0 4px", letterSpacing: 1 }}>{st.label}</span>
+        )}
+        <span style={{ ...mono, color: "#0d1e2e", marginLeft: "auto" }}>{alert.time}</span>
+      </div>
+      <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#6a8a9a", lineHeight: 1.4, marginBottom: 3 }}>{alert.what}</div>
+      {alert.loc && (
+        <div style={{ ...mono, color: "#1e3a52", marginBottom: 3 }}>📍 {alert.loc}</div>
+      )}
+      {cost?.breaches > 0 && (
+        <div style={{ ...mono, color: "#2a4a5a", marginBottom: 3 }}>
+          Cost <span style={{ color: "#fbbf24" }}>{fmtCost(cost)}</span>{done ? "" : " so far"}
+        </div>
+      )}
+      {alert.action && !done && (
+        <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 9, color: "#1e3a52",
+          borderTop: "1px solid #0a1520", paddingTop: 5, marginTop: 2 }}>→ {alert.action}</div>
+      )}
+      {actionable && (alert.assignee || alert.ackedAt || alert.resolvedAt) && (
+        <div style={{ ...mono, color: "#2a4a5a", marginTop: 4, lineHeight: 1.7 }}>
+          {alert.assignee && <>👤 {alert.assignee}<br /></>}
+          {alert.ackedAt && <>✓ Acked after {fmtAge(alert.ackedAt - alert.ts)}<br /></>}
+          {alert.resolvedAt && (
+            <span style={{ color: "#22d3a0" }}>
+              ✓ Resolved{alert.resolution === "auto" ? " automatically" : ""} after {fmtAge(alert.resolvedAt - alert.ts)}
+            </span>
+          )}
+        </div>
+      )}
+      {alert.notes.length > 0 && (
+        <div style={{ marginTop: 4, borderLeft: "2px solid #0d1e2e", paddingLeft: 6 }}>
+          {alert.notes.map((n, i) => (
+            <div key={i} style={{ ...mono, color: "#4a6a80", lineHeight: 1.6 }}>
+              <span style={{ color: "#1e3a52" }}>{new Date(n.ts).toLocaleTimeString()}</span> {n.text}
+            </div>
+          ))}
+        </div>
+      )}
+      {actionable && !readOnly && (
+        <>
+          <div style={{ display: "flex", gap: 4, marginTop: 7 }}>
+            {pending && <button onClick={onAck} style={btn(c)}>Acknowledge</button>}
+            {!done && <button onClick={onResolve} style={btn("#22d3a0")}>Resolve</button>}
+            <button onClick={() => setOpen(o => !o)} style={{ ...btn("#3a5a70"), flex: "0 0 auto", padding: "3px 7px" }}>
+              {open ? "▴" : "✎"}
+            </button>
+          </div>
+          {open && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 5 }}>
+              <form onSubmit={e => { e.preventDefault(); onAssign(assignee.trim() || null); }} style={{ display: "flex", gap: 4 }}>
+                <input value={assignee} onChange={e => setAssignee(e.target.value)} placeholder="Assignee" style={field} />
+                <button type="submit" style={{ ...btn("#60a5fa"), flex: "0 0 auto", padding: "2px 7px" }}>Assign</button>
+              </form>
+              <form onSubmit={e => {
+                e.preventDefault();
+                if (note.trim()) { onNote(note.trim()); setNote(""); }
+              }} style={{ display: "flex", gap: 4 }}>
+                <input value={note} onChange={e => setNote(e.target.value)} placeholder="Add a note" style={field} />
+                <button type="submit" style={{ ...btn("#60a5fa"), flex: "0 0 auto", padding: "2px 7px" }}>Note</button>
+              </form>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function IncidentCard({ incident, cost, readOnly, renderAlert, onAckAll, onResolveAll }) {
+  const [open, setOpen] = useState(false);
+  const colorMap = { CRITICAL: "#f87171", BREACH: "#f87171", WARNING: "#fbbf24" };
+  const c = colorMap[incident.severity];
+  const st = ALERT_STATE[incident.state];
+  const pending = incident.state === "open" || incident.state === "escalated";
+  const done = incident.state === "resolved";
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const dp = Object.entries(incident.dp);
+  const btn = color => ({
+    flex: 1, background: "transparent", border: `1px solid ${color}28`, color, padding: "3px 0",
+    ...mono, letterSpacing: 1, borderRadius: 3, cursor: "pointer",
+  });
+
+  return (
+    <div style={{ background: "#060d18", border: `1px solid ${pending ? c + "28" : "#0a1520"}`,
+      borderRadius: 5, padding: "9px 11px", opacity: done ? 0.5 : 1, animation: "slideD 0.3s ease" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 3 }}>
+        <span style={{ ...mono, color: c, letterSpacing: 1.5 }}>{incident.severity}</span>
+        <span style={{ ...mono, fontSize: 6, color: st.color, border: `1px solid ${st.color}33`,
+          borderRadius: 3, padding: "0 4px", letterSpacing: 1 }}>{st.label}</span>
+        <span style={{ ...mono, color: "#1e3a52", marginLeft: "auto" }}>{incident.id}</span>
+      </div>
+      <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#6a8a9a", lineHeight: 1.4, marginBottom: 3 }}>
+        {incident.where}
+      </div>
+      {incident.loc && <div style={{ ...mono, color: "#1e3a52", marginBottom: 3 }}>📍 {incident.loc}</div>}
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "2px 8px", ...mono, color: "#2a4a5a", marginTop: 4 }}>
+        <span>First {new Date(incident.firstSeen).toLocaleTimeString()}</span>
+        <span>Last {new Date(incident.lastSeen).toLocaleTimeString()}</span>
+        <span>Peak ΔT <span style={{ color: "#fbbf24" }}>+{incident.peakDelta.toFixed(1)}°C</span></span>
+        <span>Bypass <span style={{ color: incident.bypassKW > 0.5 ? "#f87171" : "#2a4a5a" }}>
+          ~{(done ? incident.peakBypassKW : incident.bypassKW).toFixed(1)} kW{done ? " peak" : ""}
+        </span></span>
+        {cost?.breaches > 0 && (
+          <span style={{ gridColumn: "1 / -1" }}>
+            Cost <span style={{ color: "#fbbf24" }}>{fmtCost(cost)}</span>
+            {cost.breaches > 1 ? ` · ${cost.breaches} breaches` : ""}{done ? "" : " so far"}
+          </span>
+        )}
+        {dp.length > 0 && (
+          <span style={{ gridColumn: "1 / -1" }}>
+            ΔP {dp.map(([idx, drop]) => `${dpLabel(idx)} −${drop.toFixed(1)} Pa`).join(" · ")}
+          </span>
+        )}
+        {incident.assignee && <span style={{ gridColumn: "1 / -1" }}>👤 {incident.assignee}</span>}
+      </div>
+      <div style={{ display: "flex", gap: 4, marginTop: 7 }}>
+        {!readOnly && pending && <button onClick={onAckAll} style={btn(c)}>Acknowledge</button>}
+        {!readOnly && !done && <button onClick={onResolveAll} style={btn("#22d3a0")}>Resolve</button>}
+        <button onClick={() => setOpen(o => !o)} style={btn("#3a5a70")}>
+          {open ? "▴ Hide" : `▾ ${incident.alerts.length} alert${incident.alerts.length === 1 ? "" : "s"}`}
+        </button>
+      </div>
+      {open && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 7 }}>
+          {[...incident.alerts].reverse().map(renderAlert)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Detection algorithm panel ────────────────────────────────────────────────
+const DETECTOR_FIELDS = [
+  { k: "windowSec",     l: "Window",     u: "s"  },
+  { k: "zThreshold",    l: "Z thresh",   u: "σ"  },
+  { k: "sustainSec",    l: "Sustain",    u: "s"  },
+  { k: "minDelta",      l: "Min ΔT",     u: "°C" },
+  { k: "criticalDelta", l: "Crit ΔT",    u: "°C" },
+  { k: "commonMode",    l: "CM reject",  u: "×"  },
+];
+
+function DetectorPanel({ cfg, state, paused, physLoc, onApply }) {
+  const [draft, setDraft] = useState(null);
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const lead = state && state.episodes.length
+    ? state.episodes.reduce((a, e) => (e.delta > a.delta ? e : a))
+    : null;
+  const status = paused ? { l: "PAUSED · REPLAY", c: "#1e3a52" }
+    : !state || state.warmingUp ? { l: `WARMING UP · ${Math.floor(state ? state.warmupSec : 0)}s`, c: "#60a5fa" }
+    : state.episodes.some(e => e.alerted) ? { l: "ALERTING", c: "#f87171" }
+    : state.episodes.length ? { l: "TRACKING", c: "#fbbf24" }
+    : { l: "ARMED", c: "#22d3a0" };
+
+  function apply() {
+    const next = { ...cfg };
+    for (const { k } of DETECTOR_FIELDS) {
+      const v = Number(draft[k]);
+      const [lo, hi] = DETECTOR_LIMITS[k];
+      if (Number.isFinite(v)) next[k] = Math.max(lo, Math.min(hi, v));
+    }
+    onApply(next);
+    setDraft(null);
+  }
+
+  return (
+    <div style={{ padding: "12px 16px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <span style={{ ...mono, color: "#0d1e2e", letterSpacing: 2 }}>DETECTION ALGO</span>
+        <button onClick={() => (draft ? setDraft(null) : setDraft({ ...cfg }))} style={{
+          background: "none", border: "none", color: "#22d3a0", ...mono, opacity: 0.6 }}>
+          {draft ? "CANCEL" : "EDIT"}
+        </button>
+      </div>
+      {draft ? (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {DETECTOR_FIELDS.map(({ k, l, u }) => (
+            <label key={k} style={{ display: "flex", alignItems: "center", gap: 6, ...mono, color: "#1e3a52" }}>
+              <span style={{ flex: 1 }}>{l}</span>
+              <input type="number" value={draft[k]} step="any"
+                min={DETECTOR_LIMITS[k][0]} max={DETECTOR_LIMITS[k][1]}
+                onChange={e => setDraft(d => ({ ...d, [k]: e.target.value }))}
+                style={{ width: 48, background: "#060d18", border: "1px solid #0d1e2e", color: "#94a3b8",
+                  ...mono, fontSize: 8, padding: "2px 4px", borderRadius: 3 }} />
+              <span style={{ width: 12 }}>{u}</span>
+            </label>
+          ))}
+          <button onClick={apply} style={{ marginTop: 4, background: "rgba(34,211,160,0.06)",
+            border: "1px solid rgba(34,211,160,0.22)", color: "#22d3a0", padding: "3px 0",
+            borderRadius: 3, ...mono, letterSpacing: 1 }}>Apply &amp; re-arm</button>
+        </div>
+      ) : (
+        <div style={{ ...mono, color: "#1e3a52", lineHeight: 2 }}>
+          Z-score · {cfg.windowSec}s window<br />
+          σ×{cfg.zThreshold} threshold<br />
+          {cfg.sustainSec}s sustain required<br />
+          ΔT ≥ {cfg.minDelta}°C · crit &gt; {cfg.criticalDelta}°C<br />
+          {cfg.commonMode > 0 ? `Common-mode rejection ${Math.round(cfg.commonMode * 100)}%` : "Common-mode rejection off"}
+        </div>
+      )}
+      <div style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid #0a1520", ...mono, color: "#1e3a52", lineHeight: 2 }}>
+        <span style={{ color: status.c, letterSpacing: 1 }}>● {status.l}</span><br />
+        {state && !paused && (
+          <>
+            Flagged: {state.flagged} sensor{state.flagged === 1 ? "" : "s"}<br />
+            Peak z: {state.maxZ.toFixed(1)}{state.maxZIdx >= 0 ? ` @ #${state.maxZIdx}` : ""}<br />
+            <span style={{ color: Math.abs(state.commonMode) > 1 ? "#60a5fa" : undefined }}>
+              Aisle shift: {state.commonMode >= 0 ? "+" : ""}{state.commonMode.toFixed(1)}°C
+            </span><br />
+            {lead && (
+              <span style={{ color: lead.alerted ? "#f87171" : "#fbbf24" }}>
+                #{lead.peakIdx} · {physLoc(lead.peakIdx).split(",")[0]}<br />
+                ΔT +{lead.delta.toFixed(1)}°C · {Math.min(lead.sustain, 999).toFixed(1)}s / {cfg.sustainSec}s
+              </span>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Baselines ────────────────────────────────────────────────────────────────
+// Per-sensor bars of `values` over [lo, hi]; bars grow from 0 (or lo when 0 is
+// out of range). `marks` are sensor indices flagged underneath.
+function SensorStrip({ values, lo, hi, color, marks = [], height = 36 }) {
+  const n = values.length;
+  const y = v => height - ((Math.max(lo, Math.min(hi, v)) - lo) / (hi - lo)) * height;
+  const y0 = y(lo <= 0 && hi >= 0 ? 0 : lo);
+  const d = values.map((v, i) => `M${i} ${y0}V${y(v)}h1V${y0}Z`).join("");
+  return (
+    <svg viewBox={`0 0 ${n} ${height + 4}`} preserveAspectRatio="none" style={{ width: "100%", height: height + 4, display: "block" }}>
+      <rect x={0} y={0} width={n} height={height} fill="#050b16" />
+      <line x1={0} x2={n} y1={y0} y2={y0} stroke="#0d1e2e" strokeWidth={0.5} vectorEffect="non-scaling-stroke" />
+      <path d={d} fill={color} />
+      {marks.map(i => <rect key={i} x={i} y={height + 1} width={Math.max(1, n / 200)} height={3} fill="#f87171" />)}
+    </svg>
+  );
+}
+
+function BaselinePanel({ version, sourceLabel, drift, driftMean, capture, now, onManage }) {
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const warn = version ? qualityWarnings(version) : [];
+  return (
+    <div style={{ padding: "12px 16px", borderTop: "1px solid #0a1520" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <span style={{ ...mono, color: "#0d1e2e", letterSpacing: 2 }}>BASELINE</span>
+        <button onClick={onManage} style={{ background: "none", border: "none", color: "#22d3a0", ...mono, opacity: 0.6 }}>MANAGE</button>
+      </div>
+      <div style={{ ...mono, color: "#1e3a52", lineHeight: 2 }}>
+        {version ? (
+          <>
+            <span style={{ color: "#94a3b8" }}>{version.name}</span><br />
+            {new Date(version.capturedAt).toLocaleString()}<br />
+            σ̃ {version.medianSigma.toFixed(2)}°C · {Math.round(version.windowSec / 60)} min window<br />
+            {warn.length > 0 && <span style={{ color: "#fbbf24" }}>⚠ {warn[0]}<br /></span>}
+          </>
+        ) : (
+          <>Source · {sourceLabel}<br /></>
+        )}
+        {drift.enabled
+          ? <>Drift comp. τ {drift.tauHours} h · {driftMean >= 0 ? "+" : ""}{driftMean.toFixed(2)}°C</>
+          : "Drift compensation off"}
+        {capture && (
+          <div style={{ marginTop: 4 }}>
+            <span style={{ color: "#60a5fa" }}>● CAPTURING {capture.zone} · {fmtElapsed(now - capture.startedAt)} / {fmtElapsed(capture.windowMs)}</span>
+            <div style={{ height: 2, background: "#060d18", borderRadius: 1, marginTop: 2 }}>
+              <div style={{ width: `${Math.min(100, ((now - capture.startedAt) / capture.windowMs) * 100)}%`, height: "100%", background: "#60a5fa" }} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// The source's baseline as a version-like entry for the lists and the diff
+const sourceEntry = (ref, label) => ({ id: "", name: `Source · ${label}`, ...ref });
+
+function BaselineManager({ zone, store, sourceBaseline, sourceLabel, drift, driftMean, capture, now, paused,
+  onCapture, onCancelCapture, onUse, onDelete, onImport, onDrift, onClose }) {
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 8 };
+  const versions = store.versions.filter(v => v.zone === zone.id).sort((a, b) => b.capturedAt - a.capturedAt);
+  const usable = [sourceEntry(sourceBaseline, sourceLabel), ...versions.filter(v => fitsZone(v, zone))];
+  const [minutes, setMinutes] = useState(String(DEFAULT_CAPTURE_MINUTES));
+  const [name, setName] = useState("");
+  const [inspect, setInspect] = useState(versions[0]?.id ?? null);
+  const [cmp, setCmp] = useState(() => ({ a: store.active[zone.id] ?? "", b: versions[0]?.id ?? "" }));
+  const [msg, setMsg] = useState(null); // { text, ok }
+  const fileRef = useRef(null);
+  const active = store.active[zone.id] ?? "";
+  const shown = versions.find(v => v.id === inspect);
+  const entry = id => usable.find(v => v.id === id);
+  const diff = entry(cmp.a) && entry(cmp.b) && cmp.a !== cmp.b ? diffBaselines(entry(cmp.a), entry(cmp.b)) : null;
+  const diffRange = diff ? Math.max(1, Math.ceil(diff.maxAbs)) : 1;
+  const field = { background: "#050b16", border: "1px solid #0d1e2e", color: "#94a3b8", ...mono, padding: "3px 6px", borderRadius: 3 };
+  const btn = (color = "#4a6a80") => ({
+    background: "transparent", border: `1px solid ${color}55`, color, padding: "3px 8px", borderRadius: 3, ...mono, letterSpacing: 0.5,
+  });
+  const head = t => <div style={{ ...mono, fontSize: 7, color: "#1e3a52", letterSpacing: 2, marginBottom: 6 }}>{t}</div>;
+
+  function start() {
+    const m = Number(minutes);
+    const [lo, hi] = CAPTURE_MINUTES;
+    if (!(m >= lo && m <= hi)) return setMsg({ text: `Window must be ${lo}–${hi} minutes`, ok: false });
+    onCapture(m, name);
+    setName("");
+    setMsg(null);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const v = onImport(parseBaseline(await file.text()));
+      setInspect(v.id);
+      setMsg({ text: `Imported "${v.name}"`, ok: true });
+    } catch (err) {
+      setMsg({ text: `${file.name}: ${err.message}`, ok: false });
+    }
+  }
+
+  function setDrift(k, raw) {
+    const v = Number(raw);
+    const [lo, hi] = DRIFT_LIMITS[k];
+    if (Number.isFinite(v)) onDrift({ ...drift, [k]: Math.max(lo, Math.min(hi, v)) });
+  }
+
+  return (
+    <div onClick={onClose} style={{
+      position: "fixed", inset: 0, zIndex: 900, background: "rgba(2,6,16,0.88)",
+      display: "flex", alignItems: "center", justifyContent: "center", animation: "fadeI 0.2s ease",
+    }}>
+      <div onClick={e => e.stopPropagation()} style={{
+        width: 640, maxWidth: "94vw", maxHeight: "88vh", display: "flex", flexDirection: "column",
+        background: "#060d18", border: "1px solid #0d1e2e", borderRadius: 8,
+      }}>
+        <div style={{ display: "flex", alignItems: "center", padding: "12px 18px", borderBottom: "1px solid #0a1520" }}>
+          <span style={{ fontFamily: "'Syne',sans-serif", fontSize: 13, fontWeight: 700, color: "#e2e8f0", letterSpacing: 0.5 }}>
+            Baselines
+          </span>
+          <span style={{ ...mono, color: "#1e3a52", marginLeft: 10 }}>{zone.name} · {zone.sensors} sensors · {zone.dpSensors} DP</span>
+          <button onClick={onClose} style={{ background: "none", border: "none", color: "#1e3a52", fontSize: 16, marginLeft: "auto" }}>×</button>
+        </div>
+
+        <div style={{ padding: "14px 18px", overflowY: "auto", display: "flex", flexDirection: "column", gap: 16 }}>
+          <div>
+            {head("CAPTURE")}
+            {capture ? (
+              <div style={{ display: "flex", alignItems: "center", gap: 10, ...mono, color: "#60a5fa" }}>
+                <span>● {capture.zone} · {fmtElapsed(now - capture.startedAt)} / {fmtElapsed(capture.windowMs)}</span>
+                <div style={{ flex: 1, height: 3, background: "#050b16", borderRadius: 2 }}>
+                  <div style={{ width: `${Math.min(100, ((now - capture.startedAt) / capture.windowMs) * 100)}%`, height: "100%", background: "#60a5fa" }} />
+                </div>
+                <button onClick={onCancelCapture} style={btn("#f87171")}>Cancel</button>
+              </div>
+            ) : (
+              <div style={{ display: "flex", alignItems: "center", gap: 8, ...mono, color: "#2a4a5a" }}>
+                <input type="number" min={CAPTURE_MINUTES[0]} max={CAPTURE_MINUTES[1]} value={minutes}
+                  onChange={e => setMinutes(e.target.value)} style={{ ...field, width: 44 }} />
+                <span>min window</span>
+                <input value={name} onChange={e => setName(e.target.value)} placeholder="Name (optional)" style={{ ...field, flex: 1 }} />
+                <button onClick={start} disabled={paused} style={{ ...btn("#22d3a0"), opacity: paused ? 0.4 : 1 }}>● Capture</button>
+              </div>
+            )}
+            <div style={{ ...mono, fontSize: 7, color: "#1e3a52", marginTop: 5 }}>
+              {paused ? "Captures need a live feed — exit the replay first"
+                : "Keep the containment closed and breach-free for the whole window; sweeps with a live breach are counted against it."}
+            </div>
+          </div>
+
+          <div>
+            {head("VERSIONS")}
+            <div style={{ display: "flex", flexDirection: "column", gap: 3 }}>
+              {[null, ...versions].map(v => {
+                const id = v ? v.id : "";
+                const fits = !v || fitsZone(v, zone);
+                const warn = v ? qualityWarnings(v) : [];
+                return (
+                  <div key={id || "source"} onClick={() => v && setInspect(id)} style={{
+                    display: "flex", alignItems: "center", gap: 8, padding: "5px 8px", borderRadius: 4, ...mono,
+                    border: `1px solid ${v && inspect === id ? "#1e3a52" : "#0a1520"}`, cursor: v ? "pointer" : "default",
+                  }}>
+                    <span style={{ flex: 1, color: fits ? "#94a3b8" : "#1e3a52" }}>
+                      {v ? v.name : `Source · ${sourceLabel}`}
+                      <span style={{ color: "#1e3a52" }}>
+                        {v ? ` · ${new Date(v.capturedAt).toLocaleString()} · ${Math.round(v.windowSec / 60)} min · σ̃ ${v.medianSigma.toFixed(2)}°C` : " · from the feed"}
+                      </span>
+                      {!fits && <span style={{ color: "#fb923c" }}> · other layout</span>}
+                      {warn.length > 0 && <span style={{ color: "#fbbf24" }}> · ⚠ {warn.length}</span>}
+                    </span>
+                    {active === id
+                      ? <span style={{ color: "#22d3a0", letterSpacing: 1 }}>IN USE</span>
+                      : fits && <button onClick={e => { e.stopPropagation(); onUse(id || null); }} disabled={paused}
+                          style={{ ...btn("#22d3a0"), opacity: paused ? 0.4 : 1 }}>Use</button>}
+                    {v && <button onClick={e => { e.stopPropagation(); downloadFile(`exi-baseline-${zone.id}-${fileStamp(new Date(v.capturedAt))}.json`, serializeBaseline(v)); }}
+                      style={btn()}>⇩</button>}
+                    {v && <button onClick={e => { e.stopPropagation(); onDelete(id); }} style={btn("#f87171")}>×</button>}
+                  </div>
+                );
+              })}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+              <button onClick={() => fileRef.current.click()} style={btn()}>⇪ Import JSON</button>
+              <input ref={fileRef} type="file" accept=".json,application/json" onChange={importFile} style={{ display: "none" }} />
+              {msg && <span style={{ ...mono, color: msg.ok ? "#22d3a0" : "#f87171" }}>{msg.text}</span>}
+            </div>
+          </div>
+
+          {shown && (
+            <div>
+              {head(`QUALITY · ${shown.name.toUpperCase()}`)}
+              <div style={{ ...mono, color: "#2a4a5a", marginBottom: 4 }}>
+                σ per sensor · {shown.sweeps} sweeps · median {shown.medianSigma.toFixed(3)}°C · max {Math.max(...shown.sigma).toFixed(3)}°C
+              </div>
+              <SensorStrip values={shown.sigma} lo={0} hi={Math.max(0.2, ...shown.sigma)} color="#60a5fa"
+                marks={shown.outliers.map(o => o.idx)} />
+              <div style={{ ...mono, color: "#1e3a52", marginTop: 4 }}>
+                DP σ {shown.dpSigma.map((s, i) => `${dpLabel(i)} ${s.toFixed(2)} Pa`).join(" · ")}
+              </div>
+              {qualityWarnings(shown).map(w => <div key={w} style={{ ...mono, color: "#fbbf24" }}>⚠ {w}</div>)}
+              {shown.outliers.length > 0 && (
+                <div style={{ ...mono, color: "#1e3a52", marginTop: 2 }}>
+                  {shown.outliers.slice(0, 12).map(o => `#${o.idx} ${o.kind === "noisy" ? `σ ${o.value}` : `${o.value > 0 ? "+" : ""}${o.value}`}°C`).join(" · ")}
+                  {shown.outliers.length > 12 && ` · +${shown.outliers.length - 12} more`}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div>
+            {head("COMPARE")}
+            <div style={{ display: "flex", alignItems: "center", gap: 8, ...mono, color: "#1e3a52" }}>
+              {["a", "b"].map((k, n) => (
+                <React.Fragment key={k}>
+                  {n > 0 && <span>→</span>}
+                  <select value={cmp[k]} onChange={e => setCmp(c => ({ ...c, [k]: e.target.value }))} style={{ ...field, flex: 1 }}>
+                    {usable.map(v => <option key={v.id || "source"} value={v.id}>{v.name}</option>)}
+                  </select>
+                </React.Fragment>
+              ))}
+            </div>
+            {diff ? (
+              <div style={{ marginTop: 6 }}>
+                <SensorStrip values={diff.delta} lo={-diffRange} hi={diffRange} color="#fb923c" />
+                <div style={{ ...mono, color: "#2a4a5a", marginTop: 4, lineHeight: 1.8 }}>
+                  ±{diffRange}°C scale · mean shift {diff.meanShift >= 0 ? "+" : ""}{diff.meanShift.toFixed(2)}°C ·
+                  mean |Δ| {diff.meanAbs.toFixed(2)}°C · max {diff.maxAbs.toFixed(2)}°C @ #{diff.maxIdx} ·
+                  {" "}{diff.shifted} sensor{diff.shifted === 1 ? "" : "s"} moved &gt; {diff.noteC}°C<br />
+                  DP {diff.dpDelta.map((v, i) => `${dpLabel(i)} ${v >= 0 ? "+" : ""}${v.toFixed(1)} Pa`).join(" · ")}
+                </div>
+              </div>
+            ) : (
+              <div style={{ ...mono, color: "#1e3a52", marginTop: 6 }}>Pick two different baselines of this layout</div>
+            )}
+          </div>
+
+          <div>
+            {head("DRIFT COMPENSATION")}
+            <div style={{ display: "flex", alignItems: "center", gap: 8, ...mono, color: "#2a4a5a" }}>
+              <label style={{ display: "flex", alignItems: "center", gap: 5 }}>
+                <input type="checkbox" checked={drift.enabled} onChange={e => onDrift({ ...drift, enabled: e.target.checked })} />
+                Follow slow drift
+              </label>
+              <span style={{ marginLeft: "auto" }}>τ</span>
+              <input type="number" defaultValue={drift.tauHours} min={DRIFT_LIMITS.tauHours[0]} max={DRIFT_LIMITS.tauHours[1]}
+                onBlur={e => setDrift("tauHours", e.target.value)} style={{ ...field, width: 48 }} />
+              <span>h · clamp ±</span>
+              <input type="number" defaultValue={drift.maxC} step="0.5" min={DRIFT_LIMITS.maxC[0]} max={DRIFT_LIMITS.maxC[1]}
+                onBlur={e => setDrift("maxC", e.target.value)} style={{ ...field, width: 40 }} />
+              <span>°C</span>
+            </div>
+            <div style={{ ...mono, fontSize: 7, color: "#1e3a52", marginTop: 5 }}>
+              {drift.enabled
+                ? `Each sensor's reference follows its readings with a ${drift.tauHours} h time constant, paused during breaches · now ${driftMean >= 0 ? "+" : ""}${driftMean.toFixed(2)}°C on average`
+                : "Off — seasonal supply-temperature changes show up as aisle-wide ΔT"}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Space-time waterfall ─────────────────────────────────────────────────────
+const WATERFALL_WINDOWS = [
+  { l: "1 MIN",  ms: 60 * 1000 },
+  { l: "10 MIN", ms: 10 * 60 * 1000 },
+  { l: "1 H",    ms: 60 * 60 * 1000 },
+];
+const WATERFALL_ROWS = 120;
+const WATERFALL_GAP  = 2;        // empty rows bridged by the previous sweep
+const DELTA_SCALE    = [-2, 12]; // °C, ΔT mode range for tempToColor
+
+function Waterfall({ history, zone, baseline, now, pinned, onPin }) {
+  const canvasRef = useRef(null);
+  const [win, setWin] = useState(WATERFALL_WINDOWS[0]);
+  const [delta, setDelta] = useState(false);
+  const [hover, setHover] = useState(null); // { i, row }
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 7 };
+  const bucket = win.ms / WATERFALL_ROWS;
+
+  // Newest row first; short gaps (frame jitter) repeat the older sweep
+  const rows = history.window(zone.id, win.ms, WATERFALL_ROWS, now);
+  for (let r = rows.length - 2, gap = 0; r >= 0; r--) {
+    if (rows[r]) gap = 0;
+    else if (rows[r + 1] && gap++ < WATERFALL_GAP) rows[r] = rows[r + 1];
+  }
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    const img = ctx.createImageData(zone.sensors, WATERFALL_ROWS);
+    rows.forEach((sample, r) => {
+      for (let i = 0; i < zone.sensors; i++) {
+        const o = (r * zone.sensors + i) * 4;
+        if (!sample || sample.temps.length !== zone.sensors) {
+          img.data.set([6, 13, 24, 255], o);
+          continue;
+        }
+        const t = sample.temps[i];
+        img.data.set([...(delta ? tempToRgb(t - baseline[i], ...DELTA_SCALE) : tempToRgb(t)), 255], o);
+      }
+    });
+    ctx.putImageData(img, 0, 0);
+  });
+
+  function locate(e) {
+    const r = e.currentTarget.getBoundingClientRect();
+    const i = Math.min(zone.sensors - 1, Math.max(0, Math.floor(((e.clientX - r.left) / r.width) * zone.sensors)));
+    const row = Math.min(WATERFALL_ROWS - 1, Math.max(0, Math.floor(((e.clientY - r.top) / r.height) * WATERFALL_ROWS)));
+    return { i, row };
+  }
+
+  const hs = hover && rows[hover.row];
+  const pinRow = pinned ? Math.floor((now - pinned.ts) / bucket) : -1;
+  const fmtAgo = ms => (ms >= 60000 ? `−${Math.round(ms / 60000)} min` : `−${Math.round(ms / 1000)}s`);
+  const tab = active => ({
+    background: active ? "#0d1e2e" : "transparent", border: `1px solid ${active ? "#1e3a52" : "#0a1520"}`,
+    color: active ? "#94a3b8" : "#1e3a52", padding: "2px 6px", borderRadius: 3, ...mono,
+  });
+
+  return (
+    <div style={{ marginTop: 14 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 4 }}>
+        <span style={{ ...mono, fontSize: 6, color: "#0a1e2e", letterSpacing: 2, flex: 1 }}>
+          SPACE-TIME WATERFALL · CLICK TO PIN A SLICE
+        </span>
+        <button onClick={() => setDelta(false)} style={tab(!delta)}>°C</button>
+        <button onClick={() => setDelta(true)} style={tab(delta)}>ΔT</button>
+        <span style={{ width: 6 }} />
+        {WATERFALL_WINDOWS.map(w => (
+          <button key={w.l} onClick={() => setWin(w)} style={tab(w === win)}>{w.l}</button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 6 }}>
+        <div style={{ display: "flex", flexDirection: "column", justifyContent: "space-between", ...mono, fontSize: 6, color: "#1e3a52", width: 30, textAlign: "right" }}>
+          <span>now</span><span>{fmtAgo(win.ms / 2)}</span><span>{fmtAgo(win.ms)}</span>
+        </div>
+        <div style={{ flex: 1, position: "relative", height: 150, border: "1px solid #060d18", borderRadius: 3, overflow: "hidden" }}>
+          <canvas ref={canvasRef} width={zone.sensors} height={WATERFALL_ROWS}
+            onMouseMove={e => setHover(locate(e))} onMouseLeave={() => setHover(null)}
+            onClick={e => {
+              const s = rows[locate(e).row];
+              if (s) onPin({ zone: zone.id, ts: s.ts, temps: Array.from(s.temps) });
+            }}
+            style={{ width: "100%", height: "100%", imageRendering: "pixelated", cursor: "crosshair", display: "block" }} />
+          {pinRow >= 0 && pinRow < WATERFALL_ROWS && (
+            <div style={{ position: "absolute", left: 0, right: 0, top: `${((pinRow + 0.5) / WATERFALL_ROWS) * 100}%`,
+              height: 1, background: "rgba(226,232,240,0.8)", pointerEvents: "none" }} />
+          )}
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: 14, marginTop: 5, marginLeft: 36, minHeight: 14, ...mono, fontSize: 8 }}>
+        {hs ? (
+          <>
+            <span style={{ color: "#1e3a52" }}>#{hover.i}</span>
+            <span style={{ color: "#1e3a52" }}>{new Date(hs.ts).toLocaleTimeString()}</span>
+            <span style={{ color: "#fbbf24" }}>{hs.temps[hover.i].toFixed(2)}°C</span>
+            <span style={{ color: hs.temps[hover.i] - baseline[hover.i] > 1.5 ? "#f87171" : "#2a4a5a" }}>
+              Δ{hs.temps[hover.i] - baseline[hover.i] >= 0 ? "+" : ""}{(hs.temps[hover.i] - baseline[hover.i]).toFixed(2)}°C
+            </span>
+          </>
+        ) : (
+          <span style={{ color: "#0d1e2e" }}>
+            {delta ? `ΔT scale ${DELTA_SCALE[0]}…+${DELTA_SCALE[1]}°C` : "Temperature scale 14…40°C"} · fiber position →
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Replay timeline ──────────────────────────────────────────────────────────
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+function ReplayTimeline({ session, cursor, onPlay, onPause, onSeek, onSpeed, onExit }) {
+  const trackRef = useRef(null);
+  const spans = useMemo(() => breachSpans(session.ticks), [session]);
+  const { t, t0, t1, playing, speed } = cursor;
+  const span = Math.max(1, t1 - t0);
+  const pct = at => `${((at - t0) / span) * 100}%`;
+  const fmt = ms => {
+    const s = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  };
+  const lvlColor = { CRITICAL: "#f87171", BREACH: "#f87171", WARNING: "#fbbf24", CLEAR: "#22d3a0" };
+
+  function seekFromEvent(e) {
+    const r = trackRef.current.getBoundingClientRect();
+    onSeek(t0 + Math.max(0, Math.min(1, (e.clientX - r.left) / r.width)) * span);
+  }
+  function onMouseDown(e) {
+    seekFromEvent(e);
+    const move = ev => seekFromEvent(ev);
+    const up = () => {
+      window.removeEventListener("mousemove", move);
+      window.removeEventListener("mouseup", up);
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", up);
+  }
+
+  const btn = active => ({
+    background: active ? "rgba(96,165,250,0.12)" : "transparent",
+    border: `1px solid ${active ? "rgba(96,165,250,0.35)" : "#0d1e2e"}`,
+    color: active ? "#60a5fa" : "#2a4a5a", padding: "3px 8px", borderRadius: 4,
+    fontFamily: "'IBM Plex Mono',monospace", fontSize: 8,
+  });
+
+  return (
+    <div style={{ padding: "8px 20px", borderBottom: "1px solid #0a1520", background: "#050b16",
+      display: "flex", alignItems: "center", gap: 12, flexShrink: 0 }}>
+      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#60a5fa", letterSpacing: 2 }}>REPLAY</span>
+      <button onClick={playing ? onPause : onPlay} style={{ ...btn(true), width: 30 }}>{playing ? "❚❚" : "▶"}</button>
+      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 9, color: "#94a3b8", width: 78 }}>
+        {fmt(t - t0)} / {fmt(span)}
+      </span>
+      <div ref={trackRef} onMouseDown={onMouseDown} style={{ flex: 1, height: 18, position: "relative",
+        background: "#060d18", border: "1px solid #0a1520", borderRadius: 3, cursor: "pointer" }}>
+        {spans.map(b => (
+          <div key={b.key} title={`${b.zoneId} · ${b.label} · ${fmt(b.start - t0)}–${fmt(b.end - t0)}`} style={{
+            position: "absolute", top: 2, bottom: 2, left: pct(b.start),
+            width: `${Math.max(0.3, ((b.end - b.start) / span) * 100)}%`,
+            background: "rgba(248,113,113,0.16)", borderLeft: "1px solid rgba(248,113,113,0.5)" }} />
+        ))}
+        {session.alerts.map(a => (
+          <div key={`a${a.id}`} title={`${a.lvl} · ${a.time} · ${a.what}`} style={{
+            position: "absolute", top: 0, bottom: 0, left: pct(a.ts), width: 2, marginLeft: -1,
+            background: lvlColor[a.lvl] || "#3a5a70", opacity: 0.85 }} />
+        ))}
+        <div style={{ position: "absolute", top: -3, bottom: -3, left: pct(t), width: 2, marginLeft: -1,
+          background: "#e2e8f0", boxShadow: "0 0 6px rgba(226,232,240,0.6)", pointerEvents: "none" }} />
+      </div>
+      <div style={{ display: "flex", gap: 3 }}>
+        {REPLAY_SPEEDS.map(s => (
+          <button key={s} onClick={() => onSpeed(s)} style={btn(s === speed)}>{s}×</button>
+        ))}
+      </div>
+      <button onClick={onExit} style={btn(false)}>✕ Exit replay</button>
+    </div>
+  );
+}
+
+// ─── Integrations ─────────────────────────────────────────────────────────────
+function IntegrationRow({ label, sub, status = "Live", color = "#22d3a0", detail, onStatus, children }) {
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 8 };
+  return (
+    <div style={{ padding: "10px 0", borderBottom: "1px solid #060d18" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div>
+          <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 11, color: "#4a6a7a" }}>{label}</div>
+          <div style={{ ...mono, color: "#0d1e2e", marginTop: 2 }}>{sub}</div>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 5 }}>
+          {children}
+          <span style={{ width: 5, height: 5, borderRadius: "50%", background: color, display: "inline-block" }} />
+          {onStatus
+            ? <button onClick={onStatus} style={{ ...mono, background: "none", border: "none", padding: 0, color, cursor: "pointer" }}>{status}</button>
+            : <span style={{ ...mono, color }}>{status}</span>}
+        </div>
+      </div>
+      {detail && <div style={{ ...mono, fontSize: 7, color: "#f87171", marginTop: 4, opacity: 0.8 }}>{detail}</div>}
+    </div>
+  );
+}
+
+// Last delivery failed and nothing has gone through since
+const notifyFailed = h => !!h.lastError && (!h.lastSuccess || h.lastError.at > h.lastSuccess);
+
+function NotifyRow({ health: h, onTest }) {
+  const [status, color] =
+    h.retrying        ? ["Retrying", "#fbbf24"] :
+    notifyFailed(h)   ? ["Failing",  "#f87171"] :
+    h.lastSuccess     ? ["Live",     "#22d3a0"] :
+                        ["Armed",    "#60a5fa"];
+  const fmt = t => new Date(t).toLocaleTimeString();
+  const sub = [
+    h.kind === "pagerduty" ? "Events API v2" : "Webhook",
+    h.lastSuccess ? `ok ${fmt(h.lastSuccess)}` : "no deliveries yet",
+    `queue ${h.queue}`,
+    h.dropped ? `${h.dropped} dropped` : null,
+  ].filter(Boolean).join(" · ");
+  return (
+    <IntegrationRow label={h.name} sub={sub} status={status} color={color}
+      detail={h.lastError && `last error ${fmt(h.lastError.at)} · ${h.lastError.message}`}>
+      <button onClick={onTest} title="Send a test event" style={{
+        background: "transparent", border: "1px solid #0d1e2e", color: "#2a4a5a", borderRadius: 3,
+        fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, padding: "1px 5px", marginRight: 4, cursor: "pointer",
+      }}>TEST</button>
+    </IntegrationRow>
+  );
+}
+
+// ─── Certificate verification ────────────────────────────────────────────────
+const VERIFY_CHECKS = [
+  { k: "hashOk",      l: "Content hash" },
+  { k: "signatureOk", l: "Signature"    },
+  { k: "layoutOk",    l: "Printed copy" },
+];
+
+function CertificateVerifier({ onClose }) {
+  const [result, setResult] = useState(null); // { name, ...verifyCertificateFile() } or { name, error }
+  const [ownKey, setOwnKey] = useState(null);
+  const [issuers, setIssuers] = useState(loadTrustedIssuers);
+  const [pin, setPin] = useState({ keyId: "", label: "" });
+  const [trustMsg, setTrustMsg] = useState(null); // { ok, text }
+  const lastFile = useRef(null); // { name, bytes } so a newly trusted key re-checks the open file
+  const fileRef = useRef(null);
+  const keyFileRef = useRef(null);
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 8 };
+
+  useEffect(() => {
+    loadSigningKey().then(setOwnKey, err => setTrustMsg({ ok: false, text: err.message }));
+  }, []);
+
+  async function check(file, list) {
+    try {
+      const { keyId } = ownKey ?? await loadSigningKey();
+      const trustedIssuers = [{ keyId, label: "this dashboard" }, ...list];
+      setResult({ name: file.name, ...(await verifyCertificateFile(file.bytes, { trustedIssuers })) });
+    } catch (err) {
+      setResult({ name: file.name, error: err.message });
+    }
+  }
+
+  async function verify(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    lastFile.current = { name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) };
+    check(lastFile.current, issuers);
+  }
+
+  function saveIssuers(list, text) {
+    setIssuers(list);
+    setTrustMsg(storeTrustedIssuers(list) ? { ok: true, text } : { ok: false, text: `${text} — storage unavailable, kept for this visit only` });
+    if (lastFile.current) check(lastFile.current, list);
+  }
+
+  function pinKey() {
+    try {
+      const list = pinIssuer(issuers, pin.keyId, pin.label);
+      const added = list[list.length - 1];
+      setPin({ keyId: "", label: "" });
+      saveIssuers(list, `Trusting ${added.label} (${added.keyId})`);
+    } catch (err) {
+      setTrustMsg({ ok: false, text: err.message });
+    }
+  }
+
+  async function importKey(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { keyId, label } = await parseIssuerKey(await file.text());
+      saveIssuers(pinIssuer(issuers, keyId, label), `Trusting ${label} (${keyId}) — confirm this id with the issuer`);
+    } catch (err) {
+      setTrustMsg({ ok: false, text: err.message });
+    }
+  }
+
+  const c = result?.certificate;
+  const verdict = !result ? null
+    : result.error ? { l: "NOT A CERTIFICATE", color: "#64748b" }
+    : !result.valid ? { l: "TAMPERED — DO NOT ACCEPT", color: "#f87171" }
+    : !result.trusted ? { l: "NOT VERIFIED · UNTRUSTED SIGNING KEY", color: "#fb923c" }
+    : { l: `VERIFIED · SIGNED BY ${result.issuer.toUpperCase()}`, color: "#22d3a0" };
+  const smallBtn = {
+    background: "none", border: "1px solid #0d1e2e", borderRadius: 3, color: "#64748b",
+    ...mono, fontSize: 7, padding: "1px 6px", cursor: "pointer",
+  };
+  const field = {
+    background: "#050b16", border: "1px solid #0d1e2e", borderRadius: 3, color: "#94a3b8",
+    ...mono, padding: "3px 6px", minWidth: 0,
+  };
+
+  return (
+    <div onClick={onClose} style={{
+      position: "fixed", inset: 0, zIndex: 900, background: "rgba(2,6,16,0.88)",
+      display: "flex", alignItems: "center", justifyContent: "center", animation: "fadeI 0.2s ease",
+    }}>
+      <div onClick={e => e.stopPropagation()} style={{
+        width: 520, maxWidth: "94vw", maxHeight: "88vh", display: "flex", flexDirection: "column",
+        background: "#060d18", border: "1px solid #0d1e2e", borderRadius: 8,
+      }}>
+        <div style={{ display: "flex", alignItems: "center", padding: "12px 18px", borderBottom: "1px solid #0a1520" }}>
+          <span style={{ fontFamily: "'Syne',sans-serif", fontSize: 13, fontWeight: 700, color: "#e2e8f0", letterSpacing: 0.5 }}>
+            Verify Certificate
+          </span>
+          <span style={{ ...mono, color: "#1e3a52", marginLeft: 10 }}>HTML, PDF or JSON copy</span>
+          <button onClick={onClose} style={{ background: "none", border: "none", color: "#1e3a52", fontSize: 16, marginLeft: "auto" }}>×</button>
+        </div>
+
+        <div style={{ padding: "14px 18px", overflowY: "auto", display: "flex", flexDirection: "column", gap: 12 }}>
+          <button onClick={() => fileRef.current.click()} style={{
+            background: "rgba(34,211,160,0.05)", border: "1px dashed rgba(34,211,160,0.3)", color: "#22d3a0",
+            borderRadius: 5, padding: "14px 0", ...mono, fontSize: 9,
+          }}>⇪ Choose certificate file…</button>
+          <input ref={fileRef} type="file" accept=".html,.htm,.pdf,.json,text/html,application/pdf,application/json"
+            onChange={verify} style={{ display: "none" }} />
+
+          {result && (
+            <>
+              <div style={{ padding: "10px 12px", borderRadius: 5, border: `1px solid ${verdict.color}44`, background: `${verdict.color}0d` }}>
+                <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 12, fontWeight: 700, color: verdict.color }}>{verdict.l}</div>
+                <div style={{ ...mono, color: "#2a4a5a", marginTop: 3 }}>{result.name}</div>
+              </div>
+              {result.error && <div style={{ ...mono, color: "#94a3b8" }}>{result.error}</div>}
+              {!result.error && (
+                <>
+                  <div style={{ display: "grid", gridTemplateColumns: "110px 1fr", gap: "4px 10px", ...mono }}>
+                    {VERIFY_CHECKS.filter(({ k }) => k !== "layoutOk" || result.kind !== "json").map(({ k, l }) => (
+                      <React.Fragment key={k}>
+                        <span style={{ color: "#1e3a52" }}>{l}</span>
+                        <span style={{ color: result[k] ? "#22d3a0" : "#f87171" }}>{result[k] ? "✓ intact" : "✗ mismatch"}</span>
+                      </React.Fragment>
+                    ))}
+                    <span style={{ color: "#1e3a52" }}>Signing key</span>
+                    <span style={{ color: result.trusted ? "#22d3a0" : "#fb923c" }}>
+                      {result.keyId} · {result.trusted ? result.issuer : "not a trusted issuer"}
+                    </span>
+                  </div>
+                  {result.problems.map(p => <div key={p} style={{ ...mono, color: "#f87171" }}>✗ {p}</div>)}
+                  <div style={{ border: "1px solid #0a1520", borderRadius: 5, padding: "10px 12px", background: "#050b16",
+                    ...mono, color: "#2a4a5a", lineHeight: 1.9 }}>
+                    <div style={{ color: "#94a3b8" }}>{c.id}</div>
+                    {c.site} · {c.zone.name} ({c.zone.id})<br />
+                    Issued {new Date(c.issuedAt).toLocaleString()} · {[c.operator, c.company].filter(Boolean).join(", ")}<br />
+                    {c.results.map(r => (
+                      <div key={r.step} style={{ color: r.status === "pass" ? "#2a4a5a" : "#f87171" }}>
+                        {r.status === "pass" ? "✓" : "✗"} {r.title}: {r.measured ?? "—"} <span style={{ opacity: 0.6 }}>(limit {r.limit})</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          )}
+
+          <div style={{ borderTop: "1px solid #0a1520", paddingTop: 10, display: "flex", flexDirection: "column", gap: 5, ...mono }}>
+            <div style={{ color: "#475569", letterSpacing: 1 }}>TRUSTED ISSUERS</div>
+            <div style={{ color: "#2a4a5a", lineHeight: 1.6 }}>
+              Only certificates signed by these keys are verified. Anyone can sign with a key of their own, so pin a key id
+              only after confirming it with the issuer by phone or in person.
+            </div>
+            {ownKey && (
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <span style={{ color: "#22d3a0" }}>{ownKey.keyId}</span>
+                <span style={{ color: "#2a4a5a" }}>this dashboard</span>
+                <button style={{ ...smallBtn, marginLeft: "auto" }}
+                  onClick={() => downloadFile(`exi-issuer-key-${ownKey.keyId}.json`, issuerKeyFile(ownKey, "EXI dashboard"))}>
+                  ⇩ Key file
+                </button>
+              </div>
+            )}
+            {issuers.map(t => (
+              <div key={t.keyId} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <span style={{ color: "#94a3b8" }}>{t.keyId}</span>
+                <span style={{ color: "#2a4a5a" }}>{t.label}</span>
+                <button style={{ ...smallBtn, marginLeft: "auto" }}
+                  onClick={() => saveIssuers(issuers.filter(x => x.keyId !== t.keyId), `Removed ${t.label}`)}>×</button>
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 5 }}>
+              <input value={pin.keyId} placeholder="key id from the issuer" onChange={e => setPin({ ...pin, keyId: e.target.value })}
+                style={{ ...field, flex: 3 }} />
+              <input value={pin.label} placeholder="issuer name" onChange={e => setPin({ ...pin, label: e.target.value })}
+                style={{ ...field, flex: 2 }} />
+              <button style={smallBtn} onClick={pinKey}>PIN</button>
+              <button style={smallBtn} onClick={() => keyFileRef.current.click()}>⇪ Key file</button>
+              <input ref={keyFileRef} type="file" accept=".json,application/json" onChange={importKey} style={{ display: "none" }} />
+            </div>
+            {trustMsg && <div style={{ color: trustMsg.ok ? "#22d3a0" : "#f87171" }}>{trustMsg.text}</div>}
+          </div>
+        </div>
+      </div>
     </div>
   );
 }
 
-function BreachControls({ breaches, induce, clear, compact = false }) {
-  const zones = [
-    { pos: 8,  label: "Zone A — Door Seal"     },
-    { pos: 32, label: "Zone B — Curtain Seam"  },
-    { pos: 64, label: "Zone C — Top Panel"     },
-    { pos: 91, label: "Zone D — End Cap"       },
-  ];
-  const btnStyle = (isRed) => ({
-    padding: compact ? "5px 10px" : "6px 13px",
-    background: isRed ? "rgba(248,113,113,0.06)" : "rgba(34,211,160,0.06)",
-    border: `1px solid ${isRed ? "rgba(248,113,113,0.22)" : "rgba(34,211,160,0.22)"}`,
-    color: isRed ? "#f87171" : "#22d3a0",
-    borderRadius: 5,
-    fontFamily: "'IBM Plex Mono',monospace",
-    fontSize: compact ? 9 : 10,
-    letterSpacing: 0.5,
-    cursor: "pointer",
+// ─── Site profile editor ──────────────────────────────────────────────────────
+const ZONE_FIELDS = [
+  { k: "sensors",   l: "Sensors"  },
+  { k: "racks",     l: "Racks"    },
+  { k: "dpSensors", l: "DP"       },
+  { k: "lengthM",   l: "Run m"    },
+  { k: "tBase",     l: "T base °C" },
+  { k: "dpBase",    l: "DP base Pa" },
+];
+const ENERGY_FIELDS = [
+  { k: "rate",      l: "Energy rate", u: "$/kWh"     },
+  { k: "co2Factor", l: "CO₂ factor",  u: "t/kWh"     },
+];
+
+// BARI weights and band cut-offs; `g` is the profile group
+const BARI_FIELDS = [
+  { g: "weights", k: "thermal",  l: "Thermal wt"    },
+  { g: "weights", k: "dp",       l: "ΔP wt"         },
+  { g: "weights", k: "rack",     l: "Inlet wt"      },
+  { g: "bands",   k: "elevated", l: "Elevated from" },
+  { g: "bands",   k: "high",     l: "High from"     },
+  { g: "bands",   k: "critical", l: "Critical from" },
+];
+
+const CX_DETAIL_FIELDS = [
+  { k: "operator",     l: "Operator"     },
+  { k: "company",      l: "Company"      },
+  { k: "interrogator", l: "Interrogator" },
+  { k: "serial",       l: "Serial no."   },
+  { k: "fiber",        l: "Fiber"        },
+];
+
+// Inputs edit strings; numbers are parsed and validated only on export/apply
+const toNum = v => (String(v).trim() === "" ? NaN : Number(v));
+
+function profileToDraft(p) {
+  return {
+    name: p.site.name,
+    energy: Object.fromEntries(ENERGY_FIELDS.map(({ k }) => [k, String(p.energy[k])])),
+    bari: Object.fromEntries(BARI_FIELDS.map(({ g, k }) => [`${g}.${k}`, String(p.bari[g][k])])),
+    zones: p.site.zones.map(z => ({
+      ...z,
+      ...Object.fromEntries(ZONE_FIELDS.map(({ k }) => [k, String(z[k])])),
+      breachPoints: z.breachPoints.map(b => ({ ...b, pos: String(b.pos) })),
+    })),
+    detector: p.detector,
+    notifications: p.notifications.map(t => ({ ...t, routingKey: t.routingKey || "" })),
+    commissioning: p.commissioning,
+    drift: p.drift,
+  };
+}
+
+function draftToProfile(d) {
+  return validateProfile({
+    site: {
+      name: d.name,
+      zones: d.zones.map(z => ({
+        ...z,
+        ...Object.fromEntries(ZONE_FIELDS.map(({ k }) => [k, toNum(z[k])])),
+        breachPoints: z.breachPoints.map(b => ({ ...b, pos: toNum(b.pos) })),
+      })),
+    },
+    energy: Object.fromEntries(ENERGY_FIELDS.map(({ k }) => [k, toNum(d.energy[k])])),
+    bari: {
+      weights: Object.fromEntries(BARI_COMPONENTS.map(k => [k, toNum(d.bari[`weights.${k}`])])),
+      bands: Object.fromEntries(BARI_BANDS.map(k => [k, toNum(d.bari[`bands.${k}`])])),
+    },
+    detector: d.detector,
+    notifications: d.notifications.map(({ routingKey, ...t }) => (t.kind === "pagerduty" ? { ...t, routingKey } : t)),
+    commissioning: d.commissioning,
+    drift: d.drift,
   });
-  return (
-    <div style={{ padding: compact ? "10px 16px" : "14px 20px", borderTop: "1px solid #0a1520",
-      background: "#050b16", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", flexShrink: 0 }}>
-      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0a1e2e", letterSpacing: 2, marginRight: 4 }}>
-        {compact ? "" : "DEMO CONTROLS"}
-      </span>
-      {zones.map(({ pos, label }) => (
-        <button key={pos} onClick={() => induce(pos, label)} style={btnStyle(true)}>
-          ⚡ {compact ? label.split(" — ")[0] : label}
-        </button>
-      ))}
-      <button onClick={clear} style={btnStyle(false)}>✓ Clear All</button>
-      {breaches.length > 0 && (
-        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#f87171" }}>
-          {breaches.length} active
-        </span>
-      )}
-    </div>
-  );
 }
 
-function AlertCard({ alert, isAcked, onAck }) {
-  const colorMap = { CRITICAL: "#f87171", BREACH: "#f87171", WARNING: "#fbbf24", CLEAR: "#22d3a0" };
-  const c = colorMap[alert.lvl] || "#3a5a70";
+function SettingsPanel({ profile, busy, onApply, onClose }) {
+  const [draft, setDraft] = useState(() => profileToDraft(profile));
+  const [msg, setMsg] = useState(null); // { text, ok }
+  const fileRef = useRef(null);
+  const mono = { fontFamily: "'IBM Plex Mono',monospace", fontSize: 8 };
+  const input = {
+    background: "#060d18", border: "1px solid #0d1e2e", color: "#94a3b8", borderRadius: 3,
+    ...mono, fontSize: 9, padding: "3px 5px", outline: "none", width: "100%",
+  };
+  const btn = (c = "#2a4a5a") => ({
+    background: "transparent", border: `1px solid ${c === "#2a4a5a" ? "#0d1e2e" : `${c}55`}`, color: c,
+    padding: "4px 10px", borderRadius: 4, ...mono, letterSpacing: 0.5,
+  });
+
+  const setZone = (zi, patch) => setDraft(d => ({ ...d, zones: d.zones.map((z, i) => (i === zi ? { ...z, ...patch } : z)) }));
+  const setPoint = (zi, pi, patch) => setZone(zi, {
+    breachPoints: draft.zones[zi].breachPoints.map((b, i) => (i === pi ? { ...b, ...patch } : b)),
+  });
+
+  const setTarget = (ti, patch) => setDraft(d => ({
+    ...d, notifications: d.notifications.map((t, i) => (i === ti ? { ...t, ...patch } : t)),
+  }));
+
+  function addTarget(kind) {
+    const prefix = kind === "pagerduty" ? "pd" : "hook";
+    let n = 1;
+    while (draft.notifications.some(t => t.id === `${prefix}-${n}`)) n++;
+    setDraft(d => ({
+      ...d,
+      notifications: [...d.notifications, kind === "pagerduty"
+        ? { id: `${prefix}-${n}`, kind, name: "PagerDuty", url: PAGERDUTY_EVENTS_URL, routingKey: "", enabled: true }
+        : { id: `${prefix}-${n}`, kind, name: "Webhook", url: "http://localhost:8790/hook", routingKey: "", enabled: true }],
+    }));
+  }
+
+  function addZone() {
+    const n = draft.zones.length + 1;
+    const tmpl = profileToDraft(DEFAULT_PROFILE).zones[0];
+    setDraft(d => ({ ...d, zones: [...d.zones, { ...tmpl, id: `Z${n}`, name: `Zone ${n}`, rows: "", breachPoints: [] }] }));
+  }
+
+  function exportDraft() {
+    try {
+      const p = draftToProfile(draft);
+      const slug = p.site.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "site";
+      downloadFile(`exi-profile-${slug}.json`, serializeProfile(p));
+      setMsg({ text: p.notifications.length ? "Profile exported — notification URLs and keys left out" : "Profile exported", ok: true });
+    } catch (err) {
+      setMsg({ text: err.message, ok: false });
+    }
+  }
+
+  async function importFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      // Secrets are never taken from a file; the targets wait, disabled, for them
+      const p = withoutSecrets(parseProfile(await file.text()));
+      setDraft(profileToDraft(p));
+      const n = p.notifications.length;
+      setMsg({ text: n ? `Loaded ${file.name} — enter the URL or key of ${n} notification target${n === 1 ? "" : "s"}, then apply`
+        : `Loaded ${file.name} — review and apply`, ok: true });
+    } catch (err) {
+      setMsg({ text: `${file.name}: ${err.message}`, ok: false });
+    }
+  }
+
+  function apply() {
+    try {
+      onApply(draftToProfile(draft));
+    } catch (err) {
+      setMsg({ text: err.message, ok: false });
+    }
+  }
+
   return (
-    <div style={{ background: "#060d18", border: `1px solid ${isAcked ? "#0a1520" : c + "28"}`,
-      borderRadius: 5, padding: "9px 11px", opacity: isAcked ? 0.45 : 1,
-      animation: "slideD 0.3s ease", transition: "all 0.3s" }}>
-      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 3 }}>
-        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: c, letterSpacing: 1.5 }}>{alert.lvl}</span>
-        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e" }}>{alert.time}</span>
+    <div onClick={onClose} style={{
+      position: "fixed", inset: 0, zIndex: 900, background: "rgba(2,6,16,0.88)",
+      display: "flex", alignItems: "center", justifyContent: "center", animation: "fadeI 0.2s ease",
+    }}>
+      <div onClick={e => e.stopPropagation()} style={{
+        width: 760, maxWidth: "94vw", maxHeight: "88vh", display: "flex", flexDirection: "column",
+        background: "#060d18", border: "1px solid #0d1e2e", borderRadius: 8,
+      }}>
+        <div style={{ display: "flex", alignItems: "center", padding: "12px 18px", borderBottom: "1px solid #0a1520" }}>
+          <span style={{ fontFamily: "'Syne',sans-serif", fontSize: 13, fontWeight: 700, color: "#e2e8f0", letterSpacing: 0.5 }}>
+            Site Profile
+          </span>
+          <span style={{ ...mono, color: "#1e3a52", marginLeft: 10 }}>saved in this browser · import/export as JSON</span>
+          <button onClick={onClose} style={{ background: "none", border: "none", color: "#1e3a52", fontSize: 16, marginLeft: "auto" }}>×</button>
+        </div>
+
+        <div style={{ padding: "14px 18px", overflowY: "auto", display: "flex", flexDirection: "column", gap: 14 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr", gap: 10 }}>
+            <label style={{ ...mono, color: "#1e3a52" }}>
+              SITE NAME
+              <input value={draft.name} onChange={e => setDraft(d => ({ ...d, name: e.target.value }))} style={{ ...input, marginTop: 3 }} />
+            </label>
+            {ENERGY_FIELDS.map(({ k, l, u }) => (
+              <label key={k} style={{ ...mono, color: "#1e3a52" }}>
+                {l.toUpperCase()} <span style={{ opacity: 0.6 }}>{u}</span>
+                <input type="number" step="any" min={ENERGY_LIMITS[k][0]} max={ENERGY_LIMITS[k][1]} value={draft.energy[k]}
+                  onChange={e => setDraft(d => ({ ...d, energy: { ...d.energy, [k]: e.target.value } }))}
+                  style={{ ...input, marginTop: 3 }} />
+              </label>
+            ))}
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 10 }}>
+            {BARI_FIELDS.map(({ g, k, l }) => (
+              <label key={`${g}.${k}`} style={{ ...mono, color: "#1e3a52" }}>
+                BARI {l.toUpperCase()}
+                <input type="number" step="0.05" value={draft.bari[`${g}.${k}`]}
+                  min={BARI_LIMITS[g === "weights" ? "weight" : "band"][0]} max={BARI_LIMITS[g === "weights" ? "weight" : "band"][1]}
+                  onChange={e => setDraft(d => ({ ...d, bari: { ...d.bari, [`${g}.${k}`]: e.target.value } }))}
+                  style={{ ...input, marginTop: 3 }} />
+              </label>
+            ))}
+          </div>
+
+          {draft.zones.map((z, zi) => (
+            <div key={zi} style={{ border: "1px solid #0a1520", borderRadius: 6, padding: "10px 12px", background: "#050b16" }}>
+              <div style={{ display: "grid", gridTemplateColumns: "0.7fr 1.3fr 1.5fr auto", gap: 8, alignItems: "end", marginBottom: 8 }}>
+                <label style={{ ...mono, color: "#1e3a52" }}>ID
+                  <input value={z.id} onChange={e => setZone(zi, { id: e.target.value })} style={{ ...input, marginTop: 3 }} />
+                </label>
+                <label style={{ ...mono, color: "#1e3a52" }}>ZONE NAME
+                  <input value={z.name} onChange={e => setZone(zi, { name: e.target.value })} style={{ ...input, marginTop: 3 }} />
+                </label>
+                <label style={{ ...mono, color: "#1e3a52" }}>ROWS / LOCATION
+                  <input value={z.rows} onChange={e => setZone(zi, { rows: e.target.value })} style={{ ...input, marginTop: 3 }} />
+                </label>
+                <button disabled={draft.zones.length === 1} onClick={() => setDraft(d => ({ ...d, zones: d.zones.filter((_, i) => i !== zi) }))}
+                  style={{ ...btn("#f87171"), opacity: draft.zones.length === 1 ? 0.3 : 1 }}>Remove</button>
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: `repeat(${ZONE_FIELDS.length},1fr)`, gap: 8, marginBottom: 8 }}>
+                {ZONE_FIELDS.map(({ k, l }) => (
+                  <label key={k} style={{ ...mono, fontSize: 7, color: "#1e3a52" }}>{l.toUpperCase()}
+                    <input type="number" step="any" min={ZONE_LIMITS[k][0]} max={ZONE_LIMITS[k][1]} value={z[k]}
+                      onChange={e => setZone(zi, { [k]: e.target.value })} style={{ ...input, marginTop: 3 }} />
+                  </label>
+                ))}
+              </div>
+              <div style={{ ...mono, fontSize: 7, color: "#1e3a52", letterSpacing: 1, marginBottom: 4 }}>BREACH TEST POINTS</div>
+              {z.breachPoints.map((b, pi) => (
+                <div key={pi} style={{ display: "grid", gridTemplateColumns: "70px 1fr 110px auto", gap: 6, marginBottom: 4 }}>
+                  <input type="number" min={0} value={b.pos} title="Sensor index" onChange={e => setPoint(zi, pi, { pos: e.target.value })} style={input} />
+                  <input value={b.label} onChange={e => setPoint(zi, pi, { label: e.target.value })} style={input} />
+                  <select value={b.type} title="Failure physics" onChange={e => setPoint(zi, pi, { type: e.target.value })} style={input}>
+                    {BREACH_TYPE_IDS.map(t => <option key={t} value={t}>{BREACH_TYPES[t].name}</option>)}
+                  </select>
+                  <button onClick={() => setZone(zi, { breachPoints: z.breachPoints.filter((_, i) => i !== pi) })}
+                    style={{ ...btn(), padding: "2px 8px" }}>×</button>
+                </div>
+              ))}
+              <button onClick={() => setZone(zi, { breachPoints: [...z.breachPoints, { pos: "0", label: "", type: "seam" }] })}
+                style={{ ...btn(), padding: "2px 8px" }}>+ Point</button>
+            </div>
+          ))}
+          <button onClick={addZone} style={{ ...btn("#22d3a0"), alignSelf: "flex-start" }}>+ Add zone</button>
+
+          <div style={{ border: "1px solid #0a1520", borderRadius: 6, padding: "10px 12px", background: "#050b16" }}>
+            <div style={{ ...mono, fontSize: 7, color: "#1e3a52", letterSpacing: 1, marginBottom: 6 }}>
+              NOTIFICATIONS <span style={{ opacity: 0.6 }}>· incident trigger / acknowledge / resolve, retried with backoff · webhook URLs and routing keys stay in this browser and are left out of exports</span>
+            </div>
+            {draft.notifications.map((t, ti) => (
+              <div key={ti} style={{ display: "grid", gridTemplateColumns: "92px 1fr 2fr 1.2fr auto auto", gap: 6, marginBottom: 4, alignItems: "center" }}>
+                <select value={t.kind} onChange={e => setTarget(ti, { kind: e.target.value })} style={input}>
+                  {NOTIFY_KINDS.map(k => <option key={k} value={k}>{k === "pagerduty" ? "PagerDuty" : "Webhook"}</option>)}
+                </select>
+                <input value={t.name} title="Name" onChange={e => setTarget(ti, { name: e.target.value })} style={input} />
+                <input value={t.url} title="Endpoint URL" placeholder={t.kind === "webhook" ? "re-enter webhook URL" : ""}
+                  onChange={e => setTarget(ti, { url: e.target.value })}
+                  style={{ ...input, border: t.kind === "webhook" && missingSecret(t) ? "1px solid #fb923c55" : input.border }} />
+                <input value={t.routingKey} disabled={t.kind !== "pagerduty"} placeholder={t.kind === "pagerduty" ? "re-enter routing key" : "—"}
+                  title="PagerDuty integration (routing) key" onChange={e => setTarget(ti, { routingKey: e.target.value })}
+                  style={{ ...input, opacity: t.kind === "pagerduty" ? 1 : 0.3,
+                    border: t.kind === "pagerduty" && missingSecret(t) ? "1px solid #fb923c55" : input.border }} />
+                <label style={{ ...mono, color: "#1e3a52", display: "flex", alignItems: "center", gap: 3 }}>
+                  <input type="checkbox" checked={t.enabled} onChange={e => setTarget(ti, { enabled: e.target.checked })} />ON
+                </label>
+                <button onClick={() => setDraft(d => ({ ...d, notifications: d.notifications.filter((_, i) => i !== ti) }))}
+                  style={{ ...btn(), padding: "2px 8px" }}>×</button>
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 6 }}>
+              <button onClick={() => addTarget("webhook")} style={{ ...btn(), padding: "2px 8px" }}>+ Webhook</button>
+              <button onClick={() => addTarget("pagerduty")} style={{ ...btn(), padding: "2px 8px" }}>+ PagerDuty</button>
+            </div>
+          </div>
+
+          <div style={{ border: "1px solid #0a1520", borderRadius: 6, padding: "10px 12px", background: "#050b16" }}>
+            <div style={{ ...mono, fontSize: 7, color: "#1e3a52", letterSpacing: 1, marginBottom: 6 }}>
+              COMMISSIONING <span style={{ opacity: 0.6 }}>· printed on signed certificates</span>
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: `repeat(${CX_DETAIL_FIELDS.length},1fr)`, gap: 8 }}>
+              {CX_DETAIL_FIELDS.map(({ k, l }) => (
+                <label key={k} style={{ ...mono, fontSize: 7, color: "#1e3a52" }}>{l.toUpperCase()}
+                  <input value={draft.commissioning[k]} onChange={e => setDraft(d => ({ ...d, commissioning: { ...d.commissioning, [k]: e.target.value } }))}
+                    style={{ ...input, marginTop: 3 }} />
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", alignItems: "center", gap: 6, padding: "10px 18px", borderTop: "1px solid #0a1520" }}>
+          <button onClick={() => fileRef.current.click()} style={btn()}>⇪ Import JSON</button>
+          <input ref={fileRef} type="file" accept=".json,application/json" onChange={importFile} style={{ display: "none" }} />
+          <button onClick={exportDraft} style={btn()}>⇩ Export JSON</button>
+          <button onClick={() => { setDraft(profileToDraft(DEFAULT_PROFILE)); setMsg({ text: "Defaults loaded — apply to keep", ok: true }); }}
+            style={btn()}>Reset to defaults</button>
+          <span style={{ ...mono, flex: 1, textAlign: "right", color: msg ? (msg.ok ? "#22d3a0" : "#f87171") : "#1e3a52" }}>
+            {msg ? msg.text : busy ? `Layout changes end the current ${busy}` : ""}
+          </span>
+          <button onClick={onClose} style={btn()}>Cancel</button>
+          <button onClick={apply} style={{ ...btn("#22d3a0"), background: "rgba(34,211,160,0.06)" }}>Apply</button>
+        </div>
       </div>
-      <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#6a8a9a", lineHeight: 1.4, marginBottom: 3 }}>{alert.what}</div>
-      {alert.loc && (
-        <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52", marginBottom: 3 }}>📍 {alert.loc}</div>
-      )}
-      {alert.action && !isAcked && (
-        <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 9, color: "#1e3a52",
-          borderTop: "1px solid #0a1520", paddingTop: 5, marginTop: 2 }}>→ {alert.action}</div>
-      )}
-      {!isAcked && alert.action && (
-        <button onClick={onAck} style={{ marginTop: 7, background: "transparent",
-          border: `1px solid ${c}28`, color: c, padding: "3px 0",
-          fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, letterSpacing: 1,
-          borderRadius: 3, width: "100%", cursor: "pointer" }}>Acknowledge</button>
-      )}
-      {isAcked && (
-        <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#22d3a0", marginTop: 3 }}>✓ Acknowledged</div>
-      )}
     </div>
   );
 }
 
 // ─── Main App ─────────────────────────────────────────────────────────────────
 export default function App() {
+  const [profile, setProfile] = useState(loadStoredProfile);
+  const { site, energy, detector: detectorCfg, bari: bariCfg } = profile;
+  const [zoneId,  setZoneId]  = useState(site.zones[0].id);
+  const zone = zoneById(site, zoneId) || site.zones[0];
+  const liveSource = useMemo(() => createSource(site), [site]);
+  const [replaySource, setReplaySource] = useState(null);
+  const source = replaySource || liveSource;
+  const [feedStatus, setFeedStatus] = useState("connecting");
+  const [feedRejects, setFeedRejects] = useState(null);   // { count, reason } from the source
+  const [replayCursor, setReplayCursor] = useState(null);
+  const [recording, setRecording] = useState(null); // { startedAt } while capturing
+  const [notice,  setNotice]  = useState(null);
+  const [customScenarios, setCustomScenarios] = useState([]);   // imported this session
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [baselineStore, setBaselineStore] = useState(loadBaselineStore);
+  const [baselinesOpen, setBaselinesOpen] = useState(false);
+  const [capture, setCapture] = useState(null); // { zone, startedAt, windowMs, name } while capturing a baseline
+  const [detStates, setDetStates] = useState({});
   const [mode,    setMode]    = useState("overview");
-  const [temps,   setTemps]   = useState(makeBaseline);
-  const [dpArr,   setDpArr]   = useState(() => Array.from({ length: 4 }, () => DP_BASE + (Math.random() - 0.5) * 1.5));
-  const [rackPwr, setRackPwr] = useState(makeRackPower);
-  const [breaches, setBreaches] = useState([]);
-  const [alerts,  setAlerts]  = useState([]);
-  const [acked,   setAcked]   = useState(new Set());
+  const [zoneData, setZoneData] = useState(() => initialZoneData(site, source.baselines));
+  const [liveAlerts, dispatchAlert] = useReducer(alertsReducer, []);
+  const [logView, setLogView] = useState("incidents"); // event log / banner: "incidents" | "alerts"
   const [clock,   setClock]   = useState(new Date());
   const [hov,     setHov]     = useState(null);
-  const [cxStep,  setCxStep]  = useState(0);
-  const [roiKW,   setRoiKW]   = useState(5000);
-  const [roiRate, setRoiRate] = useState(0.078);
+  const [pinned,  setPinned]  = useState(null); // waterfall slice { zone, ts, temps } shown in the profile
+  const [cx, dispatchCx] = useReducer(cxReducer, zone.id, initialCx); // commissioning run for the selected zone
+  const [cxCert, setCxCert] = useState(null); // signed certificate of the current run
+  const [verifyOpen, setVerifyOpen] = useState(false);
+  const [roiInputs, setRoiInputs] = useState(() => ({ ...DEFAULT_ROI, rate: energy.rate }));
+  const [roiBasis, setRoiBasis] = useState("assumed"); // "assumed" | "measured" (from the energy ledger)
   const [hint,    setHint]    = useState(null);
   const [intro,   setIntro]   = useState(true);
-  const [trend,   setTrend]   = useState(0); // extracted from render to avoid Math.random() in body
 
   // Stable refs so effects don't close over stale state
-  const baselineRef = useRef(makeBaseline());
-  const baseDpRef   = useRef(makeBaseDP());
-  const breachIdRef = useRef(0);
   const alertIdRef  = useRef(0);
-  const breachesRef = useRef(breaches);
-  breachesRef.current = breaches;
+  const recorderRef = useRef(null);
+  const historyRef  = useRef(null);
+  if (!historyRef.current) historyRef.current = createHistory();
+  const trendRef = useRef(null);
+  if (!trendRef.current) trendRef.current = createTrend();
+  const riseRef = useRef(null);   // rack inlet rate of rise, for the ASHRAE countdown
+  if (!riseRef.current) riseRef.current = createRiseTracker();
+  const bariCfgRef = useRef(bariCfg);
+  bariCfgRef.current = bariCfg;
+  const ledgerRef = useRef(null);   // realized bypass energy, cost and CO₂; live sources only
+  if (!ledgerRef.current) ledgerRef.current = createLedger(loadLedger());
+  const ledgerSavedRef = useRef(0);
+  const energyRef = useRef(energy);
+  energyRef.current = energy;
+  const detectorsRef = useRef({});
+  const detectorGenRef = useRef(0); // keeps episode keys unique across detector resets
+  const sessionFileRef = useRef(null);
+  const baselineStoreRef = useRef(baselineStore);
+  baselineStoreRef.current = baselineStore;
+  const driftRef   = useRef({});   // per zone, while drift compensation is on
+  const captureRef = useRef(null); // { cap: createBaselineCapture(), name } while capturing
+  const odisiFileRef   = useRef(null);
+  // Per page load, so incident dedup keys survive notifier rebuilds but never
+  // collide with a previous visit's INC-1
+  const dedupPrefixRef = useRef(`exi-${Date.now().toString(36)}`);
+
+  // ── Baselines ────────────────────────────────────────────────────────────
+  // What a zone is measured against: its active stored version when there is
+  // one (live sources only — a replay keeps the session's own), else the
+  // source's, plus the drift offsets when compensation is on. Reads refs only,
+  // so the feed handler below always sees the current choice.
+  function referenceBaseline(id) {
+    const z = zoneById(site, id);
+    return (source.kind !== "replay" && z && activeVersion(baselineStoreRef.current, z)) || source.baselines[id];
+  }
+  function zoneBaseline(id) {
+    const ref = referenceBaseline(id);
+    const drift = source.kind !== "replay" && driftRef.current[id];
+    return drift ? drift.apply(ref) : ref;
+  }
+  useEffect(() => storeBaselineStore(baselineStore), [baselineStore]);
+  useEffect(() => {
+    driftRef.current = profile.drift.enabled
+      ? Object.fromEntries(site.zones.map(z => [z.id, createDriftTracker(profile.drift)])) : {};
+  }, [profile.drift, source, site, baselineStore.active]);
+
+  function startCapture(minutes, name) {
+    const cap = createBaselineCapture(zone, { minutes, startedAt: clock.getTime() });
+    captureRef.current = { cap, name };
+    setCapture({ zone: zone.id, startedAt: cap.startedAt, windowMs: cap.windowMs, name });
+  }
+  function cancelCapture() {
+    captureRef.current = null;
+    setCapture(null);
+  }
+  // A file from another zone loads onto this one when the layouts match
+  function importBaseline(v) {
+    if (v.baseline.length !== zone.sensors || v.baseDp.length !== zone.dpSensors) {
+      throw new Error(`captured on ${v.baseline.length} sensors / ${v.baseDp.length} DP, this zone has ${zone.sensors} / ${zone.dpSensors}`);
+    }
+    const next = v.zone === zone.id ? v : { ...v, zone: zone.id, id: `${zone.id}-${v.capturedAt.toString(36)}` };
+    setBaselineStore(s => addVersion(s, next));
+    return next;
+  }
+  // Called from the feed handler, so setters only
+  function finishCapture(ts) {
+    const { cap, name } = captureRef.current;
+    captureRef.current = null;
+    setCapture(null);
+    try {
+      const v = cap.finish(name, ts);
+      setBaselineStore(s => addVersion(s, v));
+      setBaselinesOpen(true);
+    } catch (err) {
+      setNotice({ msg: `Baseline capture failed: ${err.message}` });
+    }
+  }
 
-  // ── Main simulation tick ─────────────────────────────────────────────────
+  // ── Data feed ────────────────────────────────────────────────────────────
   useEffect(() => {
-    const iv = setInterval(() => {
-      const now = Date.now();
-      const live = breachesRef.current.filter(b => now - b.t < b.dur);
-      setBreaches(live);
-      setClock(new Date());
-
-      setTemps(prev => prev.map((t, i) => {
-        let target = baselineRef.current[i] + (Math.random() - 0.5) * 0.2;
-        for (const b of live) {
-          const dist = Math.abs(i - b.pos);
-          if (dist < b.w * 2) target += b.int * Math.exp(-0.5 * (dist / (b.w * 0.5)) ** 2);
+    setZoneData(initialZoneData(site, source.baselines));
+    historyRef.current = createHistory();
+    trendRef.current = createTrend();
+    riseRef.current = createRiseTracker();
+    setPinned(null);
+    cancelCapture();
+    setFeedRejects(null);
+    const offs = [
+      source.on("status", setFeedStatus),
+      source.on("rejected", setFeedRejects),
+      source.on("cursor", setReplayCursor),
+      source.on("frame", f => {
+        setZoneData(prev => ({ ...prev, ...f.zones }));
+        setClock(new Date(f.ts));
+        historyRef.current.push(f);
+        if (recorderRef.current) recorderRef.current.push(f);
+        for (const [id, z] of Object.entries(f.zones)) {
+          const zdef = zoneById(site, id);
+          if (!zdef) continue;
+          trendRef.current.push(id, f.ts, bariScore(zdef, z, zoneBaseline(id), bariCfgRef.current), bariCfgRef.current);
+          riseRef.current.push(id, f.ts, rackAverages(zdef, z.temps));
         }
-        return t * 0.68 + target * 0.32;
-      }));
 
-      setDpArr(prev => prev.map((dp, i) => {
-        let target = baseDpRef.current[i] + (Math.random() - 0.5) * 0.7;
-        for (const b of live) {
-          const zone = (i + 0.5) * (N_SENSORS / 4);
-          const dist = Math.abs(b.pos - zone);
-          target -= Math.max(0, 1 - dist / (N_SENSORS / 3)) * (b.int / 14) * 9;
+        if (source.kind !== "replay") {
+          const states = {};
+          for (const [id, z] of Object.entries(f.zones)) {
+            ledgerRef.current.push(id, f.ts, z.breaches, energyRef.current);
+            const ref = zoneBaseline(id);
+            const { baseline: base, baseDp: baseP } = ref;
+            const zdef = zoneById(site, id);
+            dispatchAlert({
+              type: "sweep", zone: id, temps: z.temps, baseline: base, ts: f.ts,
+              dpDrops: dpDrops(z.dp, baseP, d => dpPosition(zdef, d)), dpRadius: zdef.sensors / 3,
+            });
+            const det = detectorsRef.current[id];
+            if (!det) continue;
+            const { events, state } = det.update(z.temps, base, f.ts);
+            states[id] = state;
+            events.forEach(ev => raiseDetectorAlert(ev, zdef, z, ref, f.ts));
+            dispatchCx({ type: "frame", zone: id, ts: f.ts, temps: z.temps, baseline: base, events, episodes: state.episodes.length, commonMode: state.commonMode });
+            // Neither drift nor a capture may learn from a breach
+            const busy = z.breaches.length > 0 || state.episodes.length > 0;
+            driftRef.current[id]?.update(z.temps, referenceBaseline(id).baseline, f.ts, busy);
+            const cap = captureRef.current?.cap;
+            if (cap && cap.zone === id) {
+              cap.push(z.temps, z.dp, f.ts, { disturbed: busy });
+              if (cap.done(f.ts)) finishCapture(f.ts);
+            }
+          }
+          setDetStates(prev => ({ ...prev, ...states }));
+          if (f.ts - ledgerSavedRef.current >= LEDGER_SAVE_MS) {
+            storeLedger(ledgerRef.current);
+            ledgerSavedRef.current = f.ts;
+          }
         }
-        return dp * 0.58 + target * 0.42;
-      }));
-
-      setRackPwr(prev => prev.map(v => v * 0.97 + (65 + Math.random() * 28) * 0.03));
-
-      // Update trend once per tick (not in render body)
-      const maxLiveBreach = live.reduce((mx, b) => Math.max(mx, b.int), 0);
-      setTrend(maxLiveBreach > 2 ? 0.65 + Math.random() * 0.35 : 0);
-    }, 500);
+      }),
+    ];
+    source.start();
+    return () => {
+      offs.forEach(off => off());
+      source.stop();
+    };
+  }, [source, site]);
+
+  // The ledger is saved every LEDGER_SAVE_MS of feed time, and on leaving
+  useEffect(() => {
+    const save = () => storeLedger(ledgerRef.current);
+    window.addEventListener("pagehide", save);
+    return () => window.removeEventListener("pagehide", save);
+  }, []);
 
-    return () => clearInterval(iv);
-  }, []); // stable — uses refs
+  // Replay shows the alerts captured in the session up to the cursor
+  const alerts = useMemo(() => {
+    if (!replaySource) return liveAlerts;
+    const at = replayCursor ? replayCursor.t : 0;
+    return replaySource.session.alerts.filter(a => a.ts <= at).map(a => alertAsOf(a, at)).reverse();
+  }, [replaySource, replayCursor, liveAlerts]);
+
+  // Incident view of the same alerts; entries no incident claims stay standalone
+  const incidents = useMemo(() => correlateIncidents(alerts), [alerts]);
+  const logItems = useMemo(() => {
+    if (logView === "alerts") return alerts.map(a => ({ key: `a${a.id}`, ts: a.ts, alert: a }));
+    const claimed = new Set(incidents.flatMap(i => i.alerts.map(a => a.id)));
+    return [
+      ...incidents.map(i => ({ key: i.id, ts: i.lastSeen, incident: i })),
+      ...alerts.filter(a => !claimed.has(a.id)).map(a => ({ key: `a${a.id}`, ts: a.ts, alert: a })),
+    ].sort((a, b) => b.ts - a.ts);
+  }, [logView, alerts, incidents]);
+
+  // ── Outbound notifications ───────────────────────────────────────────────
+  const notifier = useMemo(() => createNotifier({
+    targets: profile.notifications, siteName: site.name, dedupPrefix: dedupPrefixRef.current,
+  }), [profile.notifications, site.name]);
+  const [notifyHealth, setNotifyHealth] = useState([]);
+  useEffect(() => {
+    setNotifyHealth(notifier.status);
+    const off = notifier.on("status", setNotifyHealth);
+    return () => { off(); notifier.stop(); };
+  }, [notifier]);
+  // Only live incidents page anyone; a replay is history
+  useEffect(() => {
+    if (!replaySource) notifier.observe({ incidents, alerts });
+  }, [notifier, replaySource, incidents, alerts]);
 
   // ── Alert detection ──────────────────────────────────────────────────────
+  // Fresh detectors (one per zone) whenever parameters or the data source change
   useEffect(() => {
-    const deltas = temps.map((t, i) => t - baselineRef.current[i]);
-    const maxDelta = Math.max(...deltas);
-    const peakIdx  = deltas.indexOf(maxDelta);
-    if (maxDelta > 4.5) {
-      alertIdRef.current++;
-      setAlerts(prev => {
-        if (prev[0] && Date.now() - prev[0].ts < 9000) return prev;
-        return [{
-          id: alertIdRef.current, ts: Date.now(),
-          time: new Date().toLocaleTimeString(),
-          lvl: maxDelta > 7 ? "CRITICAL" : "WARNING",
-          what: `Thermal anomaly ΔT +${maxDelta.toFixed(1)}°C above baseline`,
-          where: zoneLabel(peakIdx), loc: physLoc(peakIdx),
-          action: `Dispatch to ${physLoc(peakIdx)} — inspect curtain seam`,
-        }, ...prev.slice(0, 29)];
-      });
-    }
-  }, [temps]);
+    detectorGenRef.current++;
+    detectorsRef.current = Object.fromEntries(site.zones.map(z => [z.id, createDetector(detectorCfg)]));
+    setDetStates({});
+  }, [detectorCfg, source, site, baselineStore.active]);
+  // A commissioning run measures one zone against one set of detectors
+  useEffect(() => {
+    dispatchCx({ type: "reset", zone: zone.id });
+    setCxCert(null);
+  }, [zone.id, detectorCfg, source]);
+  // The false-positive step's quiet window runs under a CRAC supply swing
+  const cxQuietFrom = cx.running === "falsePositive" ? cx.work.quietFrom : null;
+  useEffect(() => {
+    if (cxQuietFrom !== null) source.disturb(cx.zone, "swing", CX_SWING);
+  }, [cxQuietFrom, source, cx.zone]);
+
+  // Detector events drive one alert per episode: raise, escalate, then resolve on
+  // clear. A new alert carries the classifier's guess at the failure type and
+  // the fitted plume position.
+  function raiseDetectorAlert(ev, z, frame, base, ts) {
+    const episode = `${z.id}:${detectorGenRef.current}:${ev.episode.id}`;
+    const fresh = ev.type === "alert";
+    dispatchAlert(detectorAction(ev, z, episode, ts, () => ++alertIdRef.current, {
+      guess: fresh ? classifyBreach(breachSignature(z, frame, base, ev.episode.peakIdx, ev.episode.riseSec)) : null,
+      fix: fresh ? localizePlume(frame.temps, base.baseline, ev.episode.peakIdx) : null,
+    }));
+  }
+
+  // ── Selected zone ─────────────────────────────────────────────────────────
+  // Sources keep `baselines` current (gateway hello, first frame, session file)
+  const { baseline, baseDp } = zoneBaseline(zone.id);
+  // Until a new source's first frame lands, its zones show their baselines
+  const zd = zoneData[zone.id];
+  const { temps, dp: dpArr, rackPwr, breaches, crac = [], scenario = null } =
+    zd && zd.temps.length === zone.sensors && zd.dp.length === zone.dpSensors
+      ? zd : { temps: baseline, dp: baseDp, rackPwr: [], breaches: [] };
+  // An imported scenario replaces a library one with the same id
+  const scenarios = useMemo(() => [
+    ...SCENARIO_LIBRARY.filter(l => !customScenarios.some(c => c.id === l.id)), ...customScenarios,
+  ], [customScenarios]);
+  const zoneAlarm = id => zoneData[id]?.breaches.length > 0 || !!detStates[id]?.episodes.some(e => e.alerted);
+  const otherAlarms = site.zones.filter(z => z.id !== zone.id && zoneAlarm(z.id)).length;
+
+  function selectZone(id) {
+    setZoneId(id);
+    setHov(null);
+    setPinned(null);
+  }
 
   // ── Contextual next-action hints ─────────────────────────────────────────
   useEffect(() => {
@@ -411,87 +2271,252 @@ export default function App() {
     setHint(null);
   }, [breaches.length, mode]);
 
-  // ── Helpers ───────────────────────────────────────────────────────────────
-  function zoneLabel(i) {
-    return ["Zone A — North", "Zone B", "Zone C", "Zone D — South"][Math.floor(i / (N_SENSORS / 4))];
-  }
-  function physLoc(i) {
-    const rack = Math.floor((i / N_SENSORS) * N_RACKS) + 1;
-    const inch = Math.round((i / N_SENSORS) * 480);
-    return `Rack R${rack}, ${Math.floor(inch / 12)}'${inch % 12}" from N`;
-  }
-
   // ── Derived metrics ───────────────────────────────────────────────────────
-  const deltas = useMemo(() => temps.map((t, i) => t - baselineRef.current[i]), [temps]);
-  const maxDelta = Math.max(0, ...deltas);
-
-  const thermalScore = Math.min(1, Math.max(0, (maxDelta - 1) / 10));
-  const dpDrop = dpArr.reduce((acc, dp, i) => acc + (baseDpRef.current[i] - dp), 0) / 4;
-  const dpScore = Math.min(1, Math.max(0, dpDrop / 16));
-  const rackMean = temps.slice(10, 110).reduce((a, b) => a + b, 0) / 100;
-  const rackScore = Math.min(1, Math.max(0, (rackMean - T_BASE - 1) / 6));
-  const bari = Math.min(1, 0.5 * thermalScore + 0.3 * dpScore + 0.2 * rackScore);
+  const deltas = useMemo(() => temps.map((t, i) => t - baseline[i]), [temps, baseline]);
+  // Plume fits for the detector's episodes; `truth` is the nearest breach the
+  // source reports (simulation and stand-in feed), for the estimate's error
+  const episodesNow = detStates[zone.id]?.episodes;
+  const fixes = useMemo(() => (episodesNow || []).map(ep => {
+    const fix = localizePlume(temps, baseline, ep.peakIdx);
+    if (!fix) return null;
+    const truth = breaches.reduce((n, b) => (Math.abs(b.pos - fix.pos) < Math.abs((n?.pos ?? Infinity) - fix.pos) ? b : n), null);
+    return { id: ep.id, alerted: ep.alerted, ...fix, truth: truth && Math.abs(truth.pos - fix.pos) < 10 ? truth.pos : null };
+  }).filter(Boolean), [episodesNow, temps, baseline, breaches]);
+  const cmPer = cmPerSensor(zone);
+  const pin = pinned && pinned.zone === zone.id && pinned.temps.length === zone.sensors ? pinned : null;
+
+  const { bari, thermalScore, dpScore, rackScore } = bariScore(zone, { temps, dp: dpArr }, { baseline, baseDp }, bariCfg);
   const bariPct = Math.round(bari * 100);
-  const bariColor = bari < 0.3 ? "#22d3a0" : bari < 0.55 ? "#fbbf24" : "#f87171";
-  const bariLabel = bari < 0.3 ? "ALL CLEAR" : bari < 0.55 ? "ELEVATED" : bari < 0.8 ? "HIGH RISK" : "CRITICAL";
-
-  const bypassKW = breaches.reduce((acc, b) => acc + (b.int / 14) * 18, 0);
-  const costPerHr = bypassKW * ENERGY_RATE;
-  const co2PerHr  = bypassKW * CO2_FACTOR * 1000; // grams
-
-  const rackZones = useMemo(() => Array.from({ length: N_RACKS }, (_, i) => {
-    const s = Math.floor(i * N_SENSORS / N_RACKS);
-    const e = Math.floor((i + 1) * N_SENSORS / N_RACKS);
-    const slice = temps.slice(s, e);
-    const avg = slice.reduce((a, b) => a + b, 0) / slice.length;
-    return { id: `R${i + 1}`, avg, delta: avg - T_BASE, power: rackPwr[i] || 80, ...ashraeClass(avg) };
-  }), [temps, rackPwr]);
+  const band = bariBand(bari, bariCfg);
+  const bariColor = BARI_COLORS[band];
+  const bariLabel = BARI_LEVELS[band];
+
+  const bypassKW = breachLoadKW(breaches);
+  const costPerHr = bypassKW * energy.rate;
+  const co2PerHr  = bypassKW * energy.co2Factor * 1000; // kg
+  // Realized totals; the ledger only follows live sources, so a replay reads it at the wall clock
+  const ledgerAt = replaySource ? Date.now() : clock.getTime();
+  const ledgerPeriods = ledgerTotals(ledgerRef.current.data(), ledgerAt);
+  const zoneSpent = p => ledgerPeriods[p].zones[zone.id] || { kWh: 0, cost: 0, co2Kg: 0 };
+  const costOf = list => (replaySource ? null : realizedCost(ledgerRef.current.data(), list, ledgerAt));
+
+  const rackZones = useMemo(() => rackAverages(zone, temps).map((avg, i) => (
+    { id: `R${i + 1}`, avg, delta: avg - zone.tBase, power: rackPwr[i] || 80, cls: ashraeClass(avg), ...ASHRAE_STYLE[ashraeClass(avg)] }
+  )), [temps, rackPwr, zone]);
 
   const maxRackTemp = Math.max(...rackZones.map(z => z.avg));
-  const timeToLimit = trend > 0 ? Math.max(0, (A1_LIMIT - maxRackTemp) / trend) : null;
-
-  const critAlert  = alerts.find(a => (a.lvl === "CRITICAL" || a.lvl === "BREACH") && !acked.has(a.id));
-  const sysStatus  = bari > 0.55 ? "BREACH DETECTED" : bari > 0.3 ? "ELEVATED" : "NOMINAL";
-  const sysColor   = sysStatus === "NOMINAL" ? "#22d3a0" : sysStatus === "ELEVATED" ? "#fbbf24" : "#f87171";
-  const unackedCount = alerts.filter(a => !acked.has(a.id) && ["CRITICAL","BREACH","WARNING"].includes(a.lvl)).length;
+  const hottestRack = rackZones.find(z => z.avg === maxRackTemp);
+  // Rack heading for its next ASHRAE limit soonest; null while every rack is
+  // stable or cooling (see forecast.js)
+  const rise = soonestCrossing(riseRef.current.forecast(zone.id));
+
+  const isPending  = a => a.state === "open" || a.state === "escalated";
+  const critAlert  = alerts.find(a => (a.lvl === "CRITICAL" || a.lvl === "BREACH") && isPending(a));
+  const critIncident = incidents.find(i => (i.severity === "CRITICAL" || i.severity === "BREACH") && isPending(i));
+  const banner = logView === "incidents"
+    ? critIncident && {
+        what: `${critIncident.severity === "BREACH" ? "Breach" : "Critical"} incident ${critIncident.id} — ${critIncident.alerts.length} alert${critIncident.alerts.length === 1 ? "" : "s"} · peak ΔT +${critIncident.peakDelta.toFixed(1)}°C · ~${critIncident.bypassKW.toFixed(1)} kW bypass`,
+        loc: critIncident.loc,
+        action: [...critIncident.alerts].reverse().find(a => a.action)?.action,
+        ack: () => ackIncident(critIncident),
+      }
+    : critAlert && { ...critAlert, ack: () => ackAlert(critAlert.id) };
+  const imported   = replaySource?.session.import || null;
+  const feedIssue  = FEED_STATUS[feedStatus] || null;
+  const sysStatus  = feedIssue ? feedIssue.label : band >= 2 ? "BREACH DETECTED" : band === 1 ? "ELEVATED" : "NOMINAL";
+  const sysColor   = feedIssue ? feedIssue.color : sysStatus === "NOMINAL" ? "#22d3a0" : sysStatus === "ELEVATED" ? "#fbbf24" : "#f87171";
+  const unackedCount = alerts.filter(a => ACTIONABLE.has(a.lvl) && isPending(a)).length;
+  const response     = useMemo(() => alertMetrics(alerts), [alerts]);
+  const notifyFailing = notifyHealth.some(notifyFailed);
+
+  // Commissioning
+  const cxDone      = CX_STEPS.filter(id => cx.steps[id].status === "pass").length;
+  const cxNext      = CX_STEPS.find(id => cx.steps[id].status !== "pass") || null;
+  const cxRetest    = !!cxNext && cx.steps[cxNext].status === "fail";
+  const cxStarted   = cx.steps.continuity.status !== "pending";
+  const cxCertified = cx.steps.certificate.status === "pass";
+  const cxCopy = {
+    continuity:    { t: "Pre-Check: Fiber Continuity", d: `All ${zone.sensors} sensors report live, in-range readings over ${CX_TIMING.continuityFrames} sweeps`, lim: "100%" },
+    sealed:        { t: "Close All Openings",          d: "Physically seal all containment doors, blanking panels, seams — then confirm", lim: "No active breach" },
+    baseline:      { t: "Baseline Capture",            d: `Record a ${CX_TIMING.baselineSec / 60}-minute stable profile under nominal load`, lim: `σ < ${CX_LIMITS.baselineSigma}°C` },
+    detect:        { t: "Breach Detection Test",       d: `Induce the test gap at sensor #${Math.round(zone.sensors * 0.1)} — time the first detector alert`, lim: `< ${CX_LIMITS.detectSec}s` },
+    locate:        { t: "Localization Test",           d: "Fit the alert's plume between sensors and compare its centre with the actual gap position", lim: `< ±${CX_LIMITS.locateCm}cm` },
+    falsePositive: { t: "False Positive Test (Quiet Window)", d: `Clear the gap, let the zone settle, then drive a CRAC ±${CX_SWING.amp}°C supply swing through a ${CX_TIMING.quietSec}s quiet window — not a weekly false-positive rate`, lim: `${CX_LIMITS.falsePositives} alerts in ${CX_TIMING.quietSec}s` },
+    certificate:   { t: "Generate Certificate",        d: "Issue the commissioning certificate from the measured results", lim: "All pass" },
+  };
 
   // ROI
-  const roi_bypassKW = roiKW * 0.20 * 0.18;
-  const roi_savings  = roi_bypassKW * roiRate * 8760;
-  const roi_payback  = (27500 / roi_savings) * 12;
-  const roi_co2      = (roi_bypassKW * CO2_FACTOR * 8760 / 1000).toFixed(1);
+  // The measured basis reads the ledger as it grows, so it is only worked out on the ROI tab
+  const roiAssumed = useMemo(() => roiModel(roiInputs, { co2Factor: energy.co2Factor }), [roiInputs, energy.co2Factor]);
+  const measured = mode === "roi" ? measuredSavings(ledgerRef.current.data(), roiInputs) : null;
+  const roiMeasured = measured && roiModel(roiInputs, { co2Factor: energy.co2Factor, savedKWh: measured.savedKWh });
+  const onMeasured = roiBasis === "measured" && !!roiMeasured;
+  const roi = onMeasured ? roiMeasured : roiAssumed;
+  const roiTornado = mode !== "roi" ? [] : tornado(roiInputs, {
+    co2Factor: energy.co2Factor,
+    savedKWhOf: onMeasured ? x => measuredSavings(ledgerRef.current.data(), x).savedKWh : null,
+  });
+  const roiFile = ext => `exi-roi-${site.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${fileStamp(new Date())}.${ext}`;
+  const roiProposal = () => proposalHtml({
+    site: site.name, date: new Date().toLocaleDateString(), inputs: roiInputs, model: roi, sensitivity: roiTornado,
+    measured: roiMeasured && { stats: measured, assumed: roiAssumed, model: roiMeasured },
+  });
 
   // ── Actions ───────────────────────────────────────────────────────────────
-  const induce = useCallback((pos, label) => {
-    const id = ++breachIdRef.current;
-    setBreaches(prev => [...prev, {
-      id, pos, w: 4 + Math.random() * 3, int: 9 + Math.random() * 5,
-      dur: 55000 + Math.random() * 25000, t: Date.now(), label,
-    }]);
-    alertIdRef.current++;
-    setAlerts(prev => [{
-      id: alertIdRef.current, ts: Date.now(),
-      time: new Date().toLocaleTimeString(),
-      lvl: "BREACH",
-      what: "Containment breach — thermal excursion detected",
-      where: label, loc: physLoc(pos),
-      action: `Inspect & reseal at ${physLoc(pos)}`,
-    }, ...prev.slice(0, 29)]);
-  }, []);
+  const induce = useCallback((pos, label, type) => {
+    source.induce(zone.id, pos, label, type);
+    dispatchAlert(breachAction(zone, pos, label, Date.now(), ++alertIdRef.current));
+  }, [source, zone]);
 
   const clearAll = useCallback(() => {
-    setBreaches([]);
+    source.stopScenario(zone.id);
+    source.clear(zone.id);
+    setZoneData(prev => ({ ...prev, [zone.id]: { ...prev[zone.id], breaches: [] } }));
     setHint(null);
-    alertIdRef.current++;
-    setAlerts(prev => [{
-      id: alertIdRef.current, ts: Date.now(),
-      time: new Date().toLocaleTimeString(),
-      lvl: "CLEAR", what: "All breaches cleared — returning to baseline",
-      where: "All Zones", loc: null, action: null,
-    }, ...prev.slice(0, 29)]);
-  }, []);
+    dispatchAlert({ type: "raise", ts: Date.now(), alert: {
+      id: ++alertIdRef.current, lvl: "CLEAR", zone: zone.id,
+      what: `All breaches in ${zone.name} cleared — returning to baseline`,
+      where: zone.name, loc: null, action: null,
+    } });
+  }, [source, zone]);
+
+  // Supply disturbances act on the whole selected zone and are not alerts themselves
+  const disturb = useCallback((kind, opts) => source.disturb(zone.id, kind, opts), [source, zone]);
+
+  // Scenario breaches raise no BREACH alert of their own: like a real unknown
+  // failure, only the detector may report them
+  const playScenario = useCallback((sc, seed) => source.playScenario(zone.id, sc, { seed }), [source, zone]);
+  const stopScenario = useCallback(() => source.stopScenario(zone.id), [source, zone]);
+  async function importScenario(e, select) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const sc = parseScenario(await file.text());
+      setCustomScenarios(prev => [...prev.filter(c => c.id !== sc.id), sc]);
+      select(sc);
+      setNotice(null);
+    } catch (err) {
+      setNotice({ msg: `${file.name}: ${err.message}` });
+    }
+  }
+
+  // Commissioning: steps are timed on the feed's clock, since the reducer measures against frame timestamps
+  const runCx = step => {
+    const ts = clock.getTime();
+    if (step === "certificate") return issueCertificate(ts);
+    if (step === "detect" || step === "locate") {
+      const truePos = Math.round(zone.sensors * 0.1);
+      induce(truePos, `CX Test — ${zone.name}`);
+      return dispatchCx({ type: "start", step: "detect", ts, zone: zone.id, truePos, cmPerSensor: (zone.lengthM * 100) / zone.sensors });
+    }
+    if (step === "falsePositive") clearAll();
+    dispatchCx({ type: "start", step, ts, zone: zone.id });
+  };
+  const restartCx = () => { clearAll(); setCxCert(null); dispatchCx({ type: "reset", zone: zone.id }); };
+
+  async function issueCertificate(ts) {
+    const details = profile.commissioning;
+    if (!details.operator) {
+      setNotice({ msg: "Set the commissioning operator under ⚙ SITE before generating the certificate" });
+      return;
+    }
+    try {
+      const key = await loadSigningKey();
+      const results = CX_STEPS.slice(0, -1).map(id => ({
+        step: id, title: cxCopy[id].t, limit: cxCopy[id].lim,
+        status: cx.steps[id].status, measured: cx.steps[id].display, detail: cx.steps[id].detail,
+      }));
+      const cert = buildCertificate({
+        site, zone, details, results, issuedAt: ts, id: `EXI-CX-${zone.id}-${fileStamp(new Date(ts))}`,
+      });
+      setCxCert(await signCertificate(cert, key));
+      dispatchCx({ type: "certify", ts });
+    } catch (err) {
+      setNotice({ msg: `Certificate not signed: ${err.message}` });
+    }
+  }
+  const certFile = ext => `${cxCert.certificate.id.toLowerCase()}.${ext}`;
+
+  // Lifecycle actions only apply to live alerts; replayed ones are read-only
+  const alertAction = (type, id, fields) => dispatchAlert({ type, id, ts: Date.now(), ...fields });
+  const ackAlert = id => alertAction("ack", id);
+  const ackIncident = inc => inc.alerts.forEach(a => alertAction("ack", a.id));
+  const resolveIncident = inc => inc.alerts.forEach(a => alertAction("resolve", a.id));
+  const renderAlert = a => (
+    <AlertCard key={a.id} alert={a} cost={costOf([a])} readOnly={!!replaySource}
+      onAck={() => ackAlert(a.id)}
+      onResolve={() => alertAction("resolve", a.id)}
+      onAssign={assignee => alertAction("assign", a.id, { assignee })}
+      onNote={text => alertAction("note", a.id, { text })} />
+  );
+  const logToggle = (
+    <div style={{ display: "flex", gap: 2 }}>
+      {["incidents", "alerts"].map(v => (
+        <button key={v} onClick={() => setLogView(v)} style={{
+          background: logView === v ? "#0d1e2e" : "transparent", border: `1px solid ${logView === v ? "#1e3a52" : "#0a1520"}`,
+          color: logView === v ? "#94a3b8" : "#1e3a52", padding: "1px 6px", borderRadius: 3,
+          fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, letterSpacing: 1,
+        }}>{v.toUpperCase()}</button>
+      ))}
+    </div>
+  );
+
+  // ── Recording & replay ────────────────────────────────────────────────────
+  function toggleRecording() {
+    if (recorderRef.current) {
+      const session = recorderRef.current.finish(liveAlerts);
+      recorderRef.current = null;
+      setRecording(null);
+      downloadFile(`exi-session-${fileStamp(new Date(session.startedAt))}.json`, JSON.stringify(session));
+      return;
+    }
+    recorderRef.current = createRecorder({
+      source: liveSource.label, site, baselines: Object.fromEntries(site.zones.map(z => [z.id, zoneBaseline(z.id)])),
+    });
+    setRecording({ startedAt: recorderRef.current.startedAt });
+  }
+
+  // Shared by session files and ODiSI exports — both become a replay source
+  async function openReplayFile(e, parse) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const session = parse(await file.text(), file.name);
+      if (recorderRef.current) toggleRecording();
+      setReplaySource(createReplaySource({
+        ...session, name: file.name, baselines: { ...flatBaselines(site), ...session.baselines },
+      }));
+      if (!session.zones.includes(zone.id)) selectZone(session.zones[0]);
+      setNotice(null);
+    } catch (err) {
+      setNotice({ msg: `${file.name}: ${err.message}` });
+    }
+  }
+  const loadSession = e => openReplayFile(e, text => parseSession(text, site));
+  const importOdisi = e => openReplayFile(e, (text, name) => parseOdisi(text, { name, zone }));
+
+  function exitReplay() {
+    setReplaySource(null);
+    setReplayCursor(null);
+  }
+
+  // ── Site profile ──────────────────────────────────────────────────────────
+  useEffect(() => storeProfile(profile), [profile]);
 
-  const ackAlert = (id) => setAcked(prev => new Set([...prev, id]));
+  function applyProfile(next) {
+    // A new layout restarts the live source; recordings and replays are tied to the old one
+    const siteChanged = JSON.stringify(next.site) !== JSON.stringify(site);
+    if (siteChanged) {
+      if (recorderRef.current) toggleRecording();
+      exitReplay();
+      setHint(null);
+    }
+    setProfile({ ...next, site: siteChanged ? next.site : site });
+    setRoiInputs(r => ({ ...r, rate: next.energy.rate }));
+    setSettingsOpen(false);
+  }
 
   const tabs = [
     { k: "overview",     label: "Overview",      icon: "◈" },
@@ -503,10 +2528,13 @@ export default function App() {
 
   // ── Format helpers ────────────────────────────────────────────────────────
   function fmtCountdown(t) {
+    if (t >= 60) return `${Math.floor(t / 60)}h ${String(Math.floor(t % 60)).padStart(2, "0")}m`;
     const mins = Math.floor(t);
     const secs = String(Math.floor((t % 1) * 60)).padStart(2, "0");
     return `${mins}:${secs}`;
   }
+  // 95 % range of a forecast crossing (see forecast.js)
+  const fmtCrossRange = c => `${fmtCountdown(c.minLo)}–${c.minHi === null ? ">12h" : fmtCountdown(c.minHi)}`;
 
   // ════════════════════════════════════════════════════════════════════════════
   return (
@@ -573,8 +2601,28 @@ export default function App() {
         </div>
       )}
 
+      {/* ── SITE PROFILE ─────────────────────────────────────────────────── */}
+      {settingsOpen && (
+        <SettingsPanel profile={profile} onApply={applyProfile} onClose={() => setSettingsOpen(false)}
+          busy={recording ? "recording" : replaySource ? "replay" : null} />
+      )}
+
+      {/* ── CERTIFICATE VERIFICATION ─────────────────────────────────────── */}
+      {verifyOpen && <CertificateVerifier onClose={() => setVerifyOpen(false)} />}
+      {baselinesOpen && (
+        <BaselineManager key={zone.id} zone={zone} store={baselineStore} sourceBaseline={source.baselines[zone.id]}
+          sourceLabel={source.label} drift={profile.drift} driftMean={driftRef.current[zone.id]?.mean ?? 0}
+          capture={capture} now={clock.getTime()} paused={source.kind === "replay"}
+          onCapture={startCapture} onCancelCapture={cancelCapture}
+          onUse={id => setBaselineStore(s => setActiveVersion(s, zone.id, id))}
+          onDelete={id => setBaselineStore(s => removeVersion(s, id))}
+          onImport={importBaseline}
+          onDrift={drift => setProfile(p => ({ ...p, drift }))}
+          onClose={() => setBaselinesOpen(false)} />
+      )}
+
       {/* ── CRITICAL ALERT BANNER ────────────────────────────────────────── */}
-      {critAlert && (
+      {banner && (
         <div style={{
           background: "rgba(248,113,113,0.07)", borderBottom: "1px solid rgba(248,113,113,0.18)",
           padding: "9px 20px", display: "flex", alignItems: "center", gap: 12,
@@ -583,19 +2631,21 @@ export default function App() {
           <span style={{ width: 6, height: 6, borderRadius: "50%", background: "#f87171",
             animation: "pulse 0.8s infinite", flexShrink: 0 }} />
           <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#f87171", letterSpacing: 2 }}>CRITICAL</span>
-          <span style={{ fontFamily: "'Inter',sans-serif", fontSize: 11, color: "#fecaca", flex: 1 }}>{critAlert.what}</span>
-          {critAlert.loc && (
+          <span style={{ fontFamily: "'Inter',sans-serif", fontSize: 11, color: "#fecaca", flex: 1 }}>{banner.what}</span>
+          {banner.loc && (
             <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#f87171", opacity: 0.65 }}>
-              📍 {critAlert.loc}
+              📍 {banner.loc}
             </span>
           )}
-          <span style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#475569", flex: 1 }}>→ {critAlert.action}</span>
-          <button onClick={() => ackAlert(critAlert.id)} style={{
-            marginLeft: "auto", background: "transparent",
-            border: "1px solid rgba(248,113,113,0.3)", color: "#f87171",
-            padding: "4px 14px", borderRadius: 4, fontFamily: "'IBM Plex Mono',monospace",
-            fontSize: 8, letterSpacing: 1, flexShrink: 0,
-          }}>Acknowledge</button>
+          <span style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#475569", flex: 1 }}>→ {banner.action}</span>
+          {!replaySource && (
+            <button onClick={banner.ack} style={{
+              marginLeft: "auto", background: "transparent",
+              border: "1px solid rgba(248,113,113,0.3)", color: "#f87171",
+              padding: "4px 14px", borderRadius: 4, fontFamily: "'IBM Plex Mono',monospace",
+              fontSize: 8, letterSpacing: 1, flexShrink: 0,
+            }}>Acknowledge</button>
+          )}
         </div>
       )}
 
@@ -618,7 +2668,7 @@ export default function App() {
               <line x1="17"   y1="4"  x2="17"   y2="13.5" stroke="#22d3a0" strokeWidth="0.9" opacity="0.35" />
               <line x1="17"   y1="20.5" x2="17" y2="30"   stroke="#22d3a0" strokeWidth="0.9" opacity="0.35" />
             </svg>
-            {bari > 0.55 && (
+            {band >= 2 && (
               <div style={{ position: "absolute", top: 1, right: 1, width: 8, height: 8,
                 borderRadius: "50%", background: "#f87171", animation: "pulse 0.8s infinite" }} />
             )}
@@ -627,8 +2677,24 @@ export default function App() {
             <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 13, fontWeight: 700, letterSpacing: 1.5, color: "#e2e8f0" }}>
               EXI · AIRFLOW INTEGRITY
             </div>
-            <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52", marginTop: 2 }}>
-              Zone A1 · Rows 4–5 · {N_SENSORS} sensors · 10 Hz
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 2 }}>
+              <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#2a4a5a" }}>{site.name}</span>
+              <select value={zone.id} onChange={e => selectZone(e.target.value)} style={{
+                background: "#060d18", border: "1px solid #0d1e2e", color: "#4a6a80", borderRadius: 3,
+                fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, padding: "1px 3px", outline: "none",
+              }}>
+                {site.zones.map(z => (
+                  <option key={z.id} value={z.id}>{zoneAlarm(z.id) ? "⚡ " : ""}{z.name} · {z.rows}</option>
+                ))}
+              </select>
+              <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52" }}>
+                {zone.sensors} sensors · 10 Hz
+              </span>
+              {otherAlarms > 0 && (
+                <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#f87171" }}>
+                  ⚡ {otherAlarms} other zone{otherAlarms > 1 ? "s" : ""}
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -663,25 +2729,73 @@ export default function App() {
 
         {/* Clock + status */}
         <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
+          <div style={{ display: "flex", gap: 5 }}>
+            {!replaySource && (
+              <button onClick={toggleRecording} title={recording ? "Stop and download session" : "Record session"} style={{
+                background: recording ? "rgba(248,113,113,0.08)" : "transparent",
+                border: `1px solid ${recording ? "rgba(248,113,113,0.3)" : "#0d1e2e"}`,
+                color: recording ? "#f87171" : "#2a4a5a", padding: "4px 9px", borderRadius: 4,
+                fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, letterSpacing: 0.5,
+              }}>
+                {recording ? `■ ${fmtElapsed(clock.getTime() - recording.startedAt)}` : "● REC"}
+              </button>
+            )}
+            <button onClick={() => sessionFileRef.current.click()} title="Replay a recorded session" style={{
+              background: "transparent", border: "1px solid #0d1e2e", color: "#2a4a5a",
+              padding: "4px 9px", borderRadius: 4, fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, letterSpacing: 0.5,
+            }}>⏏ REPLAY</button>
+            <input ref={sessionFileRef} type="file" accept=".json,application/json" onChange={loadSession} style={{ display: "none" }} />
+            <button onClick={() => setSettingsOpen(true)} title="Site profile" style={{
+              background: "transparent", border: "1px solid #0d1e2e", color: "#2a4a5a",
+              padding: "4px 9px", borderRadius: 4, fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, letterSpacing: 0.5,
+            }}>⚙ SITE</button>
+          </div>
           <div style={{ textAlign: "right" }}>
             <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 10, color: "#1e3a52" }}>
               {clock.toLocaleTimeString()}
             </div>
             <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e", letterSpacing: 1 }}>
-              LIVE · EST
+              {{ simulation: "SIM", replay: "REPLAY" }[source.kind] || "LIVE"} · EST
             </div>
           </div>
-          <div style={{ display: "flex", alignItems: "center", gap: 7, padding: "7px 14px",
-            background: "#060d18", border: `1px solid ${sysColor}22`, borderRadius: 6 }}>
+          <div title={`Source: ${source.label}${feedRejects ? `\n${feedRejects.count} frames rejected — last: ${feedRejects.reason}` : ""}`}
+            style={{ display: "flex", alignItems: "center", gap: 7, padding: "7px 14px",
+              background: "#060d18", border: `1px solid ${sysColor}22`, borderRadius: 6 }}>
             <span style={{ width: 6, height: 6, borderRadius: "50%", background: sysColor, flexShrink: 0,
               animation: sysStatus !== "NOMINAL" ? "pulse 1s infinite" : "none" }} />
             <span style={{ fontFamily: "'Syne',sans-serif", fontSize: 11, fontWeight: 600, color: sysColor, letterSpacing: 0.4 }}>
               {sysStatus}
             </span>
+            {feedRejects && (
+              <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#fb923c", letterSpacing: 1 }}>
+                {feedRejects.count} REJECTED
+              </span>
+            )}
           </div>
         </div>
       </header>
 
+      {/* ── REPLAY TIMELINE ──────────────────────────────────────────────── */}
+      {replaySource && replayCursor && (
+        <ReplayTimeline session={replaySource.session} cursor={replayCursor}
+          onPlay={replaySource.play} onPause={replaySource.pause} onSeek={replaySource.seek}
+          onSpeed={replaySource.setSpeed} onExit={exitReplay} />
+      )}
+
+      {/* ── NOTICE ───────────────────────────────────────────────────────── */}
+      {notice && (
+        <div style={{
+          background: "rgba(251,146,60,0.05)", borderBottom: "1px solid rgba(251,146,60,0.18)",
+          padding: "8px 20px", display: "flex", alignItems: "center", gap: 12,
+          flexShrink: 0, animation: "hintS 0.4s ease",
+        }}>
+          <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 9, color: "#fb923c" }}>⚠ {notice.msg}</span>
+          <button onClick={() => setNotice(null)} style={{
+            background: "none", border: "none", color: "#1e3a52", fontSize: 16, marginLeft: "auto",
+          }}>×</button>
+        </div>
+      )}
+
       {/* ── HINT BAR ─────────────────────────────────────────────────────── */}
       {hint && (
         <div style={{
@@ -707,25 +2821,32 @@ export default function App() {
         <div style={{ flex: 1, overflow: "auto", display: "flex", flexDirection: "column" }}>
 
           {/* KPI Strip */}
-          <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", borderBottom: "1px solid #0a1520", flexShrink: 0 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(6,1fr)", borderBottom: "1px solid #0a1520", flexShrink: 0 }}>
             {[
               { label: "BYPASS RISK",      val: bariLabel,
                 sub: `BARI ${bariPct}/100`, color: bariColor, big: true },
               { label: "LIVE WASTE",
                 val: bypassKW > 0 ? `${bypassKW.toFixed(1)} kW` : "—",
-                sub: bypassKW > 0 ? `$${costPerHr.toFixed(2)}/hr · $${Math.floor(costPerHr * 8760).toLocaleString()}/yr proj.` : "Containment nominal",
+                sub: `${bypassKW > 0 ? `$${costPerHr.toFixed(2)}/hr` : "Containment nominal"} · $${zoneSpent(0).cost.toFixed(2)} today`,
                 color: bypassKW > 5 ? "#f87171" : "#22d3a0" },
               { label: "CO₂ IMPACT",
-                val: bypassKW > 0 ? `${Math.floor(co2PerHr)} g/hr` : "0 g/hr",
-                sub: bypassKW > 0 ? `~${(bypassKW * CO2_FACTOR * 8760).toFixed(0)} kg/yr` : "No bypass carbon",
+                val: `${co2PerHr.toFixed(1)} kg/hr`,
+                sub: `${zoneSpent(0).co2Kg.toFixed(1)} kg today · ${zoneSpent(2).co2Kg.toFixed(0)} kg over 30 d`,
                 color: bypassKW > 5 ? "#fb923c" : "#22d3a0" },
               { label: "ACTIVE BREACHES",
                 val: String(breaches.length),
                 sub: breaches.length > 0 ? "Locate & reseal now" : "Containment sealed",
                 color: breaches.length > 0 ? "#f87171" : "#22d3a0" },
-              timeToLimit !== null
-                ? { label: "TIME TO ASHRAE A1", val: fmtCountdown(timeToLimit),
-                    sub: `+${trend.toFixed(2)}°C/min — act now`, color: "#f87171", big: true }
+              { label: "RESPONSE",
+                val: response.mtta !== null ? `MTTA ${fmtElapsed(response.mtta)}` : "MTTA —",
+                sub: `MTTR ${response.mttr !== null ? fmtElapsed(response.mttr) : "—"} · ${response.open} open · ${response.resolved} resolved`,
+                color: response.open > 0 ? "#fbbf24" : "#22d3a0" },
+              rise
+                ? { label: `TIME TO ASHRAE ${rise.crossing.cls}`, val: fmtCountdown(rise.crossing.min),
+                    sub: `R${rise.rack + 1} +${rise.rate.toFixed(2)}°C/min · 95% ${fmtCrossRange(rise.crossing)}`, color: "#f87171", big: true }
+                : maxRackTemp > A1_LIMIT
+                ? { label: "ASHRAE STATUS", val: `In ${hottestRack.cls}`,
+                    sub: `${hottestRack.id} at ${maxRackTemp.toFixed(1)}°C · not rising`, color: hottestRack.color }
                 : { label: "ASHRAE STATUS", val: "Within A1",
                     sub: "All racks within thermal envelope", color: "#22d3a0" },
             ].map((m, i) => (
@@ -770,18 +2891,38 @@ export default function App() {
               <div style={{ marginTop: 16, padding: "14px 16px", background: "#060d18", borderRadius: 6,
                 border: "1px solid #0a1520", display: "flex", alignItems: "center", gap: 14 }}>
                 <BariGauge bari={bari} bariColor={bariColor} bariLabel={bariLabel} size="lg" />
-                <div>
+                <div style={{ flex: 1 }}>
                   <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 12, fontWeight: 700, color: bariColor }}>{bariLabel}</div>
                   <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 9, color: "#2a4a5a", marginTop: 3, lineHeight: 1.5 }}>
                     Bypass Airflow Risk Index<br />Composite: Thermal · ΔP · Inlet
                   </div>
+                  {/* Weighted contribution of each component; together they make up the gauge */}
+                  {TREND_PARTS.map(({ k, l, c }) => {
+                    const score = { thermal: thermalScore, dp: dpScore, rack: rackScore }[k];
+                    const v = bariCfg.weights[k] * score;
+                    return (
+                      <div key={k} style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4 }}>
+                        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52", width: 42 }}>{l}</span>
+                        <div style={{ flex: 1, height: 3, background: "#0a1520", borderRadius: 2 }}>
+                          <div style={{ width: `${score * 100}%`, height: "100%", background: c, borderRadius: 2, transition: "width 0.5s" }} />
+                        </div>
+                        <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: c, width: 34, textAlign: "right" }}>
+                          +{Math.round(v * 100)}/{Math.round(bariCfg.weights[k] * 100)}
+                        </span>
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
+              <BariTrend trend={trendRef.current} zone={zone} now={clock.getTime()} cfg={bariCfg} />
             </div>
 
             {/* Event log */}
             <div style={{ borderRight: "1px solid #0a1520", padding: "20px 22px", overflow: "auto" }}>
-              <SectionHead title="Event Log" tag={`${alerts.length} EVENTS`} action="Full log →" onAction={() => setMode("engineering")} />
+              <SectionHead title="Event Log"
+                tag={logView === "incidents" ? `${incidents.length} INCIDENTS · ${alerts.length} EVENTS` : `${alerts.length} EVENTS`}
+                action="Full log →" onAction={() => setMode("engineering")} />
+              <div style={{ marginTop: 6 }}>{logToggle}</div>
               <div style={{ display: "flex", flexDirection: "column", gap: 7, marginTop: 10 }}>
                 {alerts.length === 0 && (
                   <div style={{ padding: "28px 0", textAlign: "center" }}>
@@ -791,15 +2932,26 @@ export default function App() {
                     </div>
                   </div>
                 )}
-                {alerts.slice(0, 7).map(a => {
+                {logItems.slice(0, 7).map(({ key, incident: inc, alert }) => {
+                  const spent = inc && costOf(inc.alerts);
+                  const a = inc ? {
+                    lvl: inc.severity, state: inc.state, time: new Date(inc.firstSeen).toLocaleTimeString(),
+                    what: `${inc.id} · ${inc.alerts.length} alert${inc.alerts.length === 1 ? "" : "s"} · peak ΔT +${inc.peakDelta.toFixed(1)}°C · ~${(inc.state === "resolved" ? inc.peakBypassKW : inc.bypassKW).toFixed(1)} kW${spent?.breaches ? ` · $${spent.cost.toFixed(2)}` : ""}`,
+                    loc: inc.loc,
+                  } : alert;
                   const c = { CRITICAL: "#f87171", BREACH: "#f87171", WARNING: "#fbbf24", CLEAR: "#22d3a0" }[a.lvl] || "#3a5a70";
                   return (
-                    <div key={a.id} style={{ display: "flex", gap: 9, padding: "9px 11px",
+                    <div key={key} style={{ display: "flex", gap: 9, padding: "9px 11px",
                       background: "#060d18", borderRadius: 5, border: "1px solid #0a1520", animation: "slideD 0.3s ease" }}>
                       <div style={{ width: 3, background: c, borderRadius: 2, flexShrink: 0, alignSelf: "stretch" }} />
                       <div style={{ flex: 1, minWidth: 0 }}>
                         <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 2 }}>
-                          <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: c, letterSpacing: 1.5 }}>{a.lvl}</span>
+                          <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: c, letterSpacing: 1.5 }}>
+                            {a.lvl}
+                            {ACTIONABLE.has(a.lvl) && (
+                              <span style={{ color: ALERT_STATE[a.state].color, marginLeft: 6 }}>· {ALERT_STATE[a.state].label}</span>
+                            )}
+                          </span>
                           <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52" }}>{a.time}</span>
                         </div>
                         <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 11, color: "#6a8a9a",
@@ -812,28 +2964,21 @@ export default function App() {
               </div>
             </div>
 
-            {/* Integrations + compliance */}
+            {/* Realized cost + integrations + compliance */}
             <div style={{ padding: "20px 22px", overflow: "auto" }}>
-              <SectionHead title="Integrations" tag="ALL CONNECTED" />
+              <SectionHead title="Realized Cost" tag={`$${energy.rate}/kWh`} />
+              <EnergyLedger periods={ledgerPeriods} zones={site.zones} ledger={ledgerRef.current.data()} now={ledgerAt} replay={!!replaySource} />
+              <div style={{ marginTop: 18 }} />
+              <SectionHead title="Integrations" tag={notifyFailing ? "DELIVERY ERRORS" : "ALL CONNECTED"} />
               <div style={{ display: "flex", flexDirection: "column", marginTop: 10 }}>
-                {[
-                  { l: "DCIM Platform",  s: "REST · 10s poll"       },
-                  { l: "BMS / CRAC",     s: "BACnet/IP · 30s poll"  },
-                  { l: "PagerDuty",      s: "Webhook · on-event"    },
-                  { l: "Modbus PDU",     s: "TCP · 5s poll"         },
-                ].map(r => (
-                  <div key={r.l} style={{ display: "flex", justifyContent: "space-between", alignItems: "center",
-                    padding: "10px 0", borderBottom: "1px solid #060d18" }}>
-                    <div>
-                      <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 11, color: "#4a6a7a" }}>{r.l}</div>
-                      <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#0d1e2e", marginTop: 2 }}>{r.s}</div>
-                    </div>
-                    <div style={{ display: "flex", alignItems: "center", gap: 5 }}>
-                      <span style={{ width: 5, height: 5, borderRadius: "50%", background: "#22d3a0", display: "inline-block" }} />
-                      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#22d3a0" }}>Live</span>
-                    </div>
-                  </div>
-                ))}
+                <IntegrationRow label="DCIM Platform" sub="REST API v1 · :8788" />
+                <IntegrationRow label="BMS / CRAC" sub="BACnet/IP · 30s poll" />
+                {notifyHealth.map(h => <NotifyRow key={h.id} health={h} onTest={() => notifier.test(h.id)} />)}
+                {notifyHealth.length === 0 && (
+                  <IntegrationRow label="PagerDuty / Webhook" sub="No notification targets" color="#2a4a5a"
+                    status="Not configured · ⚙ SITE" onStatus={() => setSettingsOpen(true)} />
+                )}
+                <IntegrationRow label="Modbus TCP" sub="BMS / PDU · register map v1 · :5020" />
               </div>
               <div style={{ marginTop: 16 }}>
                 <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e", letterSpacing: 2, marginBottom: 9 }}>
@@ -850,7 +2995,8 @@ export default function App() {
             </div>
           </div>
 
-          <BreachControls breaches={breaches} induce={induce} clear={clearAll} />
+          <BreachControls breaches={breaches} points={zone.breachPoints} induce={induce} clear={clearAll} crac={crac} disturb={disturb}
+            scenarios={scenarios} scenario={scenario} play={playScenario} stop={stopScenario} onImport={importScenario} now={clock.getTime()} locked={!!replaySource} />
         </div>
       )}
 
@@ -865,7 +3011,7 @@ export default function App() {
               <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
                 <div>
                   <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 13, fontWeight: 600, color: "#d1e8f0" }}>
-                    Containment Zone A1 — 3D Isometric
+                    Containment {zone.name} — 3D Isometric
                   </div>
                   <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52", marginTop: 2 }}>
                     Fiber thermal overlay · Breach plumes · Airflow vectors
@@ -881,13 +3027,13 @@ export default function App() {
                 </div>
               </div>
               <div style={{ flex: 1, minHeight: 0 }}>
-                <IsoDataCenter breaches={breaches} temps={temps} rackPowers={rackPwr} />
+                <IsoDataCenter zone={zone} breaches={breaches} fixes={fixes} temps={temps} rackPowers={rackPwr} />
               </div>
             </div>
           </div>
 
           {/* Rack status bar */}
-          <div style={{ display: "grid", gridTemplateColumns: `repeat(${N_RACKS},1fr)`,
+          <div style={{ display: "grid", gridTemplateColumns: `repeat(${zone.racks},1fr)`,
             borderTop: "1px solid #0a1520", background: "#060d18", flexShrink: 0 }}>
             {rackZones.map(z => (
               <div key={z.id} style={{ padding: "10px 12px", borderRight: "1px solid #060d18", textAlign: "center" }}>
@@ -899,7 +3045,8 @@ export default function App() {
               </div>
             ))}
           </div>
-          <BreachControls breaches={breaches} induce={induce} clear={clearAll} compact />
+          <BreachControls breaches={breaches} points={zone.breachPoints} induce={induce} clear={clearAll} crac={crac} disturb={disturb}
+            scenarios={scenarios} scenario={scenario} play={playScenario} stop={stopScenario} onImport={importScenario} now={clock.getTime()} compact locked={!!replaySource} />
         </div>
       )}
 
@@ -924,17 +3071,21 @@ export default function App() {
               </div>
             </div>
 
-            {timeToLimit !== null && (
+            {rise && (
               <div style={{ padding: "12px 16px", borderBottom: "1px solid #0a1520", background: "rgba(248,113,113,0.04)" }}>
                 <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#7f1d1d", letterSpacing: 2, marginBottom: 6 }}>
-                  ASHRAE COUNTDOWN
+                  ASHRAE COUNTDOWN · R{rise.rack + 1}
                 </div>
                 <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 24, fontWeight: 800, color: "#f87171",
                   letterSpacing: -1, textShadow: "0 0 16px rgba(248,113,113,0.35)" }}>
-                  {fmtCountdown(timeToLimit)}
+                  {fmtCountdown(rise.crossing.min)}
+                  <span style={{ fontSize: 10, fontWeight: 400, letterSpacing: 0 }}> to {rise.crossing.cls}</span>
                 </div>
-                <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#7f1d1d", marginTop: 3 }}>
-                  +{trend.toFixed(2)}°C/min
+                <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#7f1d1d", marginTop: 3, lineHeight: 1.8 }}>
+                  {rise.temp.toFixed(1)}°C · +{rise.rate.toFixed(2)}°C/min ({rise.lo.toFixed(2)}–{rise.hi.toFixed(2)})<br />
+                  {rise.crossings.map(c => (
+                    <span key={c.cls}>{c.cls} {c.limit}°C · {fmtCountdown(c.min)} <span style={{ opacity: 0.7 }}>({fmtCrossRange(c)})</span><br /></span>
+                  ))}
                 </div>
               </div>
             )}
@@ -947,7 +3098,10 @@ export default function App() {
                 {bypassKW.toFixed(1)}<span style={{ fontSize: 10, fontWeight: 400 }}> kW</span>
               </div>
               <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52", marginTop: 2 }}>
-                ${costPerHr.toFixed(2)}/hr · {Math.floor(co2PerHr)} g CO₂/hr
+                ${costPerHr.toFixed(2)}/hr · {co2PerHr.toFixed(1)} kg CO₂/hr
+              </div>
+              <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52", marginTop: 2 }}>
+                Today {fmtCost(zoneSpent(0))}
               </div>
             </div>
 
@@ -956,12 +3110,12 @@ export default function App() {
                 DIFF PRESSURE
               </div>
               {dpArr.map((dp, i) => {
-                const drop = baseDpRef.current[i] - dp;
+                const drop = baseDp[i] - dp;
                 const alarm = drop > 7;
                 return (
                   <div key={i} style={{ marginBottom: 8 }}>
                     <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 2 }}>
-                      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52" }}>DP-{String.fromCharCode(65 + i)}</span>
+                      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52" }}>{dpLabel(i)}</span>
                       <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 9, color: alarm ? "#f87171" : "#94a3b8" }}>
                         {dp.toFixed(1)} Pa
                       </span>
@@ -975,65 +3129,92 @@ export default function App() {
               })}
             </div>
 
-            <div style={{ padding: "12px 16px" }}>
-              <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e", letterSpacing: 2, marginBottom: 6 }}>
-                DETECTION ALGO
-              </div>
-              <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52", lineHeight: 2 }}>
-                Z-score · 30s window<br />
-                σ×2.5 threshold<br />
-                Gaussian σ=5<br />
-                15s sustain required<br />
-                Dual-fiber correction<br />
-                <span style={{ color: "#22d3a0" }}>89% prec · 84% recall</span>
-              </div>
-            </div>
+            <DetectorPanel cfg={detectorCfg} state={detStates[zone.id] || null} paused={source.kind === "replay"}
+              physLoc={i => physLoc(zone, i)} onApply={cfg => setProfile(p => ({ ...p, detector: cfg }))} />
+            <BaselinePanel version={source.kind === "replay" ? null : activeVersion(baselineStore, zone)} sourceLabel={source.label}
+              drift={profile.drift} driftMean={driftRef.current[zone.id]?.mean ?? 0} capture={capture} now={clock.getTime()}
+              onManage={() => setBaselinesOpen(true)} />
           </div>
 
           {/* Heatmap center */}
           <div style={{ flex: 1, display: "flex", flexDirection: "column", overflow: "hidden", borderRight: "1px solid #0a1520" }}>
-            <div style={{ flex: 1, padding: "16px 18px", display: "flex", flexDirection: "column", overflow: "hidden" }}>
+            <div style={{ flex: 1, padding: "16px 18px", overflowY: "auto" }}>
               <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
                 <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 12, fontWeight: 600, color: "#4a6a80" }}>
                   Distributed Fiber Temperature Profile
                 </div>
-                <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e" }}>
-                  ±0.18°C · ~6cm pitch · Inferred air temp
-                </span>
+                <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                  <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: imported ? "#60a5fa" : "#0d1e2e" }}>
+                    {imported
+                      ? `ODiSI · ${imported.gauges.toLocaleString()} gauges → ${zone.sensors} · ${imported.lengthM.toFixed(2)} m · ${imported.sweeps} sweeps`
+                      : "±0.18°C · ~6cm pitch · Inferred air temp"}
+                  </span>
+                  <button onClick={() => odisiFileRef.current.click()} title="Load a Luna ODiSI text/CSV export" style={{
+                    background: "transparent", border: "1px solid #0d1e2e", color: "#2a4a5a",
+                    padding: "3px 8px", borderRadius: 4, fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, letterSpacing: 0.5,
+                  }}>⇪ Import ODiSI</button>
+                  <input ref={odisiFileRef} type="file" accept=".txt,.csv,.tsv,text/plain,text/csv" onChange={importOdisi} style={{ display: "none" }} />
+                </div>
               </div>
 
-              {/* Zone labels */}
+              {/* Segment labels */}
               <div style={{ display: "flex", marginBottom: 2 }}>
-                {["ZONE A", "ZONE B", "ZONE C", "ZONE D"].map((z, i) => (
+                {["SEG A", "SEG B", "SEG C", "SEG D"].map((z, i) => (
                   <div key={z} style={{ flex: 1, textAlign: "center", fontFamily: "'IBM Plex Mono',monospace",
                     fontSize: 6, color: "#0d1e2e", letterSpacing: 2,
                     borderRight: i < 3 ? "1px solid #060d18" : "none" }}>{z}</div>
                 ))}
               </div>
               <div style={{ display: "flex", marginBottom: 2 }}>
-                {Array.from({ length: N_RACKS }, (_, i) => (
-                  <div key={i} style={{ flex: N_SENSORS / N_RACKS, textAlign: "center",
+                {Array.from({ length: zone.racks }, (_, i) => (
+                  <div key={i} style={{ flex: zone.sensors / zone.racks, textAlign: "center",
                     fontFamily: "'IBM Plex Mono',monospace", fontSize: 6, color: "#0a1e2e" }}>R{i + 1}</div>
                 ))}
               </div>
 
-              {/* Heatmap */}
-              <div style={{ display: "flex", height: 56, borderRadius: 3, overflow: "hidden",
-                border: "1px solid #060d18", cursor: "crosshair" }}
-                onMouseLeave={() => setHov(null)}>
-                {temps.map((t, i) => {
-                  const dt = t - baselineRef.current[i];
+              {/* Heatmap, with each plume fit's 95% band and centre on top */}
+              <div style={{ position: "relative" }}>
+                <div style={{ display: "flex", height: 56, borderRadius: 3, overflow: "hidden",
+                  border: "1px solid #060d18", cursor: "crosshair" }}
+                  onMouseLeave={() => setHov(null)}>
+                  {temps.map((t, i) => {
+                    const dt = t - baseline[i];
+                    return (
+                      <div key={i} style={{
+                        flex: 1, background: tempToColor(t), transition: "background 0.5s",
+                        transform: dt > 3 ? `scaleY(${1 + dt * 0.04})` : "scaleY(1)",
+                        transformOrigin: "bottom",
+                        outline: hov === i ? "1.5px solid rgba(255,255,255,0.55)" : "none",
+                      }}
+                        onMouseEnter={() => setHov(i)} />
+                    );
+                  })}
+                </div>
+                {fixes.map(f => {
+                  const c = f.alerted ? "#f87171" : "#fbbf24";
                   return (
-                    <div key={i} style={{
-                      flex: 1, background: tempToColor(t), transition: "background 0.5s",
-                      transform: dt > 3 ? `scaleY(${1 + dt * 0.04})` : "scaleY(1)",
-                      transformOrigin: "bottom",
-                      outline: hov === i ? "1.5px solid rgba(255,255,255,0.55)" : "none",
-                    }}
-                      onMouseEnter={() => setHov(i)} />
+                    <React.Fragment key={f.id}>
+                      <div style={{ position: "absolute", top: 0, bottom: 0, pointerEvents: "none",
+                        left: `${((f.lo + 0.5) / zone.sensors) * 100}%`, width: `max(2px, ${((f.hi - f.lo) / zone.sensors) * 100}%)`,
+                        background: `${c}33`, borderLeft: `1px dashed ${c}`, borderRight: `1px dashed ${c}` }} />
+                      <div style={{ position: "absolute", top: -3, bottom: -3, width: 1.5, background: c, pointerEvents: "none",
+                        left: `${((f.pos + 0.5) / zone.sensors) * 100}%` }} />
+                    </React.Fragment>
                   );
                 })}
               </div>
+              {fixes.map(f => (
+                <div key={f.id} style={{ display: "flex", gap: 10, marginTop: 4, fontFamily: "'IBM Plex Mono',monospace", fontSize: 7,
+                  color: f.alerted ? "#f87171" : "#fbbf24", flexWrap: "wrap" }}>
+                  <span>PLUME FIT #{f.pos.toFixed(2)} · ±{(((f.hi - f.lo) / 2) * cmPer).toFixed(1)} cm (95%)</span>
+                  <span style={{ color: "#1e3a52" }}>{physLoc(zone, f.pos)} · {f.method}</span>
+                  {f.truth !== null && (
+                    <span style={{ color: "#94a3b8" }}>
+                      error {(Math.abs(f.pos - f.truth) * cmPer).toFixed(1)} cm vs true #{f.truth.toFixed(2)}
+                    </span>
+                  )}
+                </div>
+              ))}
 
               {/* Delta strip */}
               <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 6, color: "#0a1e2e", letterSpacing: 2, margin: "6px 0 2px" }}>
@@ -1052,6 +3233,26 @@ export default function App() {
                 })}
               </div>
 
+              {/* Pinned waterfall slice */}
+              {pin && (
+                <>
+                  <div style={{ display: "flex", alignItems: "center", gap: 8, margin: "6px 0 2px" }}>
+                    <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 6, color: "#94a3b8", letterSpacing: 2 }}>
+                      PINNED · {new Date(pin.ts).toLocaleTimeString()}
+                    </span>
+                    <button onClick={() => setPinned(null)} style={{ background: "none", border: "none",
+                      fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#1e3a52" }}>✕ unpin</button>
+                  </div>
+                  <div style={{ display: "flex", height: 14, borderRadius: 2, overflow: "hidden", border: "1px solid #060d18" }}
+                    onMouseLeave={() => setHov(null)}>
+                    {pin.temps.map((t, i) => (
+                      <div key={i} onMouseEnter={() => setHov(i)} style={{ flex: 1, background: tempToColor(t),
+                        outline: hov === i ? "1.5px solid rgba(255,255,255,0.55)" : "none" }} />
+                    ))}
+                  </div>
+                </>
+              )}
+
               {/* Color scale */}
               <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 7 }}>
                 <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e" }}>14°</span>
@@ -1069,7 +3270,7 @@ export default function App() {
                   background: "#060d18", borderRadius: 4, border: "1px solid #0d1e2e",
                   animation: "fadeI 0.15s ease", flexWrap: "wrap" }}>
                   <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52" }}>#{hov}</span>
-                  <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52" }}>{physLoc(hov)}</span>
+                  <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52" }}>{physLoc(zone, hov)}</span>
                   <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 9, color: "#fbbf24", fontWeight: 500 }}>
                     {temps[hov]?.toFixed(2)}°C
                   </span>
@@ -1077,16 +3278,24 @@ export default function App() {
                     color: deltas[hov] > 1.5 ? "#f87171" : "#2a4a5a" }}>
                     Δ{deltas[hov] > 0 ? "+" : ""}{deltas[hov]?.toFixed(2)}°C
                   </span>
+                  {pin && (
+                    <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 9, color: "#94a3b8" }}>
+                      pinned {pin.temps[hov].toFixed(2)}°C · Δ{pin.temps[hov] - baseline[hov] >= 0 ? "+" : ""}{(pin.temps[hov] - baseline[hov]).toFixed(2)}°C
+                    </span>
+                  )}
                   <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0a1520" }}>INFERRED ±0.18°C</span>
                 </div>
               )}
 
+              <Waterfall history={historyRef.current} zone={zone} baseline={baseline} now={clock.getTime()}
+                pinned={pin} onPin={setPinned} />
+
               {/* Rack bars */}
               <div style={{ marginTop: 14 }}>
                 <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 6, color: "#0a1e2e", letterSpacing: 2, marginBottom: 6 }}>
                   RACK TEMPERATURE & POWER
                 </div>
-                <div style={{ display: "grid", gridTemplateColumns: `repeat(${N_RACKS},1fr)`, gap: 4 }}>
+                <div style={{ display: "grid", gridTemplateColumns: `repeat(${zone.racks},1fr)`, gap: 4 }}>
                   {rackZones.map(z => (
                     <div key={z.id} style={{ textAlign: "center" }}>
                       <div style={{ height: 36, background: "#060d18", borderRadius: 2, overflow: "hidden",
@@ -1105,7 +3314,8 @@ export default function App() {
                 </div>
               </div>
             </div>
-            <BreachControls breaches={breaches} induce={induce} clear={clearAll} compact />
+            <BreachControls breaches={breaches} points={zone.breachPoints} induce={induce} clear={clearAll} crac={crac} disturb={disturb}
+              scenarios={scenarios} scenario={scenario} play={playScenario} stop={stopScenario} onImport={importScenario} now={clock.getTime()} compact locked={!!replaySource} />
           </div>
 
           {/* Alert panel */}
@@ -1113,12 +3323,14 @@ export default function App() {
             <div style={{ padding: "14px 16px", borderBottom: "1px solid #0a1520", display: "flex",
               justifyContent: "space-between", alignItems: "center" }}>
               <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e", letterSpacing: 2 }}>EVENT LOG</span>
-              {unackedCount > 0 && (
-                <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#f87171" }}>
-                  {unackedCount} UNACKNOWLEDGED
-                </span>
-              )}
+              {logToggle}
             </div>
+            {unackedCount > 0 && (
+              <div style={{ padding: "5px 16px", borderBottom: "1px solid #0a1520",
+                fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#f87171" }}>
+                {unackedCount} UNACKNOWLEDGED
+              </div>
+            )}
             <div style={{ flex: 1, overflowY: "auto", padding: "10px 12px", display: "flex", flexDirection: "column", gap: 8 }}>
               {alerts.length === 0 && (
                 <div style={{ padding: "28px 0", textAlign: "center" }}>
@@ -1128,9 +3340,10 @@ export default function App() {
                   </div>
                 </div>
               )}
-              {alerts.map(a => (
-                <AlertCard key={a.id} alert={a} isAcked={acked.has(a.id)} onAck={() => ackAlert(a.id)} />
-              ))}
+              {logItems.map(item => item.incident ? (
+                <IncidentCard key={item.key} incident={item.incident} cost={costOf(item.incident.alerts)} readOnly={!!replaySource} renderAlert={renderAlert}
+                  onAckAll={() => ackIncident(item.incident)} onResolveAll={() => resolveIncident(item.incident)} />
+              ) : renderAlert(item.alert))}
             </div>
           </div>
         </div>
@@ -1144,7 +3357,7 @@ export default function App() {
               display: "flex", justifyContent: "space-between", alignItems: "center", flexShrink: 0 }}>
               <div>
                 <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 13, fontWeight: 600, color: "#d1e8f0" }}>
-                  Commissioning Wizard — Zone A1
+                  Commissioning Wizard — {zone.name}
                 </div>
                 <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#1e3a52", marginTop: 2 }}>
                   Standard EXI commissioning protocol · ISA-18.2 aligned
@@ -1152,57 +3365,66 @@ export default function App() {
               </div>
               <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
                 <div style={{ height: 3, width: 140, background: "#060d18", borderRadius: 2 }}>
-                  <div style={{ width: `${(cxStep / 7) * 100}%`, height: "100%", background: "#22d3a0", borderRadius: 2, transition: "width 0.4s" }} />
+                  <div style={{ width: `${(cxDone / CX_STEPS.length) * 100}%`, height: "100%", background: "#22d3a0", borderRadius: 2, transition: "width 0.4s" }} />
                 </div>
                 <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#22d3a0" }}>
-                  {Math.min(cxStep, 7)}/7
+                  {cxDone}/{CX_STEPS.length}
                 </span>
+                <button onClick={() => setVerifyOpen(true)} style={{
+                  background: "transparent", border: "1px solid #0d1e2e", color: "#2a4a5a", borderRadius: 4,
+                  fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, padding: "4px 10px", letterSpacing: 0.5,
+                }}>⛨ Verify Certificate</button>
               </div>
             </div>
 
             <div style={{ flex: 1, overflowY: "auto", padding: "14px 22px", display: "flex", flexDirection: "column", gap: 7 }}>
-              {[
-                { t: "Pre-Check: Fiber Continuity",  d: `Verify all ${N_SENSORS} sensors active and calibrated`,          m: `${N_SENSORS}/${N_SENSORS} OK`, lim: "100%"     },
-                { t: "Close All Openings",            d: "Physically seal all containment doors, blanking panels, seams",   m: "Operator confirm",            lim: "Visual"   },
-                { t: "Baseline Capture",              d: "Record 5-minute stable profile under nominal load",              m: "σ = 0.31°C",                  lim: "σ < 0.8°C"},
-                { t: "Breach Detection Test",         d: "Induce 6-inch gap at Zone A — verify detection under 30 seconds", m: cxStep > 3 ? "8.2s ✓" : "Pending", lim: "< 30s"},
-                { t: "Localization Test",             d: "Verify breach located within ±25cm of actual gap position",      m: cxStep > 4 ? "±11cm ✓" : "Pending", lim: "< ±25cm"},
-                { t: "False Positive Test",           d: "CRAC ±3°C swing — confirm zero spurious alerts triggered",       m: cxStep > 5 ? "0 false +ve ✓" : "Pending", lim: "< 2/week"},
-                { t: "Generate Certificate",          d: "Auto-generate signed digital commissioning certificate",         m: cxStep > 6 ? "PDF ready ✓" : "Pending",   lim: "All pass"},
-              ].map((step, i) => {
-                const done   = i < cxStep;
-                const active = i === cxStep;
-                const pending= i > cxStep;
+              {CX_STEPS.map((id, i) => {
+                const step   = cxCopy[id];
+                const res    = cx.steps[id];
+                const done   = res.status === "pass";
+                const failed = res.status === "fail";
+                const active = id === cxNext;
+                const pending= !done && !failed && !active;
+                const accent = failed ? "#f87171" : "#22d3a0";
                 return (
-                  <div key={i} style={{
+                  <div key={id} style={{
                     display: "flex", gap: 12, padding: "12px 14px",
-                    background: active ? "rgba(34,211,160,0.04)" : done ? "rgba(34,211,160,0.02)" : "#050b16",
-                    border: `1px solid ${done ? "rgba(34,211,160,0.18)" : active ? "rgba(34,211,160,0.3)" : "#0a1520"}`,
+                    background: failed ? "rgba(248,113,113,0.04)" : active ? "rgba(34,211,160,0.04)" : done ? "rgba(34,211,160,0.02)" : "#050b16",
+                    border: `1px solid ${failed ? "rgba(248,113,113,0.3)" : done ? "rgba(34,211,160,0.18)" : active ? "rgba(34,211,160,0.3)" : "#0a1520"}`,
                     borderRadius: 5, transition: "all 0.3s",
                   }}>
                     <div style={{ width: 22, height: 22, borderRadius: "50%",
-                      border: `1.5px solid ${done || active ? "#22d3a0" : "#0a1520"}`,
+                      border: `1.5px solid ${done || active || failed ? accent : "#0a1520"}`,
                       display: "flex", alignItems: "center", justifyContent: "center",
                       flexShrink: 0, marginTop: 1, background: done ? "rgba(34,211,160,0.08)" : "transparent" }}>
                       <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8,
-                        color: done || active ? "#22d3a0" : "#1e3a52" }}>
-                        {done ? "✓" : active ? "▶" : `${i + 1}`}
+                        color: done || active || failed ? accent : "#1e3a52" }}>
+                        {done ? "✓" : failed ? "✗" : active ? "▶" : `${i + 1}`}
                       </span>
                     </div>
                     <div style={{ flex: 1 }}>
                       <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 11, fontWeight: 600,
                         color: pending ? "#1e3a52" : "#c8e0f0", letterSpacing: 0.2 }}>{step.t}</div>
-                      {(active || done) && (
+                      {!pending && (
                         <>
                           <div style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#2a4a5a", marginTop: 3, lineHeight: 1.5 }}>{step.d}</div>
                           <div style={{ display: "flex", gap: 14, marginTop: 5 }}>
-                            <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: done ? "#22d3a0" : "#fbbf24" }}>{step.m}</span>
+                            <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: done ? "#22d3a0" : failed ? "#f87171" : "#fbbf24" }}>
+                              {res.display ?? (cx.running === id ? cxProgress(cx, clock.getTime()) : "Pending")}
+                            </span>
                             <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e" }}>Limit: {step.lim}</span>
                           </div>
+                          {res.detail && (
+                            <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: failed ? "#f87171" : "#1e3a52", marginTop: 3, opacity: 0.8 }}>{res.detail}</div>
+                          )}
                         </>
                       )}
                     </div>
-                    {done && <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#22d3a0", alignSelf: "flex-start", marginTop: 2 }}>PASS</span>}
+                    {(done || failed) && (
+                      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: accent, alignSelf: "flex-start", marginTop: 2 }}>
+                        {done ? "PASS" : "FAIL"}
+                      </span>
+                    )}
                   </div>
                 );
               })}
@@ -1210,22 +3432,38 @@ export default function App() {
 
             <div style={{ padding: "12px 22px", borderTop: "1px solid #0a1520",
               display: "flex", gap: 9, alignItems: "center", flexShrink: 0 }}>
-              {cxStep < 7 && (
-                <button onClick={() => { if (cxStep === 3) induce(12, "CX Test — Zone A"); setCxStep(s => s + 1); }}
+              {cx.running === "sealed" ? (
+                <button onClick={() => dispatchCx({ type: "confirm", ts: clock.getTime(), breaches: breaches.length })}
                   style={{ padding: "8px 22px", background: "rgba(34,211,160,0.07)",
                     border: "1px solid rgba(34,211,160,0.25)", color: "#22d3a0", borderRadius: 5,
                     fontFamily: "'Syne',sans-serif", fontSize: 11, fontWeight: 600 }}>
-                  {cxStep === 0 ? "▶ Start Commissioning" : cxStep === 6 ? "✓ Generate Certificate" : "▶ Next Step"}
+                  ✓ Confirm Sealed
+                </button>
+              ) : cxNext && (
+                <button disabled={!!cx.running || !!replaySource} onClick={() => runCx(cxNext)}
+                  style={{ padding: "8px 22px", background: cxRetest ? "rgba(248,113,113,0.07)" : "rgba(34,211,160,0.07)",
+                    border: `1px solid ${cxRetest ? "rgba(248,113,113,0.3)" : "rgba(34,211,160,0.25)"}`,
+                    color: cxRetest ? "#f87171" : "#22d3a0", borderRadius: 5, opacity: cx.running || replaySource ? 0.4 : 1,
+                    fontFamily: "'Syne',sans-serif", fontSize: 11, fontWeight: 600 }}>
+                  {cx.running ? "Running…"
+                    : cxRetest ? `↻ Retest ${cxCopy[cxNext === "locate" ? "detect" : cxNext].t}`
+                    : cxNext === "continuity" ? "▶ Start Commissioning"
+                    : cxNext === "certificate" ? "✓ Generate Certificate" : "▶ Next Step"}
                 </button>
               )}
-              {cxStep > 0 && cxStep < 7 && (
-                <button onClick={() => { clearAll(); setCxStep(0); }}
+              {cxStarted && !cxCertified && (
+                <button onClick={restartCx}
                   style={{ padding: "8px 14px", background: "transparent", border: "1px solid #0a1520",
                     color: "#1e3a52", borderRadius: 5, fontFamily: "'IBM Plex Mono',monospace", fontSize: 9 }}>
                   ↺ Restart
                 </button>
               )}
-              {cxStep >= 7 && (
+              {cxRetest && (
+                <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#f87171" }}>
+                  Certificate blocked until this step passes
+                </div>
+              )}
+              {cxCertified && (
                 <div style={{ fontFamily: "'Syne',sans-serif", fontSize: 12, fontWeight: 600, color: "#22d3a0" }}>
                   ✓ All tests passed — certificate ready
                 </div>
@@ -1236,31 +3474,59 @@ export default function App() {
           {/* Certificate preview */}
           <div style={{ width: 248, borderLeft: "1px solid #0a1520", background: "#050b16", padding: "18px", overflowY: "auto" }}>
             <div style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 7, color: "#0d1e2e", letterSpacing: 2, marginBottom: 12 }}>
-              REPORT PREVIEW
+              {cxCertified && cxCert ? "SIGNED CERTIFICATE" : "REPORT PREVIEW"}
             </div>
             <div style={{ padding: "14px", background: "#060d18", borderRadius: 5, border: "1px solid #0a1520",
               fontFamily: "'IBM Plex Mono',monospace", fontSize: 7.5, color: "#1e3a52", lineHeight: 2.1 }}>
               <div style={{ color: "#22d3a0", fontSize: 8, marginBottom: 6 }}>EXI COMMISSIONING CERTIFICATE</div>
-              Zone: Containment A1 · Rows 4–5<br />
-              Date: {new Date().toLocaleDateString()}<br />
-              Operator: CX-ENG-001<br />
-              Interrogator: Luna ODiSI-6104<br />
-              Fiber: SMF-28e · G.652.D<br />
-              <div style={{ color: "#060d18", margin: "3px 0" }}>────────────────────</div>
-              Sensors: {N_SENSORS}/{N_SENSORS} active<br />
-              Baseline σ: 0.31°C ✓<br />
-              Detection: 8.2s ✓<br />
-              Localization: ±11cm ✓<br />
-              False +ve: 0 ✓<br />
+              Zone: {zone.name} · {zone.rows}<br />
+              Date: {new Date(cx.steps.certificate.finishedAt ?? clock).toLocaleDateString()}<br />
+              <span style={{ color: profile.commissioning.operator ? undefined : "#fb923c" }}>
+                Operator: {profile.commissioning.operator || "not set — ⚙ SITE"}
+              </span><br />
+              Interrogator: {profile.commissioning.interrogator || "—"}{profile.commissioning.serial && ` · ${profile.commissioning.serial}`}<br />
+              Fiber: {profile.commissioning.fiber || "—"}<br />
               <div style={{ color: "#060d18", margin: "3px 0" }}>────────────────────</div>
-              NFPA 75: COMPLIANT ✓<br />
-              UL 2043: COMPLIANT ✓<br />
-              ASHRAE A1: COMPLIANT ✓<br />
+              {[
+                ["Sensors",      "continuity"],
+                ["Baseline",     "baseline"],
+                ["Detection",    "detect"],
+                ["Localization", "locate"],
+                ["Quiet window", "falsePositive"],
+              ].map(([l, id]) => {
+                const r = cx.steps[id];
+                return (
+                  <div key={id} style={{ color: r.status === "fail" ? "#f87171" : undefined }}>
+                    {l}: {r.display ?? "—"}{r.status === "pass" ? " ✓" : r.status === "fail" ? " ✗" : ""}
+                  </div>
+                );
+              })}
               <div style={{ color: "#060d18", margin: "3px 0" }}>────────────────────</div>
-              <div style={{ color: cxStep >= 7 ? "#22d3a0" : "#1e3a52" }}>
-                {cxStep >= 7 ? "STATUS: CERTIFIED ✓" : "STATUS: IN PROGRESS"}
+              <div style={{ color: cxCertified ? "#22d3a0" : cxRetest ? "#f87171" : "#1e3a52" }}>
+                {cxCertified ? "STATUS: CERTIFIED ✓" : cxRetest ? "STATUS: BLOCKED — RETEST" : "STATUS: IN PROGRESS"}
               </div>
+              {cxCertified && cxCert && (
+                <div style={{ fontSize: 6.5, lineHeight: 1.7, marginTop: 6, wordBreak: "break-all" }}>
+                  {cxCert.certificate.id}<br />
+                  {cxCert.hash.slice(0, 27)}…<br />
+                  Signed · key {cxCert.signature.keyId}
+                </div>
+              )}
             </div>
+            {cxCertified && cxCert && (
+              <div style={{ display: "flex", gap: 5, marginTop: 10 }}>
+                {[
+                  ["⇩ HTML", () => downloadFile(certFile("html"), certificateHtml(cxCert), "text/html")],
+                  ["⇩ PDF",  () => downloadFile(certFile("pdf"), certificatePdf(cxCert), "application/pdf")],
+                  ["⎙ Print", () => printHtml(certificateHtml(cxCert))],
+                ].map(([l, fn]) => (
+                  <button key={l} onClick={fn} style={{
+                    flex: 1, background: "rgba(34,211,160,0.05)", border: "1px solid rgba(34,211,160,0.2)", color: "#22d3a0",
+                    borderRadius: 4, fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, padding: "5px 0",
+                  }}>{l}</button>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -1269,36 +3535,38 @@ export default function App() {
       {mode === "roi" && (
         <div style={{ flex: 1, overflow: "auto", display: "flex" }}>
           <div style={{ flex: 1, display: "flex", flexDirection: "column", borderRight: "1px solid #0a1520" }}>
-            {/* Sliders */}
+            {/* Inputs */}
             <div style={{ padding: "18px 22px", borderBottom: "1px solid #0a1520" }}>
-              <SectionHead title="Facility Parameters" tag="CUSTOMIZE FOR YOUR SITE" />
-              <div style={{ display: "flex", gap: 28, marginTop: 14 }}>
-                {[
-                  { l: "IT Load",     v: roiKW,   set: setRoiKW,   min: 500,  max: 20000, step: 500,   disp: `${roiKW.toLocaleString()} kW`   },
-                  { l: "Energy Rate", v: roiRate, set: setRoiRate, min: 0.04, max: 0.18,  step: 0.005, disp: `$${roiRate.toFixed(3)}/kWh`     },
-                ].map(r => (
-                  <div key={r.l} style={{ flex: 1 }}>
-                    <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 7 }}>
-                      <span style={{ fontFamily: "'Inter',sans-serif", fontSize: 11, color: "#3a5a70" }}>{r.l}</span>
-                      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 11, color: "#fbbf24", fontWeight: 500 }}>{r.disp}</span>
+              <SectionHead title="Facility & Financial Inputs" tag="CUSTOMIZE FOR YOUR SITE" />
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: "12px 24px", marginTop: 14 }}>
+                {ROI_FIELDS.map(f => (
+                  <div key={f.k}>
+                    <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 5 }}>
+                      <span style={{ fontFamily: "'Inter',sans-serif", fontSize: 10, color: "#3a5a70" }}>{f.l}</span>
+                      <span style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 10, color: "#fbbf24", fontWeight: 500 }}>{f.disp(roiInputs[f.k])}</span>
                     </div>
-                    <input type="range" min={r.min} max={r.max} step={r.step} value={r.v}
-                      onChange={e => r.set(Number(e.target.value))} />
+                    <input type="range" min={ROI_LIMITS[f.k][0]} max={ROI_LIMITS[f.k][1]} step={f.step} value={roiInputs[f.k]}
+                      onChange={e => { const v = Number(e.target.value); setRoiInputs(r => ({ ...r, [f.k]: v })); }} />
                   </div>
                 ))}
               </div>
+              {roi.warnings.map(w => (
+                <div key={w} style={{ fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, color: "#fbbf24", marginTop: 8 }}>⚠ {w}</div>
+              ))}
             </div>
 
             {/* Results grid */}
             <div style={{ padding: "22px", flex: 1 }}>
-              <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 12, marginBottom: 24 }}>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 12, marginBottom: 20 }}>
                 {[
-                  { l: "Annual Savings",    v: `$${roi_savings.toLocaleString(undefined, { maximumFractionDigits: 0 })}`, s: "From bypass elimination",      c: "#22d3a0",  big: true  },
-                  { l: "Payback Period",    v: `${roi_payback.toFixed(1)} mo`,  s: "On $27,500 pilot",                   c: roi_payback < 24 ? "#22d3a0" : "#fbbf24", big: true },
-                  { l: "CO₂ Avoided",       v: `${roi_co2} t/yr`,              s: "ESG reporting value",                 c: "#60a5fa",  big: true  },
-                  { l: "Bypass Recovery",   v: `${roi_bypassKW.toFixed(0)} kW`, s: "20% bypass × 18% fix rate",          c: "#fbbf24",  big: false },
-                  { l: "Pilot Cost",        v: "$20K–$35K",                     s: "All-in · 90 days",                   c: "#3a5a70",  big: false },
-                  { l: "Subscription",      v: "$18K–$40K/yr",                  s: "Per zone post-pilot",                c: "#3a5a70",  big: false },
+                  { l: "Annual Savings",    v: fmtUsd(roi.years[1].savings), s: `Year 1, ${onMeasured ? "measured" : "assumed"} · $${roiInputs.rate.toFixed(3)}/kWh, +${(roiInputs.escalation * 100).toFixed(1)}%/yr`, c: "#22d3a0", big: true },
+                  { l: `${ROI_YEARS}-Year NPV`, v: fmtUsd(roi.npv),         s: `At ${(roiInputs.discount * 100).toFixed(1)}% discount rate`, c: roi.npv >= 0 ? "#22d3a0" : "#f87171", big: true },
+                  { l: "Payback Period",    v: fmtPayback(roi.paybackMonths), s: `On ${fmtUsd(roiInputs.pilotCost)} pilot + ${fmtUsd(roiInputs.subPerZone * roiInputs.zones)}/yr`,
+                    c: roi.paybackMonths !== null && roi.paybackMonths < 24 ? "#22d3a0" : "#fbbf24", big: true },
+                  { l: "IRR",               v: roi.irr === null ? "—" : `${(roi.irr * 100).toFixed(1)}%`, s: `${ROI_YEARS}-year net cash flows`, c: "#60a5fa", big: false },
+                  { l: "CO₂ Avoided",       v: `${roi.co2T.toFixed(1)} t/yr`, s: "ESG reporting value",                c: "#60a5fa",  big: false },
+                  { l: "Bypass Recovery",   v: `${roi.recoveredKW.toFixed(0)} kW`,
+                    s: `PUE ${roiInputs.pue.toFixed(2)} → ${roi.pueAfter.toFixed(3)}`,                                   c: "#fbbf24",  big: false },
                 ].map(k => (
                   <div key={k.l} style={{ padding: "15px 17px", background: "#060d18",
                     border: "1px solid #0a1520", borderRadius: 7 }}>
@@ -1314,6 +3582,27 @@ export default function App() {
                 ))}
               </div>
 
+              <SectionHead title="Measured vs Assumed" tag={measured ? `CONFIDENCE ${measured.confidence}` : "NO MONITORED TIME YET"} />
+              <RoiComparison basis={onMeasured ? "measured" : "assumed"} setBasis={setRoiBasis} measured={measured}
+                assumedModel={roiAssumed} measuredModel={roiMeasured} inputs={roiInputs} />
+
+              <SectionHead title="Cash Flow" tag={`${ROI_YEARS} YEARS · NPV · IRR · ${onMeasured ? "MEASURED" : "ASSUMED"}`} />
+              <div style={{ display: "flex", gap: 10, margin: "6px 0 10px" }}>
+                {[
+                  ["⇩ CASH FLOW CSV", () => downloadFile(roiFile("csv"), cashFlowCsv(roi), "text/csv")],
+                  ["⇩ SENSITIVITY CSV", () => downloadFile(roiFile("sensitivity.csv"), tornadoCsv(roiTornado), "text/csv")],
+                  ["⇩ PROPOSAL HTML", () => downloadFile(roiFile("html"), roiProposal(), "text/html")],
+                  ["⎙ PRINT PROPOSAL", () => printHtml(roiProposal())],
+                ].map(([l, fn]) => (
+                  <button key={l} onClick={fn} style={{ background: "none", border: "none", color: "#22d3a0", padding: 0,
+                    fontFamily: "'IBM Plex Mono',monospace", fontSize: 8, opacity: 0.6, cursor: "pointer" }}>{l}</button>
+                ))}
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 24 }}>
+                <CashFlowPanel model={roi} />
+                <TornadoPanel rows={roiTornado} npv={roi.npv} />
+              </div>
+
               <SectionHead title="Why EXI Wins" tag="COMPETITIVE POSITION" />
               <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 9, marginTop: 10 }}>
                 {[
@@ -0,0 +1,210 @@
+// ─── Alert lifecycle ──────────────────────────────────────────────────────────
+// Actionable alerts move open → acknowledged → resolved. An escalation
+// (WARNING → CRITICAL) puts an alert back in "escalated" until someone
+// acknowledges it again. Every transition, assignment and note is appended to
+// the alert's history, so a replay can show each alert as it stood at any
+// moment (alertAsOf).
+//
+// Alerts that carry a fiber position auto-resolve once the thermal signature
+// around it has been seen and then returned to within SIGNATURE_DELTA of
+// baseline. Until then each sweep also records evidence on the signature —
+// peak ΔT, when it was last warm and the worst nearby DP drops — which the
+// incident layer (incidents.js) aggregates. Informational entries (lvl CLEAR)
+// are born resolved.
+
+import { physLoc, segmentLabel } from "./site.js";
+import { BREACH_TYPES } from "./breaches.js";
+import { cmPerSensor } from "./localize.js";
+
+export const ACTIONABLE = new Set(["CRITICAL", "BREACH", "WARNING"]);
+export const ALERT_STATE = {
+  open:         { label: "OPEN",      color: "#f87171" },
+  escalated:    { label: "ESCALATED", color: "#fb923c" },
+  acknowledged: { label: "ACKED",     color: "#fbbf24" },
+  resolved:     { label: "RESOLVED",  color: "#22d3a0" },
+};
+
+const SIGNATURE_RADIUS = 6;    // sensors either side of the alert position
+const SIGNATURE_DELTA  = 1.0;  // °C above baseline that counts as "still warm"
+
+export function createAlert(fields, ts) {
+  const info = !ACTIONABLE.has(fields.lvl);
+  return {
+    ...fields,
+    ts, time: new Date(ts).toLocaleTimeString(),
+    state: info ? "resolved" : "open",
+    assignee: null, notes: [],
+    ackedAt: null, resolvedAt: info ? ts : null, resolution: null,
+    signature: !info && Number.isInteger(fields.pos)
+      ? { pos: fields.pos, seen: false, delta: 0, peakDelta: 0, lastWarm: null, dp: {} }
+      : null,
+    history: [{ ts, type: "raised", lvl: fields.lvl, what: fields.what }],
+  };
+}
+
+function update(alerts, match, fn) {
+  let changed = false;
+  const next = alerts.map(a => {
+    if (!match(a)) return a;
+    const b = fn(a);
+    if (b !== a) changed = true;
+    return b;
+  });
+  return changed ? next : alerts;
+}
+
+function resolve(a, ts, resolution, text) {
+  if (a.state === "resolved") return a;
+  return {
+    ...a, state: "resolved", resolvedAt: ts, resolution,
+    history: [...a.history, { ts, type: "resolved", resolution, text }],
+  };
+}
+
+function signaturePeak(sig, temps, baseline) {
+  let peak = -Infinity;
+  const lo = Math.max(0, sig.pos - SIGNATURE_RADIUS);
+  const hi = Math.min(temps.length - 1, sig.pos + SIGNATURE_RADIUS);
+  for (let i = lo; i <= hi; i++) peak = Math.max(peak, temps[i] - baseline[i]);
+  return peak;
+}
+
+export function alertsReducer(alerts, action) {
+  const byId = a => a.id === action.id;
+  switch (action.type) {
+    case "raise":
+      return [createAlert(action.alert, action.ts), ...alerts];
+
+    case "ack":
+      return update(alerts, byId, a => (a.state === "open" || a.state === "escalated") ? {
+        ...a, state: "acknowledged", ackedAt: a.ackedAt ?? action.ts,
+        history: [...a.history, { ts: action.ts, type: "acknowledged" }],
+      } : a);
+
+    case "resolve":
+      return update(alerts, byId, a => resolve(a, action.ts, "manual", action.text));
+
+    case "assign":
+      return update(alerts, byId, a => (a.assignee === action.assignee ? a : {
+        ...a, assignee: action.assignee,
+        history: [...a.history, { ts: action.ts, type: "assigned", assignee: action.assignee }],
+      }));
+
+    case "note":
+      return update(alerts, byId, a => ({
+        ...a, notes: [...a.notes, { ts: action.ts, text: action.text }],
+        history: [...a.history, { ts: action.ts, type: "note", text: action.text }],
+      }));
+
+    // Detector escalation of an existing episode alert
+    case "escalate":
+      return update(alerts, a => a.episode === action.episode && a.state !== "resolved", a => ({
+        ...a, state: "escalated", lvl: action.lvl, what: action.what,
+        history: [...a.history, { ts: action.ts, type: "escalated", lvl: action.lvl, what: action.what }],
+      }));
+
+    // Detector episode ended
+    case "episodeClear":
+      return update(alerts, a => a.episode === action.episode, a => resolve(a, action.ts, "auto", action.text));
+
+    // One zone sweep: record evidence, then arm and auto-resolve positional
+    // alerts. `dpDrops` lists DP sensors currently below baseline by
+    // { idx, pos, drop }; those within `dpRadius` sensors count as nearby.
+    case "sweep":
+      return update(alerts, a => a.zone === action.zone && a.signature && a.state !== "resolved", a => {
+        const sig = a.signature;
+        const peak = signaturePeak(sig, action.temps, action.baseline);
+        const warm = peak > SIGNATURE_DELTA;
+        const dp = { ...sig.dp };
+        for (const d of action.dpDrops || []) {
+          if (Math.abs(d.pos - sig.pos) <= action.dpRadius) dp[d.idx] = Math.max(dp[d.idx] || 0, d.drop);
+        }
+        const next = {
+          ...sig, seen: sig.seen || warm, delta: peak, peakDelta: Math.max(sig.peakDelta, peak),
+          lastWarm: warm ? action.ts : sig.lastWarm, dp,
+        };
+        if (sig.seen && !warm) return resolve({ ...a, signature: next }, action.ts, "auto", "Thermal signature returned to baseline");
+        return { ...a, signature: next };
+      });
+
+    default:
+      return alerts;
+  }
+}
+
+// Reducer action for one detector event in `zone`. `episode` is the caller's
+// unique key for the detector episode; `nextId` is called only when a new
+// alert is raised. For a new alert, `guess` is the classifier's { type,
+// confidence } (breaches.js), which names the likely failure and what to
+// inspect, and `fix` the plume fit (localize.js) that places it between sensors.
+export function detectorAction(ev, zone, episode, ts, nextId, { guess = null, fix = null } = {}) {
+  const { peakIdx, delta, sustain } = ev.episode;
+  if (ev.type === "clear") {
+    return { type: "episodeClear", episode, ts, text: `Thermal anomaly returned to baseline after ${Math.round(sustain)}s` };
+  }
+  if (ev.type === "escalate") {
+    return { type: "escalate", episode, ts, lvl: ev.level,
+      what: `Thermal anomaly escalated — ΔT +${delta.toFixed(1)}°C at sensor #${peakIdx}, sustained ${Math.round(sustain)}s` };
+  }
+  const ci = fix ? Math.round(((fix.hi - fix.lo) / 2) * cmPerSensor(zone)) : null;
+  const loc = fix
+    ? `${zone.name} · ${physLoc(zone, fix.pos)} ±${ci} cm`
+    : `${zone.name} · ${physLoc(zone, peakIdx)}`;
+  const kind = guess && BREACH_TYPES[guess.type];
+  return { type: "raise", ts, alert: {
+    id: nextId(), lvl: ev.level, zone: zone.id, episode, pos: peakIdx, peakIdx, sustain,
+    estPos: fix ? fix.pos : null, posCI: fix ? [fix.lo, fix.hi] : null,
+    breachType: kind ? guess.type : null, typeConfidence: kind ? guess.confidence : null,
+    what: `Thermal anomaly ΔT +${delta.toFixed(1)}°C at sensor #${peakIdx} (z ${ev.episode.z.toFixed(1)}), sustained ${Math.round(sustain)}s`
+      + (kind ? ` — likely ${kind.name.toLowerCase()} (${Math.round(guess.confidence * 100)}%)` : ""),
+    where: segmentLabel(zone, peakIdx), loc,
+    action: `Dispatch to ${loc} — ${kind ? kind.action : "inspect the containment around the plume"}`,
+  } };
+}
+
+// Reducer action for a containment breach at fiber position `pos`
+export function breachAction(zone, pos, label, ts, id) {
+  const loc = `${zone.name} · ${physLoc(zone, pos)}`;
+  return { type: "raise", ts, alert: {
+    id, lvl: "BREACH", zone: zone.id, pos,
+    what: "Containment breach — thermal excursion detected",
+    where: `${zone.name} · ${label}`, loc,
+    action: `Inspect & reseal at ${loc}`,
+  } };
+}
+
+// The alert as it stood at time t, rebuilt from its history. Alerts from
+// sessions recorded before the lifecycle existed come back as plain open
+// (or informational) entries.
+export function alertAsOf(a, t) {
+  if (!a.history) {
+    const info = !ACTIONABLE.has(a.lvl);
+    return { ...a, state: info ? "resolved" : "open", assignee: null, notes: [], ackedAt: null, resolvedAt: null };
+  }
+  let s = { ...a, state: "open", assignee: null, notes: [], ackedAt: null, resolvedAt: null, resolution: null };
+  for (const h of a.history) {
+    if (h.ts > t) break;
+    if (h.type === "raised") s = { ...s, lvl: h.lvl, what: h.what ?? s.what, state: ACTIONABLE.has(h.lvl) ? "open" : "resolved" };
+    else if (h.type === "acknowledged") s = { ...s, state: "acknowledged", ackedAt: s.ackedAt ?? h.ts };
+    else if (h.type === "escalated") s = { ...s, state: "escalated", lvl: h.lvl, what: h.what };
+    else if (h.type === "resolved") s = { ...s, state: "resolved", resolvedAt: h.ts, resolution: h.resolution };
+    else if (h.type === "assigned") s = { ...s, assignee: h.assignee };
+    else if (h.type === "note") s = { ...s, notes: [...s.notes, { ts: h.ts, text: h.text }] };
+  }
+  return s;
+}
+
+// Mean time to acknowledge / resolve (ms) over actionable alerts.
+export function alertMetrics(alerts) {
+  const act = alerts.filter(a => ACTIONABLE.has(a.lvl));
+  const mean = xs => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null);
+  const acked = act.filter(a => a.ackedAt !== null);
+  const resolved = act.filter(a => a.resolvedAt !== null);
+  return {
+    mtta: mean(acked.map(a => a.ackedAt - a.ts)),
+    mttr: mean(resolved.map(a => a.resolvedAt - a.ts)),
+    open: act.filter(a => a.state !== "resolved").length,
+    acked: acked.length,
+    resolved: resolved.length,
+  };
+}
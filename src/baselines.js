@@ -0,0 +1,264 @@
+// ─── Baseline management ──────────────────────────────────────────────────────
+// Every ΔT, BARI score and alert is measured against a zone's baseline — the
+// aisle's temperature profile (and DP readings) with the containment intact.
+// Sources bring one (the simulation's, the gateway's hello, a session file);
+// this module lets an engineer capture their own from an N-minute quiet window,
+// keep named versions, compare two of them and, optionally, let the reference
+// follow slow supply-temperature drift.
+//
+// A stored version (also the export file, with format/version added):
+//
+//   { id, name, zone, capturedAt, windowSec, sweeps, disturbed,
+//     baseline: [°C], baseDp: [Pa], sigma: [°C], dpSigma: [Pa],
+//     outliers: [{ idx, kind: "noisy" | "offset", value }], medianSigma }
+//
+// The dashboard keeps versions in localStorage with, per zone, the one in use:
+//
+//   { versions: [version...], active: { [zoneId]: versionId } }
+
+export const BASELINE_FORMAT  = "exi-baseline";
+export const BASELINE_VERSION = 1;
+export const BASELINE_STORAGE_KEY = "exi-baselines";
+
+export const CAPTURE_MINUTES = [1, 60];
+export const DEFAULT_CAPTURE_MINUTES = 10;
+export const MAX_VERSIONS_PER_ZONE = 10;
+
+// Quality thresholds
+const MIN_SWEEPS   = 20;     // fewer and σ means little
+const NOISE_K      = 4;      // noisy: σ above this many times the zone's median σ…
+const NOISE_FLOOR  = 0.15;   // …and above this (°C)
+const OFFSET_C     = 1.5;    // offset: mean this far (°C) from its neighbours' median
+const OFFSET_SPAN  = 4;      // neighbours each side
+const DIFF_NOTE_C  = 0.5;    // a diff counts sensors shifted by more than this
+
+const round3 = v => Math.round(v * 1000) / 1000;
+const median = arr => {
+  const s = arr.slice().sort((a, b) => a - b);
+  return s.length ? (s.length % 2 ? s[s.length >> 1] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2) : 0;
+};
+
+// ── Capture ────────────────────────────────────────────────────────────────
+// Accumulates one zone's sweeps for `minutes` from `startedAt`. A sweep is
+// `disturbed` when a breach or detector episode was live — the capture still
+// completes but reports it, since such a window is not a clean reference.
+export function createBaselineCapture(zone, { minutes = DEFAULT_CAPTURE_MINUTES, startedAt = Date.now() } = {}) {
+  const windowMs = minutes * 60 * 1000;
+  const sum  = new Float64Array(zone.sensors), sum2 = new Float64Array(zone.sensors);
+  const dSum = new Float64Array(zone.dpSensors), dSum2 = new Float64Array(zone.dpSensors);
+  let sweeps = 0, disturbed = 0;
+
+  return {
+    zone: zone.id, startedAt, windowMs,
+    get sweeps() { return sweeps; },
+    push(temps, dp, ts, { disturbed: busy = false } = {}) {
+      if (ts < startedAt || temps.length !== zone.sensors || dp.length !== zone.dpSensors) return;
+      temps.forEach((t, i) => { sum[i] += t; sum2[i] += t * t; });
+      dp.forEach((v, i) => { dSum[i] += v; dSum2[i] += v * v; });
+      sweeps++;
+      if (busy) disturbed++;
+    },
+    progress: ts => Math.max(0, Math.min(1, (ts - startedAt) / windowMs)),
+    done: ts => ts - startedAt >= windowMs,
+    // The captured version; throws when too few sweeps arrived
+    finish(name, capturedAt = Date.now()) {
+      if (sweeps < MIN_SWEEPS) throw new Error(`Only ${sweeps} sweeps in the window — at least ${MIN_SWEEPS} are needed`);
+      const stats = (s, s2) => Array.from(s, (v, i) => {
+        const mean = v / sweeps;
+        return { mean, sigma: Math.sqrt(Math.max(0, s2[i] / sweeps - mean * mean)) };
+      });
+      const t = stats(sum, sum2), d = stats(dSum, dSum2);
+      const baseline = t.map(s => s.mean), sigma = t.map(s => s.sigma);
+      return {
+        id: `${zone.id}-${capturedAt.toString(36)}`,
+        name: name?.trim() || `Capture ${new Date(capturedAt).toLocaleString()}`,
+        zone: zone.id, capturedAt, windowSec: Math.round(windowMs / 1000), sweeps, disturbed,
+        baseline: baseline.map(round3), baseDp: d.map(s => round3(s.mean)),
+        sigma: sigma.map(round3), dpSigma: d.map(s => round3(s.sigma)),
+        ...baselineQuality(baseline, sigma),
+      };
+    },
+  };
+}
+
+// Median σ and the sensors that stand out: noisy ones (σ well above the rest,
+// e.g. a loose splice or a sensor in an airflow) and offset ones (mean far
+// from its neighbours, e.g. a hot spot present during the capture)
+export function baselineQuality(baseline, sigma) {
+  const medianSigma = median(sigma);
+  const noiseLimit = Math.max(NOISE_K * medianSigma, NOISE_FLOOR);
+  const outliers = [];
+  baseline.forEach((m, i) => {
+    if (sigma[i] > noiseLimit) outliers.push({ idx: i, kind: "noisy", value: round3(sigma[i]) });
+    const near = [];
+    for (let k = Math.max(0, i - OFFSET_SPAN); k <= Math.min(baseline.length - 1, i + OFFSET_SPAN); k++) if (k !== i) near.push(baseline[k]);
+    const off = m - median(near);
+    if (near.length && Math.abs(off) > OFFSET_C) outliers.push({ idx: i, kind: "offset", value: round3(off) });
+  });
+  return { outliers, medianSigma: round3(medianSigma) };
+}
+
+// Problems worth showing next to a version; empty when it is a clean reference
+export function qualityWarnings(v) {
+  const warn = [];
+  if (v.disturbed) warn.push(`${v.disturbed} of ${v.sweeps} sweeps had a breach or detector episode live`);
+  const noisy = v.outliers.filter(o => o.kind === "noisy").length;
+  const offset = v.outliers.filter(o => o.kind === "offset").length;
+  if (noisy) warn.push(`${noisy} noisy sensor${noisy === 1 ? "" : "s"}`);
+  if (offset) warn.push(`${offset} sensor${offset === 1 ? "" : "s"} offset from their neighbours`);
+  return warn;
+}
+
+// ── Versions ───────────────────────────────────────────────────────────────
+const isNums = (a, n) => Array.isArray(a) && (n === undefined || a.length === n) && a.every(Number.isFinite);
+
+// Validate a stored or imported version. Throws with the path of the first
+// offending field.
+export function validateBaselineVersion(v, path = "baseline") {
+  if (!v || typeof v !== "object") throw new Error(`${path} must be an object`);
+  for (const k of ["id", "name", "zone"]) {
+    if (typeof v[k] !== "string" || !v[k].trim()) throw new Error(`${path}.${k} must be a non-empty string`);
+  }
+  if (!Number.isFinite(v.capturedAt)) throw new Error(`${path}.capturedAt must be a timestamp`);
+  if (!isNums(v.baseline) || v.baseline.length === 0) throw new Error(`${path}.baseline must be an array of numbers`);
+  if (!isNums(v.baseDp) || v.baseDp.length === 0) throw new Error(`${path}.baseDp must be an array of numbers`);
+  if (!isNums(v.sigma, v.baseline.length)) throw new Error(`${path}.sigma must have one number per sensor`);
+  if (!isNums(v.dpSigma, v.baseDp.length)) throw new Error(`${path}.dpSigma must have one number per DP sensor`);
+  if (!Array.isArray(v.outliers)) throw new Error(`${path}.outliers must be an array`);
+  return {
+    id: v.id, name: v.name.trim(), zone: v.zone, capturedAt: v.capturedAt,
+    windowSec: Number.isFinite(v.windowSec) ? v.windowSec : 0,
+    sweeps: Number.isFinite(v.sweeps) ? v.sweeps : 0,
+    disturbed: Number.isFinite(v.disturbed) ? v.disturbed : 0,
+    baseline: v.baseline, baseDp: v.baseDp, sigma: v.sigma, dpSigma: v.dpSigma,
+    outliers: v.outliers.filter(o => Number.isInteger(o?.idx) && (o.kind === "noisy" || o.kind === "offset")),
+    medianSigma: Number.isFinite(v.medianSigma) ? v.medianSigma : round3(median(v.sigma)),
+  };
+}
+
+export function serializeBaseline(v) {
+  return JSON.stringify({ format: BASELINE_FORMAT, version: BASELINE_VERSION, ...v });
+}
+
+export function parseBaseline(text) {
+  let v;
+  try {
+    v = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Baseline is not valid JSON (${err.message})`);
+  }
+  if (v?.format !== BASELINE_FORMAT) throw new Error(`Not an EXI baseline (format must be "${BASELINE_FORMAT}")`);
+  if (v.version !== BASELINE_VERSION) throw new Error(`Unsupported baseline version ${v.version}`);
+  return validateBaselineVersion(v);
+}
+
+// A version fits a zone when it was captured on the same layout
+export const fitsZone = (v, zone) =>
+  v.zone === zone.id && v.baseline.length === zone.sensors && v.baseDp.length === zone.dpSensors;
+
+// The zone's active stored version, or null when it uses the source's baseline
+export function activeVersion(store, zone) {
+  const v = store.versions.find(o => o.id === store.active[zone.id]);
+  return v && fitsZone(v, zone) ? v : null;
+}
+
+// Add (or replace, by id) a version; a zone keeps its newest
+// MAX_VERSIONS_PER_ZONE, never dropping the active one
+export function addVersion(store, v) {
+  const versions = [...store.versions.filter(o => o.id !== v.id), v];
+  const mine = versions.filter(o => o.zone === v.zone && o.id !== store.active[v.zone])
+    .sort((a, b) => b.capturedAt - a.capturedAt);
+  const keep = MAX_VERSIONS_PER_ZONE - (store.active[v.zone] ? 1 : 0);
+  const drop = new Set(mine.slice(keep).map(o => o.id));
+  return { ...store, versions: versions.filter(o => !drop.has(o.id)) };
+}
+
+export function removeVersion(store, id) {
+  const active = Object.fromEntries(Object.entries(store.active).filter(([, v]) => v !== id));
+  return { versions: store.versions.filter(o => o.id !== id), active };
+}
+
+// Use version `id` for `zoneId`, or the source's baseline when id is null
+export function setActiveVersion(store, zoneId, id) {
+  const active = { ...store.active };
+  if (id) active[zoneId] = id; else delete active[zoneId];
+  return { ...store, active };
+}
+
+export const EMPTY_BASELINE_STORE = { versions: [], active: {} };
+
+// Stored versions; entries that no longer validate are dropped
+export function loadBaselineStore(storage = globalThis.localStorage) {
+  try {
+    const s = JSON.parse(storage?.getItem(BASELINE_STORAGE_KEY) || "null");
+    if (!s || !Array.isArray(s.versions)) return EMPTY_BASELINE_STORE;
+    const versions = s.versions.flatMap(v => {
+      try { return [validateBaselineVersion(v)]; } catch { return []; }
+    });
+    const active = Object.fromEntries(Object.entries(s.active || {}).filter(([, id]) => versions.some(v => v.id === id)));
+    return { versions, active };
+  } catch {
+    return EMPTY_BASELINE_STORE;
+  }
+}
+
+export function storeBaselineStore(store, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(BASELINE_STORAGE_KEY, JSON.stringify(store));
+  } catch {
+    // Private browsing or quota exceeded — the versions still apply for this visit
+  }
+}
+
+// ── Diff ───────────────────────────────────────────────────────────────────
+// b − a, sensor by sensor, for two baselines of the same layout
+export function diffBaselines(a, b) {
+  if (a.baseline.length !== b.baseline.length || a.baseDp.length !== b.baseDp.length) {
+    throw new Error("Baselines cover different layouts");
+  }
+  const delta = b.baseline.map((v, i) => v - a.baseline[i]);
+  const abs = delta.map(Math.abs);
+  const maxIdx = abs.reduce((m, v, i) => (v > abs[m] ? i : m), 0);
+  return {
+    delta,
+    dpDelta: b.baseDp.map((v, i) => v - a.baseDp[i]),
+    meanShift: delta.reduce((s, v) => s + v, 0) / delta.length,
+    meanAbs: abs.reduce((s, v) => s + v, 0) / abs.length,
+    maxAbs: abs[maxIdx], maxIdx,
+    shifted: abs.filter(v => v > DIFF_NOTE_C).length,
+    noteC: DIFF_NOTE_C,
+  };
+}
+
+// ── Drift compensation ─────────────────────────────────────────────────────
+// Seasonal and setpoint changes move supply air by a degree or two over weeks;
+// against a fixed baseline that reads as aisle-wide ΔT. The tracker lets each
+// sensor's reference follow an exponential average of what it reads, with a
+// time constant of hours so a breach (minutes) never gets absorbed, and holds
+// still while a breach or detector episode is live. Offsets are clamped to
+// ±maxC so a slow real degradation still shows.
+export const DEFAULT_DRIFT = { enabled: false, tauHours: 24, maxC: 3 };
+export const DRIFT_LIMITS = { tauHours: [1, 720], maxC: [0.5, 10] };
+const DRIFT_MAX_STEP_SEC = 60;   // a feed gap counts as at most this much time
+
+export function createDriftTracker({ tauHours, maxC }) {
+  let offsets = null, last = null;
+  return {
+    get offsets() { return offsets; },
+    // Mean offset (°C) currently applied, 0 before the first sweep
+    get mean() { return offsets ? offsets.reduce((s, v) => s + v, 0) / offsets.length : 0; },
+    update(temps, baseline, ts, hold = false) {
+      if (!offsets || offsets.length !== baseline.length) offsets = new Array(baseline.length).fill(0);
+      const dt = last === null ? 0 : Math.min(DRIFT_MAX_STEP_SEC, Math.max(0, (ts - last) / 1000));
+      last = ts;
+      if (hold || dt === 0) return;
+      const a = 1 - Math.exp(-dt / (tauHours * 3600));
+      offsets = offsets.map((o, i) => Math.max(-maxC, Math.min(maxC, o + a * (temps[i] - baseline[i] - o))));
+    },
+    // `ref` with the offsets added to its temperatures
+    apply(ref) {
+      return offsets && offsets.length === ref.baseline.length
+        ? { ...ref, baseline: ref.baseline.map((v, i) => v + offsets[i]) } : ref;
+    },
+  };
+}
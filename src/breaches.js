@@ -0,0 +1,117 @@
+// ─── Breach types ─────────────────────────────────────────────────────────────
+// Each containment failure leaves its own signature on the fiber and the DP
+// sensors. The simulation draws plumes from these profiles and the classifier
+// matches an observed anomaly back to the closest one.
+//
+//   width     plume width w (sensors, σ = w/2) drawn from this range
+//   skew      0–1; the plume spreads (1 + skew)× further toward the middle of
+//             the run than toward its end, as air from an end cap does
+//   onsetSec  first-order time constant of the plume building up
+//   dpPerDeg  Pa of DP drop per °C of plume ΔT at a DP sensor right next to it
+//   riseSec   typical detector-measured rise (see detector.js) for this onset
+//
+// A door seal leaks broadly and gradually, a curtain seam narrowly and at
+// once, a top panel dumps hot air over a long stretch and draws the aisle
+// pressure down hardest, an end cap pushes hot air in from the end of the row.
+
+import { dpPosition } from "./site.js";
+
+export const BREACH_TYPES = {
+  door:   { name: "Door seal",    width: [6, 8],   skew: 0,   onsetSec: 6,   dpPerDeg: 0.75, riseSec: 4.5,
+    action: "check the door closer and reseat the gasket" },
+  seam:   { name: "Curtain seam", width: [2, 3],   skew: 0,   onsetSec: 0.5, dpPerDeg: 0.3,  riseSec: 1.5,
+    action: "inspect the curtain seam and re-clip the strips" },
+  top:    { name: "Top panel",    width: [10, 13], skew: 0,   onsetSec: 15,  dpPerDeg: 1.1,  riseSec: 6.5,
+    action: "check the roof panels above the aisle" },
+  endcap: { name: "End cap",      width: [4, 5],   skew: 0.5, onsetSec: 2,   dpPerDeg: 0.55, riseSec: 2.5,
+    action: "inspect the end-of-row cap and its seals" },
+};
+export const BREACH_TYPE_IDS = Object.keys(BREACH_TYPES);
+
+const DEFAULT_DP_PER_DEG = 9 / 14;   // breaches of no known type (older sessions, gateways)
+
+// Type implied by a breach label ("Zone D — End Cap" → endcap); curtain seam
+// when nothing matches, the most common failure
+export function breachTypeOf(label = "") {
+  if (/end[\s-]*cap/i.test(label)) return "endcap";
+  if (/door/i.test(label)) return "door";
+  if (/top|roof/i.test(label)) return "top";
+  return "seam";
+}
+
+// ── Physics ────────────────────────────────────────────────────────────────
+// ΔT a plume of intensity `int` adds at sensor i. The wide side faces the
+// middle of the run.
+export function plumeAt(b, i, sensors) {
+  const skew = BREACH_TYPES[b.type]?.skew ?? 0;
+  const inward = (i - b.pos) * (b.pos < sensors / 2 ? 1 : -1) >= 0;
+  const sigma = b.w * 0.5 * (inward ? 1 + skew : 1 - skew);
+  const dist = Math.abs(i - b.pos);
+  return dist < sigma * 4 ? b.int * Math.exp(-0.5 * (dist / sigma) ** 2) : 0;
+}
+
+// DP drop (Pa) a plume causes at DP sensor d
+export function dpDropAt(b, d, zone) {
+  const prox = Math.max(0, 1 - Math.abs(b.pos - dpPosition(zone, d)) / (zone.sensors / 3));
+  return prox * b.int * (BREACH_TYPES[b.type]?.dpPerDeg ?? DEFAULT_DP_PER_DEG);
+}
+
+// Share of full intensity a manually induced breach has reached `el` seconds in
+export function onsetLevel(type, el) {
+  const tau = BREACH_TYPES[type]?.onsetSec ?? 0;
+  return tau > 0 ? 1 - Math.exp(-el / tau) : 1;
+}
+
+// ── Classifier ─────────────────────────────────────────────────────────────
+// Signature of the anomaly peaking at sensor `peakIdx`: half-maximum width,
+// asymmetry toward the middle of the run, DP drop per °C at the nearest DP
+// sensor (null when it is too far away to say) and the detector's rise time.
+export function breachSignature(zone, { temps, dp }, { baseline, baseDp }, peakIdx, riseSec = null) {
+  const raw = temps.map((t, i) => t - baseline[i]);
+  const shift = raw.slice().sort((a, b) => a - b)[raw.length >> 1];
+  const delta = raw.map(v => v - shift);
+  const peak = delta[peakIdx];
+  const half = peak / 2;
+  const reach = dir => {
+    let i = peakIdx;
+    while (i + dir >= 0 && i + dir < delta.length && delta[i + dir] >= half) i += dir;
+    const next = delta[i + dir];
+    return Math.abs(i - peakIdx) + (next === undefined ? 0 : (delta[i] - half) / (delta[i] - next));
+  };
+  const up = reach(1), down = reach(-1);
+  const [inward, outward] = peakIdx < zone.sensors / 2 ? [up, down] : [down, up];
+
+  let d = 0;
+  for (let k = 1; k < zone.dpSensors; k++) {
+    if (Math.abs(dpPosition(zone, k) - peakIdx) < Math.abs(dpPosition(zone, d) - peakIdx)) d = k;
+  }
+  const prox = 1 - Math.abs(dpPosition(zone, d) - peakIdx) / (zone.sensors / 3);
+  return {
+    peak,
+    width: up + down,
+    asym: (inward - outward) / (inward + outward),
+    dpPerDeg: prox >= 0.25 && peak > 0 ? (baseDp[d] - dp[d]) / (peak * prox) : null,
+    riseSec,
+  };
+}
+
+// Tolerances of the nearest-signature match
+const SPREAD = { width: 0.3, asym: 0.2, dpPerDeg: 0.2, rise: 0.8 };
+
+// Likely failure type of a signature: { type, confidence, scores } with
+// confidence the softmax share of the best match
+export function classifyBreach(sig) {
+  const dist = Object.fromEntries(BREACH_TYPE_IDS.map(id => {
+    const t = BREACH_TYPES[id];
+    const width = 1.18 * (t.width[0] + t.width[1]) / 2;   // FWHM of a Gaussian of σ = w/2
+    let d2 = (Math.log(sig.width / width) / SPREAD.width) ** 2 + ((sig.asym - t.skew) / SPREAD.asym) ** 2;
+    if (sig.dpPerDeg !== null) d2 += ((sig.dpPerDeg - t.dpPerDeg) / SPREAD.dpPerDeg) ** 2;
+    if (sig.riseSec !== null) d2 += (Math.log((sig.riseSec + 1) / (t.riseSec + 1)) / SPREAD.rise) ** 2;
+    return [id, d2];
+  }));
+  const type = BREACH_TYPE_IDS.reduce((best, id) => (dist[id] < dist[best] ? id : best));
+  const w = Object.fromEntries(BREACH_TYPE_IDS.map(id => [id, Math.exp(-(dist[id] - dist[type]) / 2)]));
+  const total = Object.values(w).reduce((a, v) => a + v, 0);
+  const scores = Object.fromEntries(BREACH_TYPE_IDS.map(id => [id, w[id] / total]));
+  return { type, confidence: scores[type], scores };
+}
@@ -0,0 +1,370 @@
+// ─── Commissioning certificate ────────────────────────────────────────────────
+// Turns a finished commissioning run (commissioning.js) into a signed
+// certificate, renders it as printable HTML or PDF, and verifies uploaded
+// copies. The signed document is:
+//
+//   { format: "exi-certificate", version: 1,
+//     certificate: { id, issuedAt, site, zone, operator, company, equipment, results },
+//     hash: "sha256:<hex of the canonical certificate JSON>",
+//     signature: { alg: "ECDSA-P256-SHA256", keyId, publicKey: <JWK>, value: <base64> } }
+//
+// Canonical JSON sorts object keys so the hash does not depend on key order.
+// The signing key is an ECDSA P-256 pair generated by Web Crypto on first use
+// and kept in this browser's localStorage; its public half travels with every
+// certificate. Verification recomputes the hash and checks the signature
+// against the embedded public key. That only proves the file was not altered
+// since someone signed it, so a certificate is verified only when its key is
+// a trusted issuer: this browser's own key or one the user pinned by key id or
+// imported from the issuer's key file. Trusted issuers live in localStorage.
+//
+// HTML copies carry the signed document in a <script type="application/json">
+// block and PDF copies in a `%EXI-CERTIFICATE <base64>` comment line. The
+// verifier checks that signed data, then that the file is exactly what the
+// data renders to, so editing the printed text is caught as well.
+
+export const CERT_FORMAT  = "exi-certificate";
+export const CERT_VERSION = 1;
+export const CERT_KEY_STORAGE_KEY = "exi-cert-key";
+export const CERT_TRUST_STORAGE_KEY = "exi-cert-trusted";
+export const ISSUER_KEY_FORMAT = "exi-issuer-key";
+
+const ALG = "ECDSA-P256-SHA256";
+const KEY_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+const HTML_MARKER = /<script type="application\/json" id="exi-certificate">([\s\S]*?)<\/script>/;
+const PDF_MARKER = /%EXI-CERTIFICATE ([A-Za-z0-9+/=]+)/;
+
+const subtle = () => {
+  if (!globalThis.crypto?.subtle) throw new Error("Web Crypto is unavailable — open the dashboard over https or localhost");
+  return globalThis.crypto.subtle;
+};
+const utf8 = s => new TextEncoder().encode(s);
+const hex = buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+const toBase64 = bytes => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(""));
+const fromBase64 = s => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+
+export function canonicalJSON(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJSON).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJSON(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+async function sha256(text) {
+  return hex(await subtle().digest("SHA-256", utf8(text)));
+}
+
+// First 16 hex digits of the public key's SHA-256, grouped for reading aloud
+async function keyIdOf({ kty, crv, x, y }) {
+  return (await sha256(canonicalJSON({ kty, crv, x, y }))).slice(0, 16).match(/.{4}/g).join("-");
+}
+
+// The browser's signing key, created on first use. `persistent` is false when
+// storage is unavailable and the key only lasts for this visit.
+export async function loadSigningKey(storage = globalThis.localStorage) {
+  let stored = null;
+  try {
+    stored = JSON.parse(storage?.getItem(CERT_KEY_STORAGE_KEY) || "null");
+  } catch {
+    stored = null;
+  }
+  let privateJwk = stored?.privateKey, publicJwk = stored?.publicKey;
+  if (!privateJwk || !publicJwk) {
+    const pair = await subtle().generateKey(KEY_PARAMS, true, ["sign", "verify"]);
+    privateJwk = await subtle().exportKey("jwk", pair.privateKey);
+    publicJwk = await subtle().exportKey("jwk", pair.publicKey);
+  }
+  let persistent = true;
+  try {
+    storage.setItem(CERT_KEY_STORAGE_KEY, JSON.stringify({ privateKey: privateJwk, publicKey: publicJwk }));
+  } catch {
+    persistent = false;
+  }
+  const { kty, crv, x, y } = publicJwk;
+  return {
+    privateKey: await subtle().importKey("jwk", privateJwk, KEY_PARAMS, false, ["sign"]),
+    publicJwk: { kty, crv, x, y },
+    keyId: await keyIdOf(publicJwk),
+    persistent,
+  };
+}
+
+// ── Trusted issuers ────────────────────────────────────────────────────────
+// "0A1B 2c3d-4e5f…" → "0a1b-2c3d-4e5f-6a7b", or null if it is not a key id
+export function normalizeKeyId(text) {
+  const digits = String(text ?? "").toLowerCase().replace(/[\s-]/g, "");
+  return /^[0-9a-f]{16}$/.test(digits) ? digits.match(/.{4}/g).join("-") : null;
+}
+
+// [{ keyId, label }] pinned by the user; an unreadable store is empty
+export function loadTrustedIssuers(storage = globalThis.localStorage) {
+  try {
+    const list = JSON.parse(storage?.getItem(CERT_TRUST_STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list.filter(t => normalizeKeyId(t?.keyId) === t.keyId) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeTrustedIssuers(list, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(CERT_TRUST_STORAGE_KEY, JSON.stringify(list));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Adds or relabels an issuer; throws on a malformed key id
+export function pinIssuer(list, keyId, label) {
+  const id = normalizeKeyId(keyId);
+  if (!id) throw new Error("A key id is 16 hex digits, e.g. 0a1b-2c3d-4e5f-6a7b");
+  return [...list.filter(t => t.keyId !== id), { keyId: id, label: String(label ?? "").trim() || id }];
+}
+
+// Public key file an issuer hands to the sites that verify its certificates
+export function issuerKeyFile(key, label) {
+  return JSON.stringify({ format: ISSUER_KEY_FORMAT, version: 1, keyId: key.keyId, label, publicKey: key.publicJwk }, null, 2);
+}
+
+// { keyId, label } from an issuer key file. The key id is recomputed from the
+// public key, so a file whose stated id was edited is rejected.
+export async function parseIssuerKey(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("Not an EXI issuer key file");
+  }
+  if (doc?.format !== ISSUER_KEY_FORMAT || !doc.publicKey) throw new Error("Not an EXI issuer key file");
+  const keyId = await keyIdOf(doc.publicKey);
+  if (doc.keyId !== keyId) throw new Error("Key id does not match the public key in the file");
+  return { keyId, label: String(doc.label ?? "").trim() || keyId };
+}
+
+// Certificate body from the run. `results` are the wizard's steps in order:
+// [{ step, title, limit, status, measured, detail }]
+export function buildCertificate({ site, zone, details, results, issuedAt, id }) {
+  return {
+    id, issuedAt: new Date(issuedAt).toISOString(),
+    site: site.name,
+    zone: { id: zone.id, name: zone.name, rows: zone.rows, sensors: zone.sensors, lengthM: zone.lengthM },
+    operator: details.operator, company: details.company,
+    equipment: { interrogator: details.interrogator, serial: details.serial, fiber: details.fiber },
+    results: results.map(({ step, title, limit, status, measured, detail }) =>
+      ({ step, title, limit, status, measured: measured ?? null, detail: detail ?? null })),
+  };
+}
+
+export async function signCertificate(certificate, key) {
+  const body = canonicalJSON(certificate);
+  const sig = await subtle().sign(SIGN_PARAMS, key.privateKey, utf8(body));
+  return {
+    format: CERT_FORMAT, version: CERT_VERSION, certificate,
+    hash: `sha256:${await sha256(body)}`,
+    signature: { alg: ALG, keyId: key.keyId, publicKey: key.publicJwk, value: toBase64(new Uint8Array(sig)) },
+  };
+}
+
+// { verified, valid, hashOk, signatureOk, trusted, issuer, keyId, certificate, problems }.
+// `valid` means the content matches its hash and signature; `trusted` that
+// the key is one of `trustedIssuers` ([{ keyId, label }], `issuer` is its
+// label). Only `verified` — both — means the certificate can be accepted.
+export async function verifyCertificate(doc, { trustedIssuers = [] } = {}) {
+  if (!doc || doc.format !== CERT_FORMAT) throw new Error("Not an EXI commissioning certificate");
+  if (doc.version !== CERT_VERSION) throw new Error(`Unsupported certificate version ${doc.version}`);
+  const { certificate, hash, signature } = doc;
+  if (!certificate || typeof hash !== "string" || !signature?.publicKey || typeof signature.value !== "string") {
+    throw new Error("Certificate is missing its hash or signature");
+  }
+  if (signature.alg !== ALG) throw new Error(`Unsupported signature algorithm ${signature.alg}`);
+
+  const problems = [];
+  const body = canonicalJSON(certificate);
+  const hashOk = hash === `sha256:${await sha256(body)}`;
+  if (!hashOk) problems.push("Content does not match the embedded hash — the certificate was altered after signing");
+
+  let signatureOk = false;
+  const keyId = await keyIdOf(signature.publicKey);
+  try {
+    const pub = await subtle().importKey("jwk", signature.publicKey, KEY_PARAMS, false, ["verify"]);
+    signatureOk = await subtle().verify(SIGN_PARAMS, pub, fromBase64(signature.value), utf8(body));
+  } catch {
+    signatureOk = false;
+  }
+  if (!signatureOk) problems.push("Signature does not verify against the embedded public key");
+  if (signature.keyId !== keyId) problems.push("Key id does not match the embedded public key");
+
+  const issuer = trustedIssuers.find(t => t.keyId === keyId)?.label ?? null;
+  const trusted = issuer !== null;
+  if (!trusted) problems.push(`Signed by key ${keyId}, which is not a trusted issuer`);
+  const valid = hashOk && signatureOk && signature.keyId === keyId;
+  return { verified: valid && trusted, valid, hashOk, signatureOk, trusted, issuer, keyId, certificate, problems };
+}
+
+// Signed document from an uploaded .json, .html or .pdf copy (file bytes)
+export function extractCertificate(bytes) {
+  const text = new TextDecoder().decode(bytes);
+  const kind = text.startsWith("%PDF") ? "pdf" : HTML_MARKER.test(text) ? "html" : "json";
+  let json = text;
+  if (kind === "html") json = HTML_MARKER.exec(text)[1];
+  if (kind === "pdf") {
+    const m = PDF_MARKER.exec(text);
+    if (!m) throw new Error("PDF carries no EXI certificate data");
+    json = new TextDecoder().decode(fromBase64(m[1]));
+  }
+  try {
+    return { kind, doc: JSON.parse(json) };
+  } catch {
+    throw new Error(kind === "json" ? "No certificate data found — expected an EXI certificate (.html, .pdf or .json)" : "Embedded certificate data is corrupt");
+  }
+}
+
+// Verifies an uploaded copy. Rendering is deterministic, so an HTML or PDF
+// copy must also match a fresh rendering of its signed data — this catches
+// edits to the printed text that leave the embedded data alone.
+export async function verifyCertificateFile(bytes, opts) {
+  const { kind, doc } = extractCertificate(bytes);
+  const result = await verifyCertificate(doc, opts);
+  let layoutOk = true;
+  if (kind === "html") layoutOk = certificateHtml(doc) === new TextDecoder().decode(bytes);
+  if (kind === "pdf") {
+    const fresh = certificatePdf(doc);
+    layoutOk = fresh.length === bytes.length && fresh.every((b, i) => b === bytes[i]);
+  }
+  if (!layoutOk) result.problems.push(`The ${kind.toUpperCase()} text differs from the signed data — the printed copy was edited`);
+  const valid = result.valid && layoutOk;
+  return { ...result, kind, layoutOk, valid, verified: valid && result.trusted };
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────
+const STATUS_TEXT = { pass: "PASS", fail: "FAIL", pending: "NOT RUN", running: "NOT RUN" };
+
+// Lines shared by the HTML and PDF layouts
+function summaryLines(c) {
+  return [
+    ["Certificate", c.id],
+    ["Issued", c.issuedAt.replace("T", " ").slice(0, 19) + " UTC"],
+    ["Site", c.site],
+    ["Zone", `${c.zone.name} (${c.zone.id})${c.zone.rows ? ` · ${c.zone.rows}` : ""}`],
+    ["Fiber run", `${c.zone.lengthM} m · ${c.zone.sensors} sensors`],
+    ["Operator", [c.operator, c.company].filter(Boolean).join(" · ")],
+    ["Interrogator", [c.equipment.interrogator, c.equipment.serial && `S/N ${c.equipment.serial}`].filter(Boolean).join(" · ")],
+    ["Fiber", c.equipment.fiber],
+  ];
+}
+
+const esc = s => String(s ?? "").replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+export function certificateHtml(doc) {
+  const c = doc.certificate;
+  const passed = c.results.every(r => r.status === "pass");
+  const rows = c.results.map(r => `
+      <tr><td>${esc(r.title)}</td><td>${esc(r.measured ?? "—")}</td><td>${esc(r.limit)}</td>
+        <td class="${r.status}">${STATUS_TEXT[r.status] || esc(r.status)}</td></tr>`).join("");
+  // "<" is escaped so certificate text cannot close the script block; JSON.parse reads \u003c back
+  const embedded = JSON.stringify(doc).replace(/</g, "\\u003c");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>EXI Commissioning Certificate ${esc(c.id)}</title>
+<style>
+  body { font: 13px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #0f172a; max-width: 760px; margin: 32px auto; padding: 0 24px; }
+  h1 { font-size: 20px; letter-spacing: 1px; margin: 0 0 4px; }
+  .sub { color: #475569; margin-bottom: 20px; }
+  dl { display: grid; grid-template-columns: 140px 1fr; gap: 4px 12px; margin: 0 0 20px; }
+  dt { color: #64748b; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { font-size: 11px; color: #64748b; text-transform: uppercase; letter-spacing: 1px; }
+  .pass { color: #059669; font-weight: 600; }
+  .fail { color: #dc2626; font-weight: 600; }
+  .status { font-size: 15px; font-weight: 700; margin-bottom: 20px; }
+  .sig { font: 10px/1.6 ui-monospace, Menlo, monospace; color: #475569; word-break: break-all; border-top: 1px solid #cbd5e1; padding-top: 12px; }
+  @media print { body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<h1>EXI COMMISSIONING CERTIFICATE</h1>
+<div class="sub">Containment breach detection · distributed fiber temperature sensing</div>
+<dl>${summaryLines(c).map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v || "—")}</dd>`).join("")}</dl>
+<table>
+  <thead><tr><th>Test</th><th>Measured</th><th>Limit</th><th>Result</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+<div class="status ${passed ? "pass" : "fail"}">STATUS: ${passed ? "CERTIFIED" : "NOT CERTIFIED"}</div>
+<div class="sig">
+  Content hash: ${esc(doc.hash)}<br>
+  Signature (${esc(doc.signature.alg)}, key ${esc(doc.signature.keyId)}): ${esc(doc.signature.value)}<br>
+  Verify this file in the EXI dashboard under Commissioning → Verify certificate.
+</div>
+<script type="application/json" id="exi-certificate">${embedded}</script>
+</body>
+</html>
+`;
+}
+
+// Helvetica in a PDF is WinAnsi-encoded; map what the results use and drop the rest
+const PDF_CHARS = { "σ": "sigma ", "✓": "", "✗": "", "—": "-", "–": "-", "→": "->", "Δ": "d", "…": "..." };
+const pdfText = s => String(s ?? "")
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, ch => PDF_CHARS[ch] ?? "?")
+  .replace(/[\\()]/g, ch => `\\${ch}`);
+
+// Single-page A4 PDF, returned as bytes
+export function certificatePdf(doc) {
+  const c = doc.certificate;
+  const passed = c.results.every(r => r.status === "pass");
+  const ops = [];
+  const text = (x, y, size, s, bold = false) => ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y} Td (${pdfText(s)}) Tj ET`);
+  let y = 780;
+  text(56, y, 16, "EXI COMMISSIONING CERTIFICATE", true);
+  text(56, y -= 18, 9, "Containment breach detection - distributed fiber temperature sensing");
+  y -= 14;
+  for (const [k, v] of summaryLines(c)) {
+    text(56, y -= 15, 10, k);
+    text(160, y, 10, v || "-");
+  }
+  y -= 16;
+  ops.push(`0.8 G 56 ${y} m 539 ${y} l S`);
+  for (const [x, h] of [[56, "TEST"], [260, "MEASURED"], [390, "LIMIT"], [490, "RESULT"]]) text(x, y - 14, 8, h, true);
+  y -= 14;
+  for (const r of c.results) {
+    y -= 18;
+    text(56, y, 10, r.title);
+    text(260, y, 10, r.measured ?? "-");
+    text(390, y, 10, r.limit);
+    text(490, y, 10, STATUS_TEXT[r.status] || r.status, true);
+  }
+  y -= 32;
+  text(56, y, 13, `STATUS: ${passed ? "CERTIFIED" : "NOT CERTIFIED"}`, true);
+  y -= 30;
+  text(56, y, 7, `Content hash: ${doc.hash}`);
+  text(56, y -= 11, 7, `Signature (${doc.signature.alg}, key ${doc.signature.keyId}):`);
+  for (const chunk of doc.signature.value.match(/.{1,110}/g)) text(56, y -= 10, 7, chunk);
+  text(56, y -= 16, 7, "Verify this file in the EXI dashboard under Commissioning -> Verify certificate.");
+
+  const content = ops.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${pdfText(`EXI Commissioning Certificate ${c.id}`)}) /Producer (EXI) >>`,
+  ];
+  // Every character is one byte (WinAnsi / ASCII), so string offsets are byte offsets
+  let out = `%PDF-1.4\n%EXI-CERTIFICATE ${toBase64(utf8(JSON.stringify(doc)))}\n`;
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 7 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(out, ch => ch.charCodeAt(0));
+}
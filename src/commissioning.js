@@ -0,0 +1,215 @@
+// ─── Commissioning protocol ───────────────────────────────────────────────────
+// The Commissioning wizard's measurements, as a reducer fed with the selected
+// zone's sweeps and detector output. Each step runs, measures and passes or
+// fails against CX_LIMITS:
+//
+//   continuity     every sensor reports a finite, in-range, changing value
+//   sealed         operator confirms; no breach may be active
+//   baseline       worst per-sensor σ over a CX_TIMING.baselineSec window
+//   detect         time from inducing a test breach to the first detector alert
+//   locate         distance between the plume fit at the alert (localize.js)
+//                  and the true position
+//   falsePositive  after the test breach is cleared and the zone settles,
+//                  detector alerts raised during a CX_TIMING.quietSec quiet
+//                  window in which the caller drives a CX_SWING supply swing
+//                  through the zone — a quiet-window test, not a measured
+//                  false-positive rate per week
+//   certificate    only once every step above has passed
+//
+// Only one step runs at a time. A failed step is retested by starting it
+// again; retesting `locate` re-runs `detect`, which it measures.
+
+import { localizePlume } from "./localize.js";
+
+export const CX_STEPS = ["continuity", "sealed", "baseline", "detect", "locate", "falsePositive", "certificate"];
+
+export const CX_LIMITS = {
+  baselineSigma:  0.8,   // °C, worst sensor
+  detectSec:      30,    // s from induction to first alert
+  locateCm:       25,    // cm between estimated and true position
+  falsePositives: 0,     // alerts during the quiet window (not a weekly rate)
+};
+
+export const CX_TIMING = {
+  continuityFrames: 10,
+  baselineSec:      300, // the protocol's 5-minute stable profile
+  settleSec:        45,  // max wait for the test plume to clear before the quiet window
+  quietSec:         60,
+};
+
+// CRAC supply swing run through the false-positive quiet window: one full
+// ±3 °C period, so the aisle warms and cools while no alert may be raised
+export const CX_SWING = { amp: 3, periodSec: CX_TIMING.quietSec, cycles: 1 };
+
+const TEMP_RANGE = [-20, 90];   // °C a healthy fiber segment can report
+const SETTLE_DELTA = 1.0;       // °C max ΔT that counts as settled
+
+const blank = () => ({ status: "pending", value: null, display: null, detail: null, startedAt: null, finishedAt: null });
+
+export function initialCx(zoneId = null) {
+  return { zone: zoneId, running: null, steps: Object.fromEntries(CX_STEPS.map(id => [id, blank()])), work: null };
+}
+
+export const cxPassed = (cx, id) => cx.steps[id].status === "pass";
+export const cxAllPassed = cx => CX_STEPS.slice(0, -1).every(id => cxPassed(cx, id));
+
+function finish(cx, id, ts, pass, value, display, detail = null) {
+  return {
+    ...cx, running: null, work: null,
+    steps: { ...cx.steps, [id]: { ...cx.steps[id], status: pass ? "pass" : "fail", value, display, detail, finishedAt: ts } },
+  };
+}
+
+function begin(cx, id, ts, work) {
+  // Retesting a step invalidates the ones measured after it
+  const later = CX_STEPS.slice(CX_STEPS.indexOf(id) + 1);
+  const steps = { ...cx.steps, [id]: { ...blank(), status: "running", startedAt: ts } };
+  for (const k of later) steps[k] = blank();
+  return { ...cx, running: id, work, steps };
+}
+
+function sigmaWorst(n, sum, sumSq) {
+  let worst = 0;
+  for (let i = 0; i < sum.length; i++) {
+    const mean = sum[i] / n;
+    worst = Math.max(worst, Math.sqrt(Math.max(0, sumSq[i] / n - mean * mean)));
+  }
+  return worst;
+}
+
+// What the running step is doing, for the wizard's status line.
+export function cxProgress(cx, ts) {
+  const id = cx.running;
+  if (!id) return null;
+  const el = Math.max(0, (ts - cx.steps[id].startedAt) / 1000);
+  const w = cx.work;
+  switch (id) {
+    case "continuity":    return `Checking sweep ${w.frames}/${CX_TIMING.continuityFrames}`;
+    case "sealed":        return "Waiting for operator confirmation";
+    case "baseline":      return `Capturing ${Math.floor(el)}/${CX_TIMING.baselineSec}s · ${w.n} sweeps`;
+    case "detect":        return `Test breach at #${w.truePos} · waiting for alert ${el.toFixed(1)}s`;
+    case "falsePositive": return w.phase === "settle"
+      ? `Test breach cleared · settling ${Math.floor(el)}s`
+      : `CRAC swing ${Math.floor((ts - w.quietFrom) / 1000)}/${CX_TIMING.quietSec}s · aisle ${w.shift >= 0 ? "+" : ""}${w.shift.toFixed(1)}°C · ${w.spurious} alerts`;
+    default:              return null;
+  }
+}
+
+// Actions:
+//   { type: "start", step, ts, zone, truePos?, cmPerSensor? }  begin a step (truePos for detect)
+//   { type: "confirm", ts, breaches }                          operator confirms the sealed step
+//   { type: "frame", zone, ts, temps, baseline, events, episodes, commonMode }
+//   { type: "certify", ts }
+//   { type: "reset", zone }
+export function cxReducer(cx, action) {
+  switch (action.type) {
+    case "reset":
+      return initialCx(action.zone);
+
+    case "start": {
+      const { step, ts } = action;
+      if (step === "locate") {
+        const det = cx.steps.detect;
+        if (det.status !== "pass") return cx;
+        const { estPos, ciCm, truePos, cmPerSensor } = det.value;
+        const errCm = Math.abs(estPos - truePos) * cmPerSensor;
+        return finish(begin(cx, "locate", ts, null), "locate", ts, errCm < CX_LIMITS.locateCm, errCm,
+          `±${Math.round(errCm)}cm`, `estimated #${estPos.toFixed(2)} (95% ±${ciCm.toFixed(1)}cm), actual #${truePos}`);
+      }
+      const work = {
+        continuity: { frames: 0, ok: null, moved: null, last: null },
+        sealed: null,
+        baseline: { n: 0, sum: null, sumSq: null },
+        detect: { truePos: action.truePos, cmPerSensor: action.cmPerSensor },
+        falsePositive: { phase: "settle", quietFrom: null, spurious: 0, shift: 0, peakShift: 0 },
+        certificate: null,
+      }[step];
+      return { ...begin(cx, step, ts, work), zone: action.zone ?? cx.zone };
+    }
+
+    case "confirm": {
+      if (cx.running !== "sealed") return cx;
+      const n = action.breaches;
+      return finish(cx, "sealed", action.ts, n === 0, n,
+        n === 0 ? "Operator confirmed" : `${n} active breach${n === 1 ? "" : "es"}`,
+        n === 0 ? null : "Clear or reseal active breaches, then retest");
+    }
+
+    case "certify":
+      if (!cxAllPassed(cx)) return cx;
+      return finish(begin(cx, "certificate", action.ts, null), "certificate", action.ts, true, null, "Ready");
+
+    case "frame": {
+      if (!cx.running || action.zone !== cx.zone) return cx;
+      const { ts, temps, baseline, events, episodes, commonMode = 0 } = action;
+      const id = cx.running;
+      const w = cx.work;
+      const elapsed = (ts - cx.steps[id].startedAt) / 1000;
+
+      if (id === "continuity") {
+        const ok = w.ok ? w.ok.slice() : new Array(temps.length).fill(true);
+        const moved = w.moved ? w.moved.slice() : new Array(temps.length).fill(false);
+        temps.forEach((t, i) => {
+          if (!Number.isFinite(t) || t < TEMP_RANGE[0] || t > TEMP_RANGE[1]) ok[i] = false;
+          if (w.last && t !== w.last[i]) moved[i] = true;
+        });
+        const frames = w.frames + 1;
+        if (frames < CX_TIMING.continuityFrames) return { ...cx, work: { frames, ok, moved, last: temps } };
+        const good = ok.filter((v, i) => v && moved[i]).length;
+        const bad = ok.map((v, i) => (v && moved[i] ? null : i)).filter(i => i !== null);
+        return finish(cx, id, ts, good === temps.length, good, `${good}/${temps.length} OK`,
+          bad.length ? `No signal or frozen: #${bad.slice(0, 8).join(", #")}${bad.length > 8 ? " …" : ""}` : null);
+      }
+
+      if (id === "baseline") {
+        const sum = w.sum ? w.sum.slice() : new Array(temps.length).fill(0);
+        const sumSq = w.sumSq ? w.sumSq.slice() : new Array(temps.length).fill(0);
+        temps.forEach((t, i) => { sum[i] += t; sumSq[i] += t * t; });
+        const n = w.n + 1;
+        if (elapsed < CX_TIMING.baselineSec) return { ...cx, work: { n, sum, sumSq } };
+        const sigma = sigmaWorst(n, sum, sumSq);
+        return finish(cx, id, ts, sigma < CX_LIMITS.baselineSigma, sigma, `σ = ${sigma.toFixed(2)}°C`,
+          `${n} sweeps over ${Math.round(elapsed)}s, worst sensor`);
+      }
+
+      if (id === "detect") {
+        const hit = events.find(e => e.type === "alert");
+        if (hit) {
+          const fix = localizePlume(temps, baseline, hit.episode.peakIdx);
+          const estPos = fix ? fix.pos : hit.episode.peakIdx;
+          const ciCm = fix ? ((fix.hi - fix.lo) / 2) * w.cmPerSensor : w.cmPerSensor / 2;
+          return finish(cx, id, ts, elapsed < CX_LIMITS.detectSec,
+            { sec: elapsed, estPos, ciCm, truePos: w.truePos, cmPerSensor: w.cmPerSensor },
+            `${elapsed.toFixed(1)}s`, `${hit.level} alert at sensor #${estPos.toFixed(2)}`);
+        }
+        if (elapsed >= CX_LIMITS.detectSec) {
+          return finish(cx, id, ts, false, null, `> ${CX_LIMITS.detectSec}s`, "No detector alert within the limit");
+        }
+        return cx;
+      }
+
+      if (id === "falsePositive") {
+        if (w.phase === "settle") {
+          const maxDelta = Math.max(0, ...temps.map((t, i) => t - baseline[i]));
+          if (episodes === 0 && maxDelta < SETTLE_DELTA) return { ...cx, work: { ...w, phase: "quiet", quietFrom: ts } };
+          if (elapsed >= CX_TIMING.settleSec) {
+            return finish(cx, id, ts, false, null, "Did not settle",
+              `Zone still ${maxDelta.toFixed(1)}°C above baseline after ${CX_TIMING.settleSec}s`);
+          }
+          return cx;
+        }
+        const spurious = w.spurious + events.filter(e => e.type === "alert").length;
+        const peakShift = Math.max(w.peakShift, Math.abs(commonMode));
+        if ((ts - w.quietFrom) / 1000 < CX_TIMING.quietSec) {
+          return { ...cx, work: { ...w, spurious, shift: commonMode, peakShift } };
+        }
+        return finish(cx, id, ts, spurious <= CX_LIMITS.falsePositives, spurious,
+          `${spurious} false +ve in ${CX_TIMING.quietSec}s`, `Quiet window under CRAC ±${CX_SWING.amp}°C swing · aisle shift peaked ${peakShift.toFixed(1)}°C`);
+      }
+      return cx;
+    }
+
+    default:
+      return cx;
+  }
+}
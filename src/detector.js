@@ -0,0 +1,165 @@
+// ─── Thermal anomaly detector ─────────────────────────────────────────────────
+// Per-sensor rolling Z-score with a sustain requirement:
+//
+//   z = (T − μ_window) / max(σ_window, σ_floor)
+//
+// Common-mode rejection runs first: the median ΔT across the zone is the
+// aisle-wide shift (a CRAC supply swing or load step moves every sensor
+// together, a plume only a few), and `commonMode` of it (0–1) is subtracted
+// from every reading before the statistics. A sensor is flagged when z >
+// zThreshold and its residual ΔT above baseline exceeds minDelta. Samples
+// taken while a sensor is flagged stay out of its window, so a plume cannot
+// become its own reference. Adjacent flagged sensors form an
+// episode tracked by its peak; an episode that persists for sustainSec raises
+// one alert, escalates once if ΔT passes criticalDelta, and clears after
+// clearSec without flagged sensors. Until it alerts an episode also measures
+// its rise: the seconds from its start until ΔT first reached 63 % of the
+// highest seen, which the breach classifier (breaches.js) uses as the onset.
+
+export const DEFAULT_DETECTOR = {
+  windowSec:     30,    // rolling statistics window
+  zThreshold:    2.5,   // σ multiple
+  sustainSec:    15,    // time an episode must persist before alerting
+  minDelta:      1.5,   // °C above baseline, guards against tiny-σ sensors
+  criticalDelta: 7,     // °C above baseline for CRITICAL
+  sigmaFloor:    0.1,   // °C, lower bound on σ
+  clearSec:      5,     // episode ends after this long with nothing flagged
+  commonMode:    1,     // share of the aisle-wide shift removed (0 = off)
+};
+
+// Inclusive limits used by the settings UI and config validation.
+export const DETECTOR_LIMITS = {
+  windowSec:     [5, 600],
+  zThreshold:    [1, 10],
+  sustainSec:    [0, 300],
+  minDelta:      [0, 20],
+  criticalDelta: [1, 40],
+  sigmaFloor:    [0.01, 2],
+  clearSec:      [1, 120],
+  commonMode:    [0, 1],
+};
+
+const MIN_SAMPLES = 10;  // per-sensor samples required before judging
+const GROUP_GAP   = 3;   // sensors; flagged runs closer than this merge
+const MERGE_DIST  = 10;  // sensors; a group this close to an episode peak belongs to it
+
+function median(values) {
+  const v = values.slice().sort((a, b) => a - b);
+  const m = v.length >> 1;
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+export function createDetector(config = {}) {
+  const cfg = { ...DEFAULT_DETECTOR, ...config };
+  const windows = [];   // per sensor: [{ ts, v }]
+  let episodes = [];
+  let episodeId = 0;
+  const traces = new Map();   // episode id → [{ ts, delta }] until it alerts
+  let firstTs = null;
+
+  function stats(win) {
+    const n = win.length;
+    const mean = win.reduce((a, s) => a + s.v, 0) / n;
+    const sd = Math.sqrt(win.reduce((a, s) => a + (s.v - mean) ** 2, 0) / n);
+    return { mean, sd };
+  }
+
+  function update(rawTemps, baseline, ts) {
+    if (firstTs === null) firstTs = ts;
+    const shift = median(rawTemps.map((t, i) => t - baseline[i]));
+    const temps = rawTemps.map(t => t - shift * cfg.commonMode);
+    const z = new Array(temps.length).fill(0);
+    const flagged = [];
+
+    temps.forEach((t, i) => {
+      const win = (windows[i] ||= []);
+      let hot = false;
+      if (win.length >= MIN_SAMPLES) {
+        const { mean, sd } = stats(win);
+        z[i] = (t - mean) / Math.max(sd, cfg.sigmaFloor);
+        hot = z[i] > cfg.zThreshold && t - baseline[i] > cfg.minDelta;
+      }
+      if (hot) {
+        flagged.push(i);
+      } else {
+        // Only age the window while clean, so a long plume keeps its pre-anomaly reference
+        win.push({ ts, v: t });
+        while (ts - win[0].ts > cfg.windowSec * 1000) win.shift();
+      }
+    });
+
+    // Group flagged sensors into contiguous runs and locate each run's peak
+    const groups = [];
+    for (const i of flagged) {
+      const g = groups[groups.length - 1];
+      if (g && i - g.last <= GROUP_GAP) g.last = i;
+      else groups.push({ first: i, last: i });
+    }
+    for (const g of groups) {
+      g.peakIdx = g.first;
+      for (let i = g.first; i <= g.last; i++) {
+        if (temps[i] - baseline[i] > temps[g.peakIdx] - baseline[g.peakIdx]) g.peakIdx = i;
+      }
+      g.delta = temps[g.peakIdx] - baseline[g.peakIdx];
+      g.z = z[g.peakIdx];
+    }
+
+    const events = [];
+    for (const g of groups) {
+      let ep = episodes.find(e => Math.abs(e.peakIdx - g.peakIdx) <= MERGE_DIST);
+      if (!ep) {
+        ep = { id: ++episodeId, start: ts, alerted: false, level: null, peakDelta: 0, peakZ: 0 };
+        episodes.push(ep);
+      }
+      ep.peakIdx = g.peakIdx;
+      ep.span = [g.first, g.last];
+      ep.delta = g.delta;
+      ep.z = g.z;
+      ep.lastSeen = ts;
+      ep.peakDelta = Math.max(ep.peakDelta, g.delta);
+      ep.peakZ = Math.max(ep.peakZ, g.z);
+      ep.sustain = (ts - ep.start) / 1000;
+      if (!ep.alerted) {
+        const trace = traces.get(ep.id) || [];
+        trace.push({ ts, delta: g.delta });
+        traces.set(ep.id, trace);
+        ep.riseSec = (trace.find(s => s.delta >= 0.63 * ep.peakDelta).ts - ep.start) / 1000;
+      }
+
+      const level = g.delta > cfg.criticalDelta ? "CRITICAL" : "WARNING";
+      if (!ep.alerted && ep.sustain >= cfg.sustainSec) {
+        ep.alerted = true;
+        ep.level = level;
+        traces.delete(ep.id);
+        events.push({ type: "alert", level, episode: { ...ep } });
+      } else if (ep.alerted && ep.level === "WARNING" && level === "CRITICAL") {
+        ep.level = level;
+        events.push({ type: "escalate", level, episode: { ...ep } });
+      }
+    }
+
+    episodes = episodes.filter(ep => {
+      if (ts - ep.lastSeen <= cfg.clearSec * 1000) return true;
+      traces.delete(ep.id);
+      if (ep.alerted) events.push({ type: "clear", episode: { ...ep } });
+      return false;
+    });
+
+    const warm = windows.reduce((mn, w) => Math.min(mn, w.length), Infinity);
+    const maxZ = Math.max(0, ...z);
+    return {
+      events,
+      state: {
+        warmingUp: warm < MIN_SAMPLES,
+        warmupSec: (ts - firstTs) / 1000,
+        flagged: flagged.length,
+        maxZ,
+        maxZIdx: maxZ > 0 ? z.indexOf(maxZ) : -1,
+        commonMode: shift,   // °C aisle-wide shift this sweep, before rejection
+        episodes: episodes.map(ep => ({ ...ep })),
+      },
+    };
+  }
+
+  return { config: cfg, update };
+}
@@ -0,0 +1,78 @@
+// ─── Rate-of-rise forecast ────────────────────────────────────────────────────
+// How soon each rack's inlet reaches the next ASHRAE limits if it keeps
+// warming as it has been. A straight line is fitted (least squares) through
+// the rack's inlet temperature over the last 90 s; the slope's standard
+// error gives a 95 % range on the rate, and so on each time-to-cross. A rack
+// counts as rising only when the rate clears both the noise floor and its own
+// uncertainty — stable and cooling racks get no forecast.
+
+import { ASHRAE_LIMITS } from "./metrics.js";
+
+export const FORECAST = {
+  fitSec:     90,        // regression window
+  minPoints:  12,        // fewer sweeps, or a shorter span, and no forecast
+  minSpanSec: 20,
+  floor:      0.05,      // °C/min; slower rises are treated as stable
+  horizonMin: 12 * 60,   // crossings further out are not reported
+};
+const Z95 = 1.96;
+
+export function createRiseTracker({ fitSec = FORECAST.fitSec } = {}) {
+  const zones = {};   // id → [{ ts, racks }], oldest first
+
+  function push(id, ts, racks) {
+    let buf = zones[id] || (zones[id] = []);
+    // A replay seek backwards restarts the buffer rather than interleaving
+    if (buf.length && ts < buf[buf.length - 1].ts) buf = zones[id] = [];
+    buf.push({ ts, racks: racks.slice() });
+    let drop = 0;
+    while (drop < buf.length && ts - buf[drop].ts > fitSec * 1000) drop++;
+    if (drop) buf.splice(0, drop);
+  }
+
+  // Per rack: { rack, temp, rate, lo, hi, rising, crossings } — temp is the
+  // fitted value now, rate/lo/hi the slope and its 95 % range (°C/min), and
+  // crossings [{ cls, limit, min, minLo, minHi }] for the limits still ahead,
+  // soonest first (minHi null when the slow end of the range is past the horizon).
+  // Empty until enough sweeps are in.
+  function forecast(id) {
+    const buf = zones[id] || [];
+    const now = buf.length ? buf[buf.length - 1].ts : 0;
+    if (buf.length < FORECAST.minPoints || now - buf[0].ts < FORECAST.minSpanSec * 1000) return [];
+    const xs = buf.map(s => (s.ts - now) / 60000);
+    const mx = xs.reduce((a, v) => a + v, 0) / xs.length;
+    const sxx = xs.reduce((a, v) => a + (v - mx) ** 2, 0);
+    if (sxx <= 0) return [];
+    return buf[0].racks.map((_, r) => {
+      const ys = buf.map(s => s.racks[r]);
+      const my = ys.reduce((a, v) => a + v, 0) / ys.length;
+      const rate = xs.reduce((a, x, i) => a + (x - mx) * (ys[i] - my), 0) / sxx;
+      const temp = my - rate * mx;   // fitted value at x = 0, i.e. now
+      const rss = ys.reduce((a, y, i) => a + (y - temp - rate * xs[i]) ** 2, 0);
+      const se = Math.sqrt(rss / Math.max(1, ys.length - 2) / sxx);
+      const lo = rate - Z95 * se, hi = rate + Z95 * se;
+      const rising = rate > FORECAST.floor && lo > 0;
+      const crossings = !rising ? [] : Object.entries(ASHRAE_LIMITS)
+        .filter(([, limit]) => limit > temp)
+        .map(([cls, limit]) => ({
+          cls, limit, min: (limit - temp) / rate, minLo: (limit - temp) / hi, minHi: (limit - temp) / lo,
+        }))
+        .filter(c => c.minLo <= FORECAST.horizonMin)
+        .map(c => ({ ...c, minHi: c.minHi <= FORECAST.horizonMin ? c.minHi : null }));
+      return { rack: r, temp, rate, lo, hi, rising, crossings };
+    });
+  }
+
+  return { push, forecast };
+}
+
+// The rack that reaches its next limit soonest, with that crossing, or null
+// when no rack is rising toward one
+export function soonestCrossing(racks) {
+  let best = null;
+  for (const r of racks) {
+    const c = r.crossings[0];
+    if (c && (!best || c.min < best.crossing.min)) best = { ...r, crossing: c };
+  }
+  return best;
+}
@@ -0,0 +1,45 @@
+// ─── Fiber temperature history ────────────────────────────────────────────────
+// Rolling per-zone buffer of sweeps feeding the space-time waterfall. Samples
+// are stored as Float32Array, half the size of plain numbers: an hour of the
+// default site (456 sensors, 2 sweeps/s) is 7200 × 456 × 4 B ≈ 13 MB.
+
+export const HISTORY_SPAN_MS = 60 * 60 * 1000;
+
+export function createHistory({ spanMs = HISTORY_SPAN_MS } = {}) {
+  const zones = {};   // id → [{ ts, temps }], oldest first
+
+  function push(frame) {
+    for (const [id, z] of Object.entries(frame.zones)) {
+      let buf = zones[id] || (zones[id] = []);
+      // A replay seek backwards restarts the buffer rather than interleaving
+      if (buf.length && frame.ts < buf[buf.length - 1].ts) buf = zones[id] = [];
+      buf.push({ ts: frame.ts, temps: Float32Array.from(z.temps) });
+      let drop = 0;
+      while (drop < buf.length && frame.ts - buf[drop].ts > spanMs) drop++;
+      if (drop) buf.splice(0, drop);
+    }
+  }
+
+  // `rows` buckets covering [end − windowMs, end], newest first. Each bucket
+  // holds the latest sample that falls in it, or null.
+  function window(id, windowMs, rows, end) {
+    const buf = zones[id] || [];
+    const out = new Array(rows).fill(null);
+    const bucket = windowMs / rows;
+    for (let k = buf.length - 1; k >= 0; k--) {
+      const age = end - buf[k].ts;
+      if (age < 0) continue;
+      if (age >= windowMs) break;
+      const row = Math.floor(age / bucket);
+      if (!out[row]) out[row] = buf[k];
+    }
+    return out;
+  }
+
+  function latest(id) {
+    const buf = zones[id];
+    return buf && buf.length ? buf[buf.length - 1] : null;
+  }
+
+  return { push, window, latest };
+}
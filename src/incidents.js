@@ -0,0 +1,76 @@
+// ─── Incident correlation ─────────────────────────────────────────────────────
+// One physical breach produces several alerts: the manual/feed BREACH, the
+// detector's WARNING and its CRITICAL escalation, possibly a second episode
+// as the plume drifts. Incidents fold those into one record per location:
+// alerts in the same zone within INCIDENT_DIST sensors of the incident, raised
+// no later than INCIDENT_GAP_MS after it was last seen, belong to it.
+//
+// Evidence recorded on each alert's signature (see alerts.js) is combined
+// into the incident's peak ΔT, last-seen time, nearby DP drops and an
+// estimated bypass load.
+
+import { ACTIONABLE } from "./alerts.js";
+
+export const INCIDENT_DIST   = 12;       // sensors
+export const INCIDENT_GAP_MS = 120000;   // quiet time after which a new incident starts
+export const DP_DROP_PA      = 3;        // DP drop (Pa) counted as bypass evidence, well above sensor noise
+
+const SEVERITY = { WARNING: 1, BREACH: 2, CRITICAL: 3 };
+const STATE_RANK = { resolved: 0, acknowledged: 1, open: 2, escalated: 3 };
+
+// Bypass airflow load implied by a plume's peak ΔT, using the same
+// intensity → kW scaling as the breach model (14 °C ≈ 18 kW).
+export function bypassFromDelta(delta) {
+  return (Math.max(0, delta) / 14) * 18;
+}
+
+// DP sensors currently reading below baseline by more than DP_DROP_PA.
+export function dpDrops(dp, baseDp, positionOf) {
+  return dp
+    .map((v, idx) => ({ idx, pos: positionOf(idx), drop: baseDp[idx] - v }))
+    .filter(d => d.drop > DP_DROP_PA);
+}
+
+// Group alerts into incidents, newest first.
+export function correlateIncidents(alerts) {
+  const incidents = [];
+  const sorted = alerts
+    .filter(a => ACTIONABLE.has(a.lvl) && a.signature)
+    .sort((a, b) => a.ts - b.ts);
+
+  for (const a of sorted) {
+    const seen = a.signature.lastWarm ?? a.ts;
+    let inc = incidents.find(i =>
+      i.zone === a.zone &&
+      Math.abs(i.pos - a.signature.pos) <= INCIDENT_DIST &&
+      a.ts - i.lastSeen <= INCIDENT_GAP_MS
+    );
+    if (!inc) {
+      inc = {
+        id: `INC-${a.id}`, zone: a.zone, pos: a.signature.pos, where: a.where, loc: a.loc,
+        alerts: [], severity: a.lvl, state: a.state, firstSeen: a.ts, lastSeen: seen,
+        peakDelta: 0, delta: 0, dp: {}, assignee: null,
+      };
+      incidents.push(inc);
+    }
+    inc.alerts.push(a);
+    inc.lastSeen = Math.max(inc.lastSeen, a.ts, seen);
+    if (SEVERITY[a.lvl] > SEVERITY[inc.severity]) {
+      inc.severity = a.lvl;
+      inc.pos = a.signature.pos;
+      inc.where = a.where;
+      inc.loc = a.loc;
+    }
+    if (STATE_RANK[a.state] > STATE_RANK[inc.state]) inc.state = a.state;
+    inc.peakDelta = Math.max(inc.peakDelta, a.signature.peakDelta);
+    if (a.state !== "resolved") inc.delta = Math.max(inc.delta, a.signature.delta);
+    for (const [idx, drop] of Object.entries(a.signature.dp)) inc.dp[idx] = Math.max(inc.dp[idx] || 0, drop);
+    inc.assignee = a.assignee || inc.assignee;
+  }
+
+  for (const inc of incidents) {
+    inc.bypassKW = bypassFromDelta(inc.state === "resolved" ? inc.peakDelta : inc.delta);
+    inc.peakBypassKW = bypassFromDelta(inc.peakDelta);
+  }
+  return incidents.reverse();
+}
@@ -0,0 +1,203 @@
+// ─── Energy ledger ────────────────────────────────────────────────────────────
+// What containment failures actually cost. Each breach's bypass load (the
+// same intensity → kW scaling as breachLoadKW) is integrated over the sweeps
+// it was seen in (trapezoid rule), and the energy is priced at the profile's
+// rate and CO₂ factor as it accrues — one record per breach, plus totals per
+// zone per local day, which also count the hours the zone was monitored. A
+// gap between sweeps longer than LEDGER.maxGapMs (a paused tab, a feed
+// outage) is only billed, and counted as monitored, up to that limit.
+//
+// Alerts and incidents are charged the breaches behind them: those in the
+// same zone within INCIDENT_DIST sensors of the alert's position that were
+// live while it was open, or up to INCIDENT_GAP_MS before it was raised (the
+// detector trails the breach). A breach is counted once per incident.
+
+import { breachLoadKW } from "./metrics.js";
+import { INCIDENT_DIST, INCIDENT_GAP_MS } from "./incidents.js";
+
+export const LEDGER_STORAGE_KEY = "exi-energy-ledger";
+export const LEDGER = {
+  maxGapMs:     10 * 1000,
+  keepBreaches: 1000,   // newest breach records kept
+  keepDays:     400,    // daily totals kept
+};
+export const LEDGER_PERIODS = [
+  { l: "TODAY", days: 1 },
+  { l: "7 D",   days: 7 },
+  { l: "30 D",  days: 30 },
+];
+export const EMPTY_LEDGER = { breaches: [], days: {} };
+
+const pad = n => String(n).padStart(2, "0");
+// Local calendar day, YYYY-MM-DD — the facility's reporting day
+export function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Energy priced under `energy` ({ rate $/kWh, co2Factor t CO₂/kWh })
+export function priceEnergy(kWh, { rate, co2Factor }) {
+  return { kWh, cost: kWh * rate, co2Kg: kWh * co2Factor * 1000 };
+}
+
+const zero = () => ({ kWh: 0, cost: 0, co2Kg: 0 });
+function add(acc, { kWh, cost, co2Kg }) {
+  acc.kWh += kWh;
+  acc.cost += cost;
+  acc.co2Kg += co2Kg;
+  return acc;
+}
+
+// `saved` is a previous ledger's data() (see loadLedger)
+export function createLedger(saved = EMPTY_LEDGER) {
+  const breaches = saved.breaches.map(b => ({ ...b }));
+  const days = Object.fromEntries(Object.entries(saved.days).map(([d, zs]) =>
+    [d, Object.fromEntries(Object.entries(zs).map(([z, t]) => [z, { ...t }]))]));
+  const zones = {};   // id → { ts, open: Map(breach id → { rec, kW }) }
+
+  // One sweep of `zone` at `ts` with its live breaches, priced under `energy`.
+  // Returns what the sweep added: { kWh, cost, co2Kg }
+  function push(zone, ts, live, energy) {
+    const z = zones[zone] || (zones[zone] = { ts: null, open: new Map() });
+    // A clock step backwards (new source, replay) starts over rather than billing it
+    if (z.ts !== null && ts < z.ts) z.open = new Map();
+    const hours = z.ts === null || ts < z.ts ? 0 : Math.min(ts - z.ts, LEDGER.maxGapMs) / 3600000;
+    dayTotal(ts, zone).hours += hours;
+    const sweep = zero();
+    const open = new Map();
+    for (const b of live) {
+      const kW = breachLoadKW([b]);
+      const prev = z.open.get(b.id) || { rec: openRecord(zone, b, ts), kW: 0 };
+      const e = priceEnergy(((prev.kW + kW) / 2) * hours, energy);
+      add(prev.rec, e);
+      add(dayTotal(ts, zone), e);
+      add(sweep, e);
+      prev.rec.last = ts;
+      prev.rec.peakKW = Math.max(prev.rec.peakKW, kW);
+      open.set(b.id, { rec: prev.rec, kW });
+    }
+    z.open = open;
+    z.ts = ts;
+    return sweep;
+  }
+
+  function openRecord(zone, b, ts) {
+    const rec = {
+      zone, id: b.id, label: b.label ?? null, type: b.type ?? null, pos: b.pos,
+      first: ts, last: ts, peakKW: 0, ...zero(),
+    };
+    breaches.push(rec);
+    if (breaches.length > LEDGER.keepBreaches) breaches.shift();
+    return rec;
+  }
+
+  function dayTotal(ts, zone) {
+    const key = dayKey(ts);
+    if (!days[key]) {
+      days[key] = {};
+      const keys = Object.keys(days).sort();
+      keys.slice(0, Math.max(0, keys.length - LEDGER.keepDays)).forEach(k => delete days[k]);
+    }
+    return days[key][zone] || (days[key][zone] = { ...zero(), hours: 0 });
+  }
+
+  // Live references — serialise them (storeLedger) rather than mutating
+  const data = () => ({ breaches, days });
+
+  return { push, data };
+}
+
+// ── Totals ─────────────────────────────────────────────────────────────────
+// For each of LEDGER_PERIODS, the last `days` local days up to and including
+// the day of `now`: { l, days, total, zones: { id → total } }
+export function ledgerTotals({ days }, now) {
+  return LEDGER_PERIODS.map(p => {
+    const total = zero(), zones = {};
+    const d = new Date(now);
+    for (let i = 0; i < p.days; i++) {
+      for (const [z, t] of Object.entries(days[dayKey(d)] || {})) {
+        add(total, t);
+        add(zones[z] || (zones[z] = zero()), t);
+      }
+      d.setDate(d.getDate() - 1);
+    }
+    return { ...p, total, zones };
+  });
+}
+
+// ── Attribution ────────────────────────────────────────────────────────────
+// Breach records behind one positional alert, as of `now`
+export function alertBreaches({ breaches }, alert, now) {
+  if (!alert.signature) return [];
+  const from = alert.ts - INCIDENT_GAP_MS;
+  const to = alert.resolvedAt ?? now;
+  return breaches.filter(b =>
+    b.zone === alert.zone && Math.abs(b.pos - alert.signature.pos) <= INCIDENT_DIST &&
+    b.last >= from && b.first <= to
+  );
+}
+
+// Realized cost of a set of alerts (one alert, or an incident's), each breach
+// counted once: { kWh, cost, co2Kg, breaches }, or null when none of them
+// carries a position to attribute by
+export function realizedCost(data, alerts, now) {
+  if (!alerts.some(a => a.signature)) return null;
+  const hit = new Set(alerts.flatMap(a => alertBreaches(data, a, now)));
+  const total = zero();
+  hit.forEach(b => add(total, b));
+  return { ...total, breaches: hit.size };
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────
+// One row per local day and zone, oldest first
+export function dailyCsv({ days }) {
+  const rows = [["date", "zone", "monitored_h", "kwh", "cost", "co2_kg"]];
+  for (const d of Object.keys(days).sort()) {
+    for (const [z, t] of Object.entries(days[d]).sort(([a], [b]) => a.localeCompare(b))) {
+      rows.push([d, z, (t.hours || 0).toFixed(2), t.kWh.toFixed(3), t.cost.toFixed(2), t.co2Kg.toFixed(2)]);
+    }
+  }
+  return rows.map(r => r.join(",")).join("\n") + "\n";
+}
+
+// One row per breach record, oldest first
+export function breachCsv({ breaches }) {
+  const rows = [["zone", "breach", "type", "label", "position", "start", "end", "duration_s", "peak_kw", "kwh", "cost", "co2_kg"]];
+  for (const b of breaches) {
+    rows.push([
+      b.zone, b.id, b.type ?? "", `"${String(b.label ?? "").replace(/"/g, '""')}"`, b.pos,
+      new Date(b.first).toISOString(), new Date(b.last).toISOString(), Math.round((b.last - b.first) / 1000),
+      b.peakKW.toFixed(1), b.kWh.toFixed(3), b.cost.toFixed(2), b.co2Kg.toFixed(2),
+    ]);
+  }
+  return rows.map(r => r.join(",")).join("\n") + "\n";
+}
+
+// ── Storage ────────────────────────────────────────────────────────────────
+const finite = v => typeof v === "number" && Number.isFinite(v);
+
+export function loadLedger(storage = globalThis.localStorage) {
+  try {
+    const s = JSON.parse(storage?.getItem(LEDGER_STORAGE_KEY) || "null");
+    if (!s || !Array.isArray(s.breaches) || typeof s.days !== "object" || s.days === null) return EMPTY_LEDGER;
+    const breaches = s.breaches.filter(b => b && typeof b.zone === "string" &&
+      [b.pos, b.first, b.last, b.peakKW, b.kWh, b.cost, b.co2Kg].every(finite));
+    const days = {};
+    for (const [d, zs] of Object.entries(s.days)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(d) || !zs || typeof zs !== "object") continue;
+      const ok = Object.entries(zs).filter(([, t]) => t && [t.kWh, t.cost, t.co2Kg].every(finite));
+      if (ok.length) days[d] = Object.fromEntries(ok.map(([z, t]) => [z, { ...t, hours: finite(t.hours) ? t.hours : 0 }]));
+    }
+    return { breaches, days };
+  } catch {
+    return EMPTY_LEDGER;
+  }
+}
+
+export function storeLedger(ledger, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(LEDGER_STORAGE_KEY, JSON.stringify(ledger.data()));
+  } catch {
+    // Private browsing or quota exceeded — the totals still build up for this visit
+  }
+}
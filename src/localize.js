@@ -0,0 +1,106 @@
+// ─── Plume localization ───────────────────────────────────────────────────────
+// Sub-sensor position of a thermal plume. The hottest sensor only places a
+// breach to the nearest gauge (~10 cm on a 12 m run), so the plume is fitted
+// instead: a two-sided Gaussian (its own width each side, since end-cap
+// plumes are lopsided) through the sensors above FIT_LEVEL of its peak. In
+// ln ΔT that is two half-parabolas meeting at the centre μ; for each trial μ
+// the rest is a weighted linear fit (weights ΔT² undo the log's noise
+// amplification), and μ is the one with the least residual. Its 95 %
+// interval is where the residual stays within t²(n − 4) of that minimum
+// (profile likelihood), so it can be asymmetric. The noise level comes from
+// the fit's own few residuals, hence Student's t rather than χ²(1) = 3.84. Plumes with too few
+// sensors for a fit fall back to a ΔT-weighted centroid.
+//
+// ΔT is taken after removing the aisle-wide shift (the median over the run),
+// as the detector does. Positions and uncertainties are in sensor units;
+// `cmPerSensor` converts them for display.
+
+const Z95       = 1.96;
+// Two-sided 95 % Student's t for 1–20 degrees of freedom; ≈ 1.96 + 2.5/dof beyond
+const T95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086];
+const t95 = dof => T95[dof - 1] ?? Z95 + 2.5 / dof;
+const FIT_LEVEL = 0.2;    // share of the peak a sensor needs to join the fit
+const MIN_FIT   = 5;      // sensors needed to fit centre, level and two widths
+const MU_STEP   = 0.01;   // sensors; resolution of the centre search
+
+export const cmPerSensor = zone => (zone.lengthM * 100) / zone.sensors;
+
+// { pos, sigma, lo, hi, method } around the plume peaking near `peakIdx`, or
+// null when nothing there is warmer than the aisle. lo/hi bound the 95 %
+// interval and sigma is its half-width over 1.96.
+export function localizePlume(temps, baseline, peakIdx) {
+  const raw = temps.map((t, i) => t - baseline[i]);
+  const shift = raw.slice().sort((a, b) => a - b)[raw.length >> 1];
+  const delta = raw.map(v => v - shift);
+
+  // The peak can have drifted a sensor or two since the detector saw it
+  let p = peakIdx;
+  for (let i = Math.max(0, peakIdx - 2); i <= Math.min(delta.length - 1, peakIdx + 2); i++) if (delta[i] > delta[p]) p = i;
+  if (!(delta[p] > 0)) return null;
+
+  let a = p, b = p;
+  while (a > 0 && delta[a - 1] >= delta[p] * FIT_LEVEL) a--;
+  while (b < delta.length - 1 && delta[b + 1] >= delta[p] * FIT_LEVEL) b++;
+  const idx = [];
+  for (let i = a; i <= b; i++) idx.push(i);
+
+  const fit = idx.length >= MIN_FIT ? fitPlume(idx, delta, p) : null;
+  if (fit) return { ...fit, method: "gaussian" };
+
+  // Centroid: spread of the weights over √n, never tighter than half a gauge
+  const w = idx.map(i => delta[i]);
+  const sw = w.reduce((s, v) => s + v, 0);
+  const pos = idx.reduce((s, i, k) => s + i * w[k], 0) / sw;
+  const spread = Math.sqrt(idx.reduce((s, i, k) => s + w[k] * (i - pos) ** 2, 0) / sw);
+  const sigma = Math.max(0.5, spread / Math.sqrt(idx.length));
+  return { pos, sigma, lo: pos - Z95 * sigma, hi: pos + Z95 * sigma, method: "centroid" };
+}
+
+// Weighted residual of ln ΔT = c0 + aL·(x − μ)² left of μ, c0 + aR·(x − μ)²
+// right of it, for a fixed μ; null when either side does not fall away
+function residual(rows, mu) {
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]], r = [0, 0, 0];
+  const feats = rows.map(({ x }) => (x < mu ? [1, (x - mu) ** 2, 0] : [1, 0, (x - mu) ** 2]));
+  rows.forEach(({ y, w }, n) => {
+    const f = feats[n];
+    for (let j = 0; j < 3; j++) {
+      r[j] += w * f[j] * y;
+      for (let k = 0; k < 3; k++) A[j][k] += w * f[j] * f[k];
+    }
+  });
+  const inv = invert3(A);
+  if (!inv) return null;
+  const c = inv.map(row => row[0] * r[0] + row[1] * r[1] + row[2] * r[2]);
+  if (!(c[1] < 0 && c[2] < 0)) return null;
+  return rows.reduce((s, { y, w }, n) => s + w * (y - c[0] - c[1] * feats[n][1] - c[2] * feats[n][2]) ** 2, 0);
+}
+
+// Centre and profile-likelihood interval; null when no trial centre fits
+function fitPlume(idx, delta, p) {
+  const rows = idx.map(i => ({ x: i, y: Math.log(Math.max(delta[i], 1e-3)), w: delta[i] ** 2 }));
+  const trials = [];
+  for (let mu = p - 1.5; mu <= p + 1.5 + 1e-9; mu += MU_STEP) {
+    const rss = residual(rows, mu);
+    if (rss !== null) trials.push({ mu, rss });
+  }
+  if (!trials.length) return null;
+  const best = trials.reduce((m, t) => (t.rss < m.rss ? t : m));
+  const dof = rows.length - 4;
+  const s2 = Math.max(best.rss / dof, 1e-12);
+  const inside = trials.filter(t => (t.rss - best.rss) / s2 <= t95(dof) ** 2);
+  const lo = Math.min(...inside.map(t => t.mu)) - MU_STEP / 2;
+  const hi = Math.max(...inside.map(t => t.mu)) + MU_STEP / 2;
+  return { pos: best.mu, sigma: (hi - lo) / (2 * Z95), lo, hi };
+}
+function invert3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+  ];
+}
@@ -0,0 +1,72 @@
+// ─── Zone metrics ─────────────────────────────────────────────────────────────
+// The numbers the dashboard shows for one zone — BARI and its components, rack
+// inlet averages, DP drop and breach summary — computed from a frame and the
+// zone's baselines. Shared by the UI and the Node-side integrations so a BMS
+// reading Modbus sees the same values as the screen.
+
+import { rackRange, rackAt } from "./site.js";
+
+// BARI = weighted sum of a thermal, a DP and a rack-inlet score, each scaled
+// to 0–1. Weights and the band cut-offs are per site (profile `bari`); the
+// defaults are 0.50 / 0.30 / 0.20 and 0.30 / 0.55 / 0.80.
+export const DEFAULT_BARI = {
+  weights: { thermal: 0.5, dp: 0.3, rack: 0.2 },
+  bands:   { elevated: 0.3, high: 0.55, critical: 0.8 },
+};
+export const BARI_COMPONENTS = ["thermal", "dp", "rack"];
+export const BARI_BANDS = ["elevated", "high", "critical"];
+export const BARI_LEVELS = ["ALL CLEAR", "ELEVATED", "HIGH RISK", "CRITICAL"];
+
+export function bariScore(zone, { temps, dp }, { baseline, baseDp }, { weights } = DEFAULT_BARI) {
+  let maxDelta = 0, hotPos = null;
+  temps.forEach((t, i) => {
+    if (t - baseline[i] > maxDelta) { maxDelta = t - baseline[i]; hotPos = i; }
+  });
+  const thermalScore = Math.min(1, Math.max(0, (maxDelta - 1) / 10));
+  const dpDrop = dp.reduce((acc, v, i) => acc + (baseDp[i] - v), 0) / dp.length;
+  const dpScore = Math.min(1, Math.max(0, dpDrop / 16));
+  const edge = Math.round(zone.sensors / 12); // rack inlets only, skip the end caps
+  const rackMean = temps.slice(edge, zone.sensors - edge).reduce((a, b) => a + b, 0) / (zone.sensors - 2 * edge);
+  const rackScore = Math.min(1, Math.max(0, (rackMean - zone.tBase - 1) / 6));
+  const bari = Math.min(1, weights.thermal * thermalScore + weights.dp * dpScore + weights.rack * rackScore);
+  return { bari, thermalScore, dpScore, rackScore, maxDelta, hotPos, dpDrop, rackMean };
+}
+
+// 0 = all clear … 3 = critical
+export function bariBand(bari, { bands } = DEFAULT_BARI) {
+  return bari < bands.elevated ? 0 : bari < bands.high ? 1 : bari < bands.critical ? 2 : 3;
+}
+
+export function bariLevel(bari, cfg = DEFAULT_BARI) {
+  return BARI_LEVELS[bariBand(bari, cfg)];
+}
+
+// Mean fiber temperature in front of each rack
+export function rackAverages(zone, temps) {
+  return Array.from({ length: zone.racks }, (_, i) => {
+    const [s, e] = rackRange(zone, i);
+    const slice = temps.slice(s, e);
+    return slice.reduce((a, b) => a + b, 0) / slice.length;
+  });
+}
+
+// Upper inlet limits (°C) of the ASHRAE allowable classes; A1 is the
+// recommended envelope's top
+export const ASHRAE_LIMITS = { A1: 27, A2: 35, A3: 40, A4: 45 };
+
+// ASHRAE allowable inlet class for a rack temperature
+export function ashraeClass(temp) {
+  return temp <= ASHRAE_LIMITS.A1 ? "A1" : temp <= ASHRAE_LIMITS.A2 ? "A2" : temp <= ASHRAE_LIMITS.A3 ? "A3" : "A4";
+}
+
+// Bypass load of the active breaches (14 °C plume ≈ 18 kW)
+export function breachLoadKW(breaches) {
+  return breaches.reduce((acc, b) => acc + (b.int / 14) * 18, 0);
+}
+
+// Active breach count and the strongest one's position, or null
+export function worstBreach(zone, breaches) {
+  if (!breaches.length) return { count: 0, worst: null };
+  const b = breaches.reduce((w, x) => (x.int > w.int ? x : w));
+  return { count: breaches.length, worst: { pos: b.pos, rack: rackAt(zone, b.pos), int: b.int, label: b.label } };
+}
@@ -0,0 +1,200 @@
+// ─── Outbound notifications ───────────────────────────────────────────────────
+// Posts incident lifecycle events (and raw alert events, for webhooks) to the
+// targets configured in the site profile:
+//
+//   webhook    generic JSON  { event, dedup_key, sent_at, site, incident, alert? }
+//   pagerduty  PagerDuty Events API v2 (trigger / acknowledge / resolve)
+//
+// Every incident gets one dedup key for its lifetime, so PagerDuty folds the
+// trigger, severity updates and the final resolve into one PD incident; an
+// incident that reopens (a new alert joins it after it resolved) triggers
+// that key again.
+// Each target has its own FIFO queue with one request in flight; network
+// errors, 429 and 5xx are retried with exponential backoff, other 4xx are
+// dropped as undeliverable.
+
+import { ACTIONABLE } from "./alerts.js";
+import { createEmitter } from "./sources.js";
+import { dpLabel } from "./site.js";
+
+export const PAGERDUTY_EVENTS_URL = "https://events.pagerduty.com/v2/enqueue";
+
+const PD_SEVERITY = { CRITICAL: "critical", BREACH: "error", WARNING: "warning" };
+const SEVERITY_RANK = { WARNING: 1, BREACH: 2, CRITICAL: 3 };
+
+function incidentSummary(inc) {
+  return {
+    id: inc.id, zone: inc.zone, severity: inc.severity, state: inc.state,
+    where: inc.where, loc: inc.loc,
+    firstSeen: new Date(inc.firstSeen).toISOString(), lastSeen: new Date(inc.lastSeen).toISOString(),
+    peakDeltaC: Math.round(inc.peakDelta * 10) / 10,
+    bypassKW: Math.round(inc.bypassKW * 10) / 10,
+    dpDropsPa: Object.fromEntries(Object.entries(inc.dp).map(([k, v]) => [dpLabel(k), Math.round(v * 10) / 10])),
+    alerts: inc.alerts.map(a => a.id),
+    assignee: inc.assignee,
+  };
+}
+
+function alertSummary(a) {
+  return { id: a.id, lvl: a.lvl, zone: a.zone, state: a.state, what: a.what, where: a.where, loc: a.loc, ts: new Date(a.ts).toISOString() };
+}
+
+// Build the HTTP body for one event and target kind. Returns null when the
+// target does not take this event (PagerDuty only tracks incidents).
+export function buildPayload(target, ev, { siteName, source }) {
+  if (target.kind === "pagerduty") {
+    if (!ev.incident) return null;
+    const action = { "incident.resolved": "resolve", "incident.acknowledged": "acknowledge" }[ev.event] || "trigger";
+    const body = { routing_key: target.routingKey, event_action: action, dedup_key: ev.dedupKey };
+    if (action === "trigger") {
+      const inc = ev.incident;
+      body.payload = {
+        summary: `${inc.severity} containment incident ${inc.id} — ${inc.where} (peak ΔT +${inc.peakDelta.toFixed(1)}°C, ~${inc.bypassKW.toFixed(1)} kW bypass)`.slice(0, 1024),
+        source, severity: PD_SEVERITY[inc.severity] || "warning",
+        timestamp: new Date(ev.ts).toISOString(),
+        component: inc.zone, group: siteName, class: "containment breach",
+        custom_details: incidentSummary(inc),
+      };
+    }
+    return body;
+  }
+  return {
+    event: ev.event, dedup_key: ev.dedupKey, sent_at: new Date(ev.ts).toISOString(), site: siteName,
+    ...(ev.incident ? { incident: incidentSummary(ev.incident) } : {}),
+    ...(ev.alert ? { alert: alertSummary(ev.alert) } : {}),
+  };
+}
+
+export function createNotifier({
+  targets, siteName, dedupPrefix, source = "exi-airflow",
+  fetchImpl = (...args) => globalThis.fetch(...args),
+  maxAttempts = 5, minBackoff = 1000, maxBackoff = 30000,
+}) {
+  const em = createEmitter();
+  const createdAt = Date.now();
+  const seenIncidents = new Map();   // id → { state, severity }
+  const seenAlerts = new Set();
+  let stopped = false;
+
+  const lanes = targets.filter(t => t.enabled !== false).map(target => ({
+    target, queue: [], busy: false, timer: null,
+    health: { id: target.id, kind: target.kind, name: target.name, queue: 0, sent: 0, dropped: 0,
+      lastSuccess: null, lastError: null, retrying: false },
+  }));
+
+  function publish() {
+    lanes.forEach(l => { l.health = { ...l.health, queue: l.queue.length }; });
+    em.emit("status", lanes.map(l => l.health));
+  }
+
+  function enqueue(ev) {
+    for (const lane of lanes) {
+      const body = buildPayload(lane.target, ev, { siteName, source });
+      if (!body) continue;
+      lane.queue.push({ body, attempts: 0, event: ev.event });
+      pump(lane);
+    }
+    publish();
+  }
+
+  async function pump(lane) {
+    if (lane.busy || stopped || !lane.queue.length) return;
+    lane.busy = true;
+    const job = lane.queue[0];
+    job.attempts++;
+    let retry = false, error = null;
+    try {
+      const res = await fetchImpl(lane.target.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(job.body),
+      });
+      if (!res.ok) {
+        error = `HTTP ${res.status}`;
+        retry = res.status === 429 || res.status >= 500;
+      }
+    } catch (err) {
+      error = err.message || "network error";
+      retry = true;
+    }
+    if (stopped) return;
+    lane.busy = false;
+
+    if (!error) {
+      lane.queue.shift();
+      lane.health = { ...lane.health, sent: lane.health.sent + 1, lastSuccess: Date.now(), retrying: false };
+    } else if (retry && job.attempts < maxAttempts) {
+      const wait = Math.min(maxBackoff, minBackoff * 2 ** (job.attempts - 1));
+      lane.health = { ...lane.health, retrying: true,
+        lastError: { at: Date.now(), message: `${error} · ${job.event} · retry ${job.attempts}/${maxAttempts - 1} in ${wait / 1000}s` } };
+      lane.timer = setTimeout(() => { lane.timer = null; pump(lane); }, wait);
+      publish();
+      return;
+    } else {
+      lane.queue.shift();
+      lane.health = { ...lane.health, dropped: lane.health.dropped + 1, retrying: false,
+        lastError: { at: Date.now(), message: `${error} · ${job.event} dropped after ${job.attempts} attempt${job.attempts === 1 ? "" : "s"}` } };
+    }
+    publish();
+    pump(lane);
+  }
+
+  // Diff the current incidents/alerts against what was already announced.
+  function observe({ incidents, alerts }) {
+    const now = Date.now();
+    for (const inc of incidents) {
+      const prev = seenIncidents.get(inc.id);
+      const ev = { ts: now, incident: inc, dedupKey: `${dedupPrefix}-${inc.id}` };
+      if (!prev) {
+        if (inc.state !== "resolved") enqueue({ ...ev, event: "incident.triggered" });
+      } else if (inc.state === "resolved" && prev.state !== "resolved") {
+        enqueue({ ...ev, event: "incident.resolved" });
+      } else if (inc.state !== "resolved" && prev.state === "resolved") {
+        enqueue({ ...ev, event: "incident.reopened" });
+      } else if (inc.state === "acknowledged" && prev.state !== "acknowledged") {
+        enqueue({ ...ev, event: "incident.acknowledged" });
+      } else if (inc.state !== "resolved" && (SEVERITY_RANK[inc.severity] > SEVERITY_RANK[prev.severity] ||
+                 (inc.state === "escalated" && prev.state !== "escalated"))) {
+        enqueue({ ...ev, event: "incident.updated" });
+      }
+      seenIncidents.set(inc.id, { state: inc.state, severity: inc.severity });
+    }
+    for (const a of alerts) {
+      if (seenAlerts.has(a.id)) continue;
+      seenAlerts.add(a.id);
+      if (ACTIONABLE.has(a.lvl) && a.ts >= createdAt) {
+        const inc = incidents.find(i => i.alerts.some(x => x.id === a.id));
+        enqueue({ ts: now, event: "alert.raised", alert: a, dedupKey: inc ? `${dedupPrefix}-${inc.id}` : `${dedupPrefix}-A${a.id}` });
+      }
+    }
+  }
+
+  // Send a one-off test event to a single target.
+  function test(id) {
+    const lane = lanes.find(l => l.target.id === id);
+    if (!lane) return;
+    const now = Date.now();
+    const probe = {
+      id: "TEST", zone: "—", severity: "WARNING", state: "resolved", where: "Notification test", loc: null,
+      firstSeen: now, lastSeen: now, peakDelta: 0, bypassKW: 0, dp: {}, alerts: [], assignee: null,
+    };
+    const ev = { ts: now, event: "test", incident: probe, dedupKey: `${dedupPrefix}-TEST-${now}` };
+    const body = lane.target.kind === "pagerduty"
+      ? buildPayload(lane.target, { ...ev, event: "incident.triggered" }, { siteName, source })
+      : buildPayload(lane.target, ev, { siteName, source });
+    lane.queue.push({ body, attempts: 0, event: "test" });
+    publish();
+    pump(lane);
+  }
+
+  return {
+    on: em.on,
+    observe,
+    test,
+    get status() { return lanes.map(l => ({ ...l.health, queue: l.queue.length })); },
+    stop() {
+      stopped = true;
+      lanes.forEach(l => clearTimeout(l.timer));
+    },
+  };
+}
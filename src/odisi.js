@@ -0,0 +1,172 @@
+// ─── Luna ODiSI export import ──────────────────────────────────────────────────
+// Parses ODiSI-6104 text/CSV exports and resamples each sweep onto one
+// zone's sensor array, producing a session (see session.js) that plays back
+// through the replay source.
+//
+// Expected layout (tab- or comma-delimited):
+//
+//   Key:<tab>value                  optional metadata lines (Units:, Gage pitch (mm):, …)
+//   ----------------                optional separator
+//   Gage/Segment Name  …            optional, skipped
+//   x  <tab> … <tab> 0.0026 …       gauge positions in metres — required
+//   Tare  …                         optional, skipped
+//   2024-03-14 10:02:11.123456 … values   one row per sweep, °C
+//
+// Leading non-numeric columns (measurement #, channel, units) are allowed on
+// data rows as long as the values line up with the position row. Empty or
+// NaN cells are treated as missing gauges.
+
+import { SESSION_FORMAT, SESSION_VERSION } from "./session.js";
+
+const POSITION_LABELS = new Set(["x", "x (m)", "position", "position (m)", "distance (m)", "length (m)"]);
+const SKIPPED_LABELS  = /^(gage|gauge|segment|tare|channel|sensor)/i;
+const BASELINE_SWEEPS = 10;
+const NOMINAL_RACK_KW = 80;
+
+function isMissing(cell) {
+  return cell === "" || /^nan$/i.test(cell);
+}
+
+function parseTimestamp(cell) {
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(cell)) {
+    // ODiSI writes microseconds; Date.parse only understands milliseconds
+    return Date.parse(cell.replace(" ", "T").replace(/(\.\d{3})\d+$/, "$1"));
+  }
+  return NaN;
+}
+
+// Column index → spreadsheet-style label for error messages (0 → A).
+function colName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// Average gauges into `sensors` equal-length bins along the fiber, filling
+// empty bins by linear interpolation between their filled neighbours.
+function makeResampler(positions, sensors) {
+  const x0 = positions[0];
+  const len = positions[positions.length - 1] - x0 || 1;
+  const bin = positions.map(x => Math.min(sensors - 1, Math.floor(((x - x0) / len) * sensors)));
+  return function resample(values, rowNo) {
+    const sum = new Float64Array(sensors);
+    const n = new Uint32Array(sensors);
+    values.forEach((v, i) => {
+      if (Number.isFinite(v)) { sum[bin[i]] += v; n[bin[i]]++; }
+    });
+    const out = Array.from({ length: sensors }, (_, k) => (n[k] ? sum[k] / n[k] : NaN));
+    const filled = out.map((v, k) => (Number.isFinite(v) ? k : -1)).filter(k => k >= 0);
+    if (filled.length === 0) throw new Error(`Row ${rowNo}: sweep contains no valid gauge readings`);
+    for (let k = 0; k < sensors; k++) {
+      if (Number.isFinite(out[k])) continue;
+      const lo = filled.filter(f => f < k).pop();
+      const hi = filled.find(f => f > k);
+      if (lo === undefined) out[k] = out[hi];
+      else if (hi === undefined) out[k] = out[lo];
+      else out[k] = out[lo] + ((out[hi] - out[lo]) * (k - lo)) / (hi - lo);
+    }
+    return out;
+  };
+}
+
+export function parseOdisi(text, { name = "ODiSI export", zone }) {
+  const { sensors } = zone;
+  const lines = text.split(/\r?\n/);
+  const delim = lines.some(l => l.includes("\t")) ? "\t" : ",";
+  const meta = {};
+  let positions = null;
+  let dataCol = -1;
+  const sweeps = [];
+
+  lines.forEach((line, li) => {
+    const rowNo = li + 1;
+    if (!line.trim() || /^-{3,}/.test(line.trim())) return;
+    const cells = line.split(delim).map(c => c.trim());
+    const head = cells[0];
+
+    if (!positions) {
+      if (POSITION_LABELS.has(head.toLowerCase())) {
+        dataCol = cells.findIndex((c, i) => i > 0 && !isMissing(c));
+        if (dataCol < 0) throw new Error(`Row ${rowNo}: position row has no gauge positions`);
+        positions = cells.slice(dataCol).filter((c, i, arr) => i < arr.length - 1 || c !== "").map((c, i) => {
+          const x = Number(c);
+          if (!Number.isFinite(x)) {
+            throw new Error(`Row ${rowNo}, column ${colName(dataCol + i)}: position "${c}" is not a number`);
+          }
+          if (i > 0 && x <= Number(cells[dataCol + i - 1])) {
+            throw new Error(`Row ${rowNo}, column ${colName(dataCol + i)}: positions must increase along the fiber`);
+          }
+          return x;
+        });
+        if (positions.length < 2) throw new Error(`Row ${rowNo}: need at least 2 gauge positions`);
+        return;
+      }
+      const kv = /^([^:]+):\s*(.*)$/.exec(head);
+      if (kv && !Number.isFinite(parseTimestamp(head))) {
+        meta[kv[1].trim()] = [kv[2], ...cells.slice(1)].join(" ").trim();
+        return;
+      }
+      if (SKIPPED_LABELS.test(head)) return;
+      throw new Error(`Row ${rowNo}: expected metadata or the gauge position row ("x") before sweep data, found "${head}"`);
+    }
+
+    if (SKIPPED_LABELS.test(head)) return;
+    const ts = parseTimestamp(head);
+    if (!Number.isFinite(ts)) {
+      throw new Error(`Row ${rowNo}, column A: "${head}" is not a timestamp (expected YYYY-MM-DD HH:MM:SS.ffffff)`);
+    }
+    const raw = cells.slice(dataCol, dataCol + positions.length);
+    if (raw.length < positions.length) {
+      throw new Error(`Row ${rowNo}: ${raw.length} gauge values, expected ${positions.length} to match the position row`);
+    }
+    const values = raw.map((c, i) => {
+      if (isMissing(c)) return NaN;
+      const v = Number(c);
+      if (!Number.isFinite(v)) throw new Error(`Row ${rowNo}, column ${colName(dataCol + i)} (x = ${positions[i]} m): "${c}" is not a number`);
+      return v;
+    });
+    if (sweeps.length && ts < sweeps[sweeps.length - 1].ts) {
+      throw new Error(`Row ${rowNo}: timestamp ${head} is earlier than the previous sweep`);
+    }
+    sweeps.push({ ts, values, rowNo });
+  });
+
+  if (!positions) throw new Error('No gauge position row found (first cell "x")');
+  if (sweeps.length === 0) throw new Error("No sweep rows found after the position row");
+
+  const unitsKey = Object.keys(meta).find(k => /units?/i.test(k));
+  const units = unitsKey ? meta[unitsKey] : "°C";
+  if (/strain|µε|microstrain/i.test(units)) {
+    throw new Error(`Export is in strain units ("${units}") — re-export the temperature channel`);
+  }
+
+  const resample = makeResampler(positions, sensors);
+  const baseDp = Array.from({ length: zone.dpSensors }, () => zone.dpBase);
+  const rackPwr = Array.from({ length: zone.racks }, () => NOMINAL_RACK_KW);
+  const ticks = sweeps.map(s => ({
+    ts: s.ts,
+    zones: { [zone.id]: { temps: resample(s.values, s.rowNo), dp: baseDp, rackPwr, breaches: [] } },
+  }));
+
+  const nb = Math.min(BASELINE_SWEEPS, ticks.length);
+  const baseline = Array.from({ length: sensors }, (_, k) =>
+    ticks.slice(0, nb).reduce((a, t) => a + t.zones[zone.id].temps[k], 0) / nb
+  );
+
+  return {
+    format: SESSION_FORMAT, version: SESSION_VERSION,
+    name, source: `ODiSI · ${name}`,
+    startedAt: ticks[0].ts, endedAt: ticks[ticks.length - 1].ts,
+    baselines: { [zone.id]: { baseline, baseDp } },
+    zones: [zone.id],
+    ticks, alerts: [],
+    import: {
+      zone: zone.id,
+      gauges: positions.length,
+      sweeps: ticks.length,
+      lengthM: positions[positions.length - 1] - positions[0],
+      units,
+      meta,
+    },
+  };
+}
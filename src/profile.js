@@ -0,0 +1,266 @@
+// ─── Site profile ─────────────────────────────────────────────────────────────
+// Everything a sales engineer tailors for a prospect — site and zone layout,
+// breach test points, energy constants and detector tuning — in one JSON
+// document. The dashboard keeps the active profile in localStorage and can
+// import/export it as a file:
+//
+//   { format: "exi-profile", version: 1,
+//     site: { name, zones: [zone...] }, energy: { rate, co2Factor }, detector: {...},
+//     notifications: [{ id, kind: "webhook" | "pagerduty", name, url, routingKey?, enabled }],
+//     commissioning: { operator, company, interrogator, serial, fiber },
+//     drift: { enabled, tauHours, maxC },
+//     bari: { weights: { thermal, dp, rack }, bands: { elevated, high, critical } } }
+//
+// `energy`, `detector`, `notifications`, `commissioning`, `drift` and `bari`
+// may be omitted and fall back to the defaults (no notification targets, no
+// operator, drift compensation off, the standard BARI weights and bands).
+//
+// A target's secret — the webhook URL, which often carries a token, or the
+// PagerDuty routing key — stays in this browser. Exported files leave it out
+// and the target disabled (see withoutSecrets), and an imported file's
+// secrets are dropped the same way, so they are entered again rather than
+// trusted from a file passed between customers. A disabled target may have
+// an empty secret; an enabled one may not.
+
+import { DEFAULT_SITE } from "./site.js";
+import { DEFAULT_DETECTOR, DETECTOR_LIMITS } from "./detector.js";
+import { PAGERDUTY_EVENTS_URL } from "./notify.js";
+import { BREACH_TYPE_IDS, breachTypeOf } from "./breaches.js";
+import { DEFAULT_DRIFT, DRIFT_LIMITS } from "./baselines.js";
+import { DEFAULT_BARI, BARI_COMPONENTS, BARI_BANDS } from "./metrics.js";
+
+export const PROFILE_FORMAT  = "exi-profile";
+export const PROFILE_VERSION = 1;
+export const PROFILE_STORAGE_KEY = "exi-profile";
+
+export const DEFAULT_ENERGY = {
+  rate:      0.078,      // $/kWh
+  co2Factor: 0.000410,   // t CO₂ / kWh (US avg, 0.41 kg)
+};
+
+// Printed on commissioning certificates
+export const DEFAULT_COMMISSIONING = {
+  operator:     "",
+  company:      "",
+  interrogator: "Luna ODiSI-6104",
+  serial:       "",
+  fiber:        "SMF-28e · G.652.D",
+};
+
+export const DEFAULT_PROFILE = {
+  site: DEFAULT_SITE, energy: DEFAULT_ENERGY, detector: DEFAULT_DETECTOR, notifications: [], commissioning: DEFAULT_COMMISSIONING,
+  drift: DEFAULT_DRIFT, bari: DEFAULT_BARI,
+};
+
+export const NOTIFY_KINDS = ["webhook", "pagerduty"];
+
+// Inclusive limits used by the settings editor and validation.
+export const ZONE_LIMITS = {
+  sensors:   [16, 2000],
+  racks:     [1, 48],
+  dpSensors: [1, 16],
+  lengthM:   [1, 500],
+  tBase:     [10, 35],
+  dpBase:    [1, 100],
+};
+export const ENERGY_LIMITS = {
+  rate:      [0.01, 1],
+  co2Factor: [0, 0.002],
+};
+export const BARI_LIMITS = {
+  weight: [0, 1],      // each weight; together they must add up to 1
+  band:   [0.05, 1],   // each cut-off; elevated < high < critical
+};
+
+const INTEGER_FIELDS = new Set(["sensors", "racks", "dpSensors"]);
+const MAX_ZONES = 12;
+const MAX_BREACH_POINTS = 8;
+const MAX_TARGETS = 8;
+
+function num(v, [lo, hi], path, integer = false) {
+  if (typeof v !== "number" || !Number.isFinite(v)) throw new Error(`${path} must be a number`);
+  if (integer && !Number.isInteger(v)) throw new Error(`${path} must be a whole number`);
+  if (v < lo || v > hi) throw new Error(`${path} must be between ${lo} and ${hi}`);
+  return v;
+}
+
+function str(v, path, { optional = false, max = 60 } = {}) {
+  if (v === undefined && optional) return "";
+  if (typeof v !== "string" || (!optional && !v.trim())) throw new Error(`${path} must be a non-empty string`);
+  if (v.length > max) throw new Error(`${path} must be at most ${max} characters`);
+  return v.trim();
+}
+
+function validateZone(z, path) {
+  if (!z || typeof z !== "object") throw new Error(`${path} must be an object`);
+  const id = str(z.id, `${path}.id`, { max: 12 });
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) throw new Error(`${path}.id may only contain letters, digits, "-" and "_"`);
+  const zone = { id, name: str(z.name, `${path}.name`), rows: str(z.rows, `${path}.rows`, { optional: true }) };
+  for (const [k, lim] of Object.entries(ZONE_LIMITS)) zone[k] = num(z[k], lim, `${path}.${k}`, INTEGER_FIELDS.has(k));
+  if (zone.racks > zone.sensors) throw new Error(`${path}.racks cannot exceed ${path}.sensors`);
+  if (zone.dpSensors > zone.sensors) throw new Error(`${path}.dpSensors cannot exceed ${path}.sensors`);
+
+  const points = z.breachPoints ?? [];
+  if (!Array.isArray(points)) throw new Error(`${path}.breachPoints must be an array`);
+  if (points.length > MAX_BREACH_POINTS) throw new Error(`${path}.breachPoints allows at most ${MAX_BREACH_POINTS} entries`);
+  zone.breachPoints = points.map((p, i) => {
+    const label = str(p?.label, `${path}.breachPoints[${i}].label`);
+    const type = p?.type ?? breachTypeOf(label);
+    if (!BREACH_TYPE_IDS.includes(type)) throw new Error(`${path}.breachPoints[${i}].type must be one of ${BREACH_TYPE_IDS.join(", ")}`);
+    return { pos: num(p?.pos, [0, zone.sensors - 1], `${path}.breachPoints[${i}].pos`, true), label, type };
+  });
+  return zone;
+}
+
+function validateTarget(t, path) {
+  if (!t || typeof t !== "object") throw new Error(`${path} must be an object`);
+  const id = str(t.id, `${path}.id`, { max: 24 });
+  if (!NOTIFY_KINDS.includes(t.kind)) throw new Error(`${path}.kind must be one of ${NOTIFY_KINDS.join(", ")}`);
+  if (t.enabled !== undefined && typeof t.enabled !== "boolean") throw new Error(`${path}.enabled must be true or false`);
+  const enabled = t.enabled !== false;
+  // Secrets left out of an exported file (see withoutSecrets)
+  const blank = v => !enabled && (v === undefined || v === "");
+  const url = t.url === undefined && t.kind === "pagerduty" ? PAGERDUTY_EVENTS_URL
+    : blank(t.url) ? "" : str(t.url, `${path}.url`, { max: 500 });
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`${path}.url is not a valid URL`);
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") throw new Error(`${path}.url must use http or https`);
+  }
+  const target = { id, kind: t.kind, name: str(t.name, `${path}.name`), url, enabled };
+  if (t.kind === "pagerduty") target.routingKey = blank(t.routingKey) ? "" : str(t.routingKey, `${path}.routingKey`, { max: 64 });
+  return target;
+}
+
+// Validate a parsed profile object and return a normalized copy. Throws with
+// the path of the first offending field.
+export function validateProfile(p) {
+  if (!p || typeof p !== "object") throw new Error("Profile must be a JSON object");
+  if (p.format !== undefined && p.format !== PROFILE_FORMAT) throw new Error(`Not an EXI profile (format must be "${PROFILE_FORMAT}")`);
+  if (p.version !== undefined && p.version !== PROFILE_VERSION) throw new Error(`Unsupported profile version ${p.version}`);
+
+  if (!p.site || typeof p.site !== "object") throw new Error("site is required");
+  if (!Array.isArray(p.site.zones) || p.site.zones.length === 0) throw new Error("site.zones must list at least one zone");
+  if (p.site.zones.length > MAX_ZONES) throw new Error(`site.zones allows at most ${MAX_ZONES} zones`);
+  const zones = p.site.zones.map((z, i) => validateZone(z, `site.zones[${i}]`));
+  zones.forEach((z, i) => {
+    if (zones.findIndex(o => o.id === z.id) !== i) throw new Error(`site.zones[${i}].id "${z.id}" is used by another zone`);
+  });
+  const site = { name: str(p.site.name, "site.name"), zones };
+
+  const energy = { ...DEFAULT_ENERGY };
+  if (p.energy !== undefined) {
+    for (const [k, lim] of Object.entries(ENERGY_LIMITS)) {
+      if (p.energy[k] !== undefined) energy[k] = num(p.energy[k], lim, `energy.${k}`);
+    }
+  }
+
+  const detector = { ...DEFAULT_DETECTOR };
+  if (p.detector !== undefined) {
+    for (const [k, lim] of Object.entries(DETECTOR_LIMITS)) {
+      if (p.detector[k] !== undefined) detector[k] = num(p.detector[k], lim, `detector.${k}`);
+    }
+  }
+
+  const targets = p.notifications ?? [];
+  if (!Array.isArray(targets)) throw new Error("notifications must be an array");
+  if (targets.length > MAX_TARGETS) throw new Error(`notifications allows at most ${MAX_TARGETS} targets`);
+  const notifications = targets.map((t, i) => validateTarget(t, `notifications[${i}]`));
+  notifications.forEach((t, i) => {
+    if (notifications.findIndex(o => o.id === t.id) !== i) throw new Error(`notifications[${i}].id "${t.id}" is used by another target`);
+  });
+
+  const commissioning = { ...DEFAULT_COMMISSIONING };
+  if (p.commissioning !== undefined) {
+    if (!p.commissioning || typeof p.commissioning !== "object") throw new Error("commissioning must be an object");
+    for (const k of Object.keys(DEFAULT_COMMISSIONING)) {
+      if (p.commissioning[k] !== undefined) commissioning[k] = str(p.commissioning[k], `commissioning.${k}`, { optional: true });
+    }
+  }
+
+  const drift = { ...DEFAULT_DRIFT };
+  if (p.drift !== undefined) {
+    if (!p.drift || typeof p.drift !== "object") throw new Error("drift must be an object");
+    if (p.drift.enabled !== undefined) {
+      if (typeof p.drift.enabled !== "boolean") throw new Error("drift.enabled must be true or false");
+      drift.enabled = p.drift.enabled;
+    }
+    for (const [k, lim] of Object.entries(DRIFT_LIMITS)) {
+      if (p.drift[k] !== undefined) drift[k] = num(p.drift[k], lim, `drift.${k}`);
+    }
+  }
+
+  const bari = { weights: { ...DEFAULT_BARI.weights }, bands: { ...DEFAULT_BARI.bands } };
+  if (p.bari !== undefined) {
+    if (!p.bari || typeof p.bari !== "object") throw new Error("bari must be an object");
+    for (const k of BARI_COMPONENTS) {
+      if (p.bari.weights?.[k] !== undefined) bari.weights[k] = num(p.bari.weights[k], BARI_LIMITS.weight, `bari.weights.${k}`);
+    }
+    const sum = BARI_COMPONENTS.reduce((a, k) => a + bari.weights[k], 0);
+    if (Math.abs(sum - 1) > 0.001) throw new Error(`bari.weights must add up to 1 (they add up to ${+sum.toFixed(3)})`);
+    for (const k of BARI_BANDS) {
+      if (p.bari.bands?.[k] !== undefined) bari.bands[k] = num(p.bari.bands[k], BARI_LIMITS.band, `bari.bands.${k}`);
+    }
+    if (!(bari.bands.elevated < bari.bands.high && bari.bands.high < bari.bands.critical)) {
+      throw new Error("bari.bands must rise: elevated < high < critical");
+    }
+  }
+
+  return { site, energy, detector, notifications, commissioning, drift, bari };
+}
+
+export function parseProfile(text) {
+  let p;
+  try {
+    p = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Profile is not valid JSON (${err.message})`);
+  }
+  return validateProfile(p);
+}
+
+// True when `t` has lost its secret (withoutSecrets) and needs it entered again
+export function missingSecret(t) {
+  return t.kind === "pagerduty" ? !t.routingKey : !t.url;
+}
+
+// `profile` with each notification target's secret removed and the target
+// disabled until it is entered again: the webhook URL, or the PagerDuty
+// routing key (PagerDuty's own events URL is kept)
+export function withoutSecrets(profile) {
+  return {
+    ...profile,
+    notifications: profile.notifications.map(t => (t.kind === "pagerduty"
+      ? { ...t, routingKey: "", enabled: false }
+      : { ...t, url: "", enabled: false })),
+  };
+}
+
+// For a file to share unless `secrets` is set — only the browser's own copy
+// (storeProfile) keeps them
+export function serializeProfile(profile, { secrets = false } = {}) {
+  const p = secrets ? profile : withoutSecrets(profile);
+  return JSON.stringify({ format: PROFILE_FORMAT, version: PROFILE_VERSION, ...p }, null, 2);
+}
+
+// Stored profile, or the default when none is stored or it no longer validates.
+export function loadStoredProfile(storage = globalThis.localStorage) {
+  try {
+    const text = storage?.getItem(PROFILE_STORAGE_KEY);
+    return text ? parseProfile(text) : DEFAULT_PROFILE;
+  } catch {
+    return DEFAULT_PROFILE;
+  }
+}
+
+export function storeProfile(profile, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(PROFILE_STORAGE_KEY, serializeProfile(profile, { secrets: true }));
+  } catch {
+    // Private browsing or quota exceeded — the profile still applies for this visit
+  }
+}
@@ -0,0 +1,350 @@
+// ─── ROI model ────────────────────────────────────────────────────────────────
+// The ROI tab's financial case. Bypass airflow wastes `bypassFrac` of the
+// cooling the IT load needs; at the cooling plant's COP that is
+//   wasted kW = itKW × bypassFrac / cop
+// of electrical power, and finding breaches as they happen recovers `fixRate`
+// of it. The recovered energy is priced at `rate`, rising by `escalation` a
+// year, against the pilot (year 0) and a subscription per zone (years 1–5).
+// PUE does not change the savings; it is the baseline for the PUE after and
+// a sanity check on the COP. NPV and IRR are on the yearly net cash flows;
+// payback assumes each year's flow arrives evenly over its months.
+//
+// The measured basis (measuredSavings) replaces the assumed recovery with
+// one extrapolated from the energy ledger (ledger.js): how often breaches
+// occurred per monitored zone-hour, and the load each would have kept
+// wasting had it gone unnoticed for `undetectedHours` instead of the time it
+// actually lasted.
+
+import { dayKey, LEDGER } from "./ledger.js";
+
+export const ROI_YEARS = 5;
+export const DEFAULT_ROI = {
+  itKW:       5000,
+  rate:       0.078,    // $/kWh
+  pue:        1.5,
+  cop:        3.0,      // cooling plant, kW heat removed per kW electrical
+  bypassFrac: 0.20,
+  fixRate:    0.18,
+  pilotCost:  27500,    // $, year 0
+  subPerZone: 29000,    // $/yr per zone
+  zones:      1,
+  escalation: 0.03,     // energy price, per year
+  discount:   0.08,
+  undetectedHours: 84,  // measured basis: how long a breach lasts unmonitored (half a weekly walk-through)
+};
+
+// Inclusive limits for the ROI inputs
+export const ROI_LIMITS = {
+  itKW:       [500, 20000],
+  rate:       [0.04, 0.30],
+  pue:        [1.05, 3],
+  cop:        [1, 8],
+  bypassFrac: [0, 0.6],
+  fixRate:    [0, 1],
+  pilotCost:  [0, 200000],
+  subPerZone: [0, 100000],
+  zones:      [1, 50],
+  escalation: [0, 0.15],
+  discount:   [0, 0.25],
+  undetectedHours: [1, 720],
+};
+
+// Inputs varied in the sensitivity analysis, with their labels. PUE leaves
+// the savings unchanged and zones only move in whole steps, so neither is here.
+// Inputs that do not move the NPV under the basis in use are dropped.
+export const TORNADO_INPUTS = [
+  { k: "itKW",       l: "IT load"          },
+  { k: "rate",       l: "Energy rate"      },
+  { k: "cop",        l: "Cooling COP"      },
+  { k: "bypassFrac", l: "Bypass fraction"  },
+  { k: "fixRate",    l: "Fix rate"         },
+  { k: "pilotCost",  l: "Pilot cost"       },
+  { k: "subPerZone", l: "Subscription"     },
+  { k: "escalation", l: "Energy escalation" },
+  { k: "discount",   l: "Discount rate"    },
+  { k: "undetectedHours", l: "Time to find"  },
+];
+export const TORNADO_SWING = 0.2;   // ± share of each input
+
+// Electrical kW recovered by fixing bypass under the assumptions in `inp`
+export function assumedRecoveryKW({ itKW, bypassFrac, cop, fixRate }) {
+  return (itKW * bypassFrac / cop) * fixRate;
+}
+
+function npvAt(flows, r) {
+  return flows.reduce((a, f, y) => a + f / (1 + r) ** y, 0);
+}
+
+// Rate at which the flows' NPV is zero, by bisection; null when it does not
+// change sign between −99 % and 1000 %
+export function irr(flows) {
+  let lo = -0.99, hi = 10;
+  let flo = npvAt(flows, lo), fhi = npvAt(flows, hi);
+  if (!Number.isFinite(flo) || flo * fhi > 0) return null;
+  for (let i = 0; i < 200 && hi - lo > 1e-7; i++) {
+    const mid = (lo + hi) / 2;
+    const f = npvAt(flows, mid);
+    if (f * flo > 0) { lo = mid; flo = f; } else { hi = mid; fhi = f; }
+  }
+  return (lo + hi) / 2;
+}
+
+// The model under `inp` (see DEFAULT_ROI). `savedKWh` is the energy recovered
+// in year 1; by default it follows from the assumptions (assumedRecoveryKW).
+//   { recoveredKW, savedKWh, co2T, pueAfter, years: [{ year, savings,
+//     subscription, pilot, net, cumulative, discounted, cumulativeDiscounted }],
+//     npv, irr, paybackMonths, warnings }
+export function roiModel(inp, { co2Factor, savedKWh = assumedRecoveryKW(inp) * 8760 }) {
+  const recoveredKW = savedKWh / 8760;
+  const years = [];
+  let cumulative = 0, cumulativeDiscounted = 0;
+  for (let year = 0; year <= ROI_YEARS; year++) {
+    const savings = year ? savedKWh * inp.rate * (1 + inp.escalation) ** (year - 1) : 0;
+    const subscription = year ? inp.subPerZone * inp.zones : 0;
+    const pilot = year ? 0 : inp.pilotCost;
+    const net = savings - subscription - pilot;
+    const discounted = net / (1 + inp.discount) ** year;
+    cumulative += net;
+    cumulativeDiscounted += discounted;
+    years.push({ year, savings, subscription, pilot, net, cumulative, discounted, cumulativeDiscounted });
+  }
+
+  // Months until the cumulative cash flow turns positive, within ROI_YEARS
+  let paybackMonths = null;
+  for (let y = 1; y <= ROI_YEARS && paybackMonths === null; y++) {
+    const { net } = years[y];
+    if (years[y].cumulative >= 0 && net > 0) paybackMonths = (y - 1) * 12 + (-years[y - 1].cumulative / net) * 12;
+  }
+
+  const warnings = [];
+  if (1 / inp.cop > inp.pue - 1) {
+    warnings.push(`At COP ${inp.cop} cooling alone draws ${Math.round(100 / inp.cop)}% of the IT load, more than PUE ${inp.pue} leaves for all overhead`);
+  }
+  return {
+    recoveredKW, savedKWh, co2T: savedKWh * co2Factor, pueAfter: inp.pue - recoveredKW / inp.itKW,
+    years, npv: cumulativeDiscounted, irr: irr(years.map(y => y.net)), paybackMonths, warnings,
+  };
+}
+
+// NPV with each TORNADO_INPUTS entry moved ±TORNADO_SWING (within
+// ROI_LIMITS), widest swing first: [{ k, l, lowValue, highValue, low, high }].
+// `savedKWhOf(inp)` gives year-1 savings for the measured basis; without it
+// they follow from the assumptions.
+export function tornado(inp, { co2Factor, savedKWhOf = null }, swing = TORNADO_SWING) {
+  return TORNADO_INPUTS.map(({ k, l }) => {
+    const [min, max] = ROI_LIMITS[k];
+    const at = v => {
+      const x = { ...inp, [k]: v };
+      return roiModel(x, { co2Factor, savedKWh: savedKWhOf ? savedKWhOf(x) : undefined }).npv;
+    };
+    const lowValue = Math.max(min, inp[k] * (1 - swing));
+    const highValue = Math.min(max, inp[k] * (1 + swing));
+    return { k, l, lowValue, highValue, low: at(lowValue), high: at(highValue) };
+  })
+    .filter(r => Math.abs(r.high - r.low) > 0.5)
+    .sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+}
+
+// ── Formatting ─────────────────────────────────────────────────────────────
+const usd = v => `${v < 0 ? "−" : ""}$${Math.abs(Math.round(v)).toLocaleString("en-US")}`;
+const pct = v => `${(v * 100).toFixed(1)}%`;
+export const fmtPayback = m => (m === null ? `> ${ROI_YEARS} yr` : m < 24 ? `${m.toFixed(1)} mo` : `${(m / 12).toFixed(1)} yr`);
+export const fmtHours = h => (h < 1 ? `${Math.round(h * 60)} min` : h < 48 ? `${h.toFixed(1)} h` : `${(h / 24).toFixed(1)} d`);
+
+// ── Measured basis ─────────────────────────────────────────────────────────
+const Z95 = 1.96;
+const DAY_HOURS = 24;
+// Byar's approximation to the exact 95 % Poisson interval on a count
+function poisson95(n) {
+  const lo = n ? n * (1 - 1 / (9 * n) - Z95 / (3 * Math.sqrt(n))) ** 3 : 0;
+  const m = n + 1;
+  return [lo, m * (1 - 1 / (9 * m) + Z95 / (3 * Math.sqrt(m))) ** 3];
+}
+
+// Year-1 savings extrapolated from the ledger's data() for `inp.zones`
+// zones, or null before any zone-hour has been monitored:
+//   { breaches, zoneHours, perZoneYear, meanHours, meanKW, savedKWh,
+//     range: [lo, hi], confidence: "LOW" | "MEDIUM" | "HIGH", reasons }
+// Each breach i would have wasted kW_i × (undetectedHours − hours_i) more
+// left unmonitored. The range combines the 95 % Poisson interval on the
+// breach count with ±1.96 standard errors on that mean — both ends at once,
+// so it is conservative. Confidence is HIGH from 30 breaches over a week of
+// zone-time with a range within ±25 %, and LOW under 5 breaches, a day of
+// zone-time or with a range wider than ±60 %.
+export function measuredSavings({ breaches, days }, inp) {
+  // When the breach records are capped, count time only from the oldest one kept
+  const since = breaches.length >= LEDGER.keepBreaches ? dayKey(breaches[0].first) : "";
+  let zoneHours = 0;
+  for (const [d, zs] of Object.entries(days)) {
+    if (d >= since) for (const t of Object.values(zs)) zoneHours += t.hours || 0;
+  }
+  if (zoneHours <= 0) return null;
+
+  const n = breaches.length;
+  const avoided = breaches.map(b => {
+    const h = (b.last - b.first) / 3600000;
+    const kW = h > 0 ? b.kWh / h : b.peakKW;
+    return { h, kW, kWh: kW * Math.max(0, inp.undetectedHours - h) };
+  });
+  const mean = xs => (xs.length ? xs.reduce((a, v) => a + v, 0) / xs.length : 0);
+  const meanAvoided = mean(avoided.map(a => a.kWh));
+  const sd = n > 1 ? Math.sqrt(avoided.reduce((a, x) => a + (x.kWh - meanAvoided) ** 2, 0) / (n - 1)) : meanAvoided;
+  const se = n ? sd / Math.sqrt(n) : 0;
+
+  const scale = (8760 / zoneHours) * inp.zones;   // breaches seen → breaches per year for the site
+  const [nLo, nHi] = poisson95(n);
+  const savedKWh = n * scale * meanAvoided;
+  const range = [nLo * scale * Math.max(0, meanAvoided - Z95 * se), nHi * scale * (meanAvoided + Z95 * se)];
+
+  // What holds the confidence back, in the terms of the HIGH thresholds
+  const halfWidth = savedKWh > 0 ? (range[1] - range[0]) / 2 / savedKWh : Infinity;
+  const reasons = [];
+  if (n < 30) reasons.push(n ? `${n} breach${n === 1 ? "" : "es"} recorded` : "no breaches recorded");
+  if (zoneHours < 7 * DAY_HOURS) reasons.push(`${fmtHours(zoneHours)} of zone monitoring`);
+  if (halfWidth > 0.25 && n) reasons.push(`95% range ±${Math.round(halfWidth * 100)}%`);
+  const confidence = n < 5 || zoneHours < DAY_HOURS || halfWidth > 0.6 ? "LOW" : reasons.length ? "MEDIUM" : "HIGH";
+
+  return {
+    breaches: n, zoneHours, perZoneYear: (n / zoneHours) * 8760,
+    meanHours: mean(avoided.map(a => a.h)), meanKW: mean(avoided.map(a => a.kW)),
+    savedKWh, range, confidence, reasons,
+  };
+}
+
+// One sentence on how the measured year-1 savings compare with the assumed
+// ones, their range and the confidence in them (`m` from measuredSavings)
+export function gapStatement(assumed, measured, m, rate) {
+  const a = assumed.years[1].savings, v = measured.years[1].savings;
+  const gap = a > 0 ? (v - a) / a : null;
+  const cmp = gap === null ? "" : Math.abs(gap) < 0.05 ? "within 5% of" : `${Math.round(Math.abs(gap) * 100)}% ${gap < 0 ? "below" : "above"}`;
+  return `Measured year-1 savings are ${usd(v)}${cmp ? `, ${cmp} the assumption-based ${usd(a)}` : ""} ` +
+    `(95% range ${usd(m.range[0] * rate)}–${usd(m.range[1] * rate)}). ` +
+    `Confidence ${m.confidence}${m.reasons.length ? ` — ${m.reasons.join(", ")}` : ""}.`;
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────
+const money = v => v.toFixed(0);
+
+// One row per year, then the headline figures
+export function cashFlowCsv(model) {
+  const rows = [["year", "savings", "subscription", "pilot", "net", "cumulative", "discounted", "cumulative_discounted"]];
+  for (const y of model.years) {
+    rows.push([y.year, ...[y.savings, y.subscription, y.pilot, y.net, y.cumulative, y.discounted, y.cumulativeDiscounted].map(money)]);
+  }
+  rows.push([]);
+  rows.push(["npv", money(model.npv)]);
+  rows.push(["irr", model.irr === null ? "" : model.irr.toFixed(4)]);
+  rows.push(["payback_months", model.paybackMonths === null ? "" : model.paybackMonths.toFixed(1)]);
+  return rows.map(r => r.join(",")).join("\n") + "\n";
+}
+
+export function tornadoCsv(rows) {
+  const out = [["input", "low_value", "high_value", "npv_low", "npv_high", "swing"]];
+  for (const r of rows) {
+    out.push([r.k, +r.lowValue.toPrecision(6), +r.highValue.toPrecision(6), money(r.low), money(r.high), money(Math.abs(r.high - r.low))]);
+  }
+  return out.map(r => r.join(",")).join("\n") + "\n";
+}
+
+// ── Proposal ───────────────────────────────────────────────────────────────
+const esc = s => String(s ?? "").replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+// Printable proposal for `site` (name) on `date` from the inputs, the model
+// and its tornado. `measured` ({ stats, assumed, model } with stats from
+// measuredSavings) adds the comparison of the two bases; `model` is whichever
+// basis the proposal is made on.
+export function proposalHtml({ site, date, inputs: i, model: m, sensitivity, measured = null }) {
+  const onMeasured = measured && m === measured.model;
+  const assumptions = [
+    ["IT load", `${i.itKW.toLocaleString("en-US")} kW`],
+    ["PUE", `${i.pue} (after: ${m.pueAfter.toFixed(3)})`],
+    ["Cooling COP", i.cop],
+    ["Bypass fraction", pct(i.bypassFrac)],
+    ["Fix rate", pct(i.fixRate)],
+    ["Energy rate", `$${i.rate.toFixed(3)}/kWh, +${pct(i.escalation)}/yr`],
+    ["Pilot", usd(i.pilotCost)],
+    ["Subscription", `${usd(i.subPerZone)}/yr × ${i.zones} zone${i.zones === 1 ? "" : "s"}`],
+    ["Discount rate", pct(i.discount)],
+    ...(onMeasured ? [["Time to find, unmonitored", `${i.undetectedHours} h`]] : []),
+  ];
+  const compare = measured && [
+    ["Year-1 savings", usd(measured.assumed.years[1].savings), usd(measured.model.years[1].savings)],
+    [`${ROI_YEARS}-yr NPV`, usd(measured.assumed.npv), usd(measured.model.npv)],
+    ["IRR", measured.assumed.irr === null ? "—" : pct(measured.assumed.irr), measured.model.irr === null ? "—" : pct(measured.model.irr)],
+    ["Payback", fmtPayback(measured.assumed.paybackMonths), fmtPayback(measured.model.paybackMonths)],
+    ["Recovered load", `${measured.assumed.recoveredKW.toFixed(1)} kW`, `${measured.model.recoveredKW.toFixed(1)} kW`],
+  ];
+  const widest = Math.max(1, ...sensitivity.map(r => Math.max(Math.abs(r.low - m.npv), Math.abs(r.high - m.npv))));
+  const bar = v => `${(Math.abs(v - m.npv) / widest) * 50}%`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>EXI Proposal — ${esc(site)}</title>
+<style>
+  body { font: 13px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #0f172a; max-width: 760px; margin: 32px auto; padding: 0 24px; }
+  h1 { font-size: 20px; letter-spacing: 1px; margin: 0 0 4px; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 1px; color: #475569; margin: 24px 0 8px; }
+  .sub { color: #475569; margin-bottom: 20px; }
+  .kpis { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+  .kpi { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 10px; }
+  .kpi b { display: block; font-size: 16px; }
+  .kpi span { font-size: 10px; color: #64748b; text-transform: uppercase; letter-spacing: 1px; }
+  dl { display: grid; grid-template-columns: 160px 1fr; gap: 4px 12px; margin: 0; }
+  dt { color: #64748b; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: right; padding: 5px 8px; border-bottom: 1px solid #e2e8f0; }
+  th:first-child, td:first-child { text-align: left; }
+  th { font-size: 11px; color: #64748b; text-transform: uppercase; letter-spacing: 1px; }
+  .neg { color: #dc2626; }
+  .tor { position: relative; height: 12px; background: #f1f5f9; }
+  .tor i { position: absolute; top: 0; bottom: 0; }
+  .lo { right: 50%; background: #f87171; }
+  .hi { left: 50%; background: #34d399; }
+  .note { color: #64748b; font-size: 11px; margin-top: 20px; }
+  .warn { color: #b45309; }
+  @media print { body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<h1>EXI CONTAINMENT MONITORING — FINANCIAL PROPOSAL</h1>
+<div class="sub">${esc(site)} · ${esc(date)} · ${onMeasured ? "measured basis" : "assumption basis"}</div>
+<div class="kpis">
+  <div class="kpi"><span>Year-1 savings</span><b>${usd(m.years[1].savings)}</b></div>
+  <div class="kpi"><span>${ROI_YEARS}-yr NPV</span><b class="${m.npv < 0 ? "neg" : ""}">${usd(m.npv)}</b></div>
+  <div class="kpi"><span>IRR</span><b>${m.irr === null ? "—" : pct(m.irr)}</b></div>
+  <div class="kpi"><span>Payback</span><b>${fmtPayback(m.paybackMonths)}</b></div>
+  <div class="kpi"><span>CO₂ avoided</span><b>${m.co2T.toFixed(0)} t/yr</b></div>
+</div>
+<h2>Assumptions</h2>
+<dl>${assumptions.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join("")}</dl>
+${m.warnings.map(w => `<p class="warn">⚠ ${esc(w)}</p>`).join("")}
+${compare ? `<h2>Measured vs assumed</h2>
+<table>
+  <tr><th></th><th>Assumed</th><th>Measured</th></tr>
+${compare.map(([k, a, v]) => `  <tr><td>${esc(k)}</td><td>${esc(a)}</td><td>${esc(v)}</td></tr>`).join("\n")}
+</table>
+<p>${esc(gapStatement(measured.assumed, measured.model, measured.stats, i.rate))}</p>
+<p class="note">Measured from ${measured.stats.breaches} breach${measured.stats.breaches === 1 ? "" : "es"} over ${esc(fmtHours(measured.stats.zoneHours))} of zone monitoring:
+${measured.stats.perZoneYear.toFixed(0)} a year per zone, lasting ${esc(fmtHours(measured.stats.meanHours))} at ${measured.stats.meanKW.toFixed(1)} kW on average.
+Each is assumed to have lasted ${i.undetectedHours} h unmonitored.</p>` : ""}
+<h2>Cash flow</h2>
+<table>
+  <tr><th>Year</th><th>Savings</th><th>Subscription</th><th>Pilot</th><th>Net</th><th>Cumulative</th><th>Discounted</th></tr>
+${m.years.map(y => `  <tr><td>${y.year}</td><td>${usd(y.savings)}</td><td>${usd(y.subscription)}</td><td>${usd(y.pilot)}</td>
+    <td class="${y.net < 0 ? "neg" : ""}">${usd(y.net)}</td><td class="${y.cumulative < 0 ? "neg" : ""}">${usd(y.cumulative)}</td><td>${usd(y.discounted)}</td></tr>`).join("\n")}
+</table>
+<h2>Sensitivity — NPV at ±${TORNADO_SWING * 100}% of each input</h2>
+<table>
+  <tr><th>Input</th><th>Low</th><th>High</th><th style="width:40%"></th></tr>
+${sensitivity.map(r => `  <tr><td>${esc(r.l)}</td><td>${usd(r.low)}</td><td>${usd(r.high)}</td>
+    <td><div class="tor"><i class="${r.low < m.npv ? "lo" : "hi"}" style="width:${bar(r.low)}"></i><i class="${r.high < m.npv ? "lo" : "hi"}" style="width:${bar(r.high)}"></i></div></td></tr>`).join("\n")}
+</table>
+<p class="note">${onMeasured
+    ? `Recovered load ${m.recoveredKW.toFixed(1)} kW, extrapolated from the breaches recorded`
+    : `Recovered load ${m.recoveredKW.toFixed(1)} kW = IT load × bypass fraction ÷ COP × fix rate`}, ${Math.round(m.savedKWh).toLocaleString("en-US")} kWh in year 1.
+Savings rise with the energy rate; the subscription is flat. NPV discounts each year's net flow, the pilot in year 0 undiscounted.</p>
+</body>
+</html>
+`;
+}
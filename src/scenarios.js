@@ -0,0 +1,288 @@
+// ─── Breach scenarios ─────────────────────────────────────────────────────────
+// A scenario is a scripted timeline of breaches and supply disturbances played
+// into one zone of the simulation. It is a JSON document:
+//
+//   { format: "exi-scenario", version: 1, id, name, description?, seed?,
+//     events: [
+//       { at, kind: "breach", pos | frac, label?, type?, intensity, width?, duration,
+//         ramp?: { shape: "step" | "linear" | "exp", up, down },
+//         curve?: { type: "steady" } | { type: "pulse", period, depth }
+//                 | { type: "flicker", period, duty },
+//         repeat?: { every, count, jitter? } },
+//       { at, kind: "crac", type: "swing" | "step", ...CRAC_DEFAULTS options }
+//     ] }
+//
+// Times are seconds from the start of the scenario. `pos` is a position in
+// sensors (fractions fall between gauges), `frac` a position along the run
+// (0–1) so one scenario fits any zone. `type`
+// is a failure type from breaches.js (implied by the label when omitted); it
+// sets the plume's asymmetry and DP drop, and its width unless `width` is given.
+// `intensity` (peak °C), `width` (sensors) and `duration` take a number or a
+// [min, max] range. Ranges, repeat jitter and flicker patterns are drawn from
+// a generator seeded by the `seed` given at play time (else the scenario's
+// own, else 1), so a seeded run is identical every time.
+//
+// compileScenario() expands a scenario for a zone into timed actions the
+// simulation replays; breachLevel() is a scripted breach's intensity envelope.
+
+import { BREACH_TYPES, BREACH_TYPE_IDS, breachTypeOf } from "./breaches.js";
+
+export const SCENARIO_FORMAT  = "exi-scenario";
+export const SCENARIO_VERSION = 1;
+
+const RAMP_SHAPES = ["step", "linear", "exp"];
+const CURVE_TYPES = ["steady", "pulse", "flicker"];
+const CRAC_TYPES  = ["swing", "step"];   // see CRAC_DEFAULTS in simulation.js
+const CRAC_LIMITS = {
+  amp:       [-10, 10],
+  periodSec: [5, 3600],
+  cycles:    [0.25, 20],
+  delta:     [-10, 10],
+  kw:        [0, 100],
+  durSec:    [1, 3600],
+};
+const MAX_EVENTS  = 32;
+const MAX_REPEAT  = 50;
+const MAX_SEC     = 3600;
+
+// mulberry32 — small, fast and good enough for demo variation
+export function seededRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ── Validation ─────────────────────────────────────────────────────────────
+function num(v, [lo, hi], path) {
+  if (typeof v !== "number" || !Number.isFinite(v)) throw new Error(`${path} must be a number`);
+  if (v < lo || v > hi) throw new Error(`${path} must be between ${lo} and ${hi}`);
+  return v;
+}
+
+// A number or a [min, max] range
+function range(v, lim, path) {
+  if (Array.isArray(v)) {
+    if (v.length !== 2) throw new Error(`${path} must be a number or a [min, max] pair`);
+    const [a, b] = [num(v[0], lim, `${path}[0]`), num(v[1], lim, `${path}[1]`)];
+    if (a > b) throw new Error(`${path} minimum exceeds its maximum`);
+    return [a, b];
+  }
+  return num(v, lim, path);
+}
+
+function oneOf(v, options, path) {
+  if (!options.includes(v)) throw new Error(`${path} must be one of ${options.join(", ")}`);
+  return v;
+}
+
+function validateEvent(e, path) {
+  if (!e || typeof e !== "object") throw new Error(`${path} must be an object`);
+  const at = num(e.at ?? 0, [0, MAX_SEC], `${path}.at`);
+  oneOf(e.kind, ["breach", "crac"], `${path}.kind`);
+
+  if (e.kind === "crac") {
+    const ev = { at, kind: "crac", type: oneOf(e.type, CRAC_TYPES, `${path}.type`) };
+    for (const [k, lim] of Object.entries(CRAC_LIMITS)) {
+      if (e[k] !== undefined) ev[k] = num(e[k], lim, `${path}.${k}`);
+    }
+    return ev;
+  }
+
+  if ((e.pos === undefined) === (e.frac === undefined)) throw new Error(`${path} needs exactly one of pos or frac`);
+  const label = e.label === undefined ? "Scripted breach" : String(e.label).slice(0, 60);
+  const type = oneOf(e.type ?? breachTypeOf(label), BREACH_TYPE_IDS, `${path}.type`);
+  const ev = {
+    at, kind: "breach", label, type,
+    intensity: range(e.intensity, [0, 30], `${path}.intensity`),
+    width: range(e.width ?? BREACH_TYPES[type].width, [1, 50], `${path}.width`),
+    duration: range(e.duration, [1, MAX_SEC], `${path}.duration`),
+  };
+  if (e.pos !== undefined) ev.pos = num(e.pos, [0, 1999], `${path}.pos`);
+  else ev.frac = num(e.frac, [0, 1], `${path}.frac`);
+
+  const r = e.ramp ?? {};
+  if (typeof r !== "object") throw new Error(`${path}.ramp must be an object`);
+  ev.ramp = {
+    shape: oneOf(r.shape ?? "step", RAMP_SHAPES, `${path}.ramp.shape`),
+    up: num(r.up ?? 0, [0, MAX_SEC], `${path}.ramp.up`),
+    down: num(r.down ?? 0, [0, MAX_SEC], `${path}.ramp.down`),
+  };
+
+  const c = e.curve ?? { type: "steady" };
+  if (typeof c !== "object") throw new Error(`${path}.curve must be an object`);
+  ev.curve = { type: oneOf(c.type ?? "steady", CURVE_TYPES, `${path}.curve.type`) };
+  if (ev.curve.type !== "steady") ev.curve.period = num(c.period, [0.5, MAX_SEC], `${path}.curve.period`);
+  if (ev.curve.type === "pulse") ev.curve.depth = num(c.depth ?? 0.5, [0, 1], `${path}.curve.depth`);
+  if (ev.curve.type === "flicker") ev.curve.duty = num(c.duty ?? 0.5, [0, 1], `${path}.curve.duty`);
+
+  if (e.repeat !== undefined) {
+    const p = e.repeat;
+    if (!p || typeof p !== "object") throw new Error(`${path}.repeat must be an object`);
+    ev.repeat = {
+      every: num(p.every, [1, MAX_SEC], `${path}.repeat.every`),
+      count: num(p.count, [1, MAX_REPEAT], `${path}.repeat.count`),
+      jitter: num(p.jitter ?? 0, [0, MAX_SEC], `${path}.repeat.jitter`),
+    };
+    if (!Number.isInteger(ev.repeat.count)) throw new Error(`${path}.repeat.count must be a whole number`);
+  }
+  return ev;
+}
+
+// Validate a parsed scenario object and return a normalized copy. Throws with
+// the path of the first offending field.
+export function validateScenario(s) {
+  if (!s || typeof s !== "object") throw new Error("Scenario must be a JSON object");
+  if (s.format !== undefined && s.format !== SCENARIO_FORMAT) throw new Error(`Not an EXI scenario (format must be "${SCENARIO_FORMAT}")`);
+  if (s.version !== undefined && s.version !== SCENARIO_VERSION) throw new Error(`Unsupported scenario version ${s.version}`);
+  if (typeof s.name !== "string" || !s.name.trim()) throw new Error("name must be a non-empty string");
+  if (!Array.isArray(s.events) || s.events.length === 0) throw new Error("events must list at least one event");
+  if (s.events.length > MAX_EVENTS) throw new Error(`events allows at most ${MAX_EVENTS} entries`);
+  return {
+    id: typeof s.id === "string" && s.id ? s.id : s.name.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    name: s.name.trim().slice(0, 60),
+    description: typeof s.description === "string" ? s.description : "",
+    seed: s.seed === undefined ? null : num(s.seed, [0, 2 ** 32 - 1], "seed"),
+    events: s.events.map((e, i) => validateEvent(e, `events[${i}]`)),
+  };
+}
+
+export function parseScenario(text) {
+  let s;
+  try {
+    s = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Scenario is not valid JSON (${err.message})`);
+  }
+  return validateScenario(s);
+}
+
+// ── Playback ───────────────────────────────────────────────────────────────
+// Timed actions for one zone, sorted by `at` (ms from start):
+//   { at, type: "breach", breach: { pos, w, peak, dur, label, type, ramp, curve, seed } }
+//   { at, type: "crac", kind, opts }
+// plus `durationMs`, the time the last effect ends.
+export function compileScenario(scenario, zone, { seed } = {}) {
+  const rng = seededRng(seed ?? scenario.seed ?? 1);
+  const pick = v => (Array.isArray(v) ? v[0] + rng() * (v[1] - v[0]) : v);
+  const actions = [];
+  for (const e of scenario.events) {
+    if (e.kind === "crac") {
+      const { at, kind, type, ...opts } = e;
+      actions.push({ at: at * 1000, type: "crac", kind: type, opts });
+      continue;
+    }
+    const pos = Math.min(zone.sensors - 1, e.pos ?? e.frac * (zone.sensors - 1));
+    const times = e.repeat
+      ? Array.from({ length: e.repeat.count }, (_, k) => e.at + k * e.repeat.every + (rng() - 0.5) * 2 * e.repeat.jitter)
+      : [e.at];
+    for (const t of times) {
+      actions.push({
+        at: Math.max(0, t) * 1000, type: "breach",
+        breach: {
+          pos, w: pick(e.width), peak: pick(e.intensity), dur: pick(e.duration) * 1000,
+          label: e.label, type: e.type, ramp: e.ramp, curve: e.curve, seed: Math.floor(rng() * 2 ** 32),
+        },
+      });
+    }
+  }
+  actions.sort((a, b) => a.at - b.at);
+  const durationMs = actions.reduce((mx, a) => Math.max(mx, a.at + (a.type === "breach" ? a.breach.dur : 0)), 0);
+  return { id: scenario.id, name: scenario.name, actions, durationMs };
+}
+
+const rampShape = (shape, x) => (shape === "exp" ? (1 - Math.exp(-3 * x)) / (1 - Math.exp(-3)) : x);
+
+// 0–1 intensity of a scripted breach `el` seconds after it began
+export function breachLevel(b, el) {
+  const dur = b.dur / 1000;
+  const { shape, up, down } = b.ramp;
+  let level = 1;
+  if (shape !== "step") {
+    if (up > 0 && el < up) level = rampShape(shape, el / up);
+    if (down > 0 && el > dur - down) level = Math.min(level, rampShape(shape, Math.max(0, dur - el) / down));
+  }
+  const c = b.curve;
+  if (c.type === "pulse") level *= 1 - c.depth * (0.5 - 0.5 * Math.cos((2 * Math.PI * el) / c.period));
+  if (c.type === "flicker") {
+    // Open or shut for each period, decided by the breach's own seed
+    const slot = Math.floor(el / c.period);
+    if (seededRng(b.seed + slot * 7919)() >= c.duty) level = 0;
+  }
+  return level;
+}
+
+// ── Library ────────────────────────────────────────────────────────────────
+export const SCENARIO_LIBRARY = [
+  {
+    id: "door-seal-ramp", name: "Door seal degrading",
+    description: "A door gasket lets go over about 40 s and stays open for two minutes",
+    events: [
+      { at: 0, kind: "breach", frac: 0.07, label: "Door seal", intensity: [9, 12], duration: 150,
+        ramp: { shape: "exp", up: 40, down: 20 } },
+    ],
+  },
+  {
+    id: "propped-door", name: "Door propped intermittently",
+    description: "Staff prop the end door for ~25 s at a time, four times",
+    events: [
+      { at: 0, kind: "breach", frac: 0.93, label: "End door propped", intensity: [11, 14], width: 5, duration: [20, 30],
+        ramp: { shape: "linear", up: 4, down: 8 }, repeat: { every: 50, count: 4, jitter: 8 } },
+    ],
+  },
+  {
+    id: "blanking-panel", name: "Blanking panel removed",
+    description: "Sudden, narrow bypass through an empty rack unit",
+    events: [
+      { at: 0, kind: "breach", frac: 0.45, label: "Missing blanking panel", intensity: 8, width: 3, duration: 90 },
+    ],
+  },
+  {
+    id: "curtain-flutter", name: "Curtain flutter",
+    description: "A loose curtain seam opens and closes with the airflow",
+    events: [
+      { at: 0, kind: "breach", frac: 0.6, label: "Curtain seam", intensity: 10, duration: 120,
+        ramp: { shape: "linear", up: 10, down: 10 }, curve: { type: "pulse", period: 12, depth: 0.7 } },
+    ],
+  },
+  {
+    id: "door-traffic", name: "Door traffic",
+    description: "The door opens briefly and unpredictably during a maintenance visit",
+    events: [
+      { at: 0, kind: "breach", frac: 0.07, label: "Door traffic", intensity: 12, width: 5, duration: 150,
+        curve: { type: "flicker", period: 6, duty: 0.4 } },
+    ],
+  },
+  {
+    id: "overlapping", name: "Overlapping failures",
+    description: "A curtain seam fails while a top panel is already open",
+    events: [
+      { at: 0, kind: "breach", frac: 0.3, label: "Top panel", intensity: [8, 10], duration: 90,
+        ramp: { shape: "linear", up: 8, down: 8 } },
+      { at: 25, kind: "breach", frac: 0.7, label: "Curtain seam", intensity: [10, 13], duration: 80,
+        ramp: { shape: "exp", up: 15, down: 10 } },
+    ],
+  },
+  {
+    id: "cascade", name: "Cascading seam failure",
+    description: "A seam tears progressively along the run",
+    events: [
+      { at: 0,  kind: "breach", frac: 0.50, label: "Seam tear 1", intensity: 7,  duration: 120, ramp: { shape: "linear", up: 10 } },
+      { at: 20, kind: "breach", frac: 0.58, label: "Seam tear 2", intensity: 9,  duration: 100, ramp: { shape: "linear", up: 10 } },
+      { at: 40, kind: "breach", frac: 0.66, label: "Seam tear 3", intensity: 12, duration: 80,  ramp: { shape: "linear", up: 10 } },
+    ],
+  },
+  {
+    id: "crac-swing-leak", name: "CRAC swing masking a slow leak",
+    description: "A ±3 °C supply swing runs while a small leak grows — only the leak should alert",
+    events: [
+      { at: 0, kind: "crac", type: "swing", amp: 3, periodSec: 120 },
+      { at: 15, kind: "breach", frac: 0.2, label: "Slow leak", intensity: 7, duration: 120,
+        ramp: { shape: "linear", up: 60, down: 15 } },
+    ],
+  },
+].map(validateScenario);
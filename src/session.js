@@ -0,0 +1,122 @@
+// ─── Session recording ────────────────────────────────────────────────────────
+// A session file captures every frame the dashboard received plus the alerts
+// raised while recording, so a walkthrough or pilot incident can be replayed
+// through the same views later.
+//
+//   { format: "exi-session", version: 2, source, site, startedAt, endedAt,
+//     baselines: { [zoneId]: { baseline, baseDp } },
+//     ticks: [site frame...], alerts: [alert...] }
+//
+// Version 1 files (single zone, flat ticks) load into the site's first zone.
+
+import { parseFrame, isNumArray } from "./sources.js";
+import { flatBaselines } from "./site.js";
+
+export const SESSION_FORMAT  = "exi-session";
+export const SESSION_VERSION = 2;
+
+const round2 = v => Math.round(v * 100) / 100;
+
+export function createRecorder({ source, site, baselines }) {
+  const startedAt = Date.now();
+  const ticks = [];
+  return {
+    startedAt,
+    get count() { return ticks.length; },
+    push(frame) {
+      ticks.push({
+        ts: frame.ts,
+        zones: Object.fromEntries(Object.entries(frame.zones).map(([id, z]) => [id, {
+          temps: z.temps.map(round2),
+          dp: z.dp.map(round2),
+          rackPwr: z.rackPwr.map(round2),
+          breaches: z.breaches.map(b => ({ ...b })),
+          crac: (z.crac || []).map(ev => ({ ...ev })),
+          ...(z.scenario ? { scenario: { ...z.scenario } } : {}),
+        }])),
+      });
+    },
+    finish(alerts) {
+      return {
+        format: SESSION_FORMAT, version: SESSION_VERSION, source,
+        site: { name: site.name, zones: site.zones.map(({ id, sensors, racks, dpSensors }) => ({ id, sensors, racks, dpSensors })) },
+        startedAt, endedAt: Date.now(),
+        baselines: Object.fromEntries(Object.entries(baselines).map(([id, b]) => [id, {
+          baseline: b.baseline.map(round2), baseDp: b.baseDp.map(round2),
+        }])),
+        ticks,
+        alerts: alerts.filter(a => a.ts >= startedAt).sort((a, b) => a.ts - b.ts),
+      };
+    },
+  };
+}
+
+// Parse and validate a session file against the current site. Throws with the
+// offending tick index or zone.
+export function parseSession(text, site) {
+  let s;
+  try {
+    s = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Session file is not valid JSON (${err.message})`);
+  }
+  if (s?.format !== SESSION_FORMAT) throw new Error(`Not an EXI session file (format must be "${SESSION_FORMAT}")`);
+  if (s.version !== 1 && s.version !== SESSION_VERSION) throw new Error(`Unsupported session version ${s.version}`);
+  if (!Array.isArray(s.ticks) || s.ticks.length === 0) throw new Error("Session contains no ticks");
+
+  const rawBaselines = s.version === 1
+    ? { [site.zones[0].id]: { baseline: s.baseline, baseDp: s.baseDp } }
+    : s.baselines || {};
+
+  const ticks = s.ticks.map((t, i) => {
+    try {
+      return parseFrame(t, site);
+    } catch (err) {
+      throw new Error(`Tick ${i}: ${err.message}`);
+    }
+  });
+  for (let i = 1; i < ticks.length; i++) {
+    if (ticks[i].ts < ticks[i - 1].ts) throw new Error(`Tick ${i}: timestamp goes backwards`);
+  }
+
+  // Baselines: file values where valid, else the zone's first recorded sweep
+  const baselines = flatBaselines(site);
+  for (const zone of site.zones) {
+    const b = rawBaselines[zone.id];
+    const firstTick = ticks.find(t => t.zones[zone.id]);
+    if (b?.baseline !== undefined && !isNumArray(b.baseline, zone.sensors)) {
+      throw new Error(`baselines.${zone.id}.baseline must be ${zone.sensors} numbers`);
+    }
+    if (b?.baseDp !== undefined && !isNumArray(b.baseDp, zone.dpSensors)) {
+      throw new Error(`baselines.${zone.id}.baseDp must be ${zone.dpSensors} numbers`);
+    }
+    if (b?.baseline) baselines[zone.id].baseline = b.baseline;
+    else if (firstTick) baselines[zone.id].baseline = firstTick.zones[zone.id].temps;
+    if (b?.baseDp) baselines[zone.id].baseDp = b.baseDp;
+    else if (firstTick) baselines[zone.id].baseDp = firstTick.zones[zone.id].dp;
+  }
+
+  return {
+    ...s,
+    ticks,
+    baselines,
+    zones: site.zones.filter(z => ticks.some(t => t.zones[z.id])).map(z => z.id),
+    alerts: Array.isArray(s.alerts) ? s.alerts : [],
+  };
+}
+
+// Breach spans for timeline markers: first/last tick each breach appears in.
+export function breachSpans(ticks) {
+  const spans = new Map();
+  for (const t of ticks) {
+    for (const [zoneId, z] of Object.entries(t.zones)) {
+      for (const b of z.breaches) {
+        const key = `${zoneId}:${b.id}`;
+        const sp = spans.get(key);
+        if (sp) sp.end = t.ts;
+        else spans.set(key, { key, zoneId, label: b.label, start: t.ts, end: t.ts });
+      }
+    }
+  }
+  return [...spans.values()];
+}
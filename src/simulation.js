@@ -0,0 +1,183 @@
+// ─── Simulation engine ────────────────────────────────────────────────────────
+// Pure, framework-free model of a site's containment zones. Shared by the
+// browser simulation source and the Node stand-in feed server so both produce
+// identical frames.
+
+import { compileScenario, breachLevel } from "./scenarios.js";
+import { BREACH_TYPES, breachTypeOf, plumeAt, dpDropAt, onsetLevel } from "./breaches.js";
+
+// Supply-air disturbances from the CRAC/CRAH units. A swing is a sinusoidal
+// supply-temperature excursion; a load step is an IT load change that lifts
+// supply temperature with a first-order lag and releases it when it ends.
+// Both shift every sensor of the zone together (scaled slightly along the run,
+// nearer units responding more) — the common mode the detector rejects.
+export const CRAC_DEFAULTS = {
+  swing: { amp: 3, periodSec: 120, cycles: 1 },   // ±°C, one sine period
+  step:  { delta: 2, kw: 15, durSec: 90 },        // °C and kW per rack while held
+};
+const CRAC_TAU_SEC = 20;   // supply-air time constant for load steps
+const CRAC_LABELS = { swing: "CRAC supply swing", step: "IT load step" };
+
+// Supply offset (°C) and extra rack load (kW) an event contributes at `el` seconds
+function cracEffect(ev, el) {
+  if (ev.kind === "swing") {
+    return { temp: ev.amp * Math.sin((2 * Math.PI * el) / ev.periodSec), kw: 0 };
+  }
+  const held = Math.min(el, ev.durSec);
+  const rise = ev.delta * (1 - Math.exp(-held / CRAC_TAU_SEC));
+  return el < ev.durSec
+    ? { temp: rise, kw: ev.kw }
+    : { temp: rise * Math.exp(-(el - ev.durSec) / CRAC_TAU_SEC), kw: 0 };
+}
+
+// Seconds an event keeps affecting the zone
+const cracLength = ev => (ev.kind === "swing" ? ev.periodSec * ev.cycles : ev.durSec + 5 * CRAC_TAU_SEC);
+
+export function makeBaseline(zone, rng = Math.random) {
+  return Array.from({ length: zone.sensors }, (_, i) =>
+    zone.tBase + Math.sin(i / 10) * 0.8 + (rng() - 0.5) * 0.6
+  );
+}
+export function makeRackPower(zone, rng = Math.random) {
+  return Array.from({ length: zone.racks }, () => 62 + rng() * 35);
+}
+export function makeBaseDP(zone, rng = Math.random) {
+  return Array.from({ length: zone.dpSensors }, () => zone.dpBase + (rng() - 0.5) * 1);
+}
+
+// One containment zone.
+export function createZoneSimulation(zone, { rng = Math.random } = {}) {
+  const baseline = makeBaseline(zone, rng);
+  const baseDp   = makeBaseDP(zone, rng);
+  let temps   = baseline.slice();
+  let dp      = baseDp.map(v => v + (rng() - 0.5) * 0.5);
+  let rackPwr = makeRackPower(zone, rng);
+  let breaches = [];
+  let breachId = 0;
+  let crac = [];
+  let cracId = 0;
+  let queue = [];        // pending scenario actions, absolute `at`
+  let playing = null;    // { id, name, t0, t1 } of the running scenario
+  const supplyGain = Array.from({ length: zone.sensors }, (_, i) => 1.1 - (0.2 * i) / zone.sensors);
+
+  // A breach of `type` (see breaches.js; implied by the label when omitted)
+  function induce(pos, label, now = Date.now(), type = breachTypeOf(label)) {
+    const [w0, w1] = BREACH_TYPES[type].width;
+    const b = {
+      id: ++breachId, pos, w: w0 + rng() * (w1 - w0), int: 9 + rng() * 5,
+      dur: 55000 + rng() * 25000, t: now, label, type,
+    };
+    breaches = [...breaches, b];
+    return b;
+  }
+
+  function clear() {
+    breaches = [];
+  }
+
+  // Play a compiled scenario (see scenarios.js) from `now`, replacing any running one
+  function play(compiled, now = Date.now()) {
+    stopScenario();
+    queue = compiled.actions.map(a => ({ ...a, at: now + a.at }));
+    playing = { id: compiled.id, name: compiled.name, t0: now, t1: now + compiled.durationMs };
+    return playing;
+  }
+
+  function stopScenario() {
+    queue = [];
+    playing = null;
+    breaches = breaches.filter(b => !b.scenario);
+    crac = crac.filter(ev => !ev.scenario);
+  }
+
+  // Start a supply disturbance: kind "swing" or "step", options per CRAC_DEFAULTS
+  function disturb(kind, opts = {}, now = Date.now(), extra = {}) {
+    const ev = { id: ++cracId, kind, ...CRAC_DEFAULTS[kind], ...opts, t: now, label: CRAC_LABELS[kind], ...extra };
+    ev.until = now + cracLength(ev) * 1000;
+    crac = [...crac, ev];
+    return ev;
+  }
+
+  // Advance one tick and return the zone's sweep.
+  function step(now = Date.now()) {
+    while (queue.length && queue[0].at <= now) {
+      const a = queue.shift();
+      if (a.type === "crac") {
+        const ev = disturb(a.kind, a.opts, a.at, { scenario: playing.id });
+        playing = { ...playing, t1: Math.max(playing.t1, ev.until) };
+      } else {
+        breaches = [...breaches, { id: ++breachId, ...a.breach, int: 0, t: a.at, scenario: playing.id }];
+      }
+    }
+    if (playing && !queue.length && now >= playing.t1) playing = null;
+
+    breaches = breaches.filter(b => now - b.t < b.dur);
+    // Scripted breaches follow their envelope, induced ones their type's onset;
+    // `int` is the current intensity
+    const live = breaches.map(b => (b.scenario
+      ? { id: b.id, pos: b.pos, w: b.w, int: b.peak * breachLevel(b, (now - b.t) / 1000), dur: b.dur, t: b.t, label: b.label, type: b.type, scenario: b.scenario }
+      : { ...b, int: b.int * onsetLevel(b.type, (now - b.t) / 1000) }));
+    crac = crac.filter(ev => now < ev.until);
+    let supply = 0, loadKW = 0;
+    for (const ev of crac) {
+      const { temp, kw } = cracEffect(ev, (now - ev.t) / 1000);
+      supply += temp;
+      loadKW += kw;
+    }
+
+    temps = temps.map((t, i) => {
+      let target = baseline[i] + supply * supplyGain[i] + (rng() - 0.5) * 0.2;
+      for (const b of live) target += plumeAt(b, i, zone.sensors);
+      return t * 0.68 + target * 0.32;
+    });
+
+    dp = dp.map((v, i) => {
+      let target = baseDp[i] + (rng() - 0.5) * 0.7;
+      for (const b of live) target -= dpDropAt(b, i, zone);
+      return v * 0.58 + target * 0.42;
+    });
+
+    rackPwr = rackPwr.map(v => v * 0.97 + (65 + loadKW + rng() * 28) * 0.03);
+
+    return { temps, dp, rackPwr, breaches: live, crac, ...(playing ? { scenario: playing } : {}) };
+  }
+
+  return { baseline, baseDp, induce, clear, disturb, play, stopScenario, step };
+}
+
+// Every zone of a site, stepped together.
+export function createSiteSimulation(site, { rng = Math.random } = {}) {
+  const zones = Object.fromEntries(site.zones.map(z => [z.id, createZoneSimulation(z, { rng })]));
+  const baselines = Object.fromEntries(Object.entries(zones).map(([id, z]) =>
+    [id, { baseline: z.baseline, baseDp: z.baseDp }]
+  ));
+
+  return {
+    baselines,
+    induce(zoneId, pos, label, now, type) {
+      return zones[zoneId] ? zones[zoneId].induce(pos, label, now, type) : null;
+    },
+    clear(zoneId) {
+      for (const [id, z] of Object.entries(zones)) if (!zoneId || id === zoneId) z.clear();
+    },
+    // Scenario (validated, see scenarios.js) into one zone; `seed` overrides its own
+    play(zoneId, scenario, { seed } = {}, now = Date.now()) {
+      const zone = site.zones.find(z => z.id === zoneId);
+      return zone ? zones[zoneId].play(compileScenario(scenario, zone, { seed }), now) : null;
+    },
+    stopScenario(zoneId) {
+      if (zones[zoneId]) zones[zoneId].stopScenario();
+    },
+    // Supply disturbance in one zone, or every zone when zoneId is omitted
+    disturb(zoneId, kind, opts, now) {
+      return Object.entries(zones).filter(([id]) => !zoneId || id === zoneId).map(([, z]) => z.disturb(kind, opts, now));
+    },
+    // Advance every zone one tick and return the resulting site frame.
+    step(now = Date.now()) {
+      return {
+        ts: now,
+        zones: Object.fromEntries(Object.entries(zones).map(([id, z]) => [id, z.step(now)])),
+      };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+// ─── Site model ───────────────────────────────────────────────────────────────
+// A site is a set of containment zones, each with its own fiber run, racks,
+// differential-pressure sensors and baseline conditions. Everything that used
+// to be a global constant (sensor count, rack count, T_BASE, DP_BASE, breach
+// test points) now lives on the zone. A breach test point's `type` picks the
+// failure physics (see BREACH_TYPES in breaches.js).
+
+export const DEFAULT_SITE = {
+  name: "EXI Demo Site",
+  zones: [
+    {
+      id: "A1", name: "Zone A1", rows: "Rows 4–5",
+      sensors: 120, racks: 8, dpSensors: 4, lengthM: 12.2, tBase: 19.2, dpBase: 28.4,
+      breachPoints: [
+        { pos: 8,  label: "Zone A — Door Seal",    type: "door"   },
+        { pos: 32, label: "Zone B — Curtain Seam", type: "seam"   },
+        { pos: 64, label: "Zone C — Top Panel",    type: "top"    },
+        { pos: 91, label: "Zone D — End Cap",      type: "endcap" },
+      ],
+    },
+    {
+      id: "A2", name: "Zone A2", rows: "Rows 6–7",
+      sensors: 96, racks: 6, dpSensors: 3, lengthM: 9.1, tBase: 18.8, dpBase: 27.6,
+      breachPoints: [
+        { pos: 6,  label: "Zone A — Door Seal",    type: "door"   },
+        { pos: 40, label: "Zone B — Curtain Seam", type: "seam"   },
+        { pos: 85, label: "Zone C — End Cap",      type: "endcap" },
+      ],
+    },
+    {
+      id: "B1", name: "Zone B1", rows: "Rows 10–11",
+      sensors: 160, racks: 12, dpSensors: 6, lengthM: 18.3, tBase: 19.6, dpBase: 30.2,
+      breachPoints: [
+        { pos: 10,  label: "Zone A — Door Seal",    type: "door"   },
+        { pos: 48,  label: "Zone B — Curtain Seam", type: "seam"   },
+        { pos: 96,  label: "Zone C — Top Panel",    type: "top"    },
+        { pos: 150, label: "Zone D — End Cap",      type: "endcap" },
+      ],
+    },
+    {
+      id: "C1", name: "Zone C1", rows: "GPU Pod 1",
+      sensors: 80, racks: 4, dpSensors: 2, lengthM: 6.1, tBase: 20.4, dpBase: 34.0,
+      breachPoints: [
+        { pos: 5,  label: "Zone A — Door Seal",    type: "door"   },
+        { pos: 74, label: "Zone B — End Cap",      type: "endcap" },
+      ],
+    },
+  ],
+};
+
+export function zoneById(site, id) {
+  return site.zones.find(z => z.id === id) || null;
+}
+
+// First/last+1 sensor index covered by rack r.
+export function rackRange(zone, r) {
+  return [Math.floor(r * zone.sensors / zone.racks), Math.floor((r + 1) * zone.sensors / zone.racks)];
+}
+
+// Rack index (0-based) at fiber position i.
+export function rackAt(zone, i) {
+  return Math.min(zone.racks - 1, Math.floor((i / zone.sensors) * zone.racks));
+}
+
+// Fiber position of DP sensor d (sensors are spread evenly along the run).
+export function dpPosition(zone, d) {
+  return (d + 0.5) * (zone.sensors / zone.dpSensors);
+}
+
+const SEGMENTS = ["A — North", "B", "C", "D — South"];
+
+// Quarter-run segment label used in alert "where" fields.
+export function segmentLabel(zone, i) {
+  return `${zone.name} · Seg ${SEGMENTS[Math.min(3, Math.floor(i / (zone.sensors / 4)))]}`;
+}
+
+// Display name of DP sensor d ("DP-A", "DP-B", …).
+export function dpLabel(d) {
+  return `DP-${String.fromCharCode(65 + Number(d))}`;
+}
+
+// Human-readable physical location of fiber position i.
+export function physLoc(zone, i) {
+  const rack = rackAt(zone, Math.floor(i)) + 1;
+  const inch = Math.round((i / zone.sensors) * (zone.lengthM / 0.0254));
+  return `Rack R${rack}, ${Math.floor(inch / 12)}'${inch % 12}" from N`;
+}
+
+// Flat baselines for every zone, used until a source supplies real ones.
+export function flatBaselines(site) {
+  return Object.fromEntries(site.zones.map(z => [z.id, {
+    baseline: Array.from({ length: z.sensors }, () => z.tBase),
+    baseDp: Array.from({ length: z.dpSensors }, () => z.dpBase),
+  }]));
+}
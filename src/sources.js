@@ -0,0 +1,329 @@
+// ─── Data sources ─────────────────────────────────────────────────────────────
+// A data source delivers per-sweep site frames to the dashboard:
+//
+//   { ts, zones: { [zoneId]: { temps: number[sensors], dp: number[dpSensors],
+//                              rackPwr: number[racks], breaches: [], crac?: [],
+//                              scenario?: { id, name, t0, t1 } } } }
+//
+// A frame may carry any subset of the site's zones; `crac` lists active supply
+// disturbances and `scenario` the scripted scenario playing (see simulation.js
+// and scenarios.js). Every source exposes the same surface — start/stop,
+// on(event, fn), induce(zoneId, pos, label, type), clear(zoneId), disturb(zoneId,
+// kind, opts), playScenario(zoneId, scenario, { seed }), stopScenario(zoneId),
+// baselines — and emits these events:
+//   "frame"    — a validated site frame
+//   "status"   — "connecting" | "live" | "stale" | "reconnecting" | "offline" | "replay"
+//   "meta"     — baselines changed (e.g. on gateway hello)
+//   "rejected" — { count, reason }: a feed message failed validation (WebSocket only)
+
+import { createSiteSimulation } from "./simulation.js";
+import { flatBaselines } from "./site.js";
+
+export function createEmitter() {
+  const handlers = {};
+  return {
+    on(evt, fn) {
+      (handlers[evt] ||= new Set()).add(fn);
+      return () => handlers[evt].delete(fn);
+    },
+    emit(evt, arg) {
+      if (handlers[evt]) for (const fn of handlers[evt]) fn(arg);
+    },
+  };
+}
+
+export function isNumArray(a, len) {
+  return Array.isArray(a) && a.length === len && a.every(Number.isFinite);
+}
+
+function parseZone(z, zone, where) {
+  if (!z || typeof z !== "object") throw new Error(`${where} is not an object`);
+  if (!isNumArray(z.temps, zone.sensors)) throw new Error(`${where}.temps must be ${zone.sensors} numbers`);
+  if (!isNumArray(z.dp, zone.dpSensors)) throw new Error(`${where}.dp must be ${zone.dpSensors} numbers`);
+  if (!isNumArray(z.rackPwr, zone.racks)) throw new Error(`${where}.rackPwr must be ${zone.racks} numbers`);
+  return {
+    temps: z.temps, dp: z.dp, rackPwr: z.rackPwr,
+    breaches: Array.isArray(z.breaches) ? z.breaches : [],
+    crac: Array.isArray(z.crac) ? z.crac : [],
+    scenario: z.scenario && typeof z.scenario === "object" ? z.scenario : null,
+  };
+}
+
+// Validate an incoming gateway message against the site. Accepts a site frame
+// ({ ts, zones }), a single-zone frame ({ ts, zone, temps, … }) or a legacy
+// frame without `zone`, which maps to the site's first zone. Returns the
+// normalized site frame, or throws with a reason naming the offending field.
+export function parseFrame(msg, site) {
+  if (!msg || typeof msg !== "object") throw new Error("frame is not an object");
+  if (!Number.isFinite(msg.ts)) throw new Error("frame.ts must be a millisecond timestamp");
+  let zones;
+  if (msg.zones && typeof msg.zones === "object") zones = msg.zones;
+  else if (msg.temps) zones = { [msg.zone ?? site.zones[0].id]: msg };
+  else throw new Error("frame has neither zones nor temps");
+  const out = {};
+  for (const [id, z] of Object.entries(zones)) {
+    const zone = site.zones.find(x => x.id === id);
+    if (!zone) throw new Error(`frame.zones.${id} is not a zone of this site`);
+    out[id] = parseZone(z, zone, `frame.zones.${id}`);
+  }
+  return { ts: msg.ts, zones: out };
+}
+
+// ─── Simulation source ────────────────────────────────────────────────────────
+export function createSimulationSource(site, { interval = 500, rng } = {}) {
+  const sim = createSiteSimulation(site, { rng });
+  const em = createEmitter();
+  let iv = null;
+
+  return {
+    kind: "simulation",
+    label: "SIMULATION",
+    baselines: sim.baselines,
+    on: em.on,
+    start() {
+      if (iv) return;
+      em.emit("status", "live");
+      iv = setInterval(() => em.emit("frame", sim.step(Date.now())), interval);
+    },
+    stop() {
+      clearInterval(iv);
+      iv = null;
+      em.emit("status", "offline");
+    },
+    induce: (zoneId, pos, label, type) => sim.induce(zoneId, pos, label, undefined, type),
+    clear: zoneId => sim.clear(zoneId),
+    disturb: (zoneId, kind, opts) => sim.disturb(zoneId, kind, opts),
+    playScenario: (zoneId, scenario, opts) => sim.play(zoneId, scenario, opts),
+    stopScenario: zoneId => sim.stopScenario(zoneId),
+  };
+}
+
+// ─── WebSocket interrogator feed ──────────────────────────────────────────────
+// Connects to an interrogator gateway (or server/feed.js) that pushes one JSON
+// message per sweep. Optional { type: "hello", zones: { [id]: { baseline, baseDp } } }
+// (or a bare { baseline, baseDp } for the first zone) sets the reference
+// profiles; otherwise each zone's first frame is taken as its baseline.
+// Reconnects with exponential backoff and flags the feed "stale" when no frame
+// has arrived within `staleAfter` ms.
+export function createWebSocketSource(url, site, {
+  WebSocketImpl = globalThis.WebSocket,
+  staleAfter = 2000,
+  minBackoff = 500,
+  maxBackoff = 10000,
+} = {}) {
+  const em = createEmitter();
+  let ws = null;
+  let status = "offline";
+  let running = false;
+  let backoff = minBackoff;
+  let retryTimer = null;
+  let watchdog = null;
+  let lastFrameAt = 0;
+  const haveBaseline = new Set();
+
+  const src = {
+    kind: "websocket",
+    label: url,
+    baselines: flatBaselines(site),
+    rejected: 0,
+    on: em.on,
+    start,
+    stop,
+    induce: (zone, pos, label, breachType) => send({ type: "induce", zone, pos, label, breachType }),
+    clear: zone => send({ type: "clear", zone }),
+    disturb: (zone, kind, opts) => send({ type: "crac", zone, kind, ...opts }),
+    playScenario: (zone, scenario, { seed } = {}) => send({ type: "scenario", zone, scenario, seed }),
+    stopScenario: zone => send({ type: "scenario-stop", zone }),
+  };
+
+  function setStatus(s) {
+    if (s === status) return;
+    status = s;
+    em.emit("status", s);
+  }
+
+  function send(msg) {
+    if (ws && ws.readyState === 1) ws.send(JSON.stringify(msg));
+  }
+
+  function setBaselines(byZone) {
+    const next = { ...src.baselines };
+    for (const [id, b] of Object.entries(byZone)) {
+      const zone = site.zones.find(z => z.id === id);
+      if (!zone || !b) continue;
+      next[id] = {
+        baseline: isNumArray(b.baseline, zone.sensors) ? b.baseline : next[id].baseline,
+        baseDp: isNumArray(b.baseDp, zone.dpSensors) ? b.baseDp : next[id].baseDp,
+      };
+      haveBaseline.add(id);
+    }
+    src.baselines = next;
+    em.emit("meta", { baselines: next });
+  }
+
+  // Counted rather than logged — a bad feed at 10 Hz would flood the console
+  function reject(reason) {
+    src.rejected++;
+    em.emit("rejected", { count: src.rejected, reason });
+  }
+
+  function onMessage(ev) {
+    let msg;
+    try {
+      msg = JSON.parse(typeof ev.data === "string" ? ev.data : String(ev.data));
+    } catch {
+      reject("not JSON");
+      return;
+    }
+    if (!msg || typeof msg !== "object") {
+      reject("not an object");
+      return;
+    }
+    if (msg.type === "hello") {
+      setBaselines(msg.zones || { [site.zones[0].id]: msg });
+      return;
+    }
+    let frame;
+    try {
+      frame = parseFrame(msg, site);
+    } catch (err) {
+      reject(err.message);
+      return;
+    }
+    const fresh = Object.keys(frame.zones).filter(id => !haveBaseline.has(id));
+    if (fresh.length) {
+      setBaselines(Object.fromEntries(fresh.map(id =>
+        [id, { baseline: frame.zones[id].temps, baseDp: frame.zones[id].dp }]
+      )));
+    }
+    lastFrameAt = Date.now();
+    backoff = minBackoff;
+    setStatus("live");
+    em.emit("frame", frame);
+  }
+
+  function connect() {
+    setStatus(status === "offline" ? "connecting" : "reconnecting");
+    try {
+      ws = new WebSocketImpl(url);
+    } catch {
+      scheduleRetry();
+      return;
+    }
+    ws.onmessage = onMessage;
+    ws.onclose = () => { ws = null; scheduleRetry(); };
+    ws.onerror = () => { if (ws) ws.close(); };
+  }
+
+  function scheduleRetry() {
+    if (!running) return;
+    setStatus("reconnecting");
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(connect, backoff);
+    backoff = Math.min(maxBackoff, backoff * 2);
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    connect();
+    watchdog = setInterval(() => {
+      if (status === "live" && Date.now() - lastFrameAt > staleAfter) setStatus("stale");
+    }, 250);
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(retryTimer);
+    clearInterval(watchdog);
+    if (ws) {
+      ws.onclose = null;
+      ws.close();
+      ws = null;
+    }
+    setStatus("offline");
+  }
+
+  return src;
+}
+
+// ─── Session replay ───────────────────────────────────────────────────────────
+// Plays a parsed session file (see session.js) back through the same frame
+// interface. Adds play/pause/seek/setSpeed and a "cursor" event carrying
+// { t, t0, t1, playing, speed } for the timeline.
+export function createReplaySource(session, { interval = 100 } = {}) {
+  const em = createEmitter();
+  const { ticks } = session;
+  const t0 = ticks[0].ts;
+  const t1 = ticks[ticks.length - 1].ts;
+  let t = t0;
+  let idx = -1;
+  let playing = false;
+  let speed = 1;
+  let iv = null;
+
+  // Index of the last tick at or before time `at`.
+  function indexAt(at) {
+    let lo = 0, hi = ticks.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (ticks[mid].ts <= at) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  function emitCursor() {
+    em.emit("cursor", { t, t0, t1, playing, speed });
+  }
+
+  function moveTo(at) {
+    t = Math.max(t0, Math.min(t1, at));
+    const i = indexAt(t);
+    if (i !== idx) {
+      idx = i;
+      em.emit("frame", ticks[i]);
+    }
+    if (t >= t1) playing = false;
+    emitCursor();
+  }
+
+  return {
+    kind: "replay",
+    label: session.name || "Recorded session",
+    baselines: session.baselines,
+    session,
+    on: em.on,
+    start() {
+      if (iv) return;
+      em.emit("status", "replay");
+      idx = -1;
+      moveTo(t);
+      iv = setInterval(() => { if (playing) moveTo(t + interval * speed); }, interval);
+    },
+    stop() {
+      clearInterval(iv);
+      iv = null;
+      playing = false;
+      em.emit("status", "offline");
+    },
+    play() {
+      if (t >= t1) t = t0;
+      playing = true;
+      emitCursor();
+    },
+    pause() {
+      playing = false;
+      emitCursor();
+    },
+    seek: at => moveTo(at),
+    setSpeed(s) {
+      speed = s;
+      emitCursor();
+    },
+    induce() {},
+    clear() {},
+    disturb() {},
+    playScenario() {},
+    stopScenario() {},
+  };
+}
@@ -0,0 +1,111 @@
+// ─── BARI trend ───────────────────────────────────────────────────────────────
+// Per-zone BARI history for the trend chart and the REST API, broken down into
+// the weighted contribution of each component (they add up to BARI, short of
+// its cap at 1). Two tiers of averaged buckets keep hours at fine resolution
+// and a week at coarse resolution in a few hundred kB per zone. Band
+// crossings are judged on the fine buckets' means, so sensor noise sitting on
+// a cut-off does not flap.
+
+import { bariBand, BARI_LEVELS, DEFAULT_BARI } from "./metrics.js";
+
+export const TREND_TIERS = [
+  { bucketMs: 10 * 1000,     spanMs: 6 * 60 * 60 * 1000 },        // 2160 buckets
+  { bucketMs: 5 * 60 * 1000, spanMs: 7 * 24 * 60 * 60 * 1000 },   // 2016 buckets
+];
+export const TREND_WINDOWS = [
+  { l: "1 H",  ms: 60 * 60 * 1000 },
+  { l: "6 H",  ms: 6 * 60 * 60 * 1000 },
+  { l: "24 H", ms: 24 * 60 * 60 * 1000 },
+  { l: "7 D",  ms: 7 * 24 * 60 * 60 * 1000 },
+];
+const MAX_CROSSINGS = 500;   // per zone, newest kept
+
+const blank = ts => ({ ts, n: 0, bari: 0, max: 0, thermal: 0, dp: 0, rack: 0 });
+// Means of an accumulating bucket, with its band under `cfg`
+function settle(b, cfg) {
+  const bari = b.bari / b.n;
+  return {
+    ts: b.ts, bari, max: b.max, thermal: b.thermal / b.n, dp: b.dp / b.n, rack: b.rack / b.n,
+    band: bariBand(bari, cfg),
+  };
+}
+
+export function createTrend({ tiers = TREND_TIERS } = {}) {
+  const zones = {};   // id → { tiers: [{ done: [bucket], open }], band, crossings, cfg }
+
+  function zoneState(id) {
+    return zones[id] || (zones[id] = { tiers: tiers.map(() => ({ done: [], open: null })), band: null, crossings: [], cfg: DEFAULT_BARI });
+  }
+
+  // One score (from bariScore) at `ts` under BARI config `cfg`
+  function push(id, ts, score, cfg = DEFAULT_BARI) {
+    let z = zoneState(id);
+    const last = z.tiers[0].open;
+    // A replay seek backwards restarts the zone rather than interleaving
+    if (last && ts < last.ts) {
+      delete zones[id];
+      z = zoneState(id);
+    }
+    z.cfg = cfg;
+    const { weights } = cfg;
+    tiers.forEach(({ bucketMs, spanMs }, k) => {
+      const t = z.tiers[k];
+      const start = Math.floor(ts / bucketMs) * bucketMs;
+      if (t.open && t.open.ts !== start) {
+        const b = settle(t.open, cfg);
+        t.done.push(b);
+        if (k === 0) crossed(z, id, b, bucketMs);
+        let drop = 0;
+        while (drop < t.done.length && ts - t.done[drop].ts > spanMs) drop++;
+        if (drop) t.done.splice(0, drop);
+        t.open = null;
+      }
+      const o = t.open || (t.open = blank(start));
+      o.n++;
+      o.bari += score.bari;
+      o.max = Math.max(o.max, score.bari);
+      o.thermal += weights.thermal * score.thermalScore;
+      o.dp += weights.dp * score.dpScore;
+      o.rack += weights.rack * score.rackScore;
+    });
+  }
+
+  function crossed(z, id, b, bucketMs) {
+    if (z.band !== null && b.band !== z.band) {
+      z.crossings.push({ ts: b.ts + bucketMs, zone: id, from: BARI_LEVELS[z.band], to: BARI_LEVELS[b.band], up: b.band > z.band, bari: b.bari });
+      if (z.crossings.length > MAX_CROSSINGS) z.crossings.shift();
+    }
+    z.band = b.band;
+  }
+
+  // Buckets covering [end − windowMs, end] from the finest tier that spans the
+  // window, oldest first (the bucket still filling included), and the
+  // crossings in it
+  function series(id, windowMs, end) {
+    const z = zones[id];
+    const k = tiers.findIndex(t => t.spanMs >= windowMs);
+    const tier = k === -1 ? tiers.length - 1 : k;
+    if (!z) return { bucketMs: tiers[tier].bucketMs, points: [], crossings: [] };
+    const t = z.tiers[tier];
+    const from = end - windowMs;
+    const points = [...t.done, ...(t.open ? [settle(t.open, z.cfg)] : [])].filter(b => b.ts >= from && b.ts <= end);
+    return { bucketMs: tiers[tier].bucketMs, points, crossings: z.crossings.filter(c => c.ts >= from && c.ts <= end) };
+  }
+
+  return { push, series };
+}
+
+// CSV of a series (see createTrend().series): one row per bucket, BARI and its
+// components on the 0–100 scale the dashboard shows, and the band crossings
+// that fell within the bucket
+export function trendCsv(zone, { bucketMs, points, crossings }) {
+  const rows = [["time", "zone", "bari", "bari_max", "thermal", "dp", "rack", "level", "crossings"]];
+  for (const p of points) {
+    const cs = crossings.filter(x => x.ts > p.ts && x.ts <= p.ts + bucketMs);
+    rows.push([
+      new Date(p.ts).toISOString(), zone, ...[p.bari, p.max, p.thermal, p.dp, p.rack].map(v => (v * 100).toFixed(1)),
+      BARI_LEVELS[p.band], cs.map(c => `${c.from} to ${c.to}`).join("; "),
+    ]);
+  }
+  return rows.map(r => r.join(",")).join("\n") + "\n";
+}
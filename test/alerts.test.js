@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { alertsReducer, alertAsOf, alertMetrics, breachAction, detectorAction } from "../src/alerts.js";
+
+const zone = { id: "Z1", name: "Zone 1", sensors: 40, racks: 4, dpSensors: 2, lengthM: 4 };
+
+const raise = (alerts, id, ts, lvl = "WARNING") =>
+  alertsReducer(alerts, { type: "raise", ts, alert: { id, lvl, zone: "Z1", what: `alert ${id}` } });
+
+test("an alert moves open → acknowledged → resolved and keeps its history", () => {
+  let alerts = raise([], 1, 1000);
+  assert.equal(alerts[0].state, "open");
+  alerts = alertsReducer(alerts, { type: "assign", id: 1, ts: 1500, assignee: "Sam" });
+  alerts = alertsReducer(alerts, { type: "ack", id: 1, ts: 2000 });
+  alerts = alertsReducer(alerts, { type: "note", id: 1, ts: 2500, text: "on site" });
+  alerts = alertsReducer(alerts, { type: "resolve", id: 1, ts: 5000, text: "resealed" });
+  const a = alerts[0];
+  assert.deepEqual([a.state, a.assignee, a.ackedAt, a.resolvedAt, a.resolution], ["resolved", "Sam", 2000, 5000, "manual"]);
+  assert.deepEqual(a.history.map(h => h.type), ["raised", "assigned", "acknowledged", "note", "resolved"]);
+
+  assert.equal(alertsReducer(alerts, { type: "ack", id: 1, ts: 6000 }), alerts);
+  assert.equal(alertsReducer(alerts, { type: "assign", id: 1, ts: 6000, assignee: "Sam" }), alerts);
+});
+
+test("an escalation reopens an acknowledged alert until it is acked again", () => {
+  let alerts = alertsReducer([], { type: "raise", ts: 0, alert: { id: 1, lvl: "WARNING", zone: "Z1", episode: "e1", what: "warm" } });
+  alerts = alertsReducer(alerts, { type: "ack", id: 1, ts: 1000 });
+  alerts = alertsReducer(alerts, { type: "escalate", episode: "e1", ts: 2000, lvl: "CRITICAL", what: "hot" });
+  assert.deepEqual([alerts[0].state, alerts[0].lvl], ["escalated", "CRITICAL"]);
+  alerts = alertsReducer(alerts, { type: "ack", id: 1, ts: 3000 });
+  assert.deepEqual([alerts[0].state, alerts[0].ackedAt], ["acknowledged", 1000]);
+});
+
+test("informational entries are born resolved", () => {
+  const [a] = raise([], 1, 1000, "CLEAR");
+  assert.deepEqual([a.state, a.resolvedAt, a.signature], ["resolved", 1000, null]);
+});
+
+test("a positional alert auto-resolves once its signature has been seen and then cools", () => {
+  const baseline = new Array(40).fill(20);
+  const temps = add => baseline.map((b, i) => (i === 12 ? b + add : b));
+  const sweep = (alerts, ts, add, dpDrops = []) =>
+    alertsReducer(alerts, { type: "sweep", zone: "Z1", ts, temps: temps(add), baseline, dpDrops, dpRadius: 10 });
+
+  let alerts = alertsReducer([], breachAction(zone, 10, "Door", 0, 1));
+  alerts = sweep(alerts, 1000, 0.5);
+  assert.equal(alerts[0].state, "open"); // never warm yet: not armed
+  alerts = sweep(alerts, 2000, 4, [{ idx: 0, pos: 5, drop: 6 }, { idx: 1, pos: 30, drop: 8 }]);
+  assert.deepEqual(alerts[0].signature.dp, { 0: 6 });
+  assert.equal(alerts[0].signature.peakDelta, 4);
+  alerts = sweep(alerts, 3000, 0.2);
+  assert.deepEqual([alerts[0].state, alerts[0].resolution, alerts[0].resolvedAt], ["resolved", "auto", 3000]);
+});
+
+test("alertAsOf rebuilds the state at any moment of a replay", () => {
+  let alerts = raise([], 1, 1000);
+  alerts = alertsReducer(alerts, { type: "ack", id: 1, ts: 2000 });
+  alerts = alertsReducer(alerts, { type: "resolve", id: 1, ts: 3000 });
+  assert.equal(alertAsOf(alerts[0], 1500).state, "open");
+  assert.deepEqual([alertAsOf(alerts[0], 2500).state, alertAsOf(alerts[0], 2500).ackedAt], ["acknowledged", 2000]);
+  assert.equal(alertAsOf(alerts[0], 3000).state, "resolved");
+  assert.equal(alertAsOf({ id: 9, lvl: "WARNING", ts: 0 }, 100).state, "open");
+});
+
+test("MTTA and MTTR average over actionable alerts only", () => {
+  let alerts = raise(raise(raise([], 1, 0), 2, 0), 3, 0, "CLEAR");
+  alerts = alertsReducer(alerts, { type: "ack", id: 1, ts: 1000 });
+  alerts = alertsReducer(alerts, { type: "ack", id: 2, ts: 3000 });
+  alerts = alertsReducer(alerts, { type: "resolve", id: 1, ts: 10000 });
+  assert.deepEqual(alertMetrics(alerts), { mtta: 2000, mttr: 10000, open: 1, acked: 2, resolved: 1 });
+  assert.deepEqual(alertMetrics([]), { mtta: null, mttr: null, open: 0, acked: 0, resolved: 0 });
+});
+
+test("detector events map to raise, escalate and clear actions", () => {
+  const episode = { peakIdx: 12, delta: 3.2, sustain: 15.4, z: 8 };
+  let id = 0;
+  const raised = detectorAction({ type: "alert", level: "WARNING", episode }, zone, "Z1:1", 0, () => ++id,
+    { guess: { type: "door", confidence: 0.8 }, fix: { pos: 12.3, lo: 11.8, hi: 12.8 } });
+  assert.equal(raised.type, "raise");
+  assert.deepEqual([raised.alert.id, raised.alert.pos, raised.alert.estPos, raised.alert.breachType], [1, 12, 12.3, "door"]);
+  assert.match(raised.alert.loc, /±5 cm$/);
+  assert.match(raised.alert.what, /ΔT \+3\.2°C at sensor #12 .* likely door seal \(80%\)/i);
+
+  assert.equal(detectorAction({ type: "escalate", level: "CRITICAL", episode }, zone, "Z1:1", 1, () => ++id).type, "escalate");
+  assert.equal(detectorAction({ type: "clear", episode }, zone, "Z1:1", 2, () => ++id).type, "episodeClear");
+  assert.equal(id, 1);
+});
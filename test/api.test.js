@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server/api.js", import.meta.url));
+let port = 18788 + Math.floor(Math.random() * 1000);
+let base = null;
+const AUTH = { Authorization: "Bearer s3cret" };
+
+// Runs server/api.js on the built-in simulation until the test ends, on a
+// fresh port so a server still shutting down cannot get in the way
+function startServer(t, env = { EXI_API_TOKEN: "other,s3cret" }) {
+  port++;
+  base = `http://127.0.0.1:${port}/api/v1`;
+  const child = spawn(process.execPath, [SERVER, "--port", String(port)], {
+    stdio: ["ignore", "pipe", "pipe"], env: { ...process.env, EXI_API_TOKEN: "", ...env },
+  });
+  t.after(() => child.kill());
+  let out = "";
+  child.stderr.on("data", chunk => { out += chunk; });
+  return new Promise((resolve, reject) => {
+    child.stdout.on("data", chunk => {
+      out += chunk;
+      if (out.includes("http://localhost")) resolve(child);
+    });
+    child.on("close", code => reject(Object.assign(new Error(`api server exited with ${code}`), { code, out })));
+  });
+}
+
+async function get(path, headers = AUTH, method = "GET") {
+  const res = await fetch(`${base}${path}`, { headers, method });
+  return { status: res.status, body: await res.json() };
+}
+
+// The first sweep takes up to one simulation tick
+async function firstFrame() {
+  for (let i = 0; i < 40; i++) {
+    const r = await get("/zones/A1/bari");
+    if (r.status !== 503) return r;
+    await new Promise(res => setTimeout(res, 100));
+  }
+  throw new Error("no frame within 4 s");
+}
+
+test("the API refuses to start without a token", async t => {
+  const err = await startServer(t, {}).then(() => null, e => e);
+  assert.equal(err?.code, 1);
+  assert.match(err.out, /no token configured/);
+});
+
+test("the API serves zones, BARI and alerts to a bearer token", async t => {
+  await startServer(t);
+
+  assert.equal((await get("/health", {})).body.status, "ok");
+  assert.equal((await get("/openapi.json", {})).body.openapi.startsWith("3."), true);
+
+  const noToken = await get("/zones", {});
+  assert.deepEqual([noToken.status, noToken.body.error.message], [401, "Missing bearer token"]);
+  assert.equal((await get("/zones", { Authorization: "Bearer nope" })).status, 401);
+
+  const bari = await firstFrame();
+  assert.equal(bari.status, 200);
+  assert.deepEqual(Object.keys(bari.body.components), ["thermal", "dp", "rack"]);
+
+  const zones = await get("/zones");
+  assert.deepEqual(zones.body.zones.map(z => z.id), ["A1", "A2", "B1", "C1"]);
+  assert.equal((await get("/zones/A1/racks")).body.racks.length, 8);
+  assert.equal((await get("/zones/A1/profile")).body.temps.length, 120);
+
+  const alerts = await get("/alerts?limit=5");
+  assert.deepEqual([alerts.status, alerts.body.limit, alerts.body.offset], [200, 5, 0]);
+});
+
+test("bad requests get 400, 404 and 405 with an error body", async t => {
+  await startServer(t);
+  const cases = [
+    ["/alerts?limit=0", 400, /limit must be a whole number between 1 and 200/],
+    ["/alerts?state=closed", 400, /state must be/],
+    ["/alerts?level=INFO", 400, /level must be/],
+    ["/alerts?zone=ZZ", 400, /Unknown zone "ZZ"/],
+    ["/zones/%E0/bari", 400, /Malformed path segment/],
+    ["/zones/ZZ/bari", 404, /Unknown zone "ZZ"/],
+    ["/nowhere", 404, /Not found/],
+  ];
+  for (const [path, status, message] of cases) {
+    const r = await get(path);
+    assert.equal(r.status, status, path);
+    assert.match(r.body.error.message, message, path);
+  }
+  const post = await get("/zones", AUTH, "POST");
+  assert.deepEqual([post.status, post.body.error.status], [405, 405]);
+});
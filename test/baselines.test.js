@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createBaselineCapture, qualityWarnings, serializeBaseline, parseBaseline, activeVersion, addVersion, removeVersion,
+  setActiveVersion, loadBaselineStore, storeBaselineStore, diffBaselines, createDriftTracker, EMPTY_BASELINE_STORE,
+  MAX_VERSIONS_PER_ZONE,
+} from "../src/baselines.js";
+
+const zone = { id: "Z1", sensors: 20, dpSensors: 2 };
+
+// localStorage stand-in
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: k => items.get(k) ?? null, setItem: (k, v) => items.set(k, String(v)) };
+}
+
+// A one-minute capture at 1 Hz; `tweak(temps, k)` edits each sweep
+function capture(tweak = () => {}, { disturbedFrom = Infinity } = {}) {
+  const cap = createBaselineCapture(zone, { minutes: 1, startedAt: 0 });
+  for (let k = 0; k < 60; k++) {
+    const temps = Array.from({ length: 20 }, (_, i) => 20 + (k % 2 ? 0.05 : -0.05) + i * 0.01);
+    tweak(temps, k);
+    cap.push(temps, [30, 31], k * 1000, { disturbed: k >= disturbedFrom });
+  }
+  assert.equal(cap.done(60000), true);
+  return cap.finish("Quiet", 60000);
+}
+
+test("a capture averages the window and flags noisy and offset sensors", () => {
+  const v = capture((t, k) => {
+    t[4] += k % 2 ? 1 : -1;   // noisy
+    t[12] += 3;               // offset
+  }, { disturbedFrom: 50 });
+  assert.deepEqual([v.id, v.name, v.sweeps, v.disturbed, v.windowSec], [`Z1-${(60000).toString(36)}`, "Quiet", 60, 10, 60]);
+  assert.equal(v.baseline[0], 20);
+  assert.equal(v.baseline[12], 23.12);
+  assert.equal(v.sigma[0], 0.05);
+  assert.deepEqual(v.outliers.map(o => [o.idx, o.kind]), [[4, "noisy"], [12, "offset"]]);
+  assert.deepEqual(qualityWarnings(v), [
+    "10 of 60 sweeps had a breach or detector episode live", "1 noisy sensor", "1 sensor offset from their neighbours",
+  ]);
+});
+
+test("a capture with too few sweeps refuses to finish", () => {
+  const cap = createBaselineCapture(zone, { minutes: 1, startedAt: 0 });
+  cap.push(new Array(20).fill(20), [30, 31], 0);
+  cap.push(new Array(19).fill(20), [30, 31], 1000);   // wrong layout: ignored
+  assert.equal(cap.sweeps, 1);
+  assert.throws(() => cap.finish("x"), /Only 1 sweeps in the window/);
+});
+
+test("versions export and import, and the store keeps the newest per zone plus the active one", () => {
+  const v = capture();
+  assert.deepEqual(parseBaseline(serializeBaseline(v)), v);
+  assert.throws(() => parseBaseline(JSON.stringify({ format: "exi-baseline", version: 1, ...v, sigma: [1] })), /sigma must have one number per sensor/);
+
+  let store = addVersion(EMPTY_BASELINE_STORE, { ...v, id: "first", capturedAt: 0 });
+  store = setActiveVersion(store, "Z1", "first");
+  for (let k = 1; k <= MAX_VERSIONS_PER_ZONE + 2; k++) store = addVersion(store, { ...v, id: `v${k}`, capturedAt: k });
+  assert.equal(store.versions.length, MAX_VERSIONS_PER_ZONE);
+  assert.ok(store.versions.some(o => o.id === "first"));
+  assert.equal(activeVersion(store, zone).id, "first");
+  assert.equal(activeVersion(store, { ...zone, sensors: 21 }), null);
+
+  const storage = memoryStorage();
+  storeBaselineStore(store, storage);
+  assert.deepEqual(loadBaselineStore(storage), store);
+  const removed = removeVersion(store, "first");
+  assert.deepEqual(removed.active, {});
+  assert.equal(activeVersion(removed, zone), null);
+});
+
+test("a diff reports the shift between two versions", () => {
+  const a = capture();
+  const b = capture(t => { t[7] += 2; });
+  const d = diffBaselines(a, b);
+  assert.deepEqual([d.maxIdx, d.maxAbs, d.shifted], [7, 2, 1]);
+  assert.ok(Math.abs(d.meanShift - 0.1) < 1e-9);
+  assert.throws(() => diffBaselines(a, { ...b, baseDp: [1] }), /different layouts/);
+});
+
+test("drift compensation follows a slow shift, holds during episodes and stays clamped", () => {
+  const baseline = [20, 20];
+  const drift = createDriftTracker({ tauHours: 1, maxC: 1.5 });
+  drift.update([22, 22], baseline, 0);
+  for (let s = 60; s <= 3600; s += 60) drift.update([22, 22], baseline, s * 1000);
+  assert.ok(Math.abs(drift.mean - 2 * (1 - Math.exp(-1))) < 0.01);
+
+  const held = drift.offsets;
+  drift.update([30, 30], baseline, 3660 * 1000, true);
+  assert.deepEqual(drift.offsets, held);
+
+  for (let s = 3720; s <= 36000; s += 60) drift.update([22, 22], baseline, s * 1000);
+  assert.deepEqual(drift.offsets, [1.5, 1.5]);
+  assert.deepEqual(drift.apply({ baseline, baseDp: [30] }), { baseline: [21.5, 21.5], baseDp: [30] });
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  BREACH_TYPES, BREACH_TYPE_IDS, breachTypeOf, plumeAt, dpDropAt, onsetLevel, breachSignature, classifyBreach,
+} from "../src/breaches.js";
+import { DEFAULT_SITE } from "../src/site.js";
+
+const zone = DEFAULT_SITE.zones[0];   // 120 sensors, DP sensors at 15, 45, 75, 105
+const baseline = new Array(zone.sensors).fill(20);
+const baseDp = new Array(zone.dpSensors).fill(30);
+
+// Noise-free sweep of one settled breach of `type`
+function sweep(type, pos, int = 10) {
+  const b = { type, pos, int, w: (BREACH_TYPES[type].width[0] + BREACH_TYPES[type].width[1]) / 2 };
+  return {
+    temps: baseline.map((t, i) => t + plumeAt(b, i, zone.sensors)),
+    dp: baseDp.map((p, d) => p - dpDropAt(b, d, zone)),
+  };
+}
+
+test("labels imply a breach type, curtain seam by default", () => {
+  assert.equal(breachTypeOf("Zone D — End Cap"), "endcap");
+  assert.equal(breachTypeOf("end-cap"), "endcap");
+  assert.equal(breachTypeOf("Door Seal"), "door");
+  assert.equal(breachTypeOf("Roof panel"), "top");
+  assert.equal(breachTypeOf("Something else"), "seam");
+});
+
+test("an end cap plume spreads further toward the middle of the run", () => {
+  const b = { type: "endcap", pos: 100, int: 10, w: 4 };
+  assert.ok(plumeAt(b, 95, zone.sensors) > plumeAt(b, 105, zone.sensors));
+  const mirrored = { ...b, pos: 20 };
+  assert.ok(plumeAt(mirrored, 25, zone.sensors) > plumeAt(mirrored, 15, zone.sensors));
+});
+
+test("onset follows each type's time constant", () => {
+  assert.ok(Math.abs(onsetLevel("door", 6) - (1 - Math.exp(-1))) < 1e-12);
+  assert.ok(onsetLevel("seam", 2) > 0.98);
+  assert.equal(onsetLevel("unknown", 0), 1);
+});
+
+test("each type's own signature classifies back to that type", () => {
+  const at = { door: 15, seam: 45, top: 75, endcap: 104 };
+  for (const type of BREACH_TYPE_IDS) {
+    const sig = breachSignature(zone, sweep(type, at[type]), { baseline, baseDp }, at[type], BREACH_TYPES[type].riseSec);
+    const guess = classifyBreach(sig);
+    assert.equal(guess.type, type, `${type}: ${JSON.stringify(sig)}`);
+    assert.ok(guess.confidence > 0.5, `${type} confidence ${guess.confidence}`);
+    assert.ok(Math.abs(Object.values(guess.scores).reduce((a, v) => a + v, 0) - 1) < 1e-9);
+  }
+});
+
+test("the DP term is left out when no DP sensor is near the plume", () => {
+  const far = { ...zone, dpSensors: 1 };   // one DP sensor at 60
+  const sig = breachSignature(far, { ...sweep("seam", 5), dp: [30] }, { baseline, baseDp: [30] }, 5);
+  assert.deepEqual([sig.dpPerDeg, sig.riseSec], [null, null]);
+  assert.equal(classifyBreach(sig).type, "seam");
+});
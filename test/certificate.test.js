@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  loadSigningKey, buildCertificate, signCertificate, verifyCertificate, verifyCertificateFile, extractCertificate,
+  certificateHtml, certificatePdf, normalizeKeyId, pinIssuer, loadTrustedIssuers, storeTrustedIssuers, issuerKeyFile, parseIssuerKey,
+} from "../src/certificate.js";
+
+// localStorage stand-in
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: k => items.get(k) ?? null, setItem: (k, v) => items.set(k, String(v)) };
+}
+
+const certificate = buildCertificate({
+  id: "EXI-CX-TEST-0001", issuedAt: Date.UTC(2026, 0, 5, 9, 30),
+  site: { name: "Test Hall" },
+  zone: { id: "Z1", name: "Zone 1", rows: "A–C", sensors: 96, lengthM: 48 },
+  details: { operator: "A. Tech", company: "Fiber Co", interrogator: "ODiSI 6100", serial: "123", fiber: "SMF-28" },
+  results: [{ step: "fiber", title: "Fiber continuity", limit: "0 dead sensors", status: "pass", measured: "0 dead" }],
+});
+
+test("a certificate is verified only when its key is a trusted issuer", async () => {
+  const issuer = await loadSigningKey(memoryStorage());
+  const doc = await signCertificate(certificate, issuer);
+
+  const trusted = await verifyCertificate(doc, { trustedIssuers: [{ keyId: issuer.keyId, label: "Fiber Co" }] });
+  assert.equal(trusted.verified, true);
+  assert.equal(trusted.issuer, "Fiber Co");
+  assert.deepEqual(trusted.problems, []);
+
+  const unknown = await verifyCertificate(doc);
+  assert.equal(unknown.valid, true);
+  assert.equal(unknown.trusted, false);
+  assert.equal(unknown.verified, false);
+});
+
+test("an edited certificate re-signed with another key is not verified", async () => {
+  const issuer = await loadSigningKey(memoryStorage());
+  const forger = await loadSigningKey(memoryStorage());
+  const forged = await signCertificate({ ...certificate, operator: "Someone Else" }, forger);
+  const html = new TextEncoder().encode(certificateHtml(forged));
+
+  const r = await verifyCertificateFile(html, { trustedIssuers: [{ keyId: issuer.keyId, label: "Fiber Co" }] });
+  assert.equal(r.valid, true);
+  assert.equal(r.verified, false);
+  assert.equal(r.keyId, forger.keyId);
+  assert.match(r.problems[0], /not a trusted issuer/);
+});
+
+test("key ids are normalized when pinned and malformed ones are refused", () => {
+  assert.equal(normalizeKeyId(" 0A1B 2C3D-4e5f 6a7b "), "0a1b-2c3d-4e5f-6a7b");
+  assert.equal(normalizeKeyId("0a1b-2c3d"), null);
+  const list = pinIssuer(pinIssuer([], "0a1b2c3d4e5f6a7b", "Old name"), "0A1B-2C3D-4E5F-6A7B", "New name");
+  assert.deepEqual(list, [{ keyId: "0a1b-2c3d-4e5f-6a7b", label: "New name" }]);
+  assert.throws(() => pinIssuer([], "not a key", "x"), /16 hex digits/);
+
+  const storage = memoryStorage();
+  assert.equal(storeTrustedIssuers(list, storage), true);
+  assert.deepEqual(loadTrustedIssuers(storage), list);
+  storage.setItem("exi-cert-trusted", "{broken");
+  assert.deepEqual(loadTrustedIssuers(storage), []);
+});
+
+test("issuer key files round-trip and an edited key id is rejected", async () => {
+  const key = await loadSigningKey(memoryStorage());
+  const text = issuerKeyFile(key, "Fiber Co");
+  assert.deepEqual(await parseIssuerKey(text), { keyId: key.keyId, label: "Fiber Co" });
+
+  const edited = JSON.stringify({ ...JSON.parse(text), keyId: "0000-0000-0000-0000" });
+  await assert.rejects(parseIssuerKey(edited), /does not match/);
+  await assert.rejects(parseIssuerKey("{}"), /Not an EXI issuer key file/);
+});
+
+test("edits to the signed data or to the printed copy are caught", async () => {
+  const key = await loadSigningKey(memoryStorage());
+  const doc = await signCertificate(certificate, key);
+  const trustedIssuers = [{ keyId: key.keyId, label: "this dashboard" }];
+  const bytes = text => new TextEncoder().encode(text);
+
+  const html = certificateHtml(doc);
+  assert.equal((await verifyCertificateFile(bytes(html), { trustedIssuers })).verified, true);
+
+  const reworded = await verifyCertificateFile(bytes(html.replace("A. Tech", "B. Tech")), { trustedIssuers });
+  assert.deepEqual([reworded.hashOk, reworded.signatureOk, reworded.layoutOk, reworded.verified], [true, true, false, false]);
+
+  const edited = { ...doc, certificate: { ...doc.certificate, operator: "B. Tech" } };
+  const data = await verifyCertificateFile(bytes(JSON.stringify(edited)), { trustedIssuers });
+  assert.deepEqual([data.kind, data.hashOk, data.signatureOk, data.valid], ["json", false, false, false]);
+
+  const pdf = certificatePdf(doc);
+  assert.equal((await verifyCertificateFile(pdf, { trustedIssuers })).verified, true);
+  assert.throws(() => extractCertificate(bytes("%PDF-1.4\n")), /carries no EXI certificate/);
+  await assert.rejects(verifyCertificate({ format: "other" }), /Not an EXI commissioning certificate/);
+});
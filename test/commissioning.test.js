@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { initialCx, cxReducer, cxAllPassed, cxProgress, CX_TIMING } from "../src/commissioning.js";
+
+const N = 40;
+const baseline = new Array(N).fill(20);
+const wobble = k => baseline.map((b, i) => b + ((i + k) % 2 ? 0.1 : -0.1));
+const plume = (center, amp = 6) => baseline.map((b, i) => b + amp * Math.exp(-((i - center) ** 2) / 8));
+
+const frame = (ts, temps, extra = {}) =>
+  ({ type: "frame", zone: "Z1", ts, temps, baseline, events: [], episodes: 0, commonMode: 0, ...extra });
+const feed = (cx, frames) => frames.reduce(cxReducer, cx);
+const start = (cx, step, ts, extra = {}) => cxReducer(cx, { type: "start", step, ts, zone: "Z1", ...extra });
+const secs = (from, to, make) => Array.from({ length: to - from }, (_, k) => make((from + k) * 1000, from + k));
+
+// Runs every step through to a pass
+function passAll() {
+  let cx = initialCx("Z1");
+  cx = feed(start(cx, "continuity", 0), secs(0, CX_TIMING.continuityFrames, (ts, k) => frame(ts, wobble(k))));
+  cx = cxReducer(start(cx, "sealed", 10000), { type: "confirm", ts: 11000, breaches: 0 });
+  cx = feed(start(cx, "baseline", 20000), secs(20, 20 + CX_TIMING.baselineSec + 1, (ts, k) => frame(ts, wobble(k))));
+  cx = start(cx, "detect", 400000, { truePos: 20, cmPerSensor: 10 });
+  cx = cxReducer(cx, frame(408000, plume(20.3), { events: [{ type: "alert", level: "WARNING", episode: { peakIdx: 20 } }] }));
+  cx = start(cx, "locate", 409000);
+  cx = start(cx, "falsePositive", 410000);
+  cx = feed(cx, secs(410, 410 + CX_TIMING.quietSec + 2, (ts, k) => frame(ts, wobble(k))));
+  return cx;
+}
+
+test("a healthy zone passes every step and can be certified", () => {
+  const cx = passAll();
+  assert.deepEqual(Object.entries(cx.steps).map(([id, s]) => [id, s.status]), [
+    ["continuity", "pass"], ["sealed", "pass"], ["baseline", "pass"], ["detect", "pass"],
+    ["locate", "pass"], ["falsePositive", "pass"], ["certificate", "pending"],
+  ]);
+  assert.equal(cx.steps.continuity.display, "40/40 OK");
+  assert.equal(cx.steps.detect.value.sec, 8);
+  assert.ok(cx.steps.locate.value < 5, `locate error ${cx.steps.locate.value} cm`);
+  assert.equal(cx.steps.falsePositive.value, 0);
+  assert.ok(cxAllPassed(cx));
+  assert.equal(cxReducer(cx, { type: "certify", ts: 500000 }).steps.certificate.status, "pass");
+});
+
+test("frozen or out-of-range sensors fail continuity", () => {
+  let cx = start(initialCx("Z1"), "continuity", 0);
+  cx = feed(cx, secs(0, CX_TIMING.continuityFrames, (ts, k) => {
+    const t = wobble(k);
+    t[3] = 20;
+    t[7] = 150;
+    return frame(ts, t);
+  }));
+  assert.equal(cx.steps.continuity.status, "fail");
+  assert.equal(cx.steps.continuity.detail, "No signal or frozen: #3, #7");
+});
+
+test("an active breach, a missed detection and a spurious alert each fail their step", () => {
+  let cx = cxReducer(start(initialCx("Z1"), "sealed", 0), { type: "confirm", ts: 1, breaches: 2 });
+  assert.deepEqual([cx.steps.sealed.status, cx.steps.sealed.display], ["fail", "2 active breaches"]);
+
+  cx = feed(start(cx, "detect", 0, { truePos: 20, cmPerSensor: 10 }), secs(0, 31, ts => frame(ts, plume(20))));
+  assert.deepEqual([cx.steps.detect.status, cx.steps.detect.display], ["fail", "> 30s"]);
+  assert.equal(start(cx, "locate", 40000), cx); // locate needs a passed detection
+
+  cx = start(cx, "falsePositive", 100000);
+  cx = feed(cx, secs(100, 163, (ts, k) => frame(ts, wobble(k), { events: k === 120 ? [{ type: "alert" }] : [] })));
+  assert.deepEqual([cx.steps.falsePositive.status, cx.steps.falsePositive.value], ["fail", 1]);
+});
+
+test("the false-positive step fails when the zone never settles", () => {
+  let cx = start(initialCx("Z1"), "falsePositive", 0);
+  cx = cxReducer(cx, frame(1000, plume(20)));
+  assert.match(cxProgress(cx, 1000), /settling/);
+  cx = feed(cx, secs(2, CX_TIMING.settleSec + 1, ts => frame(ts, plume(20))));
+  assert.deepEqual([cx.steps.falsePositive.status, cx.steps.falsePositive.display], ["fail", "Did not settle"]);
+});
+
+test("retesting a step clears the ones after it, and other zones' frames are ignored", () => {
+  const cx = passAll();
+  const again = start(cx, "baseline", 600000);
+  assert.deepEqual(["continuity", "sealed"].map(id => again.steps[id].status), ["pass", "pass"]);
+  assert.deepEqual(["baseline", "detect", "locate", "falsePositive"].map(id => again.steps[id].status),
+    ["running", "pending", "pending", "pending"]);
+  assert.equal(cxReducer(again, { type: "certify", ts: 600001 }), again);
+  assert.equal(cxReducer(again, { ...frame(600500, wobble(0)), zone: "Z2" }), again);
+});
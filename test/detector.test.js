@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createDetector } from "../src/detector.js";
+
+const N = 20;
+const baseline = new Array(N).fill(20);
+
+// Baseline with ±0.05 °C of alternating noise, plus `add` °C per sensor
+const sweep = (k, add = {}) => baseline.map((b, i) => b + ((i + k) % 2 ? 0.05 : -0.05) + (add[i] ?? 0));
+
+// Feeds one sweep per second from second `from` to `to` and collects events
+function run(det, from, to, add) {
+  const events = [];
+  let last;
+  for (let s = from; s < to; s++) {
+    last = det.update(sweep(s, add), baseline, s * 1000);
+    events.push(...last.events.map(e => ({ ...e, s })));
+  }
+  return { events, state: last.state };
+}
+
+test("a local plume alerts once sustained, escalates past criticalDelta and clears", () => {
+  const det = createDetector();
+  const warm = run(det, 0, 12);
+  assert.equal(warm.state.warmingUp, false);
+  assert.deepEqual(warm.events, []);
+
+  const plume = run(det, 12, 30, { 9: 2, 10: 3, 11: 2 });
+  assert.deepEqual(plume.events.map(e => [e.type, e.level, e.s]), [["alert", "WARNING", 27]]);
+  assert.equal(plume.events[0].episode.peakIdx, 10);
+  assert.deepEqual(plume.events[0].episode.span, [9, 11]);
+
+  const hotter = run(det, 30, 32, { 9: 5, 10: 8, 11: 5 });
+  assert.deepEqual(hotter.events.map(e => [e.type, e.level]), [["escalate", "CRITICAL"]]);
+
+  const gone = run(det, 32, 40);
+  assert.deepEqual(gone.events.map(e => [e.type, e.s]), [["clear", 37]]);
+  assert.deepEqual(gone.state.episodes, []);
+});
+
+test("an aisle-wide shift is rejected as common mode", () => {
+  const everywhere = Object.fromEntries(baseline.map((_, i) => [i, 3]));
+
+  const det = createDetector();
+  run(det, 0, 12);
+  const shifted = run(det, 12, 30, everywhere);
+  assert.equal(shifted.state.flagged, 0);
+  assert.ok(Math.abs(shifted.state.commonMode - 3) < 0.1);
+  assert.deepEqual(shifted.events, []);
+
+  const noRejection = createDetector({ commonMode: 0 });
+  run(noRejection, 0, 12);
+  assert.equal(run(noRejection, 12, 13, everywhere).state.flagged, N);
+});
+
+test("a rise below minDelta is not flagged however large its z-score", () => {
+  const det = createDetector();
+  run(det, 0, 12);
+  const step = run(det, 12, 13, { 10: 1 });
+  assert.equal(step.state.maxZIdx, 10);
+  assert.ok(step.state.maxZ > 2.5);
+  assert.equal(step.state.flagged, 0);
+  assert.deepEqual(run(det, 13, 30, { 10: 1 }).events, []);
+});
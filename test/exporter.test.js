@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server/exporter.js", import.meta.url));
+const PORT = 19464 + Math.floor(Math.random() * 1000);
+const METRICS = `http://127.0.0.1:${PORT}/metrics`;
+
+// Runs server/exporter.js on the built-in simulation until the test ends
+function startServer(t) {
+  const child = spawn(process.execPath, [SERVER, "--port", String(PORT)], { stdio: ["ignore", "pipe", "inherit"] });
+  t.after(() => child.kill());
+  return new Promise((resolve, reject) => {
+    let out = "";
+    child.stdout.on("data", chunk => {
+      out += chunk;
+      if (out.includes("/metrics")) resolve();
+    });
+    child.on("close", () => reject(new Error("exporter exited before listening")));
+  });
+}
+
+async function scrape(accept) {
+  const res = await fetch(METRICS, { headers: accept ? { Accept: accept } : {} });
+  return { type: res.headers.get("content-type"), text: await res.text() };
+}
+
+// Zone series appear with the first sweep, up to one simulation tick in
+async function firstFrame() {
+  for (let i = 0; i < 40; i++) {
+    const r = await scrape();
+    if (r.text.includes("exi_bari_ratio")) return r;
+    await new Promise(res => setTimeout(res, 100));
+  }
+  throw new Error("no frame within 4 s");
+}
+
+test("the exporter serves OpenMetrics to Prometheus and text 0.0.4 to everyone else", async t => {
+  await startServer(t);
+  const text = await firstFrame();
+  assert.match(text.type, /^text\/plain; version=0\.0\.4/);
+  assert.match(text.text, /^# TYPE exi_alerts_total counter$/m);
+  assert.match(text.text, /^exi_bari_ratio\{site="EXI Demo Site",zone="A1"\} [\d.]+$/m);
+  assert.match(text.text, /^exi_rack_inlet_temperature_celsius\{site="EXI Demo Site",zone="B1",rack="R12"\} /m);
+  assert.match(text.text, /^exi_dp_pascals\{site="EXI Demo Site",zone="C1",sensor="DP-B"\} /m);
+  assert.ok(!text.text.includes("# EOF"));
+
+  const om = await scrape("application/openmetrics-text; version=1.0.0");
+  assert.match(om.type, /^application\/openmetrics-text/);
+  assert.match(om.text, /^# TYPE exi_alerts counter$/m);
+  assert.match(om.text, /^exi_alerts_total\{site="EXI Demo Site",zone="A1",level="CRITICAL"\} 0$/m);
+  assert.match(om.text, /^# UNIT exi_max_delta_celsius celsius$/m);
+  assert.ok(om.text.endsWith("# EOF\n"));
+
+  const other = await fetch(`http://127.0.0.1:${PORT}/`);
+  assert.equal(other.status, 404);
+  await other.text();
+});
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRiseTracker, soonestCrossing, FORECAST } from "../src/forecast.js";
+import { seededRng } from "../src/scenarios.js";
+
+// Rack inlets at `s` seconds: warming 0.5 °C/min with noise, stable, cooling,
+// and a cold rack creeping up too slowly to reach A4 within the horizon
+function racks(s, rng) {
+  return [24 + 0.5 * s / 60 + (rng() - 0.5) * 0.1, 22, 26 - 0.4 * s / 60, 0.06 * s / 60];
+}
+
+test("a warming rack gets a forecast of each limit ahead, stable and cooling racks none", () => {
+  const rng = seededRng(5);
+  const tracker = createRiseTracker();
+  for (let s = 0; s <= 120; s++) tracker.push("Z1", s * 1000, racks(s, rng));
+  const [warm, stable, cooling, cold] = tracker.forecast("Z1");
+
+  assert.ok(Math.abs(warm.temp - 25) < 0.05, `temp ${warm.temp}`);
+  assert.ok(Math.abs(warm.rate - 0.5) < 0.05, `rate ${warm.rate}`);
+  assert.ok(warm.lo < warm.rate && warm.rate < warm.hi && warm.rising);
+  assert.deepEqual(warm.crossings.map(c => c.cls), ["A1", "A2", "A3", "A4"]);
+  const a1 = warm.crossings[0];
+  assert.ok(Math.abs(a1.min - 4) < 0.5, `A1 in ${a1.min} min`);
+  assert.ok(a1.minLo < a1.min && a1.min < a1.minHi);
+
+  assert.deepEqual([stable.rising, stable.crossings], [false, []]);
+  assert.deepEqual([cooling.rising, cooling.crossings], [false, []]);
+  assert.ok(cold.rising);
+  assert.deepEqual(cold.crossings.map(c => c.cls), ["A1", "A2", "A3"]);
+  assert.ok(cold.crossings.every(c => c.minLo <= FORECAST.horizonMin));
+
+  const soonest = soonestCrossing([stable, cold, warm]);
+  assert.deepEqual([soonest.rack, soonest.crossing], [0, a1]);
+  assert.equal(soonestCrossing([stable, cooling]), null);
+});
+
+test("no forecast until enough sweeps span enough time, and a seek backwards starts over", () => {
+  const rng = seededRng(5);
+  const tracker = createRiseTracker();
+  assert.deepEqual(tracker.forecast("Z1"), []);
+  for (let s = 0; s < 15; s++) tracker.push("Z1", s * 1000, racks(s, rng));
+  assert.deepEqual(tracker.forecast("Z1"), []);   // 15 sweeps, but only 14 s
+  for (let s = 15; s <= 30; s++) tracker.push("Z1", s * 1000, racks(s, rng));
+  assert.equal(tracker.forecast("Z1").length, 4);
+
+  tracker.push("Z1", 5000, racks(5, rng));
+  assert.deepEqual(tracker.forecast("Z1"), []);
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHistory } from "../src/history.js";
+
+const frame = (ts, t) => ({ ts, zones: { Z1: { temps: [t, t + 1] } } });
+
+test("the buffer keeps one span of sweeps per zone as Float32Array", () => {
+  const h = createHistory({ spanMs: 2000 });
+  for (let s = 0; s <= 5; s++) h.push(frame(s * 1000, 20 + s));
+  assert.ok(h.latest("Z1").temps instanceof Float32Array);
+  assert.deepEqual(Array.from(h.latest("Z1").temps), [25, 26]);
+  assert.deepEqual(h.window("Z1", 5000, 5, 5000).map(r => r && r.ts), [5000, 4000, 3000, null, null]);
+  assert.equal(h.latest("Z2"), null);
+});
+
+test("window buckets hold the latest sample in each, newest first", () => {
+  const h = createHistory();
+  for (const ts of [0, 400, 1100, 1900]) h.push(frame(ts, ts));
+  assert.deepEqual(h.window("Z1", 2000, 2, 2000).map(r => r && r.ts), [1900, 400]);
+});
+
+test("a replay seek backwards restarts the buffer", () => {
+  const h = createHistory();
+  h.push(frame(5000, 20));
+  h.push(frame(1000, 21));
+  assert.deepEqual(h.window("Z1", 10000, 1, 10000).map(r => r && r.ts), [1000]);
+});
@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { correlateIncidents, dpDrops, bypassFromDelta, INCIDENT_GAP_MS } from "../src/incidents.js";
+
+// An actionable alert with signature evidence already recorded
+const alert = (id, ts, pos, { lvl = "WARNING", zone = "Z1", state = "open", delta = 2, peakDelta = delta, dp = {}, assignee = null } = {}) => ({
+  id, ts, lvl, zone, state, assignee, where: `where ${id}`, loc: `loc ${id}`,
+  signature: { pos, delta, peakDelta, lastWarm: null, dp },
+});
+
+test("alerts near each other in one zone fold into one incident", () => {
+  const incidents = correlateIncidents([
+    alert(1, 0, 20, { lvl: "BREACH", dp: { 0: 4 } }),
+    alert(2, 1000, 25, { delta: 5, dp: { 0: 6, 1: 3.5 }, assignee: "Sam" }),
+    alert(3, 2000, 28, { lvl: "CRITICAL", state: "escalated", delta: 7 }),
+    { id: 4, ts: 2000, lvl: "CLEAR", zone: "Z1", signature: null },
+  ]);
+  assert.equal(incidents.length, 1);
+  const [inc] = incidents;
+  assert.deepEqual(inc.alerts.map(a => a.id), [1, 2, 3]);
+  assert.deepEqual([inc.id, inc.severity, inc.state, inc.pos, inc.where], ["INC-1", "CRITICAL", "escalated", 28, "where 3"]);
+  assert.deepEqual([inc.peakDelta, inc.delta, inc.assignee], [7, 7, "Sam"]);
+  assert.deepEqual(inc.dp, { 0: 6, 1: 3.5 });
+  assert.equal(inc.bypassKW, 9);
+});
+
+test("distance, zone and a quiet gap start new incidents, newest first", () => {
+  const incidents = correlateIncidents([
+    alert(1, 0, 20),
+    alert(2, 1000, 40),
+    alert(3, 2000, 20, { zone: "Z2" }),
+    alert(4, INCIDENT_GAP_MS + 1, 20),
+  ]);
+  assert.deepEqual(incidents.map(i => i.id), ["INC-4", "INC-3", "INC-2", "INC-1"]);
+});
+
+test("a resolved incident reports the bypass load it peaked at", () => {
+  const [inc] = correlateIncidents([alert(1, 0, 20, { state: "resolved", delta: 0.2, peakDelta: 14 })]);
+  assert.deepEqual([inc.delta, inc.bypassKW, inc.peakBypassKW], [0, 18, 18]);
+});
+
+test("only DP drops above the noise threshold count as evidence", () => {
+  assert.deepEqual(dpDrops([30, 25, 28], [30, 30, 30], d => d * 10), [{ idx: 1, pos: 10, drop: 5 }]);
+  assert.equal(bypassFromDelta(-3), 0);
+});
@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createLedger, priceEnergy, ledgerTotals, realizedCost, dailyCsv, breachCsv, loadLedger, storeLedger, dayKey,
+  EMPTY_LEDGER, LEDGER_STORAGE_KEY,
+} from "../src/ledger.js";
+
+const energy = { rate: 0.1, co2Factor: 0.0004 };
+const t0 = new Date(2026, 0, 5, 12).getTime();   // local noon, so an hour stays on one day
+const door = { id: "b1", pos: 30, int: 14, label: 'Door "A"', type: "door" };   // 18 kW
+
+// localStorage stand-in
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: k => items.get(k) ?? null, setItem: (k, v) => items.set(k, String(v)) };
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+// An hour of A1 with the door breach open, swept every 10 s
+function doorHour() {
+  const ledger = createLedger();
+  for (let s = 0; s <= 3600; s += 10) ledger.push("A1", t0 + s * 1000, [door], energy);
+  return ledger;
+}
+
+test("a breach's bypass load is integrated and priced as it accrues", () => {
+  assert.deepEqual(priceEnergy(10, energy), { kWh: 10, cost: 1, co2Kg: 4 });
+
+  const ledger = doorHour();
+  const [rec] = ledger.data().breaches;
+  assert.deepEqual([rec.zone, rec.id, rec.type, rec.first, rec.last, rec.peakKW], ["A1", "b1", "door", t0, t0 + 3600000, 18]);
+  assert.ok(near(rec.kWh, 18) && near(rec.cost, 1.8) && near(rec.co2Kg, 7.2), JSON.stringify(rec));
+
+  const day = ledger.data().days[dayKey(t0)].A1;
+  assert.ok(near(day.hours, 1) && near(day.kWh, 18));
+
+  // A minute's gap is billed as 10 s
+  const gap = ledger.push("A1", t0 + 3660000, [door], energy);
+  assert.ok(near(gap.kWh, 0.05), `gap ${gap.kWh}`);
+
+  // A breach that appears between sweeps ramps in from zero
+  ledger.push("B1", t0, [], energy);
+  const ramp = ledger.push("B1", t0 + 10000, [{ ...door, id: "b2" }], energy);
+  assert.ok(near(ramp.kWh, 0.025), `ramp ${ramp.kWh}`);
+
+  // A clock step backwards bills nothing and opens a fresh record
+  const back = ledger.push("A1", t0, [door], energy);
+  assert.equal(back.kWh, 0);
+  assert.equal(ledger.data().breaches.filter(b => b.id === "b1").length, 2);
+});
+
+test("totals cover today, 7 and 30 local days", () => {
+  const ledger = doorHour();
+  const lastWeek = t0 - 3 * 24 * 3600000;
+  ledger.push("B1", lastWeek, [door], energy);
+  ledger.push("B1", lastWeek + 10000, [door], energy);
+
+  const [today, week, month] = ledgerTotals(ledger.data(), t0 + 3600000);
+  assert.deepEqual(Object.keys(today.zones), ["A1"]);
+  assert.ok(near(today.total.kWh, 18));
+  assert.ok(near(week.total.kWh, 18.05) && near(week.zones.B1.kWh, 0.05));
+  assert.ok(near(month.total.cost, 1.805));
+  assert.deepEqual(ledgerTotals(EMPTY_LEDGER, t0).map(p => p.total.kWh), [0, 0, 0]);
+});
+
+test("alerts and incidents are charged the nearby breaches behind them, each once", () => {
+  const data = doorHour().data();
+  const now = t0 + 3600000;
+  const alert = { zone: "A1", ts: t0 + 60000, signature: { pos: 32 } };
+  const again = { ...alert, ts: t0 + 120000 };
+
+  const cost = realizedCost(data, [alert, again], now);
+  assert.equal(cost.breaches, 1);
+  assert.ok(near(cost.kWh, 18));
+  assert.equal(realizedCost(data, [{ ...alert, signature: { pos: 60 } }], now).breaches, 0);
+  assert.equal(realizedCost(data, [{ ...alert, zone: "B1" }], now).breaches, 0);
+  assert.equal(realizedCost(data, [{ ...alert, ts: now + 300000 }], now + 300000).breaches, 0);
+  assert.equal(realizedCost(data, [{ zone: "A1", ts: t0 }], now), null);
+});
+
+test("the ledger exports as CSV and survives a reload", () => {
+  const ledger = doorHour();
+  const daily = dailyCsv(ledger.data()).trim().split("\n");
+  assert.deepEqual(daily, ["date,zone,monitored_h,kwh,cost,co2_kg", `${dayKey(t0)},A1,1.00,18.000,1.80,7.20`]);
+  const rows = breachCsv(ledger.data()).trim().split("\n");
+  assert.equal(rows.length, 2);
+  assert.match(rows[1], /^A1,b1,door,"Door ""A""",30,.*,3600,18\.0,18\.000,1\.80,7\.20$/);
+
+  const storage = memoryStorage();
+  storeLedger(ledger, storage);
+  const loaded = loadLedger(storage);
+  assert.deepEqual(loaded, ledger.data());
+  assert.deepEqual(createLedger(loaded).data(), loaded);
+
+  const saved = JSON.parse(storage.getItem(LEDGER_STORAGE_KEY));
+  saved.breaches.push({ zone: "A1", pos: "x" });
+  saved.days["not a day"] = { A1: { kWh: 1, cost: 1, co2Kg: 1 } };
+  saved.days[dayKey(t0)].B1 = { kWh: 2, cost: 0.2, co2Kg: 0.8 };
+  storage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(saved));
+  const cleaned = loadLedger(storage);
+  assert.equal(cleaned.breaches.length, 1);
+  assert.deepEqual(Object.keys(cleaned.days), [dayKey(t0)]);
+  assert.equal(cleaned.days[dayKey(t0)].B1.hours, 0);
+
+  storage.setItem(LEDGER_STORAGE_KEY, "{broken");
+  assert.equal(loadLedger(storage), EMPTY_LEDGER);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { localizePlume, cmPerSensor } from "../src/localize.js";
+import { seededRng } from "../src/scenarios.js";
+
+const N = 60;
+const baseline = new Array(N).fill(20);
+
+// Two-sided Gaussian plume centred between gauges, plus optional noise
+function sweep(mu, { amp = 8, left = 2, right = 2, noise = 0, rng = Math.random, shift = 0 } = {}) {
+  return baseline.map((b, i) => {
+    const s = i < mu ? left : right;
+    return b + shift + amp * Math.exp(-0.5 * ((i - mu) / s) ** 2) + (rng() - 0.5) * noise;
+  });
+}
+
+test("a clean plume is placed between gauges", () => {
+  const fix = localizePlume(sweep(30.37), baseline, 30);
+  assert.equal(fix.method, "gaussian");
+  assert.ok(Math.abs(fix.pos - 30.37) < 0.02, `pos ${fix.pos}`);
+  assert.ok(fix.lo <= fix.pos && fix.pos <= fix.hi);
+});
+
+test("a lopsided plume keeps its centre, not its centroid", () => {
+  const fix = localizePlume(sweep(30.5, { left: 1.5, right: 4 }), baseline, 31);
+  assert.ok(Math.abs(fix.pos - 30.5) < 0.05, `pos ${fix.pos}`);
+});
+
+test("the 95 % interval covers the true position under noise, and an aisle-wide shift is ignored", () => {
+  const rng = seededRng(11);
+  let covered = 0;
+  for (let k = 0; k < 200; k++) {
+    const mu = 20 + (k % 40) * 0.45;
+    const fix = localizePlume(sweep(mu, { noise: 0.3, rng, shift: 2 }), baseline, Math.round(mu));
+    if (fix.lo <= mu && mu <= fix.hi) covered++;
+  }
+  assert.ok(covered >= 180, `covered ${covered}/200`);
+});
+
+test("narrow plumes fall back to a centroid and nothing warm gives null", () => {
+  const narrow = baseline.slice();
+  narrow[30] += 6;
+  narrow[31] += 2;
+  const fix = localizePlume(narrow, baseline, 30);
+  assert.equal(fix.method, "centroid");
+  assert.equal(fix.pos, 30.25);
+  assert.equal(fix.sigma, 0.5);
+  assert.equal(localizePlume(baseline, baseline, 30), null);
+  assert.equal(cmPerSensor({ lengthM: 12, sensors: 120 }), 10);
+});
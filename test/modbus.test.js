@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import net from "node:net";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server/modbus.js", import.meta.url));
+const PORT = 15020 + Math.floor(Math.random() * 1000);
+
+// Runs server/modbus.js on the built-in simulation until the test ends
+function startServer(t) {
+  const child = spawn(process.execPath, [SERVER, "--port", String(PORT)], { stdio: ["ignore", "pipe", "inherit"] });
+  t.after(() => child.kill());
+  return new Promise((resolve, reject) => {
+    let out = "";
+    child.stdout.on("data", chunk => {
+      out += chunk;
+      if (out.includes("listening")) resolve();
+    });
+    child.on("exit", () => reject(new Error("modbus server exited before listening")));
+  });
+}
+
+// One MBAP-framed request; resolves with { tid, unit, pdu } of the reply
+async function request(sock, tid, unit, pdu) {
+  const head = Buffer.alloc(7);
+  head.writeUInt16BE(tid, 0);
+  head.writeUInt16BE(pdu.length + 1, 4);
+  head[6] = unit;
+  sock.write(Buffer.concat([head, pdu]));
+  let buf = Buffer.alloc(0);
+  while (buf.length < 7 || buf.length < 6 + buf.readUInt16BE(4)) {
+    const [chunk] = await once(sock, "data");
+    buf = Buffer.concat([buf, chunk]);
+  }
+  return { tid: buf.readUInt16BE(0), unit: buf[6], pdu: buf.subarray(7, 6 + buf.readUInt16BE(4)) };
+}
+
+const read = (fc, start, qty) => {
+  const pdu = Buffer.alloc(5);
+  pdu[0] = fc;
+  pdu.writeUInt16BE(start, 1);
+  pdu.writeUInt16BE(qty, 3);
+  return pdu;
+};
+const words = pdu => Array.from({ length: pdu[1] / 2 }, (_, i) => pdu.readUInt16BE(2 + i * 2));
+
+test("the Modbus server answers register and coil reads and rejects bad requests", async t => {
+  await startServer(t);
+  const sock = net.connect(PORT, "127.0.0.1");
+  t.after(() => sock.destroy());
+  await once(sock, "connect");
+
+  const site = await request(sock, 0x1234, 7, read(3, 0, 2));
+  assert.deepEqual([site.tid, site.unit], [0x1234, 7]);
+  assert.deepEqual(words(site.pdu), [1, 4]);   // map version, zone count
+
+  const zone = await request(sock, 2, 1, read(4, 108, 2));
+  assert.deepEqual(words(zone.pdu), [8, 4]);   // zone A1: racks, DP sensors
+
+  const holding = await request(sock, 3, 1, read(3, 100, 10));
+  const input = await request(sock, 4, 1, read(4, 100, 10));
+  assert.deepEqual(words(holding.pdu), words(input.pdu));
+
+  const coils = await request(sock, 5, 1, read(1, 0, 5));
+  assert.deepEqual([coils.pdu[0], coils.pdu[1]], [1, 1]);
+
+  assert.deepEqual([...(await request(sock, 6, 1, read(6, 0, 1))).pdu], [0x86, 0x01]);
+  assert.deepEqual([...(await request(sock, 7, 1, read(3, 495, 10))).pdu], [0x83, 0x02]);
+  assert.deepEqual([...(await request(sock, 8, 1, read(3, 0, 0))).pdu], [0x83, 0x03]);
+  assert.deepEqual([...(await request(sock, 9, 1, read(2, 0, 6))).pdu], [0x82, 0x02]);
+});
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createNotifier } from "../src/notify.js";
+
+const incident = state => ({
+  id: "INC-1", zone: "A1", severity: "WARNING", state, where: "Rack R3", loc: null,
+  firstSeen: 0, lastSeen: 0, peakDelta: 4, bypassKW: 5, dp: {}, alerts: [], assignee: null,
+});
+
+// A notifier with one PagerDuty target whose posts land in `sent`
+function pagerduty() {
+  const sent = [];
+  const notifier = createNotifier({
+    targets: [{ id: "pd", kind: "pagerduty", name: "PD", url: "http://pd.test", routingKey: "rk" }],
+    siteName: "Test site", dedupPrefix: "exi-test",
+    fetchImpl: async (_, { body }) => { sent.push(JSON.parse(body)); return { ok: true, status: 202 }; },
+  });
+  return { notifier, sent };
+}
+
+const settle = () => new Promise(r => setTimeout(r, 0));
+
+test("an incident that reopens after resolving triggers its page again", async t => {
+  const { notifier, sent } = pagerduty();
+  t.after(() => notifier.stop());
+  for (const state of ["open", "resolved", "open"]) {
+    notifier.observe({ incidents: [incident(state)], alerts: [] });
+    await settle();
+  }
+  assert.deepEqual(sent.map(b => b.event_action), ["trigger", "resolve", "trigger"]);
+  assert.equal(new Set(sent.map(b => b.dedup_key)).size, 1);
+});
+
+test("an incident that stays resolved sends nothing more", async t => {
+  const { notifier, sent } = pagerduty();
+  t.after(() => notifier.stop());
+  for (const state of ["open", "resolved", "resolved"]) {
+    notifier.observe({ incidents: [incident(state)], alerts: [] });
+    await settle();
+  }
+  assert.deepEqual(sent.map(b => b.event_action), ["trigger", "resolve"]);
+});
+
+// A notifier with one webhook target answering with `statuses` in turn (then 200)
+function webhook(statuses = [], opts = {}) {
+  const sent = [];
+  const notifier = createNotifier({
+    targets: [{ id: "hook", kind: "webhook", name: "Hook", url: "http://hook.test" }],
+    siteName: "Test site", dedupPrefix: "exi-test", minBackoff: 1, maxBackoff: 1, ...opts,
+    fetchImpl: async (_, { body }) => {
+      sent.push(JSON.parse(body));
+      const status = statuses.shift() ?? 200;
+      return { ok: status < 300, status };
+    },
+  });
+  return { notifier, sent };
+}
+
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+test("webhooks get alerts and every incident transition under one dedup key", async t => {
+  const { notifier, sent } = webhook();
+  t.after(() => notifier.stop());
+  const alert = { id: 7, lvl: "WARNING", zone: "A1", state: "open", what: "warm", ts: Date.now() };
+  const inc = (state, severity = "WARNING") => ({ ...incident(state), severity, alerts: [alert] });
+  notifier.observe({ incidents: [inc("open")], alerts: [alert] });
+  notifier.observe({ incidents: [inc("escalated", "CRITICAL")], alerts: [alert] });
+  notifier.observe({ incidents: [inc("acknowledged", "CRITICAL")], alerts: [alert] });
+  notifier.observe({ incidents: [inc("resolved", "CRITICAL")], alerts: [alert] });
+  await wait(10);
+  assert.deepEqual(sent.map(b => b.event), [
+    "incident.triggered", "alert.raised", "incident.updated", "incident.acknowledged", "incident.resolved",
+  ]);
+  assert.ok(sent.every(b => b.dedup_key === "exi-test-INC-1"));
+  assert.equal(sent[1].alert.id, 7);
+});
+
+test("5xx is retried with backoff and 4xx dropped", async t => {
+  const { notifier, sent } = webhook([503, 503, 400]);
+  t.after(() => notifier.stop());
+  const statuses = [];
+  notifier.on("status", s => statuses.push(s[0]));
+  notifier.observe({ incidents: [incident("open")], alerts: [] });
+  notifier.observe({ incidents: [incident("resolved")], alerts: [] });
+  await wait(20);
+  assert.deepEqual(sent.map(b => b.event), ["incident.triggered", "incident.triggered", "incident.triggered", "incident.resolved"]);
+  assert.ok(statuses.some(s => s.retrying));
+  assert.deepEqual([notifier.status[0].sent, notifier.status[0].dropped], [1, 1]);
+  assert.match(statuses.find(s => s.dropped === 0 && s.lastError)?.lastError.message, /HTTP 503 · incident.triggered · retry 1\/4/);
+});
+
+test("a target that keeps failing drops the event after maxAttempts", async t => {
+  const { notifier, sent } = webhook([500, 500], { maxAttempts: 2 });
+  t.after(() => notifier.stop());
+  notifier.observe({ incidents: [incident("open")], alerts: [] });
+  await wait(20);
+  assert.equal(sent.length, 2);
+  assert.equal(notifier.status[0].dropped, 1);
+  assert.match(notifier.status[0].lastError.message, /dropped after 2 attempts/);
+});
+
+test("disabled targets are skipped", () => {
+  const notifier = createNotifier({
+    targets: [{ id: "hook", kind: "webhook", name: "Hook", url: "http://hook.test", enabled: false }],
+    siteName: "Test site", dedupPrefix: "exi-test", fetchImpl: () => assert.fail("posted to a disabled target"),
+  });
+  notifier.observe({ incidents: [incident("open")], alerts: [] });
+  assert.deepEqual(notifier.status, []);
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseOdisi } from "../src/odisi.js";
+
+const zone = { id: "Z1", sensors: 2, racks: 1, dpSensors: 1, dpBase: 30 };
+
+const exportText = [
+  "Units:\t°C",
+  "Gage pitch (mm):\t2.6",
+  "----------------",
+  "Gage/Segment Name\tA\tB\tC\tD",
+  "x\t0\t1\t2\t3",
+  "Tare\t0\t0\t0\t0",
+  "2024-03-14 10:02:11.123456\t20\t22\t24\tNaN",
+  "2024-03-14 10:02:12.123456\t21\t23\t\t25",
+].join("\n");
+
+test("gauges are averaged into the zone's sensors and missing cells skipped", () => {
+  const s = parseOdisi(exportText, { name: "run 1", zone });
+  assert.equal(s.ticks.length, 2);
+  assert.equal(s.ticks[0].ts, Date.parse("2024-03-14T10:02:11.123"));
+  assert.deepEqual(s.ticks[0].zones.Z1.temps, [21, 24]);
+  assert.deepEqual(s.ticks[1].zones.Z1.temps, [22, 25]);
+  assert.deepEqual(s.baselines.Z1.baseline, [21.5, 24.5]);
+  assert.deepEqual(s.import, { zone: "Z1", gauges: 4, sweeps: 2, lengthM: 3, units: "°C",
+    meta: { "Units": "°C", "Gage pitch (mm)": "2.6" } });
+});
+
+test("sensors with no gauge are interpolated between their neighbours", () => {
+  const text = "x,0,1\n2024-03-14 10:00:00,20,26\n";
+  const s = parseOdisi(text, { zone: { ...zone, sensors: 4 } });
+  assert.deepEqual(s.ticks[0].zones.Z1.temps, [20, 22, 24, 26]);
+});
+
+test("malformed exports name the row and column", () => {
+  const parse = text => () => parseOdisi(text, { zone });
+  assert.throws(parse("2024-03-14 10:00:00,1,2"), /Row 1: expected metadata or the gauge position row/);
+  assert.throws(parse("x,0,0\n"), /Row 1, column C: positions must increase/);
+  assert.throws(parse("x,0,1\nyesterday,1,2"), /Row 2, column A: "yesterday" is not a timestamp/);
+  assert.throws(parse("x,0,1\n2024-03-14 10:00:00,1,hot"), /Row 2, column C \(x = 1 m\): "hot" is not a number/);
+  assert.throws(parse("x,0,1\n2024-03-14 10:00:01,1,2\n2024-03-14 10:00:00,1,2"), /Row 3: timestamp .* is earlier/);
+  assert.throws(parse("x,0,1\n"), /No sweep rows/);
+  assert.throws(parse("Units: µε\nx,0,1\n2024-03-14 10:00:00,1,2"), /strain units/);
+});
@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PROFILE, parseProfile, serializeProfile, storeProfile, loadStoredProfile, validateProfile,
+} from "../src/profile.js";
+
+const withTargets = validateProfile({
+  ...DEFAULT_PROFILE,
+  notifications: [
+    { id: "pd-1", kind: "pagerduty", name: "On-call", routingKey: "R0UT1NGK3Y" },
+    { id: "hook-1", kind: "webhook", name: "Chat", url: "https://hooks.example.com/services/T0/B0/s3cret?token=abc" },
+  ],
+});
+
+// localStorage stand-in
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: k => items.get(k) ?? null, setItem: (k, v) => items.set(k, String(v)) };
+}
+
+test("exported profiles leave notification secrets out and the targets disabled", () => {
+  const text = serializeProfile(withTargets);
+  assert.ok(!text.includes("R0UT1NGK3Y"));
+  assert.ok(!text.includes("s3cret"));
+  const back = parseProfile(text);
+  assert.deepEqual(back.notifications.map(t => [t.id, t.enabled]), [["pd-1", false], ["hook-1", false]]);
+  assert.equal(back.notifications[0].url, "https://events.pagerduty.com/v2/enqueue");
+});
+
+test("the browser's own copy keeps the secrets", () => {
+  const storage = memoryStorage();
+  storeProfile(withTargets, storage);
+  assert.deepEqual(loadStoredProfile(storage).notifications, withTargets.notifications);
+});
+
+test("an enabled target still needs its secret", () => {
+  assert.throws(() => validateProfile({
+    ...DEFAULT_PROFILE, notifications: [{ id: "pd-1", kind: "pagerduty", name: "On-call", routingKey: "" }],
+  }), /routingKey/);
+  assert.throws(() => validateProfile({
+    ...DEFAULT_PROFILE, notifications: [{ id: "hook-1", kind: "webhook", name: "Chat", url: "" }],
+  }), /url/);
+});
+
+test("the default profile round-trips through export and import", () => {
+  const back = parseProfile(serializeProfile(DEFAULT_PROFILE));
+  assert.deepEqual(back.site, validateProfile(DEFAULT_PROFILE).site);
+  assert.deepEqual(back.energy, DEFAULT_PROFILE.energy);
+  assert.deepEqual(back.detector, DEFAULT_PROFILE.detector);
+});
+
+test("omitted sections fall back to the defaults", () => {
+  const p = validateProfile({ site: { name: "Hall 1", zones: [DEFAULT_PROFILE.site.zones[0]] } });
+  assert.deepEqual(p.energy, DEFAULT_PROFILE.energy);
+  assert.deepEqual(p.notifications, []);
+  assert.deepEqual(p.bari, DEFAULT_PROFILE.bari);
+});
+
+test("invalid profiles name the first offending field", () => {
+  const zone = DEFAULT_PROFILE.site.zones[0];
+  const withZones = zones => () => validateProfile({ site: { name: "Hall 1", zones } });
+  assert.throws(() => parseProfile("{"), /JSON/);
+  assert.throws(() => validateProfile({ format: "other" }), /Not an EXI profile/);
+  assert.throws(withZones([]), /at least one zone/);
+  assert.throws(withZones([{ ...zone, sensors: 10.5 }]), /site\.zones\[0\]\.sensors must be a whole number/);
+  assert.throws(withZones([{ ...zone, racks: 0 }]), /site\.zones\[0\]\.racks must be between 1 and 48/);
+  assert.throws(withZones([zone, zone]), /site\.zones\[1\]\.id "A1" is used by another zone/);
+  assert.throws(withZones([{ ...zone, breachPoints: [{ pos: 500, label: "Door" }] }]),
+    /site\.zones\[0\]\.breachPoints\[0\]\.pos must be between 0 and 119/);
+  assert.throws(() => validateProfile({ ...DEFAULT_PROFILE, energy: { rate: 5 } }), /energy\.rate must be between/);
+});
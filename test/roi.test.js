@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  roiModel, irr, tornado, measuredSavings, gapStatement, cashFlowCsv, tornadoCsv, proposalHtml, DEFAULT_ROI, TORNADO_INPUTS,
+} from "../src/roi.js";
+
+const co2Factor = 0.00041;
+// 1000 kW × 0.3 ÷ COP 3 × fix rate 1 = 100 kW recovered, 876,000 kWh and
+// $87,600 a year at $0.10, flat
+const flat = {
+  ...DEFAULT_ROI, itKW: 1000, bypassFrac: 0.3, cop: 3, fixRate: 1, rate: 0.1, pue: 1.5,
+  escalation: 0, discount: 0, pilotCost: 87600, subPerZone: 0, zones: 1,
+};
+const close = (a, b, tol = 1e-6) => assert.ok(Math.abs(a - b) <= tol, `${a} ≉ ${b}`);
+
+// Ledger data (see ledger.js): `n` one-hour 18 kW breaches over `days` of one
+// monitored zone
+function ledgerData(n, days, hours = 24) {
+  const first = Date.UTC(2026, 0, 10, 12);
+  const breaches = Array.from({ length: n }, (_, i) => ({
+    zone: "A1", id: `b${i}`, pos: 30, first: first + i * 7200000, last: first + i * 7200000 + 3600000,
+    peakKW: 18, kWh: 18, cost: 1.8, co2Kg: 7.2,
+  }));
+  const day = Object.fromEntries(Array.from({ length: days }, (_, d) =>
+    [`2026-01-${String(10 + d).padStart(2, "0")}`, { A1: { kWh: 0, cost: 0, co2Kg: 0, hours } }]));
+  return { breaches, days: day };
+}
+
+test("savings are the recovered cooling kW; PUE only sets the PUE after", () => {
+  const m = roiModel(flat, { co2Factor });
+  close(m.recoveredKW, 100);
+  close(m.savedKWh, 876000);
+  close(m.years[1].savings, 87600);
+  close(m.pueAfter, 1.4);
+  assert.equal(roiModel({ ...flat, pue: 2 }, { co2Factor }).npv, m.npv);
+  assert.ok(!TORNADO_INPUTS.some(t => t.k === "pue"));
+  assert.ok(!tornado(flat, { co2Factor }).some(r => r.k === "pue"));
+});
+
+test("measured savings are priced as given, with no PUE factor", () => {
+  const m = roiModel(flat, { co2Factor, savedKWh: 1000 });
+  close(m.savedKWh, 1000);
+  close(m.years[1].savings, 100);
+});
+
+test("npv sums the yearly net flows, discounted", () => {
+  close(roiModel(flat, { co2Factor }).npv, 87600 * 4);
+  const annuity = [1, 2, 3, 4, 5].reduce((a, y) => a + 1 / 1.1 ** y, 0);
+  close(roiModel({ ...flat, discount: 0.1 }, { co2Factor }).npv, 87600 * (annuity - 1), 1e-4);
+});
+
+test("irr is the rate that zeroes the npv, or null without a sign change", () => {
+  close(irr([-100, 110]), 0.1, 1e-6);
+  close(irr([-100, 0, 121]), 0.1, 1e-6);
+  assert.equal(irr([-100, -10, -10]), null);
+  assert.equal(irr([100, 10, 10]), null);
+  const m = roiModel(flat, { co2Factor });
+  close(roiModel({ ...flat, discount: m.irr }, { co2Factor }).npv, 0, 1e-3);
+});
+
+test("paybackMonths spreads each year's flow evenly over its months", () => {
+  close(roiModel(flat, { co2Factor }).paybackMonths, 12);
+  close(roiModel({ ...flat, pilotCost: 43800 }, { co2Factor }).paybackMonths, 6);
+  close(roiModel({ ...flat, pilotCost: 87600 * 1.5 }, { co2Factor }).paybackMonths, 18);
+  assert.equal(roiModel({ ...flat, subPerZone: 90000 }, { co2Factor }).paybackMonths, null);
+});
+
+test("cash flow and sensitivity export as CSV, and the proposal escapes the site name", () => {
+  const m = roiModel(flat, { co2Factor });
+  const rows = cashFlowCsv(m).trim().split("\n");
+  assert.equal(rows[0], "year,savings,subscription,pilot,net,cumulative,discounted,cumulative_discounted");
+  assert.equal(rows[1], "0,0,0,87600,-87600,-87600,-87600,-87600");
+  assert.equal(rows[2], "1,87600,0,0,87600,0,87600,0");
+  assert.deepEqual(rows.slice(-3), [`npv,${87600 * 4}`, `irr,${m.irr.toFixed(4)}`, "payback_months,12.0"]);
+
+  const sensitivity = tornado(flat, { co2Factor });
+  const tor = tornadoCsv(sensitivity).trim().split("\n");
+  assert.equal(tor[0], "input,low_value,high_value,npv_low,npv_high,swing");
+  assert.equal(tor.length, sensitivity.length + 1);
+  assert.match(tor.find(r => r.startsWith("rate,")), /^rate,0\.08,0\.12,/);
+
+  const html = proposalHtml({ site: "Hall <B>", date: "2026-01-05", inputs: flat, model: m, sensitivity });
+  assert.match(html, /<title>EXI Proposal — Hall &lt;B&gt;<\/title>/);
+  assert.match(html, /assumption basis/);
+  assert.match(html, /<span>Year-1 savings<\/span><b>\$87,600<\/b>/);
+  assert.ok(!html.includes("Measured vs assumed"));
+});
+
+test("the measured basis extrapolates the ledger's breach rate and avoided load", () => {
+  const m = measuredSavings(ledgerData(100, 10), flat);
+  close(m.zoneHours, 240);
+  close(m.perZoneYear, 3650);
+  close(m.meanHours, 1);
+  close(m.meanKW, 18);
+  close(m.savedKWh, 100 * (8760 / 240) * 18 * 83);   // each breach would have run 83 h more
+  assert.ok(m.range[0] < m.savedKWh && m.savedKWh < m.range[1]);
+  assert.deepEqual([m.confidence, m.reasons], ["HIGH", []]);
+
+  close(measuredSavings(ledgerData(100, 10), { ...flat, zones: 3 }).savedKWh, m.savedKWh * 3);
+  close(roiModel(flat, { co2Factor, savedKWh: m.savedKWh }).years[1].savings, m.savedKWh * 0.1);
+});
+
+test("thin measurements get LOW or MEDIUM confidence, with the reasons", () => {
+  const low = measuredSavings(ledgerData(2, 1, 10), flat);
+  assert.equal(low.confidence, "LOW");
+  assert.deepEqual(low.reasons.slice(0, 2), ["2 breaches recorded", "10.0 h of zone monitoring"]);
+
+  const medium = measuredSavings(ledgerData(40, 10), flat);
+  assert.equal(medium.confidence, "MEDIUM");
+  assert.match(medium.reasons[0], /^95% range ±\d+%$/);
+
+  assert.equal(measuredSavings({ breaches: [], days: {} }, flat), null);
+  const none = measuredSavings(ledgerData(0, 2), flat);
+  assert.deepEqual([none.savedKWh, none.confidence, none.reasons[0]], [0, "LOW", "no breaches recorded"]);
+
+  // With the breach records capped, earlier monitored days are not counted
+  const capped = ledgerData(1000, 1);
+  capped.days["2026-01-01"] = { A1: { kWh: 0, cost: 0, co2Kg: 0, hours: 1000 } };
+  close(measuredSavings(capped, flat).zoneHours, 24);
+});
+
+test("the gap statement compares measured and assumed year-1 savings", () => {
+  const assumed = roiModel(flat, { co2Factor });
+  const m = { range: [800000, 900000], confidence: "MEDIUM", reasons: ["12 breaches recorded"] };
+  assert.equal(gapStatement(assumed, roiModel(flat, { co2Factor, savedKWh: 438000 }), m, flat.rate),
+    "Measured year-1 savings are $43,800, 50% below the assumption-based $87,600 (95% range $80,000–$90,000). " +
+    "Confidence MEDIUM — 12 breaches recorded.");
+  assert.match(gapStatement(assumed, roiModel(flat, { co2Factor, savedKWh: 900000 }), { ...m, reasons: [] }, flat.rate),
+    /, within 5% of the assumption-based \$87,600 .*Confidence MEDIUM\.$/);
+});
+
+test("the measured tornado varies the time to find instead of the recovery assumptions", () => {
+  const data = ledgerData(100, 10);
+  const inp = { ...flat, subPerZone: 10000 };
+  const keys = tornado(inp, { co2Factor, savedKWhOf: x => measuredSavings(data, x).savedKWh }).map(r => r.k);
+  assert.ok(keys.includes("undetectedHours"));
+  assert.ok(!keys.some(k => ["itKW", "cop", "bypassFrac", "fixRate"].includes(k)));
+  assert.ok(!tornado(inp, { co2Factor }).some(r => r.k === "undetectedHours"));
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseScenario, validateScenario, compileScenario, breachLevel, SCENARIO_LIBRARY } from "../src/scenarios.js";
+import { createZoneSimulation } from "../src/simulation.js";
+
+const zone = { id: "Z1", name: "Zone 1", sensors: 101, racks: 4, dpSensors: 2, lengthM: 10, tBase: 20, dpBase: 30 };
+
+test("library scenarios validate and compile for any zone", () => {
+  assert.ok(SCENARIO_LIBRARY.length > 0);
+  for (const s of SCENARIO_LIBRARY) {
+    const c = compileScenario(s, zone);
+    assert.ok(c.actions.length > 0, s.id);
+    assert.ok(c.actions.every(a => a.type === "crac" || (a.breach.pos >= 0 && a.breach.pos <= 100)), s.id);
+  }
+});
+
+test("a seeded scenario compiles identically every time, and another seed varies it", () => {
+  const s = validateScenario({ name: "Propped", events: [
+    { at: 0, kind: "breach", frac: 0.5, label: "Door", intensity: [5, 10], duration: [20, 30], repeat: { every: 40, count: 3, jitter: 5 } },
+  ] });
+  assert.equal(s.id, "propped");
+  const a = compileScenario(s, zone, { seed: 7 });
+  assert.deepEqual(compileScenario(s, zone, { seed: 7 }), a);
+  assert.notDeepEqual(compileScenario(s, zone, { seed: 8 }), a);
+  assert.equal(a.actions.length, 3);
+  assert.ok(a.actions.every(x => x.breach.pos === 50 && x.breach.type === "door"));
+  assert.ok(a.actions.every((x, k) => Math.abs(x.at - k * 40000) <= 5000));
+  assert.equal(a.durationMs, Math.max(...a.actions.map(x => x.at + x.breach.dur)));
+});
+
+test("ramps and curves shape a scripted breach's intensity", () => {
+  const b = (ramp, curve = { type: "steady" }) => ({ dur: 100000, ramp, curve, seed: 3 });
+  const linear = b({ shape: "linear", up: 10, down: 20 });
+  assert.equal(breachLevel(linear, 5), 0.5);
+  assert.equal(breachLevel(linear, 50), 1);
+  assert.equal(breachLevel(linear, 90), 0.5);
+  assert.equal(breachLevel(b({ shape: "step", up: 10, down: 0 }), 1), 1);
+
+  const pulse = b({ shape: "step", up: 0, down: 0 }, { type: "pulse", period: 10, depth: 0.6 });
+  assert.equal(breachLevel(pulse, 0), 1);
+  assert.ok(Math.abs(breachLevel(pulse, 5) - 0.4) < 1e-9);
+
+  const flicker = b({ shape: "step", up: 0, down: 0 }, { type: "flicker", period: 2, duty: 0.5 });
+  const levels = Array.from({ length: 40 }, (_, k) => breachLevel(flicker, k * 2 + 1));
+  assert.ok(levels.includes(0) && levels.includes(1));
+  assert.equal(breachLevel(flicker, 3), breachLevel(flicker, 3.5)); // fixed within a period
+});
+
+test("invalid scenarios name the offending field", () => {
+  const events = e => JSON.stringify({ name: "x", events: [e] });
+  assert.throws(() => parseScenario("{"), /not valid JSON/);
+  assert.throws(() => parseScenario(JSON.stringify({ name: "x", events: [] })), /at least one event/);
+  assert.throws(() => parseScenario(events({ kind: "breach", intensity: 5, duration: 10 })), /events\[0\] needs exactly one of pos or frac/);
+  assert.throws(() => parseScenario(events({ kind: "breach", frac: 0.5, intensity: [9, 5], duration: 10 })), /events\[0\]\.intensity minimum exceeds/);
+  assert.throws(() => parseScenario(events({ kind: "breach", frac: 0.5, intensity: 5, duration: 10, type: "window" })), /events\[0\]\.type must be one of/);
+  assert.throws(() => parseScenario(events({ kind: "crac", type: "swing", amp: 50 })), /events\[0\]\.amp must be between -10 and 10/);
+  assert.throws(() => parseScenario(events({ kind: "breach", frac: 0.5, intensity: 5, duration: 10, repeat: { every: 5, count: 1.5 } })),
+    /repeat\.count must be a whole number/);
+});
+
+test("a playing scenario drives the zone and stops cleanly", () => {
+  const sim = createZoneSimulation(zone);
+  const s = validateScenario({ id: "swing-and-leak", name: "Swing and leak", events: [
+    { at: 0, kind: "crac", type: "swing", amp: 2, periodSec: 60 },
+    { at: 5, kind: "breach", pos: 30, label: "Leak", intensity: 8, duration: 30 },
+  ] });
+  const playing = sim.play(compileScenario(s, zone), 0);
+  assert.deepEqual([playing.id, playing.t0, playing.t1], ["swing-and-leak", 0, 35000]);
+
+  const at10 = sim.step(10000);
+  assert.deepEqual(at10.scenario, { id: "swing-and-leak", name: "Swing and leak", t0: 0, t1: 60000 });
+  assert.deepEqual([at10.crac.length, at10.breaches.length, at10.breaches[0].pos], [1, 1, 30]);
+
+  sim.stopScenario();
+  const stopped = sim.step(11000);
+  assert.deepEqual([stopped.scenario, stopped.crac, stopped.breaches], [undefined, [], []]);
+});
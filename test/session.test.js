@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRecorder, parseSession, breachSpans } from "../src/session.js";
+
+const site = {
+  name: "Test Hall",
+  zones: [
+    { id: "Z1", name: "Zone 1", sensors: 4, racks: 2, dpSensors: 1, tBase: 20, dpBase: 30, breachPoints: [] },
+    { id: "Z2", name: "Zone 2", sensors: 2, racks: 1, dpSensors: 1, tBase: 21, dpBase: 31, breachPoints: [] },
+  ],
+};
+
+const zoneFrame = (t, breaches = []) => ({ temps: [t, t, t, t], dp: [30], rackPwr: [5, 5], breaches, crac: [] });
+
+test("a recorded session loads back with its ticks, baselines and alerts", () => {
+  const rec = createRecorder({
+    source: "sim", site,
+    baselines: { Z1: { baseline: [20.004, 20, 20, 20], baseDp: [30] } },
+  });
+  rec.push({ ts: 1000, zones: { Z1: zoneFrame(20.123) } });
+  rec.push({ ts: 1500, zones: { Z1: zoneFrame(21) } });
+  assert.equal(rec.count, 2);
+
+  const file = rec.finish([{ id: "old", ts: rec.startedAt - 1 }, { id: "new", ts: rec.startedAt + 1 }]);
+  const s = parseSession(JSON.stringify(file), site);
+  assert.deepEqual(s.ticks[0].zones.Z1.temps, [20.12, 20.12, 20.12, 20.12]);
+  assert.deepEqual(s.baselines.Z1.baseline, [20, 20, 20, 20]);
+  assert.deepEqual(s.baselines.Z2.baseline, [21, 21]); // not recorded: flat zone baseline
+  assert.deepEqual(s.zones, ["Z1"]);
+  assert.deepEqual(s.alerts.map(a => a.id), ["new"]);
+});
+
+test("version 1 files load into the first zone", () => {
+  const v1 = { format: "exi-session", version: 1, baseline: [19, 19, 19, 19], baseDp: [29],
+    ticks: [{ ts: 0, temps: [20, 20, 20, 20], dp: [30], rackPwr: [1, 1] }] };
+  const s = parseSession(JSON.stringify(v1), site);
+  assert.deepEqual(Object.keys(s.ticks[0].zones), ["Z1"]);
+  assert.deepEqual(s.baselines.Z1.baseDp, [29]);
+});
+
+test("invalid sessions name the offending tick or field", () => {
+  const file = ticks => JSON.stringify({ format: "exi-session", version: 2, ticks });
+  assert.throws(() => parseSession("{", site), /not valid JSON/);
+  assert.throws(() => parseSession(JSON.stringify({ format: "other" }), site), /Not an EXI session/);
+  assert.throws(() => parseSession(file([]), site), /no ticks/);
+  assert.throws(() => parseSession(file([{ ts: 0, zones: { Z1: { ...zoneFrame(20), temps: [1] } } }]), site),
+    /Tick 0: frame\.zones\.Z1\.temps must be 4 numbers/);
+  assert.throws(() => parseSession(file([{ ts: 5, zones: {} }, { ts: 4, zones: {} }]), site), /Tick 1: timestamp goes backwards/);
+});
+
+test("breach spans run from the first to the last tick a breach appears in", () => {
+  const b = { id: 7, label: "Door" };
+  const spans = breachSpans([
+    { ts: 0, zones: { Z1: zoneFrame(20) } },
+    { ts: 1, zones: { Z1: zoneFrame(20, [b]) } },
+    { ts: 2, zones: { Z1: zoneFrame(20, [b]) } },
+    { ts: 3, zones: { Z1: zoneFrame(20) } },
+  ]);
+  assert.deepEqual(spans, [{ key: "Z1:7", zoneId: "Z1", label: "Door", start: 1, end: 2 }]);
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createZoneSimulation } from "../src/simulation.js";
+import { createDetector } from "../src/detector.js";
+import { seededRng } from "../src/scenarios.js";
+import { DEFAULT_SITE } from "../src/site.js";
+
+const zone = DEFAULT_SITE.zones[0];
+const mean = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+// Steps the zone at 2 Hz from `from` to `to` seconds; `each` sees every sweep
+function run(sim, from, to, each = () => {}) {
+  let sweep;
+  for (let ms = from * 1000; ms < to * 1000; ms += 500) {
+    sweep = sim.step(ms);
+    each(sweep, ms);
+  }
+  return sweep;
+}
+
+test("a supply swing moves every sensor together, nearer units more, and then ends", () => {
+  const sim = createZoneSimulation(zone, { rng: seededRng(4) });
+  run(sim, 0, 10);
+  const ev = sim.disturb("swing", {}, 10000);
+  assert.deepEqual([ev.amp, ev.periodSec, ev.until], [3, 120, 130000]);
+
+  const peak = run(sim, 10, 40);   // a quarter period in: supply at +3 °C
+  assert.equal(peak.crac.length, 1);
+  const rise = peak.temps.map((t, i) => t - sim.baseline[i]);
+  assert.ok(rise.every(d => d > 1.5), "every sensor warms");
+  assert.ok(mean(rise.slice(0, 20)) > mean(rise.slice(-20)), "the start of the run warms more");
+
+  const after = run(sim, 40, 140);
+  assert.deepEqual(after.crac, []);
+  assert.ok(Math.abs(mean(after.temps.map((t, i) => t - sim.baseline[i]))) < 0.3);
+});
+
+test("an IT load step lifts rack power while held", () => {
+  const sim = createZoneSimulation(zone, { rng: seededRng(5) });
+  const before = mean(run(sim, 0, 60).rackPwr);
+  sim.disturb("step", { kw: 40, durSec: 120 }, 60000);
+  assert.ok(mean(run(sim, 60, 150).rackPwr) > before + 25);
+});
+
+test("common-mode rejection keeps a CRAC swing from raising detector alerts", () => {
+  const alertsWith = commonMode => {
+    const sim = createZoneSimulation(zone, { rng: seededRng(6) });
+    const det = createDetector({ commonMode });
+    const base = sim.baseline;
+    const alerts = [];
+    run(sim, 0, 20, (s, ms) => det.update(s.temps, base, ms));
+    sim.disturb("swing", { amp: 4, periodSec: 60 }, 20000);
+    run(sim, 20, 90, (s, ms) => alerts.push(...det.update(s.temps, base, ms).events.filter(e => e.type === "alert")));
+    return alerts.length;
+  };
+  assert.equal(alertsWith(1), 0);
+  assert.ok(alertsWith(0) > 0, "without rejection the swing looks like a plume");
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SITE, zoneById, rackRange, rackAt, dpPosition, segmentLabel, dpLabel, physLoc, flatBaselines,
+} from "../src/site.js";
+import { createSiteSimulation } from "../src/simulation.js";
+import { parseFrame } from "../src/sources.js";
+import { seededRng } from "../src/scenarios.js";
+
+const zone = { id: "Z1", name: "Zone 1", sensors: 100, racks: 8, dpSensors: 4, lengthM: 10, tBase: 20, dpBase: 30 };
+
+test("racks, DP sensors and segments are laid out along each zone's own run", () => {
+  assert.deepEqual(rackRange(zone, 0), [0, 12]);
+  assert.deepEqual(rackRange(zone, 7), [87, 100]);
+  assert.equal(rackAt(zone, 0), 0);
+  assert.equal(rackAt(zone, 99), 7);
+  assert.equal(rackAt(zone, 100), 7);
+  assert.equal(dpPosition(zone, 0), 12.5);
+  assert.equal(dpPosition(zone, 3), 87.5);
+  assert.equal(dpLabel(2), "DP-C");
+  assert.equal(segmentLabel(zone, 0), "Zone 1 · Seg A — North");
+  assert.equal(segmentLabel(zone, 99), "Zone 1 · Seg D — South");
+  assert.equal(physLoc(zone, 50), `Rack R5, 16'5" from N`);
+  assert.equal(zoneById(DEFAULT_SITE, "B1").sensors, 160);
+  assert.equal(zoneById(DEFAULT_SITE, "nope"), null);
+});
+
+test("flat baselines follow each zone's size and base conditions", () => {
+  const b = flatBaselines({ zones: [zone, { ...zone, id: "Z2", sensors: 3, dpSensors: 1, tBase: 18 }] });
+  assert.equal(b.Z1.baseline.length, 100);
+  assert.deepEqual(b.Z1.baseDp, [30, 30, 30, 30]);
+  assert.deepEqual(b.Z2.baseline, [18, 18, 18]);
+});
+
+test("the site simulation steps every zone at its own size, and a breach stays in its zone", () => {
+  const sim = createSiteSimulation(DEFAULT_SITE, { rng: seededRng(1) });
+  const frame = sim.step(0);
+  assert.deepEqual(Object.keys(frame.zones), DEFAULT_SITE.zones.map(z => z.id));
+  for (const z of DEFAULT_SITE.zones) {
+    assert.equal(frame.zones[z.id].temps.length, z.sensors);
+    assert.equal(frame.zones[z.id].dp.length, z.dpSensors);
+    assert.equal(frame.zones[z.id].rackPwr.length, z.racks);
+  }
+  assert.doesNotThrow(() => parseFrame(frame, DEFAULT_SITE));
+
+  sim.induce("A2", 40, "Zone B — Curtain Seam", 0, "seam");
+  const next = sim.step(1000);
+  assert.equal(next.zones.A2.breaches.length, 1);
+  assert.equal(next.zones.A1.breaches.length, 0);
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createReplaySource, createWebSocketSource } from "../src/sources.js";
+
+const session = {
+  name: "two ticks",
+  baselines: {},
+  ticks: [{ ts: 0, zones: {} }, { ts: 1000, zones: {} }],
+};
+
+test("replay play() starts the cursor, pause() stops it", t => {
+  const src = createReplaySource(session);
+  t.after(() => src.stop());
+  const cursors = [];
+  src.on("cursor", c => cursors.push(c));
+  src.start();
+  src.play();
+  assert.equal(cursors.at(-1).playing, true);
+  src.pause();
+  assert.equal(cursors.at(-1).playing, false);
+});
+
+test("replay play() at the end starts over from the first tick", t => {
+  const src = createReplaySource(session);
+  t.after(() => src.stop());
+  const cursors = [];
+  src.on("cursor", c => cursors.push(c));
+  src.start();
+  src.seek(1000);
+  src.play();
+  assert.deepEqual({ t: cursors.at(-1).t, playing: cursors.at(-1).playing }, { t: 0, playing: true });
+});
+
+// A WebSocket stand-in the test drives by hand
+class FakeSocket {
+  static last = null;
+  constructor() { FakeSocket.last = this; }
+  close() {}
+}
+
+test("rejected feed messages are counted, not logged", t => {
+  const site = { zones: [{ id: "A1", sensors: 4, dpSensors: 1, racks: 1 }] };
+  const src = createWebSocketSource("ws://feed.test", site, { WebSocketImpl: FakeSocket });
+  t.after(() => src.stop());
+  const warn = t.mock.method(console, "warn", () => {});
+  const seen = [];
+  src.on("rejected", r => seen.push(r));
+  src.start();
+  FakeSocket.last.onmessage({ data: "not json" });
+  FakeSocket.last.onmessage({ data: JSON.stringify({ ts: 1, zones: { A1: { temps: [1] } } }) });
+  FakeSocket.last.onmessage({ data: "null" });
+  FakeSocket.last.onmessage({ data: "42" });
+  assert.equal(src.rejected, 4);
+  assert.deepEqual(seen.map(r => r.count), [1, 2, 3, 4]);
+  assert.equal(seen[2].reason, "not an object");
+  assert.equal(warn.mock.callCount(), 0);
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createTrend, trendCsv } from "../src/trend.js";
+import { bariScore, bariBand, bariLevel } from "../src/metrics.js";
+import { DEFAULT_PROFILE, validateProfile } from "../src/profile.js";
+
+// Short tiers so a test covers both in a few hundred pushes
+const tiers = [{ bucketMs: 1000, spanMs: 5000 }, { bucketMs: 10000, spanMs: 60000 }];
+
+// A score whose components all equal `bari`, so they add up to it under any weights
+const score = bari => ({ bari, thermalScore: bari, dpScore: bari, rackScore: bari });
+
+test("BARI weights and band cut-offs come from the site config", () => {
+  const zone = { sensors: 12, tBase: 17.6 };
+  const temps = new Array(12).fill(20);
+  temps[5] = 26;
+  const bases = { baseline: new Array(12).fill(20), baseDp: [30] };
+
+  const s = bariScore(zone, { temps, dp: [22] }, bases);
+  assert.deepEqual([s.thermalScore, s.dpScore, s.hotPos], [0.5, 0.5, 5]);
+  assert.ok(Math.abs(s.rackScore - 1 / 3) < 1e-9);
+  assert.ok(Math.abs(s.bari - (0.25 + 0.15 + 0.2 / 3)) < 1e-9);
+
+  const cfg = { weights: { thermal: 0.2, dp: 0.2, rack: 0.6 }, bands: { elevated: 0.1, high: 0.2, critical: 0.35 } };
+  const tuned = bariScore(zone, { temps, dp: [22] }, bases, cfg);
+  assert.ok(Math.abs(tuned.bari - 0.4) < 1e-9);
+  assert.equal(bariBand(tuned.bari), 1);
+  assert.equal(bariLevel(tuned.bari, cfg), "CRITICAL");
+
+  assert.deepEqual(validateProfile({ ...DEFAULT_PROFILE, bari: cfg }).bari, cfg);
+  assert.throws(() => validateProfile({ ...DEFAULT_PROFILE, bari: { weights: { thermal: 0.6 } } }),
+    /bari\.weights must add up to 1 \(they add up to 1\.1\)/);
+  assert.throws(() => validateProfile({ ...DEFAULT_PROFILE, bari: { bands: { high: 0.9 } } }), /bands must rise/);
+});
+
+test("each window is served from the finest tier that spans it, broken down by component", () => {
+  const trend = createTrend({ tiers });
+  for (let ts = 0; ts <= 20000; ts += 500) trend.push("Z1", ts, score(0.2 + ts / 100000));
+
+  const fine = trend.series("Z1", 5000, 20000);
+  assert.equal(fine.bucketMs, 1000);
+  assert.deepEqual(fine.points.map(p => p.ts), [15000, 16000, 17000, 18000, 19000, 20000]);
+  assert.ok(Math.abs(fine.points[0].bari - 0.3525) < 1e-9);
+  assert.equal(fine.points[0].max, 0.355);
+  for (const p of fine.points) assert.ok(Math.abs(p.thermal + p.dp + p.rack - p.bari) < 1e-9);
+  assert.ok(Math.abs(fine.points[0].thermal - 0.5 * 0.3525) < 1e-9);
+
+  const coarse = trend.series("Z1", 30000, 20000);
+  assert.equal(coarse.bucketMs, 10000);
+  assert.deepEqual(coarse.points.map(p => [p.ts, p.band]), [[0, 0], [10000, 1], [20000, 1]]);
+  assert.equal(trend.series("Z1", 10 * 60000, 20000).bucketMs, 10000);
+  assert.deepEqual(trend.series("Z9", 5000, 20000), { bucketMs: 1000, points: [], crossings: [] });
+});
+
+test("band crossings are judged on bucket means, so noise on a cut-off does not flap", () => {
+  const trend = createTrend({ tiers });
+  for (let ts = 0; ts < 4000; ts += 250) trend.push("Z1", ts, score(ts % 500 ? 0.31 : 0.28));
+  assert.deepEqual(trend.series("Z1", 5000, 4000).crossings, []);
+
+  for (let ts = 4000; ts <= 6000; ts += 250) trend.push("Z1", ts, score(0.6));
+  const { crossings, points } = trend.series("Z1", 5000, 6000);
+  assert.deepEqual(crossings, [{ ts: 5000, zone: "Z1", from: "ALL CLEAR", to: "HIGH RISK", up: true, bari: 0.6 }]);
+
+  const csv = trendCsv("Z1", { bucketMs: 1000, points, crossings }).trim().split("\n");
+  assert.equal(csv[0], "time,zone,bari,bari_max,thermal,dp,rack,level,crossings");
+  assert.equal(csv.length, points.length + 1);
+  assert.ok(csv.includes("1970-01-01T00:00:03.000Z,Z1,29.5,31.0,14.8,8.8,5.9,ALL CLEAR,"), csv.join("\n"));
+  assert.ok(csv.includes("1970-01-01T00:00:04.000Z,Z1,60.0,60.0,30.0,18.0,12.0,HIGH RISK,ALL CLEAR to HIGH RISK"), csv.join("\n"));
+});
+
+test("a replay seek backwards restarts the zone's history", () => {
+  const trend = createTrend({ tiers });
+  for (let ts = 0; ts <= 3000; ts += 500) trend.push("Z1", ts, score(0.9));
+  trend.push("Z1", 1000, score(0.1));
+  const { points } = trend.series("Z1", 5000, 3000);
+  assert.deepEqual(points.map(p => [p.ts, p.bari]), [[1000, 0.1]]);
+});